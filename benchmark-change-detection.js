@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * Change Detection Benchmark
+ *
+ * Replays API logger captures and times change detection per poll: the whole-payload
+ * json-diff-ts comparison the event generator and API logger used to run, against the
+ * per-entity hashing of the change detector. Both run over the same consecutive snapshots
+ * and the script reports how often they disagree on whether a poll changed anything.
+ *
+ * Usage: node --expose-gc benchmark-change-detection.js [options]
+ */
+
+const fs = require('fs');
+const { program } = require('commander');
+const { diff } = require('json-diff-ts');
+const LogReplay = require('./src/utils/logReplay');
+const { indexPayload, compareIndexes, extractLiveMatches, extractDrawFixtures } = require('./src/utils/entityIndex');
+
+// Log directories replayed by default and the endpoints they capture
+const ENDPOINT_PATHS = {
+  'live-matches': '/api/live-matches',
+  'draws-live': '/api/draws/live',
+};
+
+// CLI Configuration
+program
+  .name('benchmark-change-detection')
+  .description('Compare whole-payload diffing with per-entity hashing over recorded API responses')
+  .version('1.0.0')
+  .option('-l, --log-dir <dir>', 'API logger capture directory', './logs/api-responses')
+  .option('-e, --endpoints <endpoints>', 'Comma-separated log endpoints', 'live-matches,draws-live')
+  .option('-d, --date <date>', 'Only replay captures of this date (YYYY-MM-DD)')
+  .option('--limit <count>', 'Maximum snapshots per endpoint', '500');
+
+program.parse();
+const options = program.opts();
+
+const limit = parseInt(options.limit);
+if (isNaN(limit) || limit < 2) {
+  console.error('Error: --limit must be at least 2');
+  process.exit(1);
+}
+
+const endpoints = options.endpoints.split(',').map(endpoint => endpoint.trim()).filter(Boolean);
+
+/**
+ * Detect changes the way the event generator and API logger did before per-entity hashing:
+ * a keyed json-diff-ts diff of the whole payload (after scanning the matches for a key field),
+ * match maps rebuilt from both payloads when it changed, and the API logger's own plain diff
+ * @param {string} endpoint - API endpoint path
+ * @param {Object} previousData - Previous snapshot
+ * @param {Object} currentData - Current snapshot
+ * @returns {boolean} Whether the poll changed anything
+ */
+function legacyDetect(endpoint, previousData, currentData) {
+  const extract = endpoint === '/api/live-matches'
+    ? data => extractLiveMatches(data) || []
+    : extractDrawFixtures;
+  const keyField = endpoint === '/api/live-matches' ? 'MatchId' : 'MatchCode';
+
+  // The key field was re-determined from both payloads on every poll
+  const allEntities = [...extract(currentData), ...extract(previousData)];
+  const keyed = allEntities.every(entity => entity && entity[keyField]);
+
+  const embeddedObjKeys = endpoint === '/api/live-matches'
+    ? { TournamentMatches: '$index', Matches: keyed ? keyField : '$index' }
+    : { Associations: '$index', Events: '$index', Rounds: '$index', Fixtures: keyField };
+  const changeset = diff(previousData, currentData, { embeddedObjKeys });
+  const changed = changeset.length > 0;
+
+  // The change handlers then rebuilt entity maps of both payloads
+  if (changed) {
+    new Map(extract(previousData).map(entity => [entity[keyField], entity]));
+    new Map(extract(currentData).map(entity => [entity[keyField], entity]));
+  }
+
+  // API logger
+  diff(previousData, currentData);
+  return changed;
+}
+
+/**
+ * Time a detection function over consecutive snapshots
+ * @param {Array<string>} files - Capture file paths, oldest first
+ * @param {Function} detect - Called with each snapshot, returns whether it changed
+ * @returns {Object} { times, changed, peakHeapMb }
+ */
+function run(files, detect) {
+  if (global.gc) global.gc();
+  const baseHeap = process.memoryUsage().heapUsed;
+  let peakHeap = baseHeap;
+  const times = [];
+  const changed = [];
+
+  for (const file of files) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8')).data;
+    const startedAt = process.hrtime.bigint();
+    changed.push(detect(data));
+    times.push(Number(process.hrtime.bigint() - startedAt) / 1e6);
+    peakHeap = Math.max(peakHeap, process.memoryUsage().heapUsed);
+  }
+
+  return { times, changed, peakHeapMb: (peakHeap - baseHeap) / 1024 / 1024 };
+}
+
+/**
+ * Summarize poll timings
+ * @param {Array<number>} times - Milliseconds per poll
+ * @returns {Object} { avg, p95, max }
+ */
+function summarize(times) {
+  const sorted = times.slice().sort((a, b) => a - b);
+  const total = sorted.reduce((sum, time) => sum + time, 0);
+  return {
+    avg: total / sorted.length,
+    p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+    max: sorted[sorted.length - 1],
+  };
+}
+
+/**
+ * Format milliseconds for the report
+ * @param {number} ms - Milliseconds
+ * @returns {string} Formatted value
+ */
+function formatMs(ms) {
+  return `${ms.toFixed(2)}ms`;
+}
+
+// Main execution
+async function main() {
+  if (!global.gc) {
+    console.log('Run with node --expose-gc for comparable heap figures\n');
+  }
+
+  for (const logEndpoint of endpoints) {
+    const endpoint = ENDPOINT_PATHS[logEndpoint] || `/api/${logEndpoint}`;
+    const replay = new LogReplay({ logDir: options.logDir, endpoints: [logEndpoint] });
+    const files = (await replay.discoverLogFiles({ date: options.date }))
+      .slice(0, limit)
+      .map(file => file.path);
+
+    if (files.length < 2) {
+      console.log(`${logEndpoint}: fewer than 2 captures in ${options.logDir}, skipping`);
+      continue;
+    }
+
+    // The first snapshot of each run is the baseline and is not timed
+    let previousData = null;
+    const legacy = run(files, data => {
+      const changed = previousData ? legacyDetect(endpoint, previousData, data) : true;
+      previousData = data;
+      return changed;
+    });
+
+    let previousIndex = null;
+    let entities = 0;
+    let changedEntities = 0;
+    const hashed = run(files, data => {
+      const changes = compareIndexes(previousIndex, indexPayload(endpoint, data));
+      previousIndex = changes.index;
+      entities += changes.index.entities.size;
+      if (!changes.baseline) {
+        changedEntities += changes.added.length + changes.removed.length + changes.updated.length;
+      }
+      return changes.changed;
+    });
+
+    const legacyStats = summarize(legacy.times.slice(1));
+    const hashedStats = summarize(hashed.times.slice(1));
+    const disagreements = legacy.changed.filter((changed, i) => changed !== hashed.changed[i]).length;
+
+    console.log(`${logEndpoint} (${files.length} snapshots, ${Math.round(entities / files.length)} entities per snapshot, ${changedEntities} entity changes)`);
+    console.log(`  whole-payload diff: avg ${formatMs(legacyStats.avg)}, p95 ${formatMs(legacyStats.p95)}, max ${formatMs(legacyStats.max)}, peak heap +${legacy.peakHeapMb.toFixed(1)}MB`);
+    console.log(`  entity hashing:     avg ${formatMs(hashedStats.avg)}, p95 ${formatMs(hashedStats.p95)}, max ${formatMs(hashedStats.max)}, peak heap +${hashed.peakHeapMb.toFixed(1)}MB`);
+    console.log(`  speedup: ${(legacyStats.avg / Math.max(hashedStats.avg, 0.001)).toFixed(1)}x, changed polls: ${hashed.changed.filter(Boolean).length - 1}/${files.length - 1}, disagreements: ${disagreements}\n`);
+  }
+}
+
+// Run the script
+main().catch(error => {
+  console.error('Benchmark failed:', error.message);
+  process.exit(1);
+});
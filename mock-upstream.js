@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Mock ATP Upstream Server
+ *
+ * Replays API logger captures as the ATP API, stepping through the recorded
+ * snapshots on a virtual clock. Point the proxy at it with
+ * ATP_API_BASE_URL=http://localhost:3100 to develop offline.
+ *
+ * Usage: node mock-upstream.js [options]
+ */
+
+const fs = require('fs');
+const { program } = require('commander');
+const MockUpstream = require('./src/utils/mockUpstream');
+
+// CLI Configuration
+program
+  .name('mock-upstream')
+  .description('Serve ATP API paths from recorded API logger captures on a virtual clock')
+  .version('1.0.0')
+  .option('-d, --log-dir <path>', 'Path to log directory', './logs/api-responses')
+  .option('-p, --port <port>', 'Port to listen on', '3100')
+  .option('-s, --speed <multiplier>', 'Virtual clock speed multiplier (e.g., 10 = 10x real time)', '1')
+  .option('--tournament-id <id>', 'Prefer captures of tournament-scoped endpoints (/api/t/:id/...)')
+  .option('--date <YYYY-MM-DD>', 'Replay a specific date')
+  .option('--date-start <YYYY-MM-DD>', 'Replay all data on or after this date')
+  .option('--date-end <YYYY-MM-DD>', 'Replay all data up to and including this date')
+  .option('--start <HH:MM>', 'Start time filter')
+  .option('--end <HH:MM>', 'End time filter')
+  .option('--loop', 'Restart from the first snapshot after the last one')
+  .option('--paused', 'Start with the virtual clock paused (use POST /_mock/resume or /_mock/step)');
+
+program.parse();
+const options = program.opts();
+
+// Validate numeric options
+const port = parseInt(options.port);
+if (isNaN(port) || port <= 0) {
+  console.error('Error: --port must be a positive number');
+  process.exit(1);
+}
+
+const speed = parseFloat(options.speed);
+if (isNaN(speed) || speed <= 0) {
+  console.error('Error: --speed must be a positive number');
+  process.exit(1);
+}
+
+// Validate date options
+if (options.date && (options.dateStart || options.dateEnd)) {
+  console.error('Error: Cannot specify --date with --date-start or --date-end. Use either single date or date range.');
+  process.exit(1);
+}
+
+// Validate log directory exists
+if (!fs.existsSync(options.logDir)) {
+  console.error(`Error: Log directory '${options.logDir}' does not exist`);
+  process.exit(1);
+}
+
+// Main execution
+async function main() {
+  const mock = new MockUpstream({
+    logDir: options.logDir,
+    tournamentId: options.tournamentId,
+    speed,
+    loop: options.loop,
+    filters: {
+      date: options.date,
+      dateStart: options.dateStart,
+      dateEnd: options.dateEnd,
+      startTime: options.start,
+      endTime: options.end,
+    },
+  });
+
+  try {
+    const summary = await mock.load();
+    if (summary.snapshots === 0) {
+      console.error(`Error: No log files found in '${options.logDir}' matching the given filters`);
+      process.exit(1);
+    }
+
+    if (options.paused) {
+      mock.pause();
+    }
+
+    mock.createApp().listen(port, () => {
+      console.log(`[MOCK UPSTREAM] Listening on http://localhost:${port}`);
+      console.log(`[MOCK UPSTREAM] ${summary.snapshots} snapshots from ${summary.startTime} to ${summary.endTime} at ${speed}x`);
+      console.log(`[MOCK UPSTREAM] Endpoints: ${summary.endpoints.join(', ')}`);
+      console.log('[MOCK UPSTREAM] Control: GET /_mock/status, POST /_mock/speed|pause|resume|step|seek');
+      console.log(`[MOCK UPSTREAM] Proxy setup: ATP_API_BASE_URL=http://localhost:${port}`);
+    });
+  } catch (error) {
+    console.error('Error starting mock upstream:', error.message);
+    process.exit(1);
+  }
+}
+
+// Handle SIGINT gracefully
+process.on('SIGINT', () => {
+  console.log('\nMock upstream stopped');
+  process.exit(0);
+});
+
+// Run the script
+main();
@@ -12,7 +12,7 @@
 const fs = require('fs');
 const path = require('path');
 const { program } = require('commander');
-const crypto = require('crypto');
+const { buildSignatureHeaders, SIGNATURE_VERSIONS } = require('./src/utils/webhookSignature');
 
 // Console override for suppressing service module logs
 let originalConsole = null;
@@ -119,22 +119,23 @@ function restoreServiceLogs() {
  * Simplified version that doesn't depend on service modules
  */
 class ReplayWebhookClient {
-  constructor(webhookUrl, webhookSecret) {
+  constructor(webhookUrl, webhookSecret, signatureVersion = SIGNATURE_VERSIONS.V1) {
     this.webhookUrl = webhookUrl;
     this.webhookSecret = webhookSecret;
+    this.signatureVersion = signatureVersion;
     this.timeout = 10000; // 10 seconds
     this.retries = 3;
   }
 
   /**
-   * Generate HMAC SHA-256 signature for webhook payload
+   * Generate the signature headers for webhook payload (same schemes as the live proxy)
    */
-  generateSignature(payload, timestamp) {
-    const signature = crypto
-      .createHmac('sha256', this.webhookSecret)
-      .update(payload + timestamp)
-      .digest('hex');
-    return `sha256=${signature}`;
+  generateSignatureHeaders(payload, timestamp) {
+    return buildSignatureHeaders(payload, {
+      version: this.signatureVersion,
+      secrets: [{ keyId: 'replay', secret: this.webhookSecret }],
+      bodyTimestamp: timestamp
+    });
   }
 
   /**
@@ -150,11 +151,12 @@ class ReplayWebhookClient {
     };
 
     const payloadString = JSON.stringify(payload);
-    const signature = this.generateSignature(payloadString, timestamp);
 
     const headers = {
       'Content-Type': 'application/json',
-      'X-ATP-Live-Signature': signature,
+      // Same deterministic event_id as the live proxy, so receivers can deduplicate replays
+      'Idempotency-Key': event.event_id,
+      'X-ATP-Live-Event-Id': event.event_id,
       'User-Agent': 'ATP-Live-Replay/1.0'
     };
 
@@ -170,8 +172,8 @@ class ReplayWebhookClient {
 
         // Use dynamic import for axios to avoid dependency issues
         const axios = require('axios');
-        const response = await axios.post(this.webhookUrl, payload, {
-          headers,
+        const response = await axios.post(this.webhookUrl, payloadString, {
+          headers: { ...headers, ...this.generateSignatureHeaders(payloadString, timestamp) },
           timeout: this.timeout,
           validateStatus: (status) => status >= 200 && status < 300
         });
@@ -217,7 +219,7 @@ async function deliverEventsRealtime(events, options) {
   let webhookClient = null;
   
   if (!isSimulation) {
-    webhookClient = new ReplayWebhookClient(options.webhookUrl, options.webhookSecret);
+    webhookClient = new ReplayWebhookClient(options.webhookUrl, options.webhookSecret, options.webhookSignatureVersion);
   }
   
   // Sort events chronologically by logTimestamp
@@ -378,6 +380,7 @@ program
   .option('--show-service-logs', 'Show service module logs (webhook, events, cache, etc.)')
   .option('--webhook-url <url>', 'Webhook endpoint URL for event delivery')
   .option('--webhook-secret <secret>', 'HMAC secret for webhook authentication')
+  .option('--webhook-signature-version <version>', 'Webhook signature scheme: v1 or v2', 'v1')
   .option('--webhook-deliver', 'Enable webhook delivery (fast mode by default)')
   .option('--webhook-realtime', 'Enable real-time webhook delivery with original timing (requires --webhook-deliver)')
   .option('--webhook-dry-run', 'Simulate webhook delivery with full timing but skip HTTP calls')
@@ -462,6 +465,11 @@ if (options.webhookDeliver && (!options.webhookUrl || !options.webhookSecret)) {
   process.exit(1);
 }
 
+if (!Object.values(SIGNATURE_VERSIONS).includes(options.webhookSignatureVersion)) {
+  console.error(`Error: Invalid --webhook-signature-version '${options.webhookSignatureVersion}'. Must be one of: ${Object.values(SIGNATURE_VERSIONS).join(', ')}`);
+  process.exit(1);
+}
+
 if (options.webhookRealtime && !options.webhookDeliver) {
   console.error('Error: --webhook-realtime requires --webhook-deliver to be specified');
   console.error('Usage: node replay-events.js --webhook-deliver --webhook-realtime --webhook-url <url> --webhook-secret <secret>');
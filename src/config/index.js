@@ -9,6 +9,33 @@ const config = {
   atpApi: {
     baseUrl: process.env.ATP_API_BASE_URL || 'https://api.protennislive.com/feeds',
     bearerToken: process.env.ATP_BEARER_TOKEN,
+    // Per-path circuit breaker: fail fast instead of waiting on a degraded upstream
+    circuitBreaker: {
+      enabled: process.env.CIRCUIT_BREAKER_ENABLED !== 'false', // Default to enabled
+      failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD) || 5, // Consecutive failures before opening
+      resetTimeout: parseInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT) || 30000, // ms open before a half-open trial request
+    },
+  },
+  tournaments: {
+    configFile: process.env.TOURNAMENTS_CONFIG_FILE, // JSON file with per-tournament tokens, base URLs and endpoint sets
+  },
+  webhooks: {
+    configFile: process.env.WEBHOOKS_CONFIG_FILE, // JSON file with webhook destinations, secrets and event filters
+    // Undelivered events and dead-lettered batches survive restarts
+    outbox: {
+      enabled: process.env.WEBHOOK_OUTBOX_ENABLED !== 'false', // Default to enabled, set to 'false' to keep undelivered events in memory only
+      dir: process.env.WEBHOOK_OUTBOX_DIR || './logs/webhooks',
+    },
+    // Recent deliveries for GET /api/webhooks/deliveries and success-rate/latency stats
+    deliveryLog: {
+      size: parseInt(process.env.WEBHOOK_DELIVERY_LOG_SIZE) || 1000, // Deliveries kept in memory
+      responseBodyLimit: parseInt(process.env.WEBHOOK_DELIVERY_LOG_BODY_LIMIT) || 1024, // Characters of each response body kept
+      defaultLimit: 50, // Deliveries per page
+      maxLimit: 500,
+    },
+  },
+  admin: {
+    apiKey: process.env.ADMIN_API_KEY, // Bearer key for /api/admin routes; admin API is disabled when unset
   },
   cache: {
     enabled: process.env.CACHE_ENABLED !== 'false', // Default to enabled, set to 'false' to disable
@@ -33,12 +60,35 @@ const config = {
       '/api/team-cup-rankings': 600, // 10 minutes
       '/api/tournaments': 3600, // 1 hour (tournament info changes rarely)
     },
+    // Stale copies kept after expiry, served while revalidating in the background or when the ATP API fails
+    stale: {
+      enabled: process.env.CACHE_STALE_ENABLED !== 'false', // Default to enabled
+      ifError: parseInt(process.env.CACHE_STALE_IF_ERROR) || 300, // seconds past expiry a stale copy may be served on upstream 5xx/timeouts
+      // Stale-while-revalidate grace windows per endpoint (seconds past expiry)
+      endpoints: {
+        '/api/live-matches': 5,
+        '/api/match-stats': 5,
+        '/api/h2h/match': 30,
+        '/api/h2h': 60,
+        '/api/results': 60,
+        '/api/draws': 60,
+        '/api/draws/live': 60,
+        '/api/player-list': 300,
+        '/api/schedules': 300,
+        '/api/team-cup-rankings': 300,
+        '/api/tournaments': 600,
+      },
+    },
   },
   filesystem: {
     cacheDir: process.env.FILESYSTEM_CACHE_DIR, // Path to filesystem cache directory for read-only frozen snapshots
   },
   websocket: {
     enabled: process.env.WEBSOCKET_ENABLED !== 'false', // Default to enabled, set to 'false' to disable
+    resumeBufferSize: parseInt(process.env.WEBSOCKET_RESUME_BUFFER_SIZE) || 1000, // Events/updates kept for resuming clients
+  },
+  sse: {
+    heartbeatInterval: parseInt(process.env.SSE_HEARTBEAT_INTERVAL) || 15000, // Milliseconds between heartbeat comments on /api/stream
   },
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
@@ -57,19 +107,47 @@ const config = {
       multiplier: parseFloat(process.env.POLLING_BACKOFF_MULTIPLIER) || 1.5, // Double interval on each 404
       maxMultiplier: parseFloat(process.env.POLLING_BACKOFF_MAX_MULTIPLIER) || 30, // Cap at 30x base interval (e.g., 10s → 5min)
       resetOnSuccess: process.env.POLLING_BACKOFF_RESET_ON_SUCCESS !== 'false', // Reset back-off on successful response
+    },
+    // Keep match stats and H2H cached for live and next-up matches (see utils/matchPrefetch)
+    prefetch: {
+      enabled: process.env.POLLING_PREFETCH_ENABLED === 'true', // Default to disabled, set to 'true' to enable
+      endpoints: (process.env.POLLING_PREFETCH_ENDPOINTS || '/api/match-stats,/api/h2h/match').split(','),
+      // Seconds between polls of endpoints kept only for prefetching, when longer than their cache TTL
+      intervals: {
+        '/api/h2h/match': parseInt(process.env.POLLING_PREFETCH_H2H_INTERVAL) || 3600, // H2H does not change during a match
+      },
     }
   },
   events: {
     enabled: process.env.EVENTS_ENABLED !== 'false', // Default to enabled, set to 'false' to disable
-    endpoints: (process.env.EVENTS_ENDPOINTS || '/api/live-matches,/api/draws/live').split(','),
+    // Schedules only feed match_delayed, whose local times need the venue offset, so they are polled by default only when it is set
+    endpoints: (process.env.EVENTS_ENDPOINTS || `/api/live-matches,/api/draws/live${process.env.EVENTS_SCHEDULE_UTC_OFFSET ? ',/api/schedules' : ''}`).split(','),
+    delayThreshold: parseInt(process.env.EVENTS_DELAY_THRESHOLD) || 15, // Minutes after the scheduled start before a match counts as delayed
+    scheduleUtcOffset: process.env.EVENTS_SCHEDULE_UTC_OFFSET, // Venue UTC offset (e.g. +11:00) for schedule times without one; unset skips them
     consoleOutput: process.env.EVENTS_CONSOLE_OUTPUT !== 'false', // Default to enabled
     // Webhook configuration
     webhookUrl: process.env.EVENTS_WEBHOOK_URL,
     webhookSecret: process.env.EVENTS_WEBHOOK_SECRET,
+    webhookPreviousSecret: process.env.EVENTS_WEBHOOK_PREVIOUS_SECRET, // Still signed with during secret rotation
+    webhookSignatureVersion: process.env.EVENTS_WEBHOOK_SIGNATURE_VERSION || 'v1', // Default signature scheme: v1 (legacy) or v2
     webhookTimeout: parseInt(process.env.EVENTS_WEBHOOK_TIMEOUT) || 5000, // 5 seconds
     webhookRetries: parseInt(process.env.EVENTS_WEBHOOK_RETRIES) || 3,
     webhookBatchSize: parseInt(process.env.EVENTS_WEBHOOK_BATCH_SIZE) || 10,
     webhookBatchInterval: parseInt(process.env.EVENTS_WEBHOOK_BATCH_INTERVAL) || 2000, // 2 seconds
+    // Generator state snapshots in the cache provider (Redis or filesystem), restored on startup
+    state: {
+      enabled: process.env.EVENTS_STATE_PERSISTENCE !== 'false', // Default to enabled
+      saveInterval: parseInt(process.env.EVENTS_STATE_SAVE_INTERVAL) || 5000, // Milliseconds between snapshots while data changes
+      maxAge: parseInt(process.env.EVENTS_STATE_MAX_AGE) || 3600, // Seconds after which a snapshot is too old to restore
+    },
+  },
+  eventStore: {
+    enabled: process.env.EVENT_STORE_ENABLED !== 'false', // Default to enabled, set to 'false' to disable
+    dir: process.env.EVENT_STORE_DIR || './logs/events',
+    retentionDays: parseInt(process.env.EVENT_STORE_RETENTION_DAYS) || 7,
+    maxIndexedEvents: parseInt(process.env.EVENT_STORE_MAX_INDEXED_EVENTS) || 100000, // Newest events queryable through GET /api/events
+    defaultLimit: 50, // Events per page of GET /api/events
+    maxLimit: 500,
   },
   apiLogging: {
     enabled: process.env.ENABLE_API_LOGGING === 'true', // Disabled by default for security
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Admin authentication middleware
+ * Requires "Authorization: Bearer <ADMIN_API_KEY>"; admin routes are disabled when no key is configured
+ * @returns {Function} Express middleware function
+ */
+function adminAuth() {
+  return (req, res, next) => {
+    const apiKey = config.admin.apiKey;
+
+    if (!apiKey) {
+      return res.status(503).json({
+        error: {
+          message: 'Admin API is disabled (ADMIN_API_KEY is not configured)',
+          status: 503,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    const authorization = req.get('Authorization') || '';
+    const token = authorization.startsWith('Bearer ') ? authorization.slice(7) : '';
+
+    if (!token || !safeEqual(token, apiKey)) {
+      return res.status(401).json({
+        error: {
+          message: 'Invalid or missing admin API key',
+          status: 401,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Constant-time string comparison
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+module.exports = {
+  adminAuth,
+};
@@ -1,5 +1,6 @@
 const cacheService = require('../services/cache');
 const config = require('../config');
+const { parseScopedEndpoint, buildScopedEndpoint, resolveEndpoint } = require('../utils/tournamentScope');
 
 /**
  * Get the appropriate TTL for a given endpoint
@@ -9,6 +10,9 @@ const config = require('../config');
  */
 function getEndpointTtl(path, defaultTtl = null) {
   const defaultCacheTtl = defaultTtl || config.cache.ttl;
+
+  // Tournament-scoped endpoints share the TTL of their base endpoint
+  path = parseScopedEndpoint(path).endpoint;
   
   // Try exact path match first
   if (config.cache.endpoints[path]) {
@@ -31,8 +35,58 @@ function getEndpointTtl(path, defaultTtl = null) {
   return defaultCacheTtl;
 }
 
+/**
+ * Get the cache key of an endpoint, shared by REST responses and background polling
+ * Unscoped endpoints are keyed without the /api prefix (as routes see req.path), tournament-scoped
+ * endpoints keep their full /api/t/:tournamentId path
+ * @param {string} endpoint - API endpoint path (e.g. /api/match-stats/MS001 or /api/t/352/live-matches)
+ * @param {Object} params - Query parameters
+ * @returns {string} Cache key
+ */
+function getCacheKey(endpoint, params = {}) {
+  const { tournamentId } = parseScopedEndpoint(endpoint);
+  const keyPath = tournamentId ? endpoint : endpoint.replace(/^\/api/, '');
+  return cacheService.generateKey(keyPath, params);
+}
+
+// Cache keys with a background stale revalidation in progress
+const revalidatingKeys = new Set();
+// Requests running a background stale revalidation -> cache key they refresh
+const revalidatingRequests = new WeakMap();
+
+/**
+ * Get the stale-while-revalidate grace window for a given endpoint
+ * @param {string} path - Request path
+ * @returns {number} Grace window in seconds (0 when the endpoint keeps no stale copies)
+ */
+function getStaleGrace(path) {
+  const endpoint = resolveEndpoint(parseScopedEndpoint(path).endpoint);
+  return (endpoint && config.cache.stale.endpoints[endpoint]) || 0;
+}
+
+/**
+ * Get the cache key under which the stale copy of a response is kept
+ * @param {string} cacheKey - Cache key of the fresh response
+ * @returns {string} Stale copy cache key
+ */
+function getStaleKey(cacheKey) {
+  return `stale:${cacheKey}`;
+}
+
+/**
+ * Check whether stale copies should be kept for the active cache provider
+ * Frozen filesystem snapshots never expire, so they never need a stale copy
+ * @returns {boolean} True if stale copies are enabled
+ */
+function isStaleEnabled() {
+  return config.cache.stale.enabled && cacheService.getProviderType() !== 'filesystem';
+}
+
 /**
  * Cache middleware for Express
+ * Expired responses are kept as stale copies: within the endpoint's grace window the stale copy is
+ * returned immediately while the route refreshes it in the background, and up to config.cache.stale.ifError
+ * seconds past expiry it replaces upstream 5xx/timeout errors
  * @param {number} ttl - Time to live in seconds (optional, overrides endpoint-specific TTL)
  * @returns {Function} Express middleware function
  */
@@ -40,7 +94,9 @@ function cacheMiddleware(ttl = null) {
   return async (req, res, next) => {
     if (req.method !== 'GET') return next();
 
-    const cacheKey = cacheService.generateKey(req.path, req.query);
+    // Tournament-scoped requests get their own cache keys
+    const endpoint = req.tournament ? buildScopedEndpoint(req.tournament.id, req.path) : `/api${req.path}`;
+    const cacheKey = getCacheKey(endpoint, req.query);
     const cachedData = await cacheService.get(cacheKey);
 
     if (cachedData) {
@@ -69,17 +125,61 @@ function cacheMiddleware(ttl = null) {
       });
     }
 
+    // Get endpoint-specific TTL, or use provided TTL, or fall back to default
+    const endpointTtl = ttl !== null ? ttl : getEndpointTtl(req.path);
+    const staleGrace = getStaleGrace(req.path);
+    const staleEnabled = isStaleEnabled();
+    const staleEntry = staleEnabled ? await cacheService.get(getStaleKey(cacheKey)) : null;
+    const staleAge = staleEntry ? Math.round((Date.now() - staleEntry.cachedAt) / 1000) : null;
     const originalJson = res.json;
+
+    /**
+     * Send the stale copy in the standard response envelope
+     * @param {Object} response - Express response to send on
+     */
+    const sendStale = (response) => originalJson.call(response, {
+      data: staleEntry.data,
+      cached: true,
+      stale: true,
+      age: staleAge,
+      timestamp: new Date().toISOString(),
+      ttl: 0,
+    });
+
+    const withinGrace = staleEntry && staleAge <= endpointTtl + staleGrace;
+
+    // Stale-while-revalidate: answer from the stale copy, then let the route refresh it
+    if (withinGrace) {
+      if (config.server.nodeEnv === 'development') {
+        console.log(`[CACHE STALE] Returning stale data for: ${cacheKey} | age: ${staleAge}s`);
+      }
+      sendStale(res);
+
+      // Only one background refresh per key; other requests just get the stale copy
+      if (revalidatingKeys.has(cacheKey)) {
+        return;
+      }
+      revalidatingKeys.add(cacheKey);
+      revalidatingRequests.set(req, cacheKey);
+
+      res.json = function (data) {
+        revalidatingKeys.delete(cacheKey);
+        revalidatingRequests.delete(req);
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          storeResponse(cacheKey, data, endpointTtl, staleEnabled, staleGrace);
+        } else {
+          console.warn(`[CACHE STALE] Background refresh failed for: ${cacheKey} | status: ${res.statusCode}`);
+        }
+        return res;
+      };
+
+      return next();
+    }
+
     res.json = function (data) {
       // Cache successful responses (2xx) with endpoint-specific TTL
       if (res.statusCode >= 200 && res.statusCode < 300) {
-        // Get endpoint-specific TTL, or use provided TTL, or fall back to default
-        const endpointTtl = ttl !== null ? ttl : getEndpointTtl(req.path);
-        
-        // Cache asynchronously (don't wait for it)
-        cacheService.set(cacheKey, data, endpointTtl).catch(error => {
-          console.error(`[CACHE SET ERROR] key: ${cacheKey} | error: ${error.message}`);
-        });
+        storeResponse(cacheKey, data, endpointTtl, staleEnabled, staleGrace);
         
         return originalJson.call(this, {
           data,
@@ -109,6 +209,12 @@ function cacheMiddleware(ttl = null) {
         
         return originalJson.call(this, data);
       } 
+      // Serve the stale copy instead of upstream server errors and timeouts
+      else if (res.statusCode >= 500 && staleEntry && staleAge <= endpointTtl + config.cache.stale.ifError) {
+        console.warn(`[CACHE STALE] Serving stale data for: ${cacheKey} after ${res.statusCode} | age: ${staleAge}s`);
+        res.status(200);
+        return sendStale(this);
+      }
       else {
         // For other errors, just send the original response without caching
         return originalJson.call(this, data);
@@ -119,6 +225,48 @@ function cacheMiddleware(ttl = null) {
   };
 }
 
+/**
+ * Error middleware for background stale revalidations
+ * The client already got the stale copy, so a route error during the refresh is only logged and
+ * the stale copy is kept for the next request to retry; other errors go on to the app's error handler.
+ * Mount it after the routes that use cacheMiddleware
+ * @returns {Function} Express error middleware
+ */
+function revalidationErrorHandler() {
+  return (err, req, res, next) => {
+    const cacheKey = revalidatingRequests.get(req);
+    if (cacheKey === undefined) {
+      return next(err);
+    }
+
+    revalidatingRequests.delete(req);
+    revalidatingKeys.delete(cacheKey);
+    console.warn(`[CACHE STALE] Background refresh failed for: ${cacheKey} | error: ${err.message}`);
+  };
+}
+
+/**
+ * Store a successful response, plus its stale copy when stale copies are enabled
+ * @param {string} cacheKey - Cache key
+ * @param {*} data - Response data
+ * @param {number} ttl - Time to live in seconds
+ * @param {boolean} staleEnabled - Whether to keep a stale copy
+ * @param {number} staleGrace - Stale-while-revalidate grace window in seconds
+ */
+function storeResponse(cacheKey, data, ttl, staleEnabled, staleGrace) {
+  // Cache asynchronously (don't wait for it)
+  cacheService.set(cacheKey, data, ttl).catch(error => {
+    console.error(`[CACHE SET ERROR] key: ${cacheKey} | error: ${error.message}`);
+  });
+
+  if (staleEnabled) {
+    const staleTtl = ttl + Math.max(staleGrace, config.cache.stale.ifError);
+    cacheService.set(getStaleKey(cacheKey), { data, cachedAt: Date.now() }, staleTtl).catch(error => {
+      console.error(`[CACHE SET ERROR] key: ${getStaleKey(cacheKey)} | error: ${error.message}`);
+    });
+  }
+}
+
 /**
  * Get cache stats middleware
  * @returns {Function} Express middleware function
@@ -140,4 +288,7 @@ module.exports = {
   cacheMiddleware,
   cacheStatsMiddleware,
   getEndpointTtl, // Export for testing and debugging
+  getCacheKey,
+  getStaleGrace,
+  revalidationErrorHandler,
 }; 
\ No newline at end of file
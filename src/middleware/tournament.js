@@ -0,0 +1,44 @@
+const tournamentRegistry = require('../services/tournamentRegistry');
+const { resolveEndpoint } = require('../utils/tournamentScope');
+
+/**
+ * Tournament scope middleware for /api/t/:tournamentId routes
+ * Resolves the tournament from the registry and attaches it (and its ATP API client)
+ * to the request so route handlers and the cache middleware use tournament-specific state
+ * @returns {Function} Express middleware function
+ */
+function tournamentScope() {
+  return (req, res, next) => {
+    const { tournamentId } = req.params;
+    const tournament = tournamentRegistry.get(tournamentId);
+
+    if (!tournament) {
+      return res.status(404).json({
+        error: {
+          message: `Unknown tournament: ${tournamentId}`,
+          status: 404,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    const endpoint = resolveEndpoint(req.path);
+    if (!endpoint || !tournament.endpoints.includes(endpoint)) {
+      return res.status(404).json({
+        error: {
+          message: `Endpoint ${req.path} is not enabled for tournament ${tournament.id}`,
+          status: 404,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    req.tournament = tournament;
+    req.atpApi = tournament.client;
+    next();
+  };
+}
+
+module.exports = {
+  tournamentScope,
+};
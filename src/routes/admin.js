@@ -0,0 +1,217 @@
+const express = require('express');
+const tournamentRegistry = require('../services/tournamentRegistry');
+const pollingService = require('../services/pollingService');
+const eventGenerator = require('../services/eventGenerator');
+const { adminAuth } = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+// All admin routes require the admin API key
+router.use('/admin', adminAuth());
+
+// ===== TOURNAMENT REGISTRY ENDPOINTS =====
+
+/**
+ * @swagger
+ * /api/admin/tournaments:
+ *   get:
+ *     summary: List registered tournaments
+ *     description: List tournaments in the registry. Bearer tokens are never returned. Requires the admin API key.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registered tournaments
+ *       401:
+ *         description: Invalid or missing admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: Admin API disabled (ADMIN_API_KEY not configured)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/admin/tournaments', (req, res) => {
+  res.json({
+    tournaments: tournamentRegistry.list().map(tournament => tournamentRegistry.toPublic(tournament)),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/tournaments/{tournamentId}:
+ *   get:
+ *     summary: Get a registered tournament
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tournamentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tournament details
+ *       404:
+ *         description: Tournament not registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/admin/tournaments/:tournamentId', (req, res) => {
+  const tournament = tournamentRegistry.get(req.params.tournamentId);
+  if (!tournament) {
+    return res.status(404).json(tournamentNotFound(req.params.tournamentId));
+  }
+
+  res.json({
+    tournament: tournamentRegistry.toPublic(tournament),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/tournaments:
+ *   post:
+ *     summary: Register a tournament
+ *     description: Register a tournament with its own bearer token, base URL and endpoint set. Event polling starts immediately.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TournamentDefinition'
+ *     responses:
+ *       201:
+ *         description: Tournament registered
+ *       400:
+ *         description: Invalid tournament definition
+ *       409:
+ *         description: Tournament already registered
+ */
+router.post('/admin/tournaments', async (req, res, next) => {
+  try {
+    const tournament = await tournamentRegistry.add(req.body);
+    pollingService.onTournamentChanged(tournament.id);
+
+    res.status(201).json({
+      tournament: tournamentRegistry.toPublic(tournament),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/tournaments/{tournamentId}:
+ *   put:
+ *     summary: Update a registered tournament
+ *     description: Update token, base URL or endpoint sets. Omitted fields keep their current values.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tournamentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TournamentDefinition'
+ *     responses:
+ *       200:
+ *         description: Tournament updated
+ *       400:
+ *         description: Invalid tournament definition
+ *       404:
+ *         description: Tournament not registered
+ */
+router.put('/admin/tournaments/:tournamentId', async (req, res, next) => {
+  try {
+    const tournament = await tournamentRegistry.update(req.params.tournamentId, req.body || {});
+    if (!tournament) {
+      return res.status(404).json(tournamentNotFound(req.params.tournamentId));
+    }
+    pollingService.onTournamentChanged(tournament.id);
+
+    res.json({
+      tournament: tournamentRegistry.toPublic(tournament),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/tournaments/{tournamentId}:
+ *   delete:
+ *     summary: Remove a tournament
+ *     description: Remove a tournament from the registry and stop all of its polling loops
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tournamentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Tournament removed
+ *       404:
+ *         description: Tournament not registered
+ */
+router.delete('/admin/tournaments/:tournamentId', async (req, res, next) => {
+  try {
+    const { tournamentId } = req.params;
+    const removed = await tournamentRegistry.remove(tournamentId);
+    if (!removed) {
+      return res.status(404).json(tournamentNotFound(tournamentId));
+    }
+
+    pollingService.onTournamentRemoved(tournamentId);
+    eventGenerator.clearTournamentStates(tournamentId);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Build a 404 error body for an unknown tournament
+ * @param {string} tournamentId - Tournament ID
+ * @returns {Object} Error response body
+ */
+function tournamentNotFound(tournamentId) {
+  return {
+    error: {
+      message: `Tournament ${tournamentId} is not registered`,
+      status: 404,
+      timestamp: new Date().toISOString(),
+    },
+  };
+}
+
+module.exports = router;
@@ -1,11 +1,22 @@
 const express = require('express');
 const atpApi = require('../services/atpApi');
 const cacheService = require('../services/cache');
-const { cacheMiddleware } = require('../middleware/cache');
+const { cacheMiddleware, revalidationErrorHandler } = require('../middleware/cache');
+const tournamentRegistry = require('../services/tournamentRegistry');
 const config = require('../config');
 
 const router = express.Router();
 
+/**
+ * Get the ATP API client for a request
+ * Tournament-scoped requests (/api/t/:tournamentId/...) use the tournament's own client and token
+ * @param {Object} req - Express request object
+ * @returns {Object} ATP API client
+ */
+function apiFor(req) {
+  return req.atpApi || atpApi;
+}
+
 // ===== DRAWS ENDPOINTS =====
 
 /**
@@ -43,7 +54,7 @@ const router = express.Router();
  */
 router.get('/draws/live', cacheMiddleware(), async (req, res, next) => {
   try {
-    const data = await atpApi.getLiveDraw(req.query);
+    const data = await apiFor(req).getLiveDraw(req.query);
     res.json(data);
   } catch (error) {
     next(error);
@@ -85,7 +96,7 @@ router.get('/draws/live', cacheMiddleware(), async (req, res, next) => {
  */
 router.get('/draws', cacheMiddleware(), async (req, res, next) => {
   try {
-    const data = await atpApi.getDraw(req.query);
+    const data = await apiFor(req).getDraw(req.query);
     res.json(data);
   } catch (error) {
     next(error);
@@ -131,7 +142,7 @@ router.get('/draws', cacheMiddleware(), async (req, res, next) => {
 router.get('/h2h/match/:matchId', cacheMiddleware(), async (req, res, next) => {
   try {
     const { matchId } = req.params;
-    const data = await atpApi.getH2HByMatch(matchId, req.query);
+    const data = await apiFor(req).getH2HByMatch(matchId, req.query);
     res.json(data);
   } catch (error) {
     next(error);
@@ -181,7 +192,7 @@ router.get('/h2h/match/:matchId', cacheMiddleware(), async (req, res, next) => {
 router.get('/h2h/:playerId/:opponentId', cacheMiddleware(), async (req, res, next) => {
   try {
     const { playerId, opponentId } = req.params;
-    const data = await atpApi.getH2HByPlayers(playerId, opponentId, req.query);
+    const data = await apiFor(req).getH2HByPlayers(playerId, opponentId, req.query);
     res.json(data);
   } catch (error) {
     next(error);
@@ -219,7 +230,7 @@ router.get('/h2h/:playerId/:opponentId', cacheMiddleware(), async (req, res, nex
  */
 router.get('/live-matches', cacheMiddleware(), async (req, res, next) => {
   try {
-    const data = await atpApi.getLiveMatches(req.query);
+    const data = await apiFor(req).getLiveMatches(req.query);
     res.json(data);
   } catch (error) {
     next(error);
@@ -271,7 +282,7 @@ router.get('/live-matches', cacheMiddleware(), async (req, res, next) => {
 router.get('/match-stats/:matchId', cacheMiddleware(), async (req, res, next) => {
   try {
     const { matchId } = req.params;
-    const data = await atpApi.getMatchStats(matchId, req.query);
+    const data = await apiFor(req).getMatchStats(matchId, req.query);
     res.json(data);
   } catch (error) {
     next(error);
@@ -315,7 +326,7 @@ router.get('/match-stats/:matchId', cacheMiddleware(), async (req, res, next) =>
  */
 router.get('/player-list', cacheMiddleware(), async (req, res, next) => {
   try {
-    const data = await atpApi.getPlayerList(req.query);
+    const data = await apiFor(req).getPlayerList(req.query);
     res.json(data);
   } catch (error) {
     next(error);
@@ -359,7 +370,7 @@ router.get('/player-list', cacheMiddleware(), async (req, res, next) => {
  */
 router.get('/results', cacheMiddleware(), async (req, res, next) => {
   try {
-    const data = await atpApi.getResults(req.query);
+    const data = await apiFor(req).getResults(req.query);
     res.json(data);
   } catch (error) {
     next(error);
@@ -403,7 +414,7 @@ router.get('/results', cacheMiddleware(), async (req, res, next) => {
  */
 router.get('/schedules', cacheMiddleware(), async (req, res, next) => {
   try {
-    const data = await atpApi.getSchedule(req.query);
+    const data = await apiFor(req).getSchedule(req.query);
     res.json(data);
   } catch (error) {
     next(error);
@@ -482,7 +493,7 @@ router.get('/schedules/date/:date', cacheMiddleware(), async (req, res, next) =>
     }
 
     // Fetch full schedule from ATP API
-    const fullSchedule = await atpApi.getSchedule(req.query);
+    const fullSchedule = await apiFor(req).getSchedule(req.query);
 
     // Filter DailySchedule array by IsoDate field
     if (fullSchedule && fullSchedule.DailySchedule && Array.isArray(fullSchedule.DailySchedule)) {
@@ -529,7 +540,7 @@ router.get('/schedules/date/:date', cacheMiddleware(), async (req, res, next) =>
  */
 router.get('/team-cup-rankings', cacheMiddleware(), async (req, res, next) => {
   try {
-    const data = await atpApi.getTeamCupRankings(req.query);
+    const data = await apiFor(req).getTeamCupRankings(req.query);
     res.json(data);
   } catch (error) {
     next(error);
@@ -583,7 +594,7 @@ router.get('/team-cup-rankings', cacheMiddleware(), async (req, res, next) => {
 router.get('/tournaments/:tournamentYear/:tournamentId', cacheMiddleware(), async (req, res, next) => {
   try {
     const { tournamentYear, tournamentId } = req.params;
-    const data = await atpApi.getTournament(tournamentYear, tournamentId, req.query);
+    const data = await apiFor(req).getTournament(tournamentYear, tournamentId, req.query);
     res.json(data);
   } catch (error) {
     next(error);
@@ -632,10 +643,26 @@ router.get('/health', async (req, res) => {
   }
   
   // Check authentication configuration
+  // Without a global token the proxy is still usable through tournament-scoped routes
   const hasBearerToken = !!config.atpApi.bearerToken;
-  if (!hasBearerToken) {
+  const tournaments = tournamentRegistry.list();
+  if (!hasBearerToken && tournaments.length === 0) {
     status = 'critical';
     warnings.push('ATP_BEARER_TOKEN is not configured');
+  } else if (!hasBearerToken) {
+    warnings.push('ATP_BEARER_TOKEN is not configured, only tournament-scoped routes (/api/t/:tournamentId) are available');
+  }
+  
+  // Open circuits mean the ATP API is failing; requests fail fast (or are served stale from cache)
+  const openCircuits = [
+    ...atpApi.getOpenCircuits(),
+    ...tournaments.flatMap(tournament => tournament.client.getOpenCircuits().map(name => `${tournament.id}:${name}`))
+  ];
+  if (openCircuits.length > 0) {
+    if (status === 'healthy') {
+      status = 'warning';
+    }
+    warnings.push(`ATP API circuit open for: ${openCircuits.join(', ')}`);
   }
   
   res.json({
@@ -647,6 +674,16 @@ router.get('/health', async (req, res) => {
       configured: hasBearerToken,
       baseUrl: config.atpApi.baseUrl,
     },
+    tournaments: tournaments.map(tournament => ({
+      id: tournament.id,
+      name: tournament.name,
+      baseUrl: tournament.baseUrl,
+      configured: !!tournament.bearerToken,
+    })),
+    circuitBreakers: {
+      default: atpApi.getCircuitStates(),
+      tournaments: tournamentRegistry.getCircuitStates(),
+    },
     cache: {
       ttl: config.cache.ttl,
       checkPeriod: config.cache.checkPeriod,
@@ -708,9 +745,15 @@ router.get('/info', (req, res) => {
       health: '/api/health',
       cacheStats: '/api/cache/stats',
       cacheConfig: '/api/cache/config',
+      tournamentScoped: '/api/t/:tournamentId/<endpoint>',
+      adminTournaments: '/api/admin/tournaments',
     },
+    tournaments: tournamentRegistry.getIds(),
     documentation: 'https://api.protennislive.com/feeds/swagger/index.html',
   });
 });
 
+// Failed background refreshes of stale cache copies end here; the client was already answered
+router.use(revalidationErrorHandler());
+
 module.exports = router; 
\ No newline at end of file
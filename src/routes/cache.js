@@ -1,5 +1,6 @@
 const express = require('express');
 const cacheService = require('../services/cache');
+const requestCoalescer = require('../services/requestCoalescer');
 const config = require('../config');
 const webSocketServer = require('../websocket');
 
@@ -10,7 +11,7 @@ const router = express.Router();
  * /api/cache/stats:
  *   get:
  *     summary: Get cache statistics
- *     description: Retrieve statistics about the cache including hits, misses, and memory usage
+ *     description: Retrieve statistics about the cache including hits, misses, and memory usage, plus upstream request coalescing stats
  *     tags: [Cache]
  *     responses:
  *       200:
@@ -24,6 +25,7 @@ router.get('/cache/stats', async (req, res) => {
   const stats = await cacheService.getStats();
   res.json({
     stats,
+    coalescing: requestCoalescer.getStats(),
     timestamp: new Date().toISOString(),
   });
 });
@@ -52,6 +54,9 @@ router.get('/cache/stats', async (req, res) => {
  *                 endpoints:
  *                   type: object
  *                   description: Endpoint-specific TTL values
+ *                 stale:
+ *                   type: object
+ *                   description: Stale copy settings (per-endpoint stale-while-revalidate grace and stale-if-error window)
  *                 timestamp:
  *                   type: string
  *                   format: date-time
@@ -61,6 +66,7 @@ router.get('/cache/config', (req, res) => {
     defaultTtl: config.cache.ttl,
     checkPeriod: config.cache.checkPeriod,
     endpoints: config.cache.endpoints,
+    stale: config.cache.stale,
     timestamp: new Date().toISOString(),
   });
 });
@@ -89,6 +95,9 @@ router.get('/cache/config', (req, res) => {
  *                 subscriptions:
  *                   type: object
  *                   description: Subscription statistics
+ *                 delta:
+ *                   type: object
+ *                   description: Delta update statistics (endpoint versions, patches, snapshots, resyncs)
  *                 polling:
  *                   type: object
  *                   description: Polling service statistics
@@ -0,0 +1,375 @@
+const express = require('express');
+const eventStore = require('../services/eventStore');
+const eventSubscriptionService = require('../services/eventSubscriptionService');
+const pollingService = require('../services/pollingService');
+const sseService = require('../services/sseService');
+const webSocketServer = require('../websocket');
+const { EVENT_TYPES, EVENT_PRIORITY } = require('../types/events');
+const config = require('../config');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/events:
+ *   get:
+ *     summary: Query stored events
+ *     description: Page through events persisted by the event store, newest first by default. Pass nextCursor as cursor to get the following page.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: tournament_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: match_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: event_type
+ *         description: Comma-separated event types
+ *         schema:
+ *           type: string
+ *           example: set_completed,match_finished
+ *       - in: query
+ *         name: priority
+ *         description: Comma-separated priorities (low, medium, high, critical)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: Earliest event_timestamp (ISO date-time, inclusive)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: Latest event_timestamp (ISO date-time, inclusive)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: cursor
+ *         description: nextCursor from the previous page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         description: Page size (default 50, max 500)
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [desc, asc]
+ *     responses:
+ *       200:
+ *         description: Page of stored events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EventsPage'
+ *       400:
+ *         description: Invalid query parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: Event store disabled (EVENT_STORE_ENABLED=false) or not initialized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/events', async (req, res, next) => {
+  if (!eventStore.initialized) {
+    return res.status(503).json(errorBody('Event store is not available', 503));
+  }
+
+  let filters;
+  try {
+    filters = parseEventQuery(req.query);
+  } catch (error) {
+    return res.status(400).json(errorBody(error.message, 400));
+  }
+
+  try {
+    const result = await eventStore.query(filters);
+    res.json({
+      events: result.events,
+      pagination: {
+        limit: filters.limit,
+        order: filters.order,
+        nextCursor: result.nextCursor !== null ? String(result.nextCursor) : null,
+        hasMore: result.hasMore,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/stream:
+ *   get:
+ *     summary: Stream data updates and events (Server-Sent Events)
+ *     description: |
+ *       text/event-stream alternative to the WebSocket API for clients that cannot use socket.io.
+ *       Sends `data-update` messages for the given endpoints and `event` messages for generated events,
+ *       using the same payloads as the WebSocket API. Each message id is its sequence ID; reconnecting
+ *       with Last-Event-ID replays what was missed, or sends full snapshots marked resync: true when the
+ *       gap is no longer buffered. A heartbeat comment is sent every SSE_HEARTBEAT_INTERVAL milliseconds.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: endpoints
+ *         description: Comma-separated endpoints to receive data-update messages for
+ *         schema:
+ *           type: string
+ *           example: /api/live-matches,/api/draws/live
+ *       - in: query
+ *         name: events
+ *         description: Comma-separated event types to receive, or all
+ *         schema:
+ *           type: string
+ *           example: match_finished,set_completed
+ *       - in: query
+ *         name: tournament_id
+ *         description: Only events of this tournament
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: match_id
+ *         description: Comma-separated match IDs to receive events for
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: player_id
+ *         description: Comma-separated player IDs to receive events for
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: min_priority
+ *         description: Lowest event priority to receive (low, medium, high, critical)
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Last-Event-ID
+ *         description: Last message id received before reconnecting (also accepted as the lastEventId query parameter)
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: Polling service not running (WEBSOCKET_ENABLED=false)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/stream', async (req, res) => {
+  if (!pollingService.isRunning) {
+    return res.status(503).json(errorBody('Streaming is not available', 503));
+  }
+
+  let options;
+  try {
+    options = parseStreamQuery(req.query, req.get('Last-Event-ID'));
+  } catch (error) {
+    return res.status(400).json(errorBody(error.message, 400));
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const client = sseService.addClient(res, { lastId: options.lastSeq || 0 });
+  console.log(`[SSE] Client connected: ${client.id}`);
+
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+    webSocketServer.handleDisconnect(client);
+    sseService.removeClient(client.id);
+  });
+
+  client.emit('connected', {
+    message: 'Connected to ATP Live Proxy stream',
+    clientId: client.id,
+    timestamp: new Date().toISOString()
+  });
+
+  // Subscribe through the WebSocket handlers so sockets and streams share bookkeeping, polling and resume
+  const resume = options.lastSeq !== null ? { lastSeq: options.lastSeq } : undefined;
+  try {
+    if (options.eventFilters) {
+      webSocketServer.handleSubscribeEvents(client, { ...options.eventFilters, resume });
+    }
+    if (options.endpoints.length > 0) {
+      await webSocketServer.handleSubscribe(client, { endpoints: options.endpoints, resume });
+    }
+  } catch (error) {
+    // The event-stream headers are already sent, so the failure is reported on the stream before closing it
+    console.error(`[SSE] Failed to subscribe client ${client.id}:`, error.message);
+    client.emit('error', {
+      message: `Failed to subscribe: ${error.message}`,
+      timestamp: new Date().toISOString()
+    });
+    webSocketServer.handleDisconnect(client);
+    sseService.removeClient(client.id);
+    res.end();
+    return;
+  }
+
+  // Endpoints subscribed after the client went away outlived the close cleanup; remove them too
+  if (closed) {
+    webSocketServer.handleDisconnect(client);
+  }
+});
+
+/**
+ * Parse and validate GET /api/stream query parameters
+ * @param {Object} query - Express query object
+ * @param {string} [lastEventId] - Last-Event-ID header
+ * @returns {Object} { endpoints, eventFilters, lastSeq }
+ * @throws {Error} When a parameter is invalid
+ */
+function parseStreamQuery(query, lastEventId) {
+  const list = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+  const endpoints = query.endpoints ? list(query.endpoints) : [];
+
+  const invalid = endpoints.filter(endpoint => !webSocketServer.isValidEndpoint(endpoint));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid endpoint: ${invalid.join(', ')}`);
+  }
+
+  let eventFilters = null;
+  if (query.events !== undefined) {
+    const types = list(query.events);
+    eventFilters = {
+      eventTypes: types.length > 0 && !types.includes('all') ? types : undefined,
+      tournamentId: query.tournament_id,
+      matchIds: query.match_id ? list(query.match_id) : undefined,
+      playerIds: query.player_id ? list(query.player_id) : undefined,
+      minPriority: query.min_priority
+    };
+    // Validate up front so a bad filter is a 400 rather than an error message on the stream
+    eventSubscriptionService.normalizeFilters(eventFilters);
+  }
+
+  if (endpoints.length === 0 && !eventFilters) {
+    throw new Error('At least one of endpoints or events is required');
+  }
+
+  let lastSeq = null;
+  const resumeFrom = lastEventId !== undefined ? lastEventId : query.lastEventId;
+  if (resumeFrom !== undefined && resumeFrom !== '') {
+    lastSeq = Number(resumeFrom);
+    if (!Number.isInteger(lastSeq) || lastSeq < 0) {
+      throw new Error('Last-Event-ID must be a message id from this stream');
+    }
+  }
+
+  return { endpoints, eventFilters, lastSeq };
+}
+
+/**
+ * Parse and validate GET /api/events query parameters
+ * @param {Object} query - Express query object
+ * @returns {Object} Event store query filters
+ * @throws {Error} When a parameter is invalid
+ */
+function parseEventQuery(query) {
+  const list = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+  const filters = {
+    tournamentId: query.tournament_id ? String(query.tournament_id) : undefined,
+    matchId: query.match_id ? String(query.match_id) : undefined,
+    order: query.order || 'desc',
+    limit: config.eventStore.defaultLimit,
+  };
+
+  if (!['asc', 'desc'].includes(filters.order)) {
+    throw new Error('order must be asc or desc');
+  }
+
+  if (query.event_type) {
+    filters.eventTypes = list(query.event_type);
+    const unknown = filters.eventTypes.filter(type => !Object.values(EVENT_TYPES).includes(type));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown event_type: ${unknown.join(', ')}`);
+    }
+  }
+
+  if (query.priority) {
+    filters.priorities = list(query.priority);
+    const unknown = filters.priorities.filter(priority => !Object.values(EVENT_PRIORITY).includes(priority));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown priority: ${unknown.join(', ')}`);
+    }
+  }
+
+  for (const name of ['from', 'to']) {
+    if (query[name]) {
+      const time = Date.parse(query[name]);
+      if (isNaN(time)) {
+        throw new Error(`${name} must be an ISO date-time`);
+      }
+      filters[name] = time;
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    const cursor = Number(query.cursor);
+    if (!Number.isInteger(cursor) || cursor < 0) {
+      throw new Error('cursor must be a nextCursor value from a previous page');
+    }
+    filters.cursor = cursor;
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > config.eventStore.maxLimit) {
+      throw new Error(`limit must be between 1 and ${config.eventStore.maxLimit}`);
+    }
+    filters.limit = limit;
+  }
+
+  return filters;
+}
+
+/**
+ * Build an error response body
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Object} Error body
+ */
+function errorBody(message, status) {
+  return {
+    error: {
+      message,
+      status,
+      timestamp: new Date().toISOString(),
+    },
+  };
+}
+
+module.exports = router;
@@ -0,0 +1,575 @@
+const express = require('express');
+const webhookClient = require('../services/webhookClient');
+const webhookDeliveryLog = require('../services/webhookDeliveryLog');
+const webhookOutbox = require('../services/webhookOutbox');
+const { adminAuth } = require('../middleware/adminAuth');
+const { EVENT_TYPES } = require('../types/events');
+const config = require('../config');
+
+const router = express.Router();
+
+// Webhook management requires the admin API key
+router.use('/webhooks', adminAuth());
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List webhook destinations
+ *     description: List webhook destinations with their filters and delivery stats, plus outbox stats. Secrets are never returned. Requires the admin API key.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhook destinations
+ *       401:
+ *         description: Invalid or missing admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: Admin API disabled (ADMIN_API_KEY not configured)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/webhooks', (req, res) => {
+  res.json({
+    webhooks: webhookClient.list().map(destination => webhookClient.toPublic(destination)),
+    outbox: webhookOutbox.getStats(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries:
+ *   get:
+ *     summary: Query the webhook delivery log
+ *     description: |
+ *       Recent webhook deliveries, newest first. Each entry is one batch sent to a destination, after its retries,
+ *       with the event IDs, attempt count, final HTTP status, latency of the last attempt and the response body
+ *       cut to WEBHOOK_DELIVERY_LOG_BODY_LIMIT characters. The log keeps the last WEBHOOK_DELIVERY_LOG_SIZE deliveries.
+ *       Pass nextCursor as cursor to get the following page.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: webhook_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [delivered, failed]
+ *       - in: query
+ *         name: status
+ *         description: HTTP status of the last attempt
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: event_type
+ *         description: Deliveries containing this event type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: event_id
+ *         description: Deliveries containing this event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: batch_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: Earliest completion time (ISO date-time, inclusive)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: Latest completion time (ISO date-time, inclusive)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: cursor
+ *         description: nextCursor from the previous page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         description: Page size (default 50, max 500)
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Page of deliveries with success-rate and latency stats of the matching destination(s)
+ *       400:
+ *         description: Invalid query parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/webhooks/deliveries', (req, res) => {
+  let filters;
+  try {
+    filters = parseDeliveryQuery(req.query);
+  } catch (error) {
+    return res.status(400).json(errorBody(error.message, 400));
+  }
+
+  const result = webhookDeliveryLog.query(filters);
+  res.json({
+    deliveries: result.deliveries,
+    stats: webhookDeliveryLog.getStats(filters.destinationId),
+    pagination: {
+      limit: filters.limit,
+      nextCursor: result.nextCursor !== null ? String(result.nextCursor) : null,
+      hasMore: result.hasMore,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/dead-letters:
+ *   get:
+ *     summary: List dead-lettered webhook batches
+ *     description: Batches that exhausted their delivery retries, oldest first. Events are left out; fetch a single dead letter to inspect them.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: webhook_id
+ *         schema:
+ *           type: string
+ *         description: Only dead letters of this destination
+ *     responses:
+ *       200:
+ *         description: Dead letter summaries
+ */
+router.get('/webhooks/dead-letters', (req, res) => {
+  const deadLetters = webhookOutbox.listDeadLetters({ destinationId: req.query.webhook_id });
+
+  res.json({
+    deadLetters: deadLetters.map(deadLetter => webhookOutbox.toSummary(deadLetter)),
+    count: deadLetters.length,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/dead-letters/redeliver:
+ *   post:
+ *     summary: Redeliver all dead-lettered webhook batches
+ *     description: Redeliver dead letters one after another, oldest first. Delivered batches are removed; failed ones are kept with their new error.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: webhook_id
+ *         schema:
+ *           type: string
+ *         description: Only redeliver dead letters of this destination
+ *     responses:
+ *       200:
+ *         description: Redelivery results
+ */
+router.post('/webhooks/dead-letters/redeliver', async (req, res, next) => {
+  try {
+    const results = await webhookClient.redeliverAll({ destinationId: req.query.webhook_id });
+
+    res.json({
+      redelivered: results.filter(result => result.redelivered).length,
+      failed: results.filter(result => !result.redelivered).length,
+      results,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/dead-letters/{deadLetterId}:
+ *   get:
+ *     summary: Inspect a dead-lettered webhook batch
+ *     description: The undelivered events with the destination, attempts and last error
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deadLetterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dead letter
+ *       404:
+ *         description: Unknown dead letter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/webhooks/dead-letters/:deadLetterId', (req, res) => {
+  const deadLetter = webhookOutbox.getDeadLetter(req.params.deadLetterId);
+  if (!deadLetter) {
+    return res.status(404).json(deadLetterNotFound(req.params.deadLetterId));
+  }
+
+  res.json({
+    deadLetter,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/dead-letters/{deadLetterId}/redeliver:
+ *   post:
+ *     summary: Redeliver a dead-lettered webhook batch
+ *     description: Send the batch to its destination again with the destination's retry policy. The dead letter is removed on success and kept with the new error on failure.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deadLetterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Batch delivered
+ *       404:
+ *         description: Unknown dead letter
+ *       409:
+ *         description: The destination no longer exists or is disabled
+ *       502:
+ *         description: Redelivery failed again
+ */
+router.post('/webhooks/dead-letters/:deadLetterId/redeliver', async (req, res, next) => {
+  try {
+    const result = await webhookClient.redeliver(req.params.deadLetterId);
+    if (!result) {
+      return res.status(404).json(deadLetterNotFound(req.params.deadLetterId));
+    }
+
+    if (!result.redelivered) {
+      const error = new Error(`Redelivery of ${result.deadLetter.id} to ${result.deadLetter.destinationId} failed: ${result.deadLetter.lastError}`);
+      error.status = 502;
+      error.statusText = 'Bad Gateway';
+      throw error;
+    }
+
+    res.json({
+      redelivered: true,
+      deadLetter: webhookOutbox.toSummary(result.deadLetter),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/dead-letters/{deadLetterId}:
+ *   delete:
+ *     summary: Discard a dead-lettered webhook batch
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deadLetterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Dead letter discarded
+ *       404:
+ *         description: Unknown dead letter
+ */
+router.delete('/webhooks/dead-letters/:deadLetterId', async (req, res, next) => {
+  try {
+    const removed = await webhookOutbox.removeDeadLetter(req.params.deadLetterId);
+    if (!removed) {
+      return res.status(404).json(deadLetterNotFound(req.params.deadLetterId));
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}:
+ *   get:
+ *     summary: Get a webhook destination
+ *     description: Destination settings, queue size and delivery stats
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook destination
+ *       404:
+ *         description: Unknown webhook destination
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/webhooks/:webhookId', (req, res) => {
+  const destination = webhookClient.get(req.params.webhookId);
+  if (!destination) {
+    return res.status(404).json(webhookNotFound(req.params.webhookId));
+  }
+
+  res.json({
+    webhook: webhookClient.toPublic(destination),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Add a webhook destination
+ *     description: Add a destination with its own secret, batching, retry policy and event filter. Events are delivered to it immediately.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookDefinition'
+ *     responses:
+ *       201:
+ *         description: Webhook destination added
+ *       400:
+ *         description: Invalid webhook definition
+ *       409:
+ *         description: Webhook destination already exists
+ */
+router.post('/webhooks', async (req, res, next) => {
+  try {
+    const destination = await webhookClient.add(req.body);
+
+    res.status(201).json({
+      webhook: webhookClient.toPublic(destination),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}:
+ *   put:
+ *     summary: Update a webhook destination
+ *     description: Update URL, secret, batching, retry policy, filter or enabled state. Omitted fields keep their current values; queued events and stats are kept.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookDefinition'
+ *     responses:
+ *       200:
+ *         description: Webhook destination updated
+ *       400:
+ *         description: Invalid webhook definition
+ *       404:
+ *         description: Unknown webhook destination
+ */
+router.put('/webhooks/:webhookId', async (req, res, next) => {
+  try {
+    const destination = await webhookClient.update(req.params.webhookId, req.body || {});
+    if (!destination) {
+      return res.status(404).json(webhookNotFound(req.params.webhookId));
+    }
+
+    res.json({
+      webhook: webhookClient.toPublic(destination),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}:
+ *   delete:
+ *     summary: Remove a webhook destination
+ *     description: Remove a destination and drop its queued events
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Webhook destination removed
+ *       404:
+ *         description: Unknown webhook destination
+ */
+router.delete('/webhooks/:webhookId', async (req, res, next) => {
+  try {
+    const removed = await webhookClient.remove(req.params.webhookId);
+    if (!removed) {
+      return res.status(404).json(webhookNotFound(req.params.webhookId));
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Parse and validate GET /api/webhooks/deliveries query parameters
+ * @param {Object} query - Express query object
+ * @returns {Object} Delivery log query filters
+ * @throws {Error} When a parameter is invalid
+ */
+function parseDeliveryQuery(query) {
+  const filters = {
+    destinationId: query.webhook_id ? String(query.webhook_id) : undefined,
+    eventId: query.event_id ? String(query.event_id) : undefined,
+    batchId: query.batch_id ? String(query.batch_id) : undefined,
+    limit: config.webhooks.deliveryLog.defaultLimit,
+  };
+
+  if (query.outcome !== undefined) {
+    if (!['delivered', 'failed'].includes(query.outcome)) {
+      throw new Error('outcome must be delivered or failed');
+    }
+    filters.success = query.outcome === 'delivered';
+  }
+
+  if (query.status !== undefined) {
+    const status = Number(query.status);
+    if (!Number.isInteger(status) || status < 100 || status > 599) {
+      throw new Error('status must be an HTTP status code');
+    }
+    filters.status = status;
+  }
+
+  if (query.event_type) {
+    if (!Object.values(EVENT_TYPES).includes(query.event_type)) {
+      throw new Error(`Unknown event_type: ${query.event_type}`);
+    }
+    filters.eventType = query.event_type;
+  }
+
+  for (const name of ['from', 'to']) {
+    if (query[name]) {
+      const time = Date.parse(query[name]);
+      if (isNaN(time)) {
+        throw new Error(`${name} must be an ISO date-time`);
+      }
+      filters[name] = time;
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    const cursor = Number(query.cursor);
+    if (!Number.isInteger(cursor) || cursor < 0) {
+      throw new Error('cursor must be a nextCursor value from a previous page');
+    }
+    filters.cursor = cursor;
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > config.webhooks.deliveryLog.maxLimit) {
+      throw new Error(`limit must be between 1 and ${config.webhooks.deliveryLog.maxLimit}`);
+    }
+    filters.limit = limit;
+  }
+
+  return filters;
+}
+
+/**
+ * Build a 404 error body for an unknown webhook destination
+ * @param {string} webhookId - Destination ID
+ * @returns {Object} Error response body
+ */
+function webhookNotFound(webhookId) {
+  return errorBody(`Webhook ${webhookId} does not exist`, 404);
+}
+
+/**
+ * Build a 404 error body for an unknown dead letter
+ * @param {string} deadLetterId - Dead letter ID
+ * @returns {Object} Error response body
+ */
+function deadLetterNotFound(deadLetterId) {
+  return errorBody(`Dead letter ${deadLetterId} does not exist`, 404);
+}
+
+/**
+ * Build an error response body
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Object} Error body
+ */
+function errorBody(message, status) {
+  return {
+    error: {
+      message,
+      status,
+      timestamp: new Date().toISOString(),
+    },
+  };
+}
+
+module.exports = router;
@@ -10,6 +10,10 @@ const cron = require('node-cron');
 const config = require('./config');
 const apiRoutes = require('./routes/api');
 const cacheRoutes = require('./routes/cache');
+const adminRoutes = require('./routes/admin');
+const eventRoutes = require('./routes/events');
+const webhookRoutes = require('./routes/webhooks');
+const { tournamentScope } = require('./middleware/tournament');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const webSocketServer = require('./websocket');
 
@@ -116,6 +120,9 @@ app.get('/', (req, res) => {
       info: '/api/info',
       cacheStats: '/api/cache/stats',
       cacheConfig: '/api/cache/config',
+      events: '/api/events',
+      stream: '/api/stream',
+      webhooks: '/api/webhooks',
       swagger: '/api-docs',
       swaggerJson: '/api-docs/swagger.json',
       test: '/test',
@@ -146,12 +153,24 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs, {
   },
 }));
 
+// Tournament-scoped API routes (per-tournament token, cache keys and polling)
+app.use('/api/t/:tournamentId', tournamentScope(), apiRoutes);
+
 // API routes (cache middleware will be applied at route level)
 app.use('/api', apiRoutes);
 
 // Cache management routes (no cache middleware)
 app.use('/api', cacheRoutes);
 
+// Admin routes (require ADMIN_API_KEY)
+app.use('/api', adminRoutes);
+
+// Stored event query routes
+app.use('/api', eventRoutes);
+
+// Webhook destination management (require ADMIN_API_KEY)
+app.use('/api', webhookRoutes);
+
 // Test deployment page route
 app.get('/test', (req, res) => {
   res.sendFile('test-deployment.html', { root: 'public' });
@@ -171,12 +190,30 @@ async function startServer() {
     // Initialize cache service first
     console.log('🔄 Initializing cache service...');
     await cacheService.initialize();
+
+    // Load the tournament registry before polling starts
+    const tournamentRegistry = require('./services/tournamentRegistry');
+    await tournamentRegistry.load();
+
+    // Load webhook destinations and requeue undelivered events before new ones are generated
+    const webhookClient = require('./services/webhookClient');
+    await webhookClient.load();
+    await webhookClient.restoreOutbox();
+
+    // Index stored events before new ones are generated
+    const eventStore = require('./services/eventStore');
+    await eventStore.initialize();
+
+    // Continue event generation from the last saved state instead of a baseline poll
+    const eventGenerator = require('./services/eventGenerator');
+    await eventGenerator.restoreState();
     
     const PORT = config.server.port;
     server = app.listen(PORT, () => {
       console.log(`🚀 ATP Live Proxy Server running on port ${PORT}`);
       console.log(`📊 Environment: ${config.server.nodeEnv}`);
       console.log(`🔗 API Base URL: ${config.atpApi.baseUrl}`);
+      console.log(`🏆 Tournaments: ${tournamentRegistry.getIds().join(', ') || 'none registered (global token only)'}`);
       console.log(`🗄️  Cache Strategy: ${cacheService.getProviderType()}`);
       console.log(`⏱️  Cache TTL: ${config.cache.ttl} seconds (default)`);
       console.log(`📈 Rate Limit: ${config.rateLimit.maxRequests} requests per ${config.rateLimit.windowMs / 1000 / 60} minutes`);
@@ -223,6 +260,20 @@ async function startServer() {
       scheduled: true,
       timezone: 'UTC'
     });
+
+    // Schedule daily event store cleanup at 2:30 AM
+    cron.schedule('30 2 * * *', async () => {
+      try {
+        const eventStore = require('./services/eventStore');
+        console.log('🧹 Starting scheduled event store cleanup...');
+        await eventStore.cleanup();
+      } catch (error) {
+        console.error('⚠️ Scheduled event store cleanup failed:', error.message);
+      }
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
   } catch (error) {
     console.error('❌ Failed to initialize cache service:', error.message);
     console.error('🛑 Server startup aborted');
@@ -240,6 +291,14 @@ if (process.env.NODE_ENV !== 'test') {
 async function shutdown() {
   console.log('Shutting down gracefully...');
   
+  // Close Server-Sent Events streams
+  try {
+    const sseService = require('./services/sseService');
+    sseService.closeAll();
+  } catch (error) {
+    console.error('Error closing event streams:', error.message);
+  }
+
   // Stop WebSocket server
   webSocketServer.stop();
   
@@ -250,6 +309,30 @@ async function shutdown() {
   } catch (error) {
     console.error('Error flushing API logger data:', error.message);
   }
+
+  // Save queued webhook events to the outbox; they are requeued at the next start
+  try {
+    const webhookClient = require('./services/webhookClient');
+    await webhookClient.shutdown();
+  } catch (error) {
+    console.error('Error shutting down webhook client:', error.message);
+  }
+
+  // Save the generator state for the next start
+  try {
+    const eventGenerator = require('./services/eventGenerator');
+    await eventGenerator.saveState();
+  } catch (error) {
+    console.error('Error saving event generator state:', error.message);
+  }
+
+  // Finish pending event store writes
+  try {
+    const eventStore = require('./services/eventStore');
+    await eventStore.flush();
+  } catch (error) {
+    console.error('Error flushing event store:', error.message);
+  }
   
   // Disconnect cache service
   try {
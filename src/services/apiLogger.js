@@ -1,6 +1,6 @@
 const fs = require('fs').promises;
 const path = require('path');
-const { diff } = require('json-diff-ts');
+const { hashValue } = require('../utils/entityIndex');
 const config = require('../config');
 
 /**
@@ -18,8 +18,8 @@ class ApiLoggerService {
     this.lastWriteTime = new Map();
     // Buffer latest data per endpoint (only keep most recent)
     this.bufferedData = new Map();
-    // Track previous data to detect changes
-    this.previousData = new Map();
+    // Hash of the last written data per endpoint, to skip unchanged data without diffing it
+    this.previousHashes = new Map();
     
     if (this.isEnabled) {
       console.log(`[API LOGGER] Enabled - logging to ${this.baseDir} with ${this.minInterval}s minimum interval`);
@@ -31,24 +31,24 @@ class ApiLoggerService {
    * @param {string} endpoint - API endpoint path
    * @param {Object} data - Response data from ATP API
    * @param {Object} metadata - Additional metadata
+   * @param {Object} [changes] - Changes detected for this poll by the change detector (hashed here if not provided)
    */
-  async logResponse(endpoint, data, metadata = {}) {
+  async logResponse(endpoint, data, metadata = {}, changes = null) {
     if (!this.isEnabled) return;
 
     // Check if data has changed from previous
-    const previousData = this.previousData.get(endpoint);
-    if (previousData) {
-      const changes = diff(previousData, data);
-      if (!changes || changes.length === 0) {
-        // Data unchanged - skip logging
-        console.log(`[API LOGGER] Skipping ${endpoint} - no changes detected`);
-        return;
-      }
+    const hash = changes ? changes.hash : hashValue(data);
+    const unchanged = changes ? !changes.changed : this.previousHashes.get(endpoint) === hash;
+    if (unchanged) {
+      // Data unchanged - skip logging
+      console.log(`[API LOGGER] Skipping ${endpoint} - no changes detected`);
+      return;
     }
 
     const logEntry = {
       endpoint,
       data,
+      hash,
       metadata: {
         timestamp: new Date().toISOString(),
         server: 'atp-live-proxy',
@@ -70,8 +70,8 @@ class ApiLoggerService {
       await this.writeLogFile(logEntry);
       this.lastWriteTime.set(endpoint, now);
       this.bufferedData.delete(endpoint);
-      // Update previous data after successful write
-      this.previousData.set(endpoint, data);
+      // Update previous hash after successful write
+      this.previousHashes.set(endpoint, hash);
       console.log(`[API LOGGER] Wrote ${endpoint} after ${Math.round((now - lastWrite) / 1000)}s interval (changes detected)`);
     } else {
       // Interval not elapsed - just buffer the data
@@ -92,8 +92,8 @@ class ApiLoggerService {
       try {
         await this.writeLogFile(logEntry);
         this.lastWriteTime.set(endpoint, Date.now());
-        // Update previous data after successful flush
-        this.previousData.set(endpoint, logEntry.data);
+        // Update previous hash after successful flush
+        this.previousHashes.set(endpoint, logEntry.hash);
         console.log(`[API LOGGER] Flushed buffered data for ${endpoint}`);
       } catch (error) {
         console.error(`[API LOGGER] Error flushing ${endpoint}:`, error.message);
@@ -1,13 +1,29 @@
 const axios = require('axios');
 const config = require('../config');
+const cacheService = require('./cache');
+const requestCoalescer = require('./requestCoalescer');
+const CircuitBreaker = require('./circuitBreaker');
 
 class AtpApiService {
-  constructor() {
+  /**
+   * @param {Object} [options] - Client options, defaults to the global ATP API configuration
+   * @param {string} [options.baseUrl] - ATP API base URL
+   * @param {string} [options.bearerToken] - Tournament bearer token
+   * @param {string} [options.tournamentId] - Tournament this client is scoped to (used for logging)
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || config.atpApi.baseUrl;
+    this.tournamentId = options.tournamentId || null;
+    this.logPrefix = this.tournamentId ? `[ATP API:${this.tournamentId}]` : '[ATP API]';
+    const bearerToken = options.bearerToken || config.atpApi.bearerToken;
+    // Normalized upstream path -> CircuitBreaker
+    this.circuits = new Map();
+
     this.client = axios.create({
-      baseURL: config.atpApi.baseUrl,
+      baseURL: this.baseUrl,
       timeout: 10000,
       headers: {
-        'Authorization': `Bearer ${config.atpApi.bearerToken}`,
+        'Authorization': `Bearer ${bearerToken}`,
         'Content-Type': 'application/json',
         'User-Agent': 'ATP-Live-Proxy/1.0.0',
       },
@@ -16,11 +32,11 @@ class AtpApiService {
     // Add request interceptor for logging
     this.client.interceptors.request.use(
       (config) => {
-        console.log(`[ATP API] Making request to: ${config.method?.toUpperCase()} ${config.url}`);
+        console.log(`${this.logPrefix} Making request to: ${config.method?.toUpperCase()} ${config.url}`);
         return config;
       },
       (error) => {
-        console.error('[ATP API] Request error:', error);
+        console.error(`${this.logPrefix} Request error:`, error);
         return Promise.reject(error);
       }
     );
@@ -32,7 +48,7 @@ class AtpApiService {
       },
       (error) => {
         if(error.response?.status != 404) {
-          console.error('[ATP API] API Error:', {
+          console.error(`${this.logPrefix} API Error:`, {
             status: error.response?.status,
             statusText: error.response?.statusText,
             url: error.config?.url,
@@ -46,17 +62,120 @@ class AtpApiService {
 
   /**
    * Make a GET request to the ATP API
+   * Concurrent calls for the same endpoint and parameters share a single upstream request
    * @param {string} endpoint - API endpoint
    * @param {Object} params - Query parameters
    * @returns {Promise<Object>} API response
    */
   async get(endpoint, params = {}) {
-    try {
-      const response = await this.client.get(endpoint, { params });
-      return response.data;
-    } catch (error) {
-      throw this.handleError(error);
+    // Tournament clients use different tokens, so their requests must never be shared
+    const scope = this.tournamentId ? `/t/${this.tournamentId}` : '';
+    const coalescingKey = cacheService.generateKey(`${scope}${endpoint}`, params);
+
+    return requestCoalescer.run(coalescingKey, async () => {
+      const circuit = this.getCircuit(endpoint);
+      if (circuit && !circuit.allowRequest()) {
+        throw this.circuitOpenError(circuit);
+      }
+
+      try {
+        const response = await this.client.get(endpoint, { params });
+        circuit?.onSuccess();
+        return response.data;
+      } catch (error) {
+        const apiError = this.handleError(error);
+        if (circuit) {
+          // Client errors (e.g. 404 no data) mean the upstream is healthy
+          if (this.isCircuitFailure(apiError)) {
+            circuit.onFailure(apiError);
+          } else {
+            circuit.onSuccess();
+          }
+        }
+        throw apiError;
+      }
+    });
+  }
+
+  /**
+   * Normalize an upstream path for circuit tracking (IDs are replaced so e.g. all match stats share one circuit)
+   * @param {string} endpoint - API endpoint
+   * @returns {string} Normalized path (e.g. /MatchStats/:id)
+   */
+  getCircuitName(endpoint) {
+    return endpoint
+      .split('/')
+      .map(segment => (/\d/.test(segment) ? ':id' : segment))
+      .join('/');
+  }
+
+  /**
+   * Get (or create) the circuit breaker for an upstream path
+   * @param {string} endpoint - API endpoint
+   * @returns {CircuitBreaker|null} Circuit breaker, or null when circuit breaking is disabled
+   */
+  getCircuit(endpoint) {
+    if (!config.atpApi.circuitBreaker.enabled) {
+      return null;
     }
+
+    const name = this.getCircuitName(endpoint);
+    if (!this.circuits.has(name)) {
+      this.circuits.set(name, new CircuitBreaker(name, { logPrefix: this.logPrefix }));
+    }
+    return this.circuits.get(name);
+  }
+
+  /**
+   * Check whether an error should count towards opening the circuit
+   * @param {Error} error - Error from handleError
+   * @returns {boolean} True for timeouts, network errors, rate limiting and upstream 5xx
+   */
+  isCircuitFailure(error) {
+    return !error.status || error.status >= 500 || error.status === 429;
+  }
+
+  /**
+   * Create the fail-fast error returned while a circuit is open
+   * Uses 503 so callers (e.g. the cache middleware) treat it like an unavailable upstream
+   * @param {CircuitBreaker} circuit - Open circuit
+   * @returns {Error} Circuit open error
+   */
+  circuitOpenError(circuit) {
+    const error = new Error(`ATP API circuit open for ${circuit.name}`);
+    error.status = 503;
+    error.statusText = 'Service Unavailable';
+    error.circuitOpen = true;
+    return error;
+  }
+
+  /**
+   * Get the state of every circuit this client has used
+   * @returns {Object} Normalized upstream path -> circuit state
+   */
+  getCircuitStates() {
+    const states = {};
+    for (const [name, circuit] of this.circuits) {
+      states[name] = circuit.getState();
+    }
+    return states;
+  }
+
+  /**
+   * Get the upstream paths whose circuit is currently open
+   * @returns {Array<string>} Open circuit names
+   */
+  getOpenCircuits() {
+    return Array.from(this.circuits.values())
+      .filter(circuit => circuit.state === CircuitBreaker.STATES.OPEN)
+      .map(circuit => circuit.name);
+  }
+
+  /**
+   * Reset all circuits (for testing)
+   */
+  resetCircuits() {
+    this.circuits.clear();
   }
 
   // ===== DRAWS ENDPOINTS =====
@@ -204,4 +323,6 @@ class AtpApiService {
   }
 }
 
-module.exports = new AtpApiService(); 
+module.exports = new AtpApiService();
+module.exports.AtpApiService = AtpApiService;
+
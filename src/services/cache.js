@@ -42,13 +42,15 @@ class CacheService {
    * @param {string} key - Cache key
    * @param {*} value - Value to cache
    * @param {number} ttl - Time to live in seconds
+   * @param {Object} [options] - Set options
+   * @param {boolean} [options.overwrite] - Replace an existing entry even in write-once providers (filesystem)
    * @returns {Promise<boolean>} Success status
    */
-  async set(key, value, ttl = null) {
+  async set(key, value, ttl = null, options = {}) {
     if (!this.isInitialized || !this.provider) {
       throw new Error('Cache service not initialized');
     }
-    return await this.provider.set(key, value, ttl);
+    return await this.provider.set(key, value, ttl, options);
   }
 
   /**
@@ -63,6 +65,19 @@ class CacheService {
     return await this.provider.getTtl(key);
   }
 
+  /**
+   * Reset the TTL of a cached item without rewriting it
+   * @param {string} key - Cache key
+   * @param {number} ttl - Time to live in seconds
+   * @returns {Promise<boolean>} True if the item exists and was refreshed
+   */
+  async touch(key, ttl = null) {
+    if (!this.isInitialized || !this.provider) {
+      throw new Error('Cache service not initialized');
+    }
+    return await this.provider.touch(key, ttl);
+  }
+
   /**
    * Delete a value from cache
    * @param {string} key - Cache key
@@ -17,9 +17,11 @@ class CacheProvider {
    * @param {string} _key - Cache key
    * @param {*} _value - Value to cache
    * @param {number} _ttl - Time to live in seconds
+   * @param {Object} [_options] - Set options
+   * @param {boolean} [_options.overwrite] - Replace an existing entry even in write-once providers
    * @returns {Promise<boolean>} Success status
    */
-  async set(_key, _value, _ttl = null) {
+  async set(_key, _value, _ttl = null, _options = {}) {
     throw new Error('set() method must be implemented');
   }
 
@@ -32,6 +34,16 @@ class CacheProvider {
     throw new Error('getTtl() method must be implemented');
   }
 
+  /**
+   * Reset the TTL of a cached item without rewriting it
+   * @param {string} _key - Cache key
+   * @param {number} _ttl - Time to live in seconds
+   * @returns {Promise<boolean>} True if the item exists and was refreshed
+   */
+  async touch(_key, _ttl) {
+    throw new Error('touch() method must be implemented');
+  }
+
   /**
    * Delete a value from cache
    * @param {string} _key - Cache key
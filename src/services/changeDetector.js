@@ -0,0 +1,84 @@
+const { indexPayload, compareIndexes } = require('../utils/entityIndex');
+
+/**
+ * Change detector for polled endpoints
+ * Indexes each polled payload by entity (see utils/entityIndex) and compares it with the previous
+ * poll of the same endpoint. The polling service runs it once per poll and shares the result with
+ * the event generator, the API logger and the broadcast path, so no consumer diffs the payload again.
+ */
+class ChangeDetectorService {
+  constructor() {
+    // endpoint -> index of the latest polled payload
+    this.indexes = new Map();
+    this.stats = {
+      detections: 0,
+      unchanged: 0,
+      entitiesHashed: 0,
+      entitiesChanged: 0,
+      totalTimeMs: 0
+    };
+  }
+
+  /**
+   * Detect the changes of an endpoint's payload since its previous poll
+   * @param {string} endpoint - API endpoint path
+   * @param {*} data - Polled payload
+   * @returns {Object} Changes from compareIndexes(): { baseline, changed, hash, previousHash, added, removed, updated, index, previousIndex }
+   */
+  detect(endpoint, data) {
+    const startedAt = process.hrtime.bigint();
+    const index = indexPayload(endpoint, data);
+    const changes = compareIndexes(this.indexes.get(endpoint), index);
+    this.indexes.set(endpoint, index);
+
+    this.stats.detections++;
+    this.stats.entitiesHashed += index.entities.size;
+    if (changes.changed) {
+      this.stats.entitiesChanged += changes.added.length + changes.removed.length + changes.updated.length;
+    } else {
+      this.stats.unchanged++;
+    }
+    this.stats.totalTimeMs += Number(process.hrtime.bigint() - startedAt) / 1e6;
+    return changes;
+  }
+
+  /**
+   * Get the index of an endpoint's latest polled payload
+   * @param {string} endpoint - API endpoint path
+   * @returns {Object|null} Entity index
+   */
+  getIndex(endpoint) {
+    return this.indexes.get(endpoint) || null;
+  }
+
+  /**
+   * Forget the latest payload of one or all endpoints, so their next poll is a baseline
+   * @param {string} [endpoint] - API endpoint path (all endpoints if omitted)
+   */
+  clear(endpoint = null) {
+    if (endpoint) {
+      this.indexes.delete(endpoint);
+    } else {
+      this.indexes.clear();
+    }
+  }
+
+  /**
+   * Get change detection statistics
+   * @returns {Object} Detection counts and average time per poll
+   */
+  getStats() {
+    return {
+      trackedEndpoints: Array.from(this.indexes.keys()),
+      detections: this.stats.detections,
+      unchanged: this.stats.unchanged,
+      entitiesHashed: this.stats.entitiesHashed,
+      entitiesChanged: this.stats.entitiesChanged,
+      averageTimeMs: this.stats.detections > 0
+        ? Math.round((this.stats.totalTimeMs / this.stats.detections) * 1000) / 1000
+        : 0
+    };
+  }
+}
+
+module.exports = new ChangeDetectorService();
@@ -0,0 +1,149 @@
+const config = require('../config');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Circuit breaker for a single upstream path
+ * closed: requests pass through, consecutive failures are counted
+ * open: requests fail fast until the reset timeout has elapsed
+ * half-open: a single trial request is let through; success closes the circuit, failure re-opens it
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Circuit name (normalized upstream path)
+   * @param {Object} [options] - Breaker options, defaults to config.atpApi.circuitBreaker
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit
+   * @param {number} [options.resetTimeout] - Milliseconds to stay open before allowing a trial request
+   * @param {string} [options.logPrefix] - Log prefix of the owning client
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || config.atpApi.circuitBreaker.failureThreshold;
+    this.resetTimeout = options.resetTimeout || config.atpApi.circuitBreaker.resetTimeout;
+    this.logPrefix = options.logPrefix || '[ATP API]';
+
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.stateChangedAt = Date.now();
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.stats = {
+      successes: 0,
+      failures: 0,
+      rejected: 0,
+      timesOpened: 0
+    };
+  }
+
+  /**
+   * Check whether a request may be sent upstream, moving open circuits to half-open once the reset timeout has passed
+   * @returns {boolean} True if the request may proceed
+   */
+  allowRequest() {
+    if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.transition(STATES.HALF_OPEN);
+    }
+
+    if (this.state === STATES.CLOSED) {
+      return true;
+    }
+
+    if (this.state === STATES.HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    this.stats.rejected++;
+    return false;
+  }
+
+  /**
+   * Record a successful upstream response
+   */
+  onSuccess() {
+    this.stats.successes++;
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+
+    if (this.state !== STATES.CLOSED) {
+      this.transition(STATES.CLOSED);
+    }
+  }
+
+  /**
+   * Record a failed upstream request
+   * @param {Error} error - Upstream error
+   */
+  onFailure(error) {
+    this.stats.failures++;
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+    this.lastError = {
+      message: error.message,
+      status: error.status || null,
+      timestamp: new Date().toISOString()
+    };
+
+    if (this.state === STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this.open();
+    }
+  }
+
+  /**
+   * Open (or re-open) the circuit
+   */
+  open() {
+    this.openedAt = Date.now();
+    this.stats.timesOpened++;
+    if (this.state !== STATES.OPEN) {
+      this.transition(STATES.OPEN);
+    }
+  }
+
+  /**
+   * Change circuit state
+   * @param {string} state - New state
+   */
+  transition(state) {
+    console.log(`${this.logPrefix} Circuit for ${this.name}: ${this.state} -> ${state}`);
+    this.state = state;
+    this.stateChangedAt = Date.now();
+    if (state === STATES.CLOSED) {
+      this.openedAt = null;
+    }
+  }
+
+  /**
+   * Get the time at which an open circuit will allow a trial request
+   * @returns {number|null} Timestamp in milliseconds, or null unless open
+   */
+  getNextAttemptAt() {
+    return this.state === STATES.OPEN ? this.openedAt + this.resetTimeout : null;
+  }
+
+  /**
+   * Get circuit state for health and stats reporting
+   * @returns {Object} Circuit state
+   */
+  getState() {
+    const nextAttemptAt = this.getNextAttemptAt();
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      stateChangedAt: new Date(this.stateChangedAt).toISOString(),
+      nextAttemptAt: nextAttemptAt ? new Date(nextAttemptAt).toISOString() : null,
+      lastError: this.lastError,
+      ...this.stats
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
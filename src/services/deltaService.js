@@ -0,0 +1,213 @@
+const { createEntityPatch } = require('../utils/jsonPatch');
+const { indexPayload } = require('../utils/entityIndex');
+
+/**
+ * Delta update service for WebSocket clients subscribed with mode: 'delta'
+ * Numbers the snapshots of each polled endpoint with a version that increases whenever the
+ * data changes (every data-update carries it), and tracks the version each delta client holds.
+ * A client holding the previous version gets an RFC 6902 patch; any other client (new, or after
+ * a gap) gets the full snapshot.
+ */
+class DeltaService {
+  constructor() {
+    // endpoint -> { version, data, index } of the latest snapshot
+    this.snapshots = new Map();
+    // socketId -> Map of endpoint -> version the client holds (null until it has a snapshot)
+    this.clients = new Map();
+    this.stats = {
+      patches: 0,
+      snapshots: 0,
+      resyncs: 0
+    };
+  }
+
+  /**
+   * Record a poll of an endpoint
+   * @param {string} endpoint - API endpoint path
+   * @param {*} data - Polled payload
+   * @param {Object} changes - Changes detected for the poll by the change detector
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.patch] - Build the patch (only needed when delta clients are subscribed)
+   * @returns {Object|null} { version, baseVersion, patch } or null when the data did not change
+   */
+  record(endpoint, data, changes, { patch = false } = {}) {
+    const previous = this.snapshots.get(endpoint);
+    if (previous && previous.index.hash === changes.hash) {
+      // Same content: the version and data stay (the cache keeps the previous object too), the
+      // index follows the change detector
+      previous.index = changes.index;
+      return null;
+    }
+
+    const version = previous ? previous.version + 1 : 1;
+    this.snapshots.set(endpoint, { version, data, index: changes.index });
+    if (!previous) {
+      return { version, baseVersion: null, patch: null };
+    }
+
+    // Changes detected against other data than the previous snapshot are not reused
+    const entityChanges = previous.index === changes.previousIndex ? changes : null;
+    return {
+      version,
+      baseVersion: previous.version,
+      patch: patch ? createEntityPatch(previous.data, data, entityChanges) : null
+    };
+  }
+
+  /**
+   * Get the latest snapshot of an endpoint
+   * @param {string} endpoint - API endpoint path
+   * @returns {Object|null} { version, hash, data }
+   */
+  getSnapshot(endpoint) {
+    const snapshot = this.snapshots.get(endpoint);
+    return snapshot ? { version: snapshot.version, hash: snapshot.index.hash, data: snapshot.data } : null;
+  }
+
+  /**
+   * Get the version and content hash of data sent outside a poll (e.g. from the cache)
+   * The version is only known when the data is the latest polled snapshot
+   * @param {string} endpoint - API endpoint path
+   * @param {*} data - Payload
+   * @returns {Object} { hash } plus the version if the data matches the latest snapshot
+   */
+  getVersionInfo(endpoint, data) {
+    const snapshot = this.snapshots.get(endpoint);
+    const hash = snapshot && snapshot.data === data ? snapshot.index.hash : indexPayload(endpoint, data).hash;
+    return snapshot && snapshot.index.hash === hash ? { version: snapshot.version, hash } : { hash };
+  }
+
+  /**
+   * Set the update mode of a client's endpoint subscription
+   * @param {string} socketId - Socket ID
+   * @param {string} endpoint - API endpoint path
+   * @param {string} mode - 'delta' or 'full'
+   */
+  setMode(socketId, endpoint, mode) {
+    if (mode === 'delta') {
+      if (!this.clients.has(socketId)) {
+        this.clients.set(socketId, new Map());
+      }
+      this.clients.get(socketId).set(endpoint, null);
+      return;
+    }
+
+    const endpoints = this.clients.get(socketId);
+    if (endpoints) {
+      endpoints.delete(endpoint);
+      if (endpoints.size === 0) {
+        this.clients.delete(socketId);
+      }
+    }
+  }
+
+  /**
+   * Check whether a client receives delta updates for an endpoint
+   * @param {string} socketId - Socket ID
+   * @param {string} endpoint - API endpoint path
+   * @returns {boolean} True in delta mode
+   */
+  isDelta(socketId, endpoint) {
+    const endpoints = this.clients.get(socketId);
+    return !!endpoints && endpoints.has(endpoint);
+  }
+
+  /**
+   * Check whether any of the given subscribers receives delta updates for an endpoint
+   * @param {string} endpoint - API endpoint path
+   * @param {Set<string>} socketIds - Subscribed socket IDs
+   * @returns {boolean} True if at least one is in delta mode
+   */
+  hasDeltaClients(endpoint, socketIds) {
+    for (const socketId of socketIds) {
+      if (this.isDelta(socketId, endpoint)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Build the message for a delta client after a changed poll
+   * A client holding the base version gets the patch; any other client gets the full snapshot
+   * @param {string} socketId - Socket ID
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} update - Update returned by record()
+   * @returns {Object} { type: 'data-patch' | 'data-update', fields } with the message fields to add
+   */
+  buildMessage(socketId, endpoint, update) {
+    const endpoints = this.clients.get(socketId);
+    const heldVersion = endpoints ? endpoints.get(endpoint) : null;
+    if (endpoints) {
+      endpoints.set(endpoint, update.version);
+    }
+
+    if (update.patch && heldVersion !== null && heldVersion === update.baseVersion) {
+      this.stats.patches++;
+      return {
+        type: 'data-patch',
+        fields: { patch: update.patch, version: update.version, baseVersion: update.baseVersion }
+      };
+    }
+
+    this.stats.snapshots++;
+    return {
+      type: 'data-update',
+      fields: { data: this.snapshots.get(endpoint).data, version: update.version }
+    };
+  }
+
+  /**
+   * Remember the version of a snapshot sent to a delta client
+   * @param {string} socketId - Socket ID
+   * @param {string} endpoint - API endpoint path
+   * @param {number} version - Sent version
+   * @param {boolean} [resync] - Whether the client asked for the snapshot after a gap
+   */
+  markSent(socketId, endpoint, version, resync = false) {
+    const endpoints = this.clients.get(socketId);
+    if (endpoints && endpoints.has(endpoint)) {
+      endpoints.set(endpoint, version);
+    }
+    this.stats.snapshots++;
+    if (resync) {
+      this.stats.resyncs++;
+    }
+  }
+
+  /**
+   * Remove all delta subscriptions of a socket (on disconnect)
+   * @param {string} socketId - Socket ID
+   */
+  removeSocket(socketId) {
+    this.clients.delete(socketId);
+  }
+
+  /**
+   * Clear all snapshots, delta subscriptions and statistics
+   */
+  clear() {
+    this.snapshots.clear();
+    this.clients.clear();
+    Object.keys(this.stats).forEach(key => { this.stats[key] = 0; });
+  }
+
+  /**
+   * Get delta update statistics
+   * @returns {Object} Client count, endpoint versions and message counts
+   */
+  getStats() {
+    const versions = {};
+    for (const [endpoint, snapshot] of this.snapshots) {
+      versions[endpoint] = snapshot.version;
+    }
+
+    return {
+      clients: this.clients.size,
+      versions,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new DeltaService();
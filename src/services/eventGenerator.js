@@ -1,72 +1,134 @@
-const { diff } = require('json-diff-ts');
-const { EVENT_TYPES, EVENT_PRIORITY, createEvent } = require('../types/events');
+const { EVENT_TYPES, EVENT_PRIORITY, createEvent, generateEventId } = require('../types/events');
 const { ensureUniqueTimestamps } = require('../utils/eventTimestampUtils');
+const { parseScopedEndpoint } = require('../utils/tournamentScope');
+const { indexPayload, compareIndexes, extractLiveMatches, extractDrawFixtures } = require('../utils/entityIndex');
 const eventOutput = require('./eventOutput');
+const cacheService = require('./cache');
 const config = require('../config');
 
+/**
+ * Point values of a regular game, indexed by the GameScore strings of the live feed
+ */
+const TENNIS_POINTS = { '0': 0, '15': 1, '30': 2, '40': 3, 'A': 4, 'AD': 4 };
+
+/**
+ * Result string markers for matches that ended without being played out, most specific first
+ */
+const RETIREMENT_MARKERS = [
+  { pattern: /\b(W\/O|W\.O\.?|WO|WALKOVER)(?=\s|$)/, reason: 'walkover' },
+  { pattern: /\b(DEF|DEFAULT|DEFAULTED)\b/, reason: 'default' },
+  { pattern: /\b(RET|RET'D|RETD|RETIRED)(?=\s|\.|$)/, reason: 'retired' }
+];
+
+/**
+ * Schedule match fields holding the scheduled start, most specific first
+ * NotBefore is left out: it is only the earliest start, and matches often begin well after it
+ */
+const SCHEDULED_START_FIELDS = ['MatchDateTime', 'StartTime'];
+
+/**
+ * UTC offset at the end of a schedule time, and a configured venue offset (Z, +HH:MM or +HHMM)
+ */
+const TRAILING_UTC_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/;
+const UTC_OFFSET = /^(Z|[+-]\d{2}:?\d{2})$/;
+
+/**
+ * Cache key of the generator state snapshot, and the snapshot format version
+ */
+const STATE_CACHE_KEY = '/_state/event-generator';
+const STATE_VERSION = 1;
+
+/**
+ * Cache providers whose entries survive a restart
+ */
+const PERSISTENT_CACHE_PROVIDERS = ['redis', 'filesystem'];
+
 /**
  * Event generator service for detecting and creating tennis tournament events
- * Uses JSON diff to efficiently detect changes between polling intervals
+ * Compares polls per match or fixture: only entities whose hash changed are inspected
  */
 class EventGeneratorService {
   constructor() {
     this.previousStates = new Map(); // Store previous data states by endpoint
+    this.entityIndexes = new WeakMap(); // Entity indexes by payload object, see getEntityIndex()
     this.finishedMatches = new Set(); // Track matches that have already sent finished events
+    this.retiredMatches = new Set(); // Track matches that have already sent retirement events
+    this.scheduledStarts = new Map(); // Scheduled start times from /api/schedules by match key
+    this.eventOccurrences = new Map(); // Match key -> (first-occurrence event ID -> times seen), see assignOccurrences()
+    // State snapshots are only taken once restoreState() has run at server startup (not during replays)
+    this.persistence = {
+      active: false,
+      saveTimer: null,
+      restoredAt: null,
+      lastSavedAt: null,
+      saves: 0,
+      saveErrors: 0
+    };
     this.isEnabled = config.events.enabled;
     this.monitoredEndpoints = new Set(config.events.endpoints);
     if(this.isEnabled) {
-      console.log(`[EVENTS] Event Generator Enabled (JSON Diff), monitoring: ${[...this.monitoredEndpoints].join(', ')}`);
+      console.log(`[EVENTS] Event Generator Enabled (entity hashing), monitoring: ${[...this.monitoredEndpoints].join(', ')}`);
     }
   }
 
   /**
-   * Process endpoint data and generate events based on JSON diff changes
+   * Process endpoint data and generate events for the matches and fixtures that changed
    * @param {string} endpoint - API endpoint path
    * @param {Object} currentData - Current polling data
    * @param {string} [timestamp] - Optional timestamp to use for events (defaults to current time)
+   * @param {Object} [changes] - Entity changes already detected for this poll by the change detector
    * @returns {Array} Generated events
    */
-  processData(endpoint, currentData, timestamp = null) {
-    if (!this.isEnabled || !currentData || !this.monitoredEndpoints.has(endpoint)) {
+  processData(endpoint, currentData, timestamp = null, changes = null) {
+    // Tournament-scoped endpoints (/api/t/:id/...) keep their own state but are handled like their base endpoint
+    const baseEndpoint = parseScopedEndpoint(endpoint).endpoint;
+    if (!this.isEnabled || !currentData || !this.monitoredEndpoints.has(baseEndpoint)) {
       console.log(`[EVENTS] Ignoring endpoint ${endpoint}`);
       return [];
     }
 
+    // Schedules only provide scheduled start times for delay detection, they do not generate events themselves
+    if (baseEndpoint === '/api/schedules') {
+      this.updateScheduledStarts(currentData);
+      this.scheduleStateSave();
+      return [];
+    }
+
     const events = [];
     const previousData = this.previousStates.get(endpoint);
 
     // Store current data for next comparison
     this.previousStates.set(endpoint, currentData);
+    this.scheduleStateSave();
 
     // Skip event generation on first poll (no previous data to compare)
     if (!previousData) {
+      this.getEntityIndex(endpoint, currentData, changes);
       return events;
     }
 
     try {
-      // Generate diff with match-specific configuration
-      const diffOptions = this.getDiffOptions(endpoint, currentData, previousData);
-      const changeset = diff(previousData, currentData, diffOptions);
+      const entityChanges = this.resolveChanges(endpoint, currentData, previousData, changes);
 
-      if (changeset && changeset.length > 0) {
-        //console.log(`[EVENTS] Detected ${changeset.length} changes for ${endpoint}`);
-        
+      if (entityChanges.changed) {
         // Process changes based on endpoint type
-        switch (endpoint) {
+        switch (baseEndpoint) {
         case '/api/live-matches':
-          events.push(...this.processLiveMatchChanges(changeset, currentData, previousData, timestamp));
+          events.push(...this.processLiveMatchChanges(entityChanges, currentData, previousData, timestamp));
           break;
         case '/api/draws/live':
-          events.push(...this.processDrawChanges(changeset, currentData, previousData, timestamp));
+          events.push(...this.processDrawChanges(entityChanges, currentData, previousData, timestamp));
           break;
         default:
           //console.log(`[EVENTS] No change handler for endpoint: ${endpoint}`);
         }
       }
     } catch (error) {
-      console.error(`[EVENTS] Error processing diff for ${endpoint}:`, error.message);
+      console.error(`[EVENTS] Error processing changes for ${endpoint}:`, error.message);
     }
 
+    this.assignOccurrences(events);
+
     // Apply timestamp uniqueness to ensure proper event ordering
     const processedEvents = ensureUniqueTimestamps(events, true);
     
@@ -79,72 +141,44 @@ class EventGeneratorService {
   }
 
   /**
-   * Get diff options for specific endpoint types
+   * Get the entity index of a payload, indexing it only once
+   * Indexes are cached per payload object, so previous states set or restored elsewhere are indexed on first use
    * @param {string} endpoint - API endpoint path
-   * @param {Object} currentData - Current data to analyze for best diff strategy
-   * @param {Object} previousData - Previous data to analyze for best diff strategy
-   * @returns {Object} Diff configuration options
-   */
-  getDiffOptions(endpoint, currentData = null, previousData = null) {
-    const baseOptions = {
-      embeddedObjKeys: {},
-      ignoreArrayOrder: false,
-      ignoreCase: false
-    };
-
-    switch (endpoint) {
-    case '/api/live-matches': {
-      // Determine the best key field to use based on actual data from both current and previous
-      const currentMatches = this.extractMatches(currentData || {});
-      const previousMatches = this.extractMatches(previousData || {});
-      const allMatches = [...currentMatches, ...previousMatches];
-      const keyField = this.determineBestKeyField(allMatches);
-        
-        
-      if (keyField) {
-        // Use the detected key field for better match tracking
-        // Handle nested structure: TournamentMatches[0].Matches[n]
-        return {
-          ...baseOptions,
-          embeddedObjKeys: {
-            'TournamentMatches': '$index',  // Tournament level uses index
-            'Matches': keyField,            // Match level uses MatchId
-            'matches': keyField,
-            'data': keyField
-          }
-        };
-      } else {
-        // Fallback to index-based if no consistent key field found
-        // Handle nested structure: TournamentMatches[0].Matches[n]
-        return {
-          ...baseOptions,
-          embeddedObjKeys: {
-            'TournamentMatches': '$index',
-            'Matches': '$index',
-            'matches': '$index',
-            'data': '$index'
-          }
-        };
-      }
+   * @param {Object} data - Payload
+   * @param {Object} [changes] - Changes detected for this payload, whose index is reused
+   * @returns {Object} Entity index
+   */
+  getEntityIndex(endpoint, data, changes = null) {
+    let index = this.entityIndexes.get(data);
+    if (!index) {
+      index = changes ? changes.index : indexPayload(endpoint, data);
+      this.entityIndexes.set(data, index);
     }
-    case '/api/draws/live':
-      return {
-        ...baseOptions,
-        embeddedObjKeys: {
-          'Associations': '$index',
-          'Events': '$index',
-          'Rounds': '$index',
-          'Fixtures': 'MatchCode'
-        }
-      };
-    default:
-      return baseOptions;
+    return index;
+  }
+
+  /**
+   * Resolve the entity changes between the previous and current data of an endpoint
+   * Changes from the change detector are reused when they were detected against the same previous
+   * data; otherwise (replays, restored state, direct calls) the indexes are compared here
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} currentData - Current data
+   * @param {Object} previousData - Previous data
+   * @param {Object} [changes] - Changes detected by the change detector
+   * @returns {Object} Entity changes: { changed, added, removed, updated, index, previousIndex }
+   */
+  resolveChanges(endpoint, currentData, previousData, changes = null) {
+    const previousIndex = this.getEntityIndex(endpoint, previousData);
+    const currentIndex = this.getEntityIndex(endpoint, currentData, changes);
+    if (changes && changes.previousIndex === previousIndex) {
+      return changes;
     }
+    return compareIndexes(previousIndex, currentIndex);
   }
 
   /**
-   * Process live match changes using key-based comparison
-   * @param {Array} changeset - Array of atomic changes (ignored - kept for API compatibility)
+   * Process live match changes using per-match comparison
+   * @param {Object|Array} changeset - Entity changes from resolveChanges() (compared here if not provided)
    * @param {Object} currentData - Current match data for context
    * @param {Object} previousData - Previous match data for comparison (optional, will use state if not provided)
    * @returns {Array} Generated match events
@@ -161,55 +195,60 @@ class EventGeneratorService {
       }
     }
 
-    // Extract matches from both datasets
-    const previousMatches = this.extractMatches(previousData);
-    const currentMatches = this.extractMatches(currentData);
-    
-    // Create maps keyed by MatchId for accurate comparison
-    const previousMatchMap = this.createMatchMap(previousMatches);
-    const currentMatchMap = this.createMatchMap(currentMatches);
-    
-    // Find newly added matches (in current but not in previous)
-    for (const [matchId, match] of currentMatchMap) {
-      if (!previousMatchMap.has(matchId)) {
-        console.log(`[EVENTS] New match detected: ${matchId}`);
-        // Only create started event if match is not finished AND not already in progress
-        const matchStatus = this.extractStatus(match);
-        if (matchStatus !== 'F' && matchStatus !== 'P') {
-          const startedEvent = this.createMatchStartedEvent(match, timestamp);
-          if (startedEvent) events.push(startedEvent);
-        } else {
-          console.log(`[EVENTS] Skipping match started event for new match ${matchId} - status: ${matchStatus}`);
-        }
+    // Only matches that were added, removed or whose hash changed are inspected
+    const changes = changeset && changeset.index
+      ? changeset
+      : this.resolveChanges('/api/live-matches', currentData, previousData);
+    const { index, previousIndex } = changes;
+    
+    // Newly added matches (in current but not in previous)
+    for (const key of changes.added) {
+      const { id: matchId, value: match } = index.entities.get(key);
+      if (!matchId) continue;
+      console.log(`[EVENTS] New match detected: ${matchId}`);
+      // Only create started event if match is not finished AND not already in progress
+      const matchStatus = this.extractStatus(match);
+      if (matchStatus !== 'F' && matchStatus !== 'P') {
+        const startedEvent = this.createMatchStartedEvent(match, timestamp);
+        if (startedEvent) events.push(startedEvent);
+      } else {
+        console.log(`[EVENTS] Skipping match started event for new match ${matchId} - status: ${matchStatus}`);
+      }
+
+      // A match appearing in the live feed has started; compare with its scheduled start
+      if (matchStatus !== 'F') {
+        const delayedEvent = this.createMatchDelayedEvent(match, matchId, timestamp);
+        if (delayedEvent) events.push(delayedEvent);
       }
     }
 
-    // Find removed matches (in previous but not in current)  
-    for (const [matchId, match] of previousMatchMap) {
-      if (!currentMatchMap.has(matchId)) {
-        console.log(`[EVENTS] Match removed: ${matchId}`);
-        // Only send finished event if we haven't already sent one for this match
-        if (!this.finishedMatches.has(matchId)) {
-          const finishedEvent = this.createMatchFinishedEvent(match, timestamp);
-          if (finishedEvent) {
-            events.push(finishedEvent);
-            this.finishedMatches.add(matchId);
-          }
+    // Removed matches (in previous but not in current)
+    for (const key of changes.removed) {
+      const { id: matchId, value: match } = previousIndex.entities.get(key);
+      if (!matchId) continue;
+      console.log(`[EVENTS] Match removed: ${matchId}`);
+      // Only send finished event if we haven't already sent one for this match
+      const finishedKey = this.getFinishedMatchKey(match, matchId);
+      if (!this.finishedMatches.has(finishedKey)) {
+        const finishedEvent = this.createMatchFinishedEvent(match, timestamp);
+        if (finishedEvent) {
+          events.push(finishedEvent);
+          this.markMatchFinished(finishedKey);
         }
       }
     }
 
-    // Find updated matches (same MatchId in both, but fields changed)
-    for (const [matchId, currentMatch] of currentMatchMap) {
-      const previousMatch = previousMatchMap.get(matchId);
-      if (previousMatch) {
-        // Compare relevant fields for changes
-        const fieldChanges = this.detectMatchFieldChanges(previousMatch, currentMatch);
-        if (fieldChanges.length > 0) {
-          //console.log(`[EVENTS] Match ${matchId} field changes:`, fieldChanges.map(c => `${c.field}: ${c.oldValue} -> ${c.newValue}`));
-          const changeEvents = this.createEventFromFieldChanges(fieldChanges, currentMatch, matchId, timestamp);
-          events.push(...changeEvents);
-        }
+    // Updated matches (same key in both, different hash)
+    for (const key of changes.updated) {
+      const { id: matchId, value: currentMatch } = index.entities.get(key);
+      if (!matchId) continue;
+      const previousMatch = previousIndex.entities.get(key).value;
+      // Compare relevant fields for changes
+      const fieldChanges = this.detectMatchFieldChanges(previousMatch, currentMatch);
+      if (fieldChanges.length > 0) {
+        //console.log(`[EVENTS] Match ${matchId} field changes:`, fieldChanges.map(c => `${c.field}: ${c.oldValue} -> ${c.newValue}`));
+        const changeEvents = this.createEventFromFieldChanges(fieldChanges, currentMatch, matchId, timestamp);
+        events.push(...changeEvents);
       }
     }
 
@@ -221,77 +260,6 @@ class EventGeneratorService {
   }
 
 
-  /**
-   * Create specific events from a match-level change
-   * @param {Object} change - Match change from json-diff-ts
-   * @param {Map} matchMap - Map of current matches by ID
-   * @returns {Array} Array of generated events
-   */
-  createEventFromMatchChange(change, matchMap, timestamp = null) {
-    const { type, key, value, changes } = change;
-
-    switch (type) {
-    case 'ADD':
-      // New match added
-      if (value) {
-        const matchId = this.extractMatchId(value);
-        if (matchId) {
-          // Only create "started" event if match is actually in progress
-          const matchStatus = this.extractStatus(value);
-          if (matchStatus !== 'F' && matchStatus !== 'finished') {
-            return [this.createMatchStartedEvent(value, timestamp)];
-          } else {
-            console.log(`[EVENTS] Skipping match started event for ADD ${matchId} - match is already finished (status: ${matchStatus})`);
-            return [];
-          }
-        }
-      }
-      break;
-
-    case 'REMOVE':
-      // Match removed (finished)
-      if (value) {
-        const matchId = this.extractMatchId(value);
-        if (matchId) {
-          return [this.createMatchFinishedEvent(value, timestamp)];
-        }
-      }
-      break;
-
-    case 'UPDATE':
-      // Match field updated - look at nested changes
-      if (changes) {
-        let match = null;
-        let matchId = null;
-
-        // If key looks like a match ID (string), try to find it in the match map
-        if (typeof key === 'string' && matchMap.has(key)) {
-          match = matchMap.get(key);
-          matchId = key;
-        }
-        // Otherwise, try to find match by index in current data  
-        else if (typeof key === 'string' || typeof key === 'number') {
-          const matches = Array.from(matchMap.values());
-          const index = parseInt(key, 10);
-          if (!isNaN(index) && matches[index]) {
-            match = matches[index];
-            matchId = this.extractMatchId(match);
-          }
-        }
-
-        if (match && matchId && changes) {
-          return this.createEventFromFieldChanges(changes, match, matchId);
-        }
-      }
-      break;
-
-    default:
-      break;
-    }
-
-    return [];
-  }
-
   /**
    * Detect field changes between two match objects
    * @param {Object} previousMatch - Previous match state
@@ -324,6 +292,18 @@ class EventGeneratorService {
         });
       }
     }
+
+    // Point scores live on the player teams rather than in a single field
+    const oldPoints = this.extractPointScore(previousMatch);
+    const newPoints = this.extractPointScore(currentMatch);
+    if (oldPoints !== newPoints) {
+      changes.push({
+        field: 'points',
+        fieldPath: 'GameScore',
+        oldValue: oldPoints,
+        newValue: newPoints
+      });
+    }
     
     return changes;
   }
@@ -337,6 +317,18 @@ class EventGeneratorService {
    */
   createEventFromFieldChanges(changes, match, matchId, timestamp = null) {
     const events = [];
+
+    // Reconstruct the previous score state from the changes; unchanged fields keep their current value
+    const findChange = (field) => changes.find(change => change.field === field);
+    const scoreChange = findChange('score');
+    const pointsChange = findChange('points');
+    const serveChange = findChange('serve');
+    const previousScore = scoreChange ? scoreChange.oldValue : match.ResultString;
+    const previousPoints = pointsChange ? pointsChange.oldValue : this.extractPointScore(match);
+    // The server of the game just played, before any change of ends in this poll
+    const previousServer = this.parseServer(serveChange ? serveChange.oldValue : match.Serve);
+    const tiebreakStarted = !this.isMatchInTiebreak(previousScore, previousPoints) &&
+      this.isMatchInTiebreak(match.ResultString, this.extractPointScore(match));
     
     // Process each field change and generate appropriate events
     for (const fieldChange of changes) {
@@ -353,10 +345,36 @@ class EventGeneratorService {
           if (!event) {
             event = this.createScoreUpdateEvent(match, matchId, oldValue, newValue, timestamp);
           }
+        } else if (tiebreakStarted) {
+          event = this.createTiebreakStartedEvent(match, matchId, oldValue, newValue, timestamp);
+        } else if (this.isGameWin(oldValue, newValue)) {
+          event = this.createGameWonEvent(match, matchId, oldValue, newValue, previousServer, timestamp);
         } else {
           // Regular score update
           event = this.createScoreUpdateEvent(match, matchId, oldValue, newValue, timestamp);
         }
+
+        // Retirements, defaults and walkovers are reported in addition to the score change
+        if (!this.getRetirementReason(oldValue)) {
+          const retiredEvent = this.createPlayerRetiredEvent(match, matchId, newValue, match.Winner, timestamp);
+          if (retiredEvent) events.push(retiredEvent);
+        }
+      }
+
+      // Point score changes
+      else if (fieldName === 'points') {
+        if (tiebreakStarted && !scoreChange) {
+          event = this.createTiebreakStartedEvent(match, matchId, previousScore, match.ResultString, timestamp);
+        } else if (!tiebreakStarted && !this.isMatchInTiebreak(match.ResultString, newValue)) {
+          // Only a new break point is reported, not every point played while one is held
+          const server = this.parseServer(match.Serve);
+          const isDoubles = this.isDoublesMatch(match);
+          const holder = this.getBreakPointHolder(newValue, server, isDoubles);
+          const previousHolder = this.getBreakPointHolder(oldValue, previousServer, isDoubles);
+          if (holder && holder !== previousHolder) {
+            event = this.createBreakPointEvent(match, matchId, holder, server, newValue, timestamp);
+          }
+        }
       }
 
       // Court changes
@@ -367,10 +385,11 @@ class EventGeneratorService {
       // Status changes
       else if (fieldName === 'status') {
         // Special handling for 'F' (Finished) status
-        if (newValue === 'F' && !this.finishedMatches.has(matchId)) {
+        const finishedKey = this.getFinishedMatchKey(match, matchId);
+        if (newValue === 'F' && !this.finishedMatches.has(finishedKey)) {
           event = this.createMatchFinishedEvent(match, timestamp);
           if (event) {
-            this.finishedMatches.add(matchId);
+            this.markMatchFinished(finishedKey);
           }
         } else if (newValue !== 'F') {
           // For all other status changes, use the regular status change event
@@ -484,6 +503,200 @@ class EventGeneratorService {
     return false;
   }
 
+  /**
+   * Parse a score string into sets
+   * Accepts the ATP compact format ("64 36 21"), separated sets ("6-4, 3-6", "6/4 3/6") and
+   * tiebreak points, either attached ("76(5)") or following the set ("6-6 (3-2)")
+   * @param {string} score - Score string (ResultString)
+   * @returns {Array} Sets as {team1, team2, tiebreak} where tiebreak is [team1, team2] points or null
+   */
+  parseSets(score) {
+    if (typeof score !== 'string') {
+      return [];
+    }
+
+    const sets = [];
+    for (const token of score.trim().split(/[\s,]+/)) {
+      // Tiebreak points following the set they belong to: "(3-2)" or "[10-8]"
+      const tiebreakMatch = token.match(/^[([](\d+)-(\d+)[)\]]$/);
+      if (tiebreakMatch) {
+        if (sets.length > 0) {
+          sets[sets.length - 1].tiebreak = [parseInt(tiebreakMatch[1]), parseInt(tiebreakMatch[2])];
+        }
+        continue;
+      }
+
+      const setMatch = token.match(/^(\d{1,2})[-/](\d{1,2})(?:\(\d+\))?$/) || token.match(/^(\d)(\d)(?:\(\d+\))?$/);
+      if (setMatch) {
+        sets.push({ team1: parseInt(setMatch[1]), team2: parseInt(setMatch[2]), tiebreak: null });
+      }
+      // Anything else (RET, W/O, ...) is not a set score
+    }
+
+    return sets;
+  }
+
+  /**
+   * Get the game score of the set in progress
+   * @param {string} score - Score string (ResultString)
+   * @returns {Object|null} {team1, team2, setNumber} or null if the score has no sets
+   */
+  getCurrentGames(score) {
+    const sets = this.parseSets(score);
+    if (sets.length === 0) {
+      return null;
+    }
+
+    const currentSet = sets[sets.length - 1];
+    return { team1: currentSet.team1, team2: currentSet.team2, setNumber: sets.length };
+  }
+
+  /**
+   * Determine which team won a game between two scores of the same set
+   * @param {string} oldScore - Previous score
+   * @param {string} newScore - New score
+   * @returns {number|null} 1 or 2 indicating the game winner, or null if the change is not a single game
+   */
+  getGameWinner(oldScore, newScore) {
+    const oldGames = this.getCurrentGames(oldScore);
+    const newGames = this.getCurrentGames(newScore);
+    if (!oldGames || !newGames || oldGames.setNumber !== newGames.setNumber) {
+      return null;
+    }
+
+    if (newGames.team1 === oldGames.team1 + 1 && newGames.team2 === oldGames.team2) return 1;
+    if (newGames.team2 === oldGames.team2 + 1 && newGames.team1 === oldGames.team1) return 2;
+    return null;
+  }
+
+  /**
+   * Detect if score change represents a single game won within the current set
+   * @param {string} oldScore - Previous score
+   * @param {string} newScore - New score
+   * @returns {boolean} True if a game was won
+   */
+  isGameWin(oldScore, newScore) {
+    return this.getGameWinner(oldScore, newScore) !== null;
+  }
+
+  /**
+   * Check if the set in progress is in a tiebreak according to the score string
+   * @param {string} score - Score string (ResultString)
+   * @returns {boolean} True if tiebreak points are shown for a level set
+   */
+  isInTiebreak(score) {
+    const sets = this.parseSets(score);
+    const currentSet = sets[sets.length - 1];
+    return Boolean(currentSet && currentSet.tiebreak && currentSet.team1 === currentSet.team2);
+  }
+
+  /**
+   * Detect if score change represents the start of a tiebreak
+   * @param {string} oldScore - Previous score
+   * @param {string} newScore - New score
+   * @returns {boolean} True if a tiebreak started
+   */
+  isTiebreakStart(oldScore, newScore) {
+    return !this.isInTiebreak(oldScore) && this.isInTiebreak(newScore);
+  }
+
+  /**
+   * Check if a match is in a tiebreak from its score and point score
+   * The live feed may only show tiebreak points in GameScore, so a level set of 6 games or more
+   * with a point score outside 0/15/30/40/AD also counts as a tiebreak
+   * @param {string} score - Score string (ResultString)
+   * @param {string|null} points - Point score from extractPointScore
+   * @returns {boolean} True if a tiebreak is in progress
+   */
+  isMatchInTiebreak(score, points) {
+    if (this.isInTiebreak(score)) {
+      return true;
+    }
+
+    const games = this.getCurrentGames(score);
+    if (!points || !games || games.team1 !== games.team2 || games.team1 < 6) {
+      return false;
+    }
+
+    return points.split('-').some(value => !(value.toUpperCase() in TENNIS_POINTS));
+  }
+
+  /**
+   * Extract the point score of the game in progress from the player teams
+   * @param {Object} match - Live match object
+   * @returns {string|null} Point score as "team1-team2" (e.g. "30-40") or null if not available
+   */
+  extractPointScore(match) {
+    const team1Points = match?.PlayerTeam1?.GameScore;
+    const team2Points = match?.PlayerTeam2?.GameScore;
+    if (team1Points === undefined || team1Points === null || team1Points === '' ||
+        team2Points === undefined || team2Points === null || team2Points === '') {
+      return null;
+    }
+
+    return `${team1Points}-${team2Points}`;
+  }
+
+  /**
+   * Parse the Serve field into the serving team
+   * @param {*} serve - Serve field value
+   * @returns {number|null} 1 or 2 indicating the serving team, or null if unknown
+   */
+  parseServer(serve) {
+    const server = parseInt(serve);
+    return server === 1 || server === 2 ? server : null;
+  }
+
+  /**
+   * Check if a live match is a doubles match
+   * @param {Object} match - Live match object
+   * @returns {boolean} True for doubles
+   */
+  isDoublesMatch(match) {
+    return Boolean(match?.PlayerTeam1?.PartnerId || match?.PlayerTeam2?.PartnerId);
+  }
+
+  /**
+   * Determine which team holds break point
+   * Doubles are played with no-ad scoring, so 40-40 is a deciding point and a break point for the receivers
+   * @param {string|null} points - Point score as "team1-team2"
+   * @param {number|null} server - Serving team (1 or 2)
+   * @param {boolean} [isDoubles] - Whether the match is played with no-ad scoring
+   * @returns {number|null} 1 or 2 indicating the receiving team holding break point, or null
+   */
+  getBreakPointHolder(points, server, isDoubles = false) {
+    const breakPoints = this.countBreakPoints(points, server, isDoubles);
+    if (!breakPoints) {
+      return null;
+    }
+    return server === 1 ? 2 : 1;
+  }
+
+  /**
+   * Count the break points held by the receiving team (e.g. 3 at 0-40, 1 at 30-40 or advantage)
+   * @param {string|null} points - Point score as "team1-team2"
+   * @param {number|null} server - Serving team (1 or 2)
+   * @param {boolean} [isDoubles] - Whether the match is played with no-ad scoring
+   * @returns {number} Number of break points, 0 if none
+   */
+  countBreakPoints(points, server, isDoubles = false) {
+    if (!points || !server) {
+      return 0;
+    }
+
+    const values = points.split('-').map(value => TENNIS_POINTS[value.toUpperCase()]);
+    if (values.length !== 2 || values.some(value => value === undefined)) {
+      return 0;
+    }
+
+    const serverPoints = values[server - 1];
+    const receiverPoints = values[server === 1 ? 1 : 0];
+    if (receiverPoints === 4) return 1; // Advantage receiver
+    if (receiverPoints === 3 && serverPoints < 3) return receiverPoints - serverPoints;
+    if (isDoubles && receiverPoints === 3 && serverPoints === 3) return 1; // Deciding point
+    return 0;
+  }
+
 
 
   /**
@@ -592,26 +805,238 @@ class EventGeneratorService {
     const tournamentId = this.extractTournamentId(match);
     const playerNames = this.extractPlayerNames(match);
     const playerObjects = this.extractPlayersFromMatch(match);
-    const description = `Set completed: ${playerNames.join(' vs ')} - ${newScore}`;
-    
+    const description = `Set completed: ${playerNames.join(' vs ')} - ${newScore}`;
+    
+    return createEvent(
+      EVENT_TYPES.SET_COMPLETED,
+      tournamentId,
+      matchId,
+      description,
+      {
+        players: playerObjects,
+        previousScore: oldScore,
+        currentScore: newScore,
+        setWinner,
+        tournament: this.extractTournamentName(match),
+        round: this.extractRound(match)
+      },
+      { priority: EVENT_PRIORITY.HIGH, timestamp }
+    );
+  }
+
+
+  /**
+   * Create game won event
+   * @param {Object} match - Match object
+   * @param {string} matchId - Match ID
+   * @param {string} oldScore - Previous score
+   * @param {string} newScore - New score
+   * @param {number|null} server - Team that served the game (1 or 2)
+   * @returns {Object|null} Game won event
+   */
+  createGameWonEvent(match, matchId, oldScore, newScore, server, timestamp = null) {
+    const winner = this.getGameWinner(oldScore, newScore);
+    if (winner === null) {
+      return null;
+    }
+
+    const tournamentId = this.extractTournamentId(match);
+    const playerNames = this.extractPlayerNames(match);
+    const playerObjects = this.extractPlayersFromMatch(match);
+    const games = this.getCurrentGames(newScore);
+    const gameScore = `${games.team1}-${games.team2}`;
+    const isBreak = server !== null && winner !== server;
+    const description = isBreak
+      ? `Break of serve: ${playerNames[winner - 1]} breaks ${playerNames[server - 1]} - ${gameScore}`
+      : `Game won: ${playerNames[winner - 1]} - ${gameScore}`;
+
+    return createEvent(
+      EVENT_TYPES.GAME_WON,
+      tournamentId,
+      matchId,
+      description,
+      {
+        players: playerObjects,
+        gameWinner: winner,
+        server,
+        isBreak,
+        gameScore,
+        setNumber: games.setNumber,
+        previousScore: oldScore,
+        currentScore: newScore,
+        tournament: this.extractTournamentName(match),
+        round: this.extractRound(match)
+      },
+      { priority: isBreak ? EVENT_PRIORITY.HIGH : EVENT_PRIORITY.MEDIUM, timestamp }
+    );
+  }
+
+  /**
+   * Create break point event
+   * @param {Object} match - Match object
+   * @param {string} matchId - Match ID
+   * @param {number} holder - Receiving team holding break point (1 or 2)
+   * @param {number} server - Serving team (1 or 2)
+   * @param {string} points - Point score as "team1-team2"
+   * @returns {Object} Break point event
+   */
+  createBreakPointEvent(match, matchId, holder, server, points, timestamp = null) {
+    const tournamentId = this.extractTournamentId(match);
+    const playerNames = this.extractPlayerNames(match);
+    const playerObjects = this.extractPlayersFromMatch(match);
+    const games = this.getCurrentGames(match.ResultString);
+    const gameScore = games ? `${games.team1}-${games.team2}` : null;
+    const breakPoints = this.countBreakPoints(points, server, this.isDoublesMatch(match));
+    const count = breakPoints > 1 ? ` (${breakPoints} break points)` : '';
+    const description = `Break point: ${playerNames[holder - 1]} on ${playerNames[server - 1]}'s serve - ${points}${count}`;
+
+    return createEvent(
+      EVENT_TYPES.BREAK_POINT,
+      tournamentId,
+      matchId,
+      description,
+      {
+        players: playerObjects,
+        breakPointHolder: holder,
+        server,
+        breakPoints,
+        pointScore: points,
+        gameScore,
+        setNumber: games ? games.setNumber : null,
+        currentScore: this.extractScore(match),
+        tournament: this.extractTournamentName(match),
+        round: this.extractRound(match)
+      },
+      { priority: EVENT_PRIORITY.HIGH, timestamp }
+    );
+  }
+
+  /**
+   * Create tiebreak started event
+   * @param {Object} match - Match object
+   * @param {string} matchId - Match ID
+   * @param {string} oldScore - Previous score
+   * @param {string} newScore - New score
+   * @returns {Object} Tiebreak started event
+   */
+  createTiebreakStartedEvent(match, matchId, oldScore, newScore, timestamp = null) {
+    const tournamentId = this.extractTournamentId(match);
+    const playerNames = this.extractPlayerNames(match);
+    const playerObjects = this.extractPlayersFromMatch(match);
+    const games = this.getCurrentGames(newScore);
+    const gameScore = games ? `${games.team1}-${games.team2}` : null;
+    const setLabel = games ? ` - set ${games.setNumber}` : '';
+    const description = `Tiebreak started: ${playerNames.join(' vs ')}${setLabel}`;
+
+    return createEvent(
+      EVENT_TYPES.TIEBREAK_STARTED,
+      tournamentId,
+      matchId,
+      description,
+      {
+        players: playerObjects,
+        server: this.parseServer(match.Serve),
+        gameScore,
+        setNumber: games ? games.setNumber : null,
+        previousScore: oldScore,
+        currentScore: newScore,
+        tournament: this.extractTournamentName(match),
+        round: this.extractRound(match)
+      },
+      { priority: EVENT_PRIORITY.HIGH, timestamp }
+    );
+  }
+
+  /**
+   * Create player retired event for a live match that ended by retirement, default or walkover
+   * @param {Object} match - Match object
+   * @param {string} matchId - Match ID
+   * @param {string} score - Result string containing the retirement marker
+   * @param {number} [winner] - Winning team (1 or 2) if known
+   * @returns {Object|null} Player retired event, or null if the match was not retired or was already reported
+   */
+  createPlayerRetiredEvent(match, matchId, score, winner = null, timestamp = null) {
+    const reason = this.getRetirementReason(score);
+    const retiredKey = this.getFinishedMatchKey(match, matchId);
+    if (!reason || this.retiredMatches.has(retiredKey)) {
+      return null;
+    }
+    this.retiredMatches.add(retiredKey);
+
+    const tournamentId = this.extractTournamentId(match);
+    const playerNames = this.extractPlayerNames(match);
+    const playerObjects = this.extractPlayersFromMatch(match);
+    // The affected team is the one that did not win; unknown when the live feed has no winner yet
+    const winningTeam = winner === 1 || winner === 2 ? winner : null;
+    const affectedTeam = winningTeam ? 3 - winningTeam : null;
+    const affectedPlayers = affectedTeam ? playerObjects.filter(player => player.teamId === affectedTeam) : [];
+    const description = affectedTeam
+      ? `Player ${reason}: ${playerNames[affectedTeam - 1]} (${playerNames.join(' vs ')}) - ${score}`
+      : `Player ${reason}: ${playerNames.join(' vs ')} - ${score}`;
+
+    return createEvent(
+      EVENT_TYPES.PLAYER_RETIRED,
+      tournamentId,
+      matchId,
+      description,
+      {
+        players: playerObjects,
+        reason,
+        affectedTeam,
+        affectedPlayers,
+        score,
+        source: 'live',
+        tournament: this.extractTournamentName(match),
+        round: this.extractRound(match)
+      },
+      { priority: EVENT_PRIORITY.HIGH, timestamp }
+    );
+  }
+
+  /**
+   * Create match delayed event when a match starts later than scheduled
+   * @param {Object} match - Match object
+   * @param {string} matchId - Match ID
+   * @param {string} [timestamp] - Actual start time (defaults to now)
+   * @returns {Object|null} Match delayed event, or null if not scheduled or started within the threshold
+   */
+  createMatchDelayedEvent(match, matchId, timestamp = null) {
+    const tournamentId = this.extractTournamentId(match);
+    const scheduledStart = (tournamentId && this.scheduledStarts.get(`${tournamentId}:${matchId}`)) ||
+      this.scheduledStarts.get(matchId);
+    if (!scheduledStart) {
+      return null;
+    }
+
+    const actualStart = timestamp ? Date.parse(timestamp) : Date.now();
+    const delayMinutes = Math.floor((actualStart - scheduledStart) / 60000);
+    if (isNaN(delayMinutes) || delayMinutes < config.events.delayThreshold) {
+      return null;
+    }
+
+    const playerNames = this.extractPlayerNames(match);
+    const playerObjects = this.extractPlayersFromMatch(match);
+    const description = `Match delayed: ${playerNames.join(' vs ')} started ${delayMinutes} minutes after its scheduled time`;
+
     return createEvent(
-      EVENT_TYPES.SET_COMPLETED,
+      EVENT_TYPES.MATCH_DELAYED,
       tournamentId,
       matchId,
       description,
       {
         players: playerObjects,
-        previousScore: oldScore,
-        currentScore: newScore,
-        setWinner,
+        reason: 'late_start',
+        scheduledStart: new Date(scheduledStart).toISOString(),
+        actualStart: new Date(actualStart).toISOString(),
+        delayMinutes,
+        court: this.extractCourt(match),
         tournament: this.extractTournamentName(match),
         round: this.extractRound(match)
       },
-      { priority: EVENT_PRIORITY.HIGH, timestamp }
+      { priority: EVENT_PRIORITY.MEDIUM, timestamp }
     );
   }
 
-
   /**
    * Create court change event
    * @param {Object} match - Match object
@@ -837,6 +1262,60 @@ class EventGeneratorService {
   }
 
 
+  /**
+   * Create player retired event for a draw fixture decided by retirement, default or walkover
+   * @param {Object} fixture - Draw fixture object
+   * @param {Object} drawData - Original draw data
+   * @returns {Object|null} Player retired event, or null if the fixture was completed normally or already reported
+   */
+  createDrawPlayerRetiredEvent(fixture, drawData = null, timestamp = null) {
+    if (!fixture || !fixture._context) return null;
+
+    const reason = this.getRetirementReason(fixture.ResultString);
+    const tournamentId = fixture._context.tournamentId;
+    const matchCode = fixture.MatchCode;
+    const retiredKey = tournamentId ? `${tournamentId}:${matchCode}` : matchCode;
+    if (!reason || this.retiredMatches.has(retiredKey)) {
+      return null;
+    }
+    this.retiredMatches.add(retiredKey);
+
+    const { topPlayer, bottomPlayer } = this.extractPlayersFromFixture(fixture);
+    const flattenPlayers = (player) => {
+      if (Array.isArray(player)) return player;
+      return player ? [player] : [];
+    };
+    const affectedTeam = fixture.Winner === 1 ? 2 : 1;
+    const affectedPlayers = flattenPlayers(affectedTeam === 1 ? topPlayer : bottomPlayer);
+    const affectedNames = affectedPlayers.map(player => player.name).join('/') || 'Unknown Player';
+    const enhancedContext = this.createEnhancedTournamentContext(fixture, drawData);
+
+    return createEvent(
+      EVENT_TYPES.PLAYER_RETIRED,
+      tournamentId,
+      matchCode,
+      `Player ${reason}: ${affectedNames} - ${fixture.ResultString}`,
+      {
+        players: [...flattenPlayers(topPlayer), ...flattenPlayers(bottomPlayer)],
+        reason,
+        affectedTeam,
+        affectedPlayers,
+        score: fixture.ResultString,
+        source: 'draw',
+        tournament: enhancedContext?.tournament || {
+          id: tournamentId,
+          name: fixture._context.tournamentName
+        },
+        round: enhancedContext?.round || {
+          name: fixture._context.roundName,
+          code: this.getRoundCode(fixture._context.roundName, fixture._context.roundIdModernized)
+        }
+      },
+      { priority: EVENT_PRIORITY.HIGH, timestamp }
+    );
+  }
+
+
   /**
    * Create draw player advanced event
    * @param {Object} currentFixture - Current fixture
@@ -977,6 +1456,83 @@ class EventGeneratorService {
 
 
 
+  /**
+   * Extract one side of a draw fixture from its draw line
+   * @param {Object} drawLine - DrawLineTop or DrawLineBottom
+   * @param {Object} team - Matching Result.TeamTop or Result.TeamBottom, used for the seed when the draw line has none
+   * @param {number} teamId - Team identifier (1 for top, 2 for bottom)
+   * @returns {Object} {players, seed, entryType}
+   */
+  extractDrawLineSide(drawLine, team, teamId) {
+    const drawPlayers = drawLine?.Players || [];
+    const isDoubles = drawPlayers.length > 1;
+    const players = drawPlayers.map(player => ({
+      name: this.extractPlayerDataFromDrawFields(player, isDoubles).fullName,
+      playerId: player.PlayerId || null,
+      teamId
+    }));
+
+    return {
+      players,
+      seed: drawLine?.Seed || team?.Seed || null,
+      entryType: drawLine?.EntryType || team?.EntryType || null
+    };
+  }
+
+  /**
+   * Create draw semifinal/final set event
+   * @param {string} eventType - EVENT_TYPES.DRAW_SEMIFINAL_SET or EVENT_TYPES.DRAW_FINAL_SET
+   * @param {Array} fixtures - Fixtures of the round, all slots known
+   * @param {Object} drawData - Original draw data
+   * @returns {Object|null} Draw milestone event
+   */
+  createDrawMilestoneEvent(eventType, fixtures, drawData = null, timestamp = null) {
+    if (!fixtures || fixtures.length === 0 || !fixtures[0]._context) return null;
+
+    const context = fixtures[0]._context;
+    const matchups = fixtures
+      .slice()
+      .sort((a, b) => String(a.MatchCode).localeCompare(String(b.MatchCode)))
+      .map(fixture => ({
+        matchCode: fixture.MatchCode,
+        top: this.extractDrawLineSide(fixture.DrawLineTop, fixture.Result?.TeamTop, 1),
+        bottom: this.extractDrawLineSide(fixture.DrawLineBottom, fixture.Result?.TeamBottom, 2)
+      }));
+
+    const formatSide = (side) => {
+      const names = side.players.map(player => player.name).join('/') || 'Unknown';
+      return side.seed ? `${names} [${side.seed}]` : names;
+    };
+    const label = eventType === EVENT_TYPES.DRAW_FINAL_SET ? 'Final' : 'Semifinal line-up';
+    const lineUp = matchups.map(matchup => `${formatSide(matchup.top)} vs ${formatSide(matchup.bottom)}`).join(', ');
+    const description = `${label} set in ${context.eventDescription}: ${lineUp}`;
+
+    const enhancedContext = this.createEnhancedTournamentContext(fixtures[0], drawData);
+
+    return createEvent(
+      eventType,
+      context.tournamentId,
+      `round-${context.roundId}`,
+      description,
+      {
+        matchups,
+        players: matchups.flatMap(matchup => [...matchup.top.players, ...matchup.bottom.players]),
+        tournament: enhancedContext?.tournament || {
+          id: context.tournamentId,
+          name: context.tournamentName,
+          phase: 'main_draw',
+          eventType: context.eventType,
+          eventDescription: context.eventDescription
+        },
+        round: enhancedContext?.round || {
+          name: context.roundName,
+          code: this.getRoundCode(context.roundName, context.roundIdModernized)
+        }
+      },
+      { priority: EVENT_PRIORITY.HIGH, timestamp }
+    );
+  }
+
   /**
    * Create draw tournament completed event
    * @param {Object} fixture - Final fixture
@@ -1034,58 +1590,7 @@ class EventGeneratorService {
    * @returns {Array} Array of all fixtures with context
    */
   extractDrawFixtures(drawData) {
-    if (!drawData || !drawData.Associations) {
-      return [];
-    }
-
-    const allFixtures = [];
-    for (const association of drawData.Associations) {
-      if (association.Events) {
-        for (const event of association.Events) {
-          if (event.Rounds) {
-            for (const round of event.Rounds) {
-              if (round.Fixtures) {
-                for (const fixture of round.Fixtures) {
-                  // Add context information to fixture
-                  allFixtures.push({
-                    ...fixture,
-                    _context: {
-                      tournamentId: association.TournamentId,
-                      tournamentName: drawData.Location,
-                      eventType: event.EventTypeCode,
-                      eventDescription: event.Description,
-                      roundId: round.RoundId,
-                      roundName: round.RoundName,
-                      roundIdModernized: round.RoundIdModernized
-                    }
-                  });
-                }
-              }
-            }
-          }
-        }
-      }
-    }
-    
-    
-    return allFixtures;
-  }
-
-  /**
-   * Create fixture map keyed by MatchCode
-   * @param {Array} fixtures - Array of fixtures
-   * @returns {Map} Map of fixtures keyed by MatchCode
-   */
-  createDrawFixtureMap(fixtures) {
-    const map = new Map();
-    
-    fixtures.forEach(fixture => {
-      if (fixture.MatchCode) {
-        map.set(fixture.MatchCode, fixture);
-      }
-    });
-    
-    return map;
+    return extractDrawFixtures(drawData);
   }
 
   /**
@@ -1165,13 +1670,20 @@ class EventGeneratorService {
    * @returns {boolean} True if walkover/retirement
    */
   isWalkoverOrRetirement(resultString) {
-    if (!resultString) return false;
-    
+    return this.getRetirementReason(resultString) !== null;
+  }
+
+  /**
+   * Get the reason a match ended without being played out
+   * @param {string} resultString - Match result string (e.g. "6-4 3-2 RET", "W/O", "DEF")
+   * @returns {string|null} 'retired', 'default' or 'walkover', or null for a completed or ongoing match
+   */
+  getRetirementReason(resultString) {
+    if (typeof resultString !== 'string') return null;
+
     const result = resultString.toUpperCase();
-    return result.includes('W.O.') || 
-           result.includes('RET') || 
-           result.includes('WALKOVER') ||
-           result.includes('RETIRED');
+    const marker = RETIREMENT_MARKERS.find(({ pattern }) => pattern.test(result));
+    return marker ? marker.reason : null;
   }
 
   /**
@@ -1188,8 +1700,8 @@ class EventGeneratorService {
   }
 
   /**
-   * Process draw changes using fixture comparison
-   * @param {Array} changeset - Array of atomic changes (for compatibility)
+   * Process draw changes using per-fixture comparison
+   * @param {Object|Array} changeset - Entity changes from resolveChanges() (compared here if not provided)
    * @param {Object} currentData - Current draw data
    * @param {Object} previousData - Previous draw data for comparison
    * @returns {Array} Generated draw events
@@ -1206,37 +1718,43 @@ class EventGeneratorService {
       }
     }
 
-    // Extract fixtures from both datasets
-    const previousFixtures = this.extractDrawFixtures(previousData);
-    const currentFixtures = this.extractDrawFixtures(currentData);
-    
-    // Create maps for efficient comparison
-    const previousFixtureMap = this.createDrawFixtureMap(previousFixtures);
-    const currentFixtureMap = this.createDrawFixtureMap(currentFixtures);
-    
-    // Compare fixtures for changes
-    for (const [matchCode, currentFixture] of currentFixtureMap) {
-      const previousFixture = previousFixtureMap.get(matchCode);
+    const changes = changeset && changeset.index
+      ? changeset
+      : this.resolveChanges('/api/draws/live', currentData, previousData);
+    const { index, previousIndex } = changes;
+    const currentFixtures = index.values;
+    const previousFixtures = previousIndex.values;
+    
+    // Only fixtures whose hash changed can have a new result or a newly known player
+    for (const key of changes.updated) {
+      const { id: matchCode, value: currentFixture } = index.entities.get(key);
+      if (!matchCode) continue;
+      const previousFixture = previousIndex.entities.get(key).value;
+
+      // Check for match completion (normal or walkover)
+      if (previousFixture.Winner === 0 && currentFixture.Winner !== 0) {
+        const matchResultEvent = this.createDrawMatchResultEvent(currentFixture, currentData, timestamp);
+        if (matchResultEvent) events.push(matchResultEvent);
+
+        const retiredEvent = this.createDrawPlayerRetiredEvent(currentFixture, currentData, timestamp);
+        if (retiredEvent) events.push(retiredEvent);
+      }
       
-      if (previousFixture) {
-        // Check for match completion (normal or walkover)
-        if (previousFixture.Winner === 0 && currentFixture.Winner !== 0) {
-          const matchResultEvent = this.createDrawMatchResultEvent(currentFixture, currentData, timestamp);
-          if (matchResultEvent) events.push(matchResultEvent);
-        }
-        
-        // Check for player advancement (IsTopKnown/IsBottomKnown changes)
-        if ((!previousFixture.IsTopKnown && currentFixture.IsTopKnown) ||
-            (!previousFixture.IsBottomKnown && currentFixture.IsBottomKnown)) {
-          const advancementEvent = this.createDrawPlayerAdvancedEvent(currentFixture, previousFixture, currentData, timestamp);
-          if (advancementEvent) events.push(advancementEvent);
-        }
+      // Check for player advancement (IsTopKnown/IsBottomKnown changes)
+      if ((!previousFixture.IsTopKnown && currentFixture.IsTopKnown) ||
+          (!previousFixture.IsBottomKnown && currentFixture.IsBottomKnown)) {
+        const advancementEvent = this.createDrawPlayerAdvancedEvent(currentFixture, previousFixture, currentData, timestamp);
+        if (advancementEvent) events.push(advancementEvent);
       }
     }
     
     // Check for round completion and special draw events
     const roundEvents = this.checkForRoundCompletionEvents(currentFixtures, previousFixtures, currentData, timestamp);
     events.push(...roundEvents);
+
+    // Check for semifinal and final line-ups becoming known
+    const milestoneEvents = this.checkForDrawMilestoneEvents(currentFixtures, previousFixtures, currentData, timestamp);
+    events.push(...milestoneEvents);
     
     console.log(`[EVENTS] Generated ${events.length} draw events`);
     return events;
@@ -1278,6 +1796,49 @@ class EventGeneratorService {
     return events;
   }
 
+  /**
+   * Check for the semifinal or final line-up of a draw becoming fully known
+   * Fixtures are grouped per tournament and event so singles and doubles draws are tracked separately
+   * @param {Array} currentFixtures - Current fixtures
+   * @param {Array} previousFixtures - Previous fixtures
+   * @param {Object} drawData - Original draw data
+   * @returns {Array} Semifinal/final set events
+   */
+  checkForDrawMilestoneEvents(currentFixtures, previousFixtures, drawData = null, timestamp = null) {
+    const events = [];
+    const milestones = { SF: EVENT_TYPES.DRAW_SEMIFINAL_SET, F: EVENT_TYPES.DRAW_FINAL_SET };
+
+    const groupByDrawRound = (fixtures) => {
+      const groups = new Map();
+      for (const fixture of fixtures) {
+        const context = fixture._context || {};
+        const roundCode = this.getRoundCode(context.roundName, context.roundIdModernized);
+        if (!milestones[roundCode]) continue;
+
+        const key = `${context.tournamentId}:${context.eventType}:${roundCode}`;
+        if (!groups.has(key)) {
+          groups.set(key, { roundCode, fixtures: [] });
+        }
+        groups.get(key).fixtures.push(fixture);
+      }
+      return groups;
+    };
+
+    const isLineUpSet = (fixtures) => fixtures.length > 0 &&
+      fixtures.every(fixture => fixture.IsTopKnown && fixture.IsBottomKnown);
+
+    const previousGroups = groupByDrawRound(previousFixtures);
+    for (const [key, { roundCode, fixtures }] of groupByDrawRound(currentFixtures)) {
+      const previousGroup = previousGroups.get(key);
+      if (isLineUpSet(fixtures) && !(previousGroup && isLineUpSet(previousGroup.fixtures))) {
+        const milestoneEvent = this.createDrawMilestoneEvent(milestones[roundCode], fixtures, drawData, timestamp);
+        if (milestoneEvent) events.push(milestoneEvent);
+      }
+    }
+
+    return events;
+  }
+
   /**
    * Create enhanced tournament context from fixture context and draw data
    * @param {Object} fixture - Fixture with _context
@@ -1414,100 +1975,71 @@ class EventGeneratorService {
   }
 
   /**
-   * Determine the best key field to use for array comparison
-   * @param {Array} matches - Array of match objects
-   * @returns {string|null} Best key field name or null if none found
+   * Extract all matches from live matches data with their tournament context
+   * @param {Object|Array} data - Live matches data
+   * @returns {Array} Matches
    */
-  determineBestKeyField(matches) {
-    if (!matches || matches.length === 0) {
-      return 'MatchId'; // Default to production ATP API format
+  extractMatches(data) {
+    const matches = extractLiveMatches(data);
+    if (!matches) {
+      console.warn('[EVENTS] Unable to extract matches from data structure:', Object.keys(data));
+      return [];
     }
+    return matches;
+  }
 
-    // Check for consistency of different ID field names across all matches
-    // Order by preference: production format first, then common alternatives
-    const keyFields = ['MatchId', 'matchId', 'id', 'Id', 'match_id'];
+  extractMatchId(match) {
+    if (!match) return null;
     
-    for (const keyField of keyFields) {
-      // Check if ALL matches have this field and it's unique
-      const hasField = matches.every(match => match && match[keyField]);
-      if (hasField) {
-        // Check for uniqueness
-        const values = matches.map(match => match[keyField]);
-        const uniqueValues = new Set(values);
-        if (uniqueValues.size === values.length) {
-          return keyField; // Found a consistent, unique key field
-        }
-      }
-    }
+    // ATP API format: MatchId field
+    return match.MatchId || null;
+  }
 
-    // If we can't find a perfect match, use the most common ID field
-    // Count how many matches use each field type
-    const fieldCounts = {};
-    keyFields.forEach(field => {
-      fieldCounts[field] = matches.filter(match => match && match[field]).length;
-    });
-    
-    // Return the field that appears in the most matches, defaulting to MatchId
-    const mostCommonField = Object.keys(fieldCounts).reduce((a, b) => 
-      fieldCounts[a] > fieldCounts[b] ? a : b, 'MatchId');
-    
-    return fieldCounts[mostCommonField] > 0 ? mostCommonField : 'MatchId';
+  /**
+   * Key used to track finished matches
+   * Match IDs are only unique within a tournament, so the tournament ID is included when known
+   * @param {Object} match - Match object
+   * @param {string} matchId - Match ID
+   * @returns {string} Finished match key
+   */
+  getFinishedMatchKey(match, matchId) {
+    const tournamentId = this.extractTournamentId(match);
+    return tournamentId ? `${tournamentId}:${matchId}` : matchId;
   }
 
-  // Keep existing utility methods from original implementation
-  extractMatches(data) {
-    if (!data) return [];
-    
-    if (Array.isArray(data)) {
-      return data;
-    }
-    
-    // Handle nested ATP API structure: TournamentMatches[0].Matches[n]
-    if (data.TournamentMatches && Array.isArray(data.TournamentMatches)) {
-      const allMatches = [];
-      for (const tournament of data.TournamentMatches) {
-        if (tournament.Matches && Array.isArray(tournament.Matches)) {
-          // This is the nested structure - extract matches and preserve tournament context
-          const matchesWithTournamentInfo = tournament.Matches.map(match => ({
-            ...match,
-            // Preserve tournament information from parent context
-            _tournamentName: tournament.TournamentDisplayName,
-            _tournamentId: tournament.TournamentId,
-            _tournamentType: tournament.TournamentType,
-            _tournamentLevel: tournament.TournamentLevel,
-            _tournamentYear: tournament.TournamentYear
-          }));
-          allMatches.push(...matchesWithTournamentInfo);
-        } else if (tournament.MatchId) {
-          // This is the flat structure - tournament objects are actually matches
-          allMatches.push(tournament);
-        }
-      }
-      return allMatches;
-    }
-    
-    console.warn('[EVENTS] Unable to extract matches from data structure:', Object.keys(data));
-    return [];
+  /**
+   * Remember that a match finished and forget its scheduled start
+   * @param {string} finishedKey - Key from getFinishedMatchKey()
+   */
+  markMatchFinished(finishedKey) {
+    this.finishedMatches.add(finishedKey);
+    this.scheduledStarts.delete(finishedKey);
   }
 
-  createMatchMap(matches) {
-    const map = new Map();
-    
-    matches.forEach(match => {
-      const matchId = this.extractMatchId(match);
-      if (matchId) {
-        map.set(matchId, match);
+  /**
+   * Give repeated occurrences of the same transition in a match their own event IDs
+   * Counts are kept per match and saved with the generator state, so replaying the same polls
+   * reproduces the same IDs; they are dropped once the match has finished
+   * @param {Array} events - Events generated from one poll (event_id is updated in place)
+   */
+  assignOccurrences(events) {
+    for (const event of events) {
+      const matchKey = event.tournament_id ? `${event.tournament_id}:${event.match_id}` : event.match_id;
+      let counts = this.eventOccurrences.get(matchKey);
+      if (!counts) {
+        counts = new Map();
+        this.eventOccurrences.set(matchKey, counts);
       }
-    });
-    
-    return map;
-  }
 
-  extractMatchId(match) {
-    if (!match) return null;
-    
-    // ATP API format: MatchId field
-    return match.MatchId || null;
+      const occurrence = (counts.get(event.event_id) || 0) + 1;
+      counts.set(event.event_id, occurrence);
+      if (occurrence > 1) {
+        event.event_id = generateEventId(event.event_type, event.tournament_id, event.match_id, event.data, occurrence);
+      }
+      if (event.event_type === EVENT_TYPES.MATCH_FINISHED) {
+        this.eventOccurrences.delete(matchKey);
+      }
+    }
   }
 
   extractTournamentId(match) {
@@ -1738,6 +2270,54 @@ class EventGeneratorService {
     return match.CourtName || 'Unknown Court';
   }
 
+  /**
+   * Index scheduled start times from schedule data for delay detection
+   * Times without a UTC offset are local to the venue: they get config.events.scheduleUtcOffset, or are
+   * skipped when it is not set. Time-only values ("11:00") use the day of the schedule entry.
+   * Finished matches are not indexed again
+   * @param {Object} scheduleData - /api/schedules data with DailySchedule[].Matches[]
+   */
+  updateScheduledStarts(scheduleData) {
+    if (!scheduleData || !Array.isArray(scheduleData.DailySchedule)) {
+      return;
+    }
+
+    const venueOffset = UTC_OFFSET.test(config.events.scheduleUtcOffset || '')
+      ? config.events.scheduleUtcOffset.replace(/^([+-]\d{2})(\d{2})$/, '$1:$2')
+      : null;
+
+    for (const day of scheduleData.DailySchedule) {
+      const dayDate = typeof day.IsoDate === 'string' ? day.IsoDate.slice(0, 10) : null;
+      for (const match of day.Matches || []) {
+        const matchId = match.MatchId || match.matchId;
+        const field = SCHEDULED_START_FIELDS.find(name => typeof match[name] === 'string' && match[name]);
+        if (!matchId || !field) {
+          continue; // "Followed by" matches have no scheduled time
+        }
+
+        let value = match[field];
+        if (/^\d{1,2}:\d{2}/.test(value)) {
+          if (!dayDate) continue;
+          value = `${dayDate}T${value.replace(/^(\d):/, '0$1:')}`;
+        }
+        const hasOffset = TRAILING_UTC_OFFSET.test(value);
+        if (!hasOffset && !venueOffset) {
+          continue;
+        }
+        const scheduledStart = Date.parse(hasOffset ? value : `${value}${venueOffset}`);
+        if (isNaN(scheduledStart)) {
+          continue;
+        }
+
+        const tournamentId = match.TournamentId || scheduleData.TournamentId;
+        const key = tournamentId ? `${tournamentId}:${matchId}` : matchId;
+        if (!this.finishedMatches.has(key)) {
+          this.scheduledStarts.set(key, scheduledStart);
+        }
+      }
+    }
+  }
+
   setEnabled(enabled) {
     this.isEnabled = enabled;
   }
@@ -1745,6 +2325,154 @@ class EventGeneratorService {
   clearStates() {
     this.previousStates.clear();
     this.finishedMatches.clear();
+    this.retiredMatches.clear();
+    this.scheduledStarts.clear();
+    this.eventOccurrences.clear();
+    this.scheduleStateSave();
+  }
+
+  /**
+   * Clear stored states for a single tournament's scoped endpoints
+   * @param {string} tournamentId - Tournament ID
+   */
+  clearTournamentStates(tournamentId) {
+    for (const endpoint of Array.from(this.previousStates.keys())) {
+      if (parseScopedEndpoint(endpoint).tournamentId === tournamentId) {
+        this.previousStates.delete(endpoint);
+      }
+    }
+    for (const map of [this.scheduledStarts, this.eventOccurrences]) {
+      for (const key of Array.from(map.keys())) {
+        if (key.startsWith(`${tournamentId}:`)) {
+          map.delete(key);
+        }
+      }
+    }
+    this.scheduleStateSave();
+  }
+
+  // ===== STATE PERSISTENCE =====
+
+  /**
+   * Snapshot the state needed to continue event generation after a restart
+   * @returns {Object} Serializable state snapshot
+   */
+  exportState() {
+    return {
+      version: STATE_VERSION,
+      savedAt: new Date().toISOString(),
+      previousStates: Array.from(this.previousStates.entries()),
+      finishedMatches: Array.from(this.finishedMatches),
+      retiredMatches: Array.from(this.retiredMatches),
+      scheduledStarts: Array.from(this.scheduledStarts.entries()),
+      eventOccurrences: Array.from(this.eventOccurrences, ([matchKey, counts]) => [matchKey, Array.from(counts.entries())])
+    };
+  }
+
+  /**
+   * Replace the current state with a snapshot
+   * @param {Object} snapshot - Snapshot from exportState()
+   * @returns {boolean} True if the snapshot was valid and applied
+   */
+  importState(snapshot) {
+    if (!snapshot || snapshot.version !== STATE_VERSION || !Array.isArray(snapshot.previousStates)) {
+      return false;
+    }
+
+    this.previousStates = new Map(snapshot.previousStates);
+    this.finishedMatches = new Set(snapshot.finishedMatches || []);
+    this.retiredMatches = new Set(snapshot.retiredMatches || []);
+    this.scheduledStarts = new Map(snapshot.scheduledStarts || []);
+    this.eventOccurrences = new Map((snapshot.eventOccurrences || []).map(([matchKey, counts]) => [matchKey, new Map(counts)]));
+    return true;
+  }
+
+  /**
+   * Restore the state saved by the previous run and start saving snapshots
+   * Without a persistent cache provider (memory, disabled cache) generation starts from a baseline as before.
+   * Snapshots older than EVENTS_STATE_MAX_AGE are ignored, so a long outage does not replay a day of changes.
+   * @returns {Promise<boolean>} True if a snapshot was restored
+   */
+  async restoreState() {
+    const providerType = cacheService.getProviderType();
+    if (!this.isEnabled || !config.events.state.enabled) {
+      return false;
+    }
+    if (!PERSISTENT_CACHE_PROVIDERS.includes(providerType)) {
+      console.log(`[EVENTS] Generator state is not persisted with the ${providerType || 'uninitialized'} cache provider`);
+      return false;
+    }
+
+    this.persistence.active = true;
+    let snapshot;
+    try {
+      snapshot = await cacheService.get(STATE_CACHE_KEY);
+    } catch (error) {
+      console.error('[EVENTS] Failed to load generator state:', error.message);
+      return false;
+    }
+    if (!snapshot) {
+      console.log('[EVENTS] No saved generator state, the first poll of each endpoint is a baseline');
+      return false;
+    }
+
+    const age = (Date.now() - Date.parse(snapshot.savedAt)) / 1000;
+    if (!(age <= config.events.state.maxAge)) {
+      console.log(`[EVENTS] Ignoring generator state saved at ${snapshot.savedAt} (older than ${config.events.state.maxAge}s)`);
+      return false;
+    }
+    if (!this.importState(snapshot)) {
+      console.warn('[EVENTS] Ignoring unreadable generator state snapshot');
+      return false;
+    }
+
+    this.persistence.restoredAt = new Date().toISOString();
+    console.log(`[EVENTS] Restored generator state saved at ${snapshot.savedAt}: ${this.previousStates.size} endpoint(s), ${this.finishedMatches.size} finished match(es)`);
+    return true;
+  }
+
+  /**
+   * Save a snapshot after the save interval, unless one is already scheduled
+   */
+  scheduleStateSave() {
+    if (!this.persistence.active || this.persistence.saveTimer) {
+      return;
+    }
+
+    this.persistence.saveTimer = setTimeout(() => {
+      this.persistence.saveTimer = null;
+      this.saveState();
+    }, config.events.state.saveInterval);
+    this.persistence.saveTimer.unref();
+  }
+
+  /**
+   * Save a state snapshot to the cache provider now
+   * @returns {Promise<boolean>} True if the snapshot was saved
+   */
+  async saveState() {
+    if (this.persistence.saveTimer) {
+      clearTimeout(this.persistence.saveTimer);
+      this.persistence.saveTimer = null;
+    }
+    if (!this.persistence.active) {
+      return false;
+    }
+
+    try {
+      // Overwrite: the filesystem provider is write-once for API responses
+      const saved = await cacheService.set(STATE_CACHE_KEY, this.exportState(), config.events.state.maxAge, { overwrite: true });
+      if (!saved) {
+        throw new Error('cache provider rejected the snapshot');
+      }
+      this.persistence.saves++;
+      this.persistence.lastSavedAt = new Date().toISOString();
+      return true;
+    } catch (error) {
+      this.persistence.saveErrors++;
+      console.error('[EVENTS] Failed to save generator state:', error.message);
+      return false;
+    }
   }
 
   getStats() {
@@ -1752,7 +2480,15 @@ class EventGeneratorService {
       enabled: this.isEnabled,
       trackedEndpoints: Array.from(this.previousStates.keys()),
       totalStates: this.previousStates.size,
-      implementation: 'json-diff-ts'
+      scheduledMatches: this.scheduledStarts.size,
+      persistence: {
+        active: this.persistence.active,
+        restoredAt: this.persistence.restoredAt,
+        lastSavedAt: this.persistence.lastSavedAt,
+        saves: this.persistence.saves,
+        saveErrors: this.persistence.saveErrors
+      },
+      implementation: 'entity-hash'
     };
   }
 }
@@ -1,6 +1,8 @@
 const { validateEvent } = require('../types/events');
 const config = require('../config');
 const webhookClient = require('./webhookClient');
+const eventStore = require('./eventStore');
+const eventSubscriptionService = require('./eventSubscriptionService');
 
 /**
  * Event output service for handling generated events
@@ -16,11 +18,17 @@ class EventOutputService {
       this.outputHandlers.push(this.consoleOutput.bind(this));
     }
 
-    // Add webhook output handler if enabled
-    if (config.events.webhookUrl && config.events.webhookSecret) {
-      this.outputHandlers.push(this.webhookOutput.bind(this));
-      console.log('[EVENTS] Webhook output handler enabled');
+    // Webhook handler is always registered since destinations can be added at runtime;
+    // events are only queued for enabled destinations whose filter accepts them
+    this.outputHandlers.push(this.webhookOutput.bind(this));
+
+    // Add event store handler if enabled (writes start once the store is initialized)
+    if (config.eventStore.enabled) {
+      this.outputHandlers.push(this.storeOutput.bind(this));
     }
+
+    // WebSocket handler is always registered; it is a no-op until sockets subscribe to events
+    this.outputHandlers.push(this.websocketOutput.bind(this));
   }
 
   /**
@@ -79,7 +87,7 @@ class EventOutputService {
   }
 
   /**
-   * Webhook output handler - sends events to configured webhook endpoint
+   * Webhook output handler - sends events to the configured webhook destinations
    * @param {Array} events - Array of valid events
    */
   webhookOutput(events) {
@@ -91,6 +99,22 @@ class EventOutputService {
     }
   }
 
+  /**
+   * Event store output handler - persists events for GET /api/events
+   * @param {Array} events - Array of valid events
+   */
+  storeOutput(events) {
+    eventStore.append(events);
+  }
+
+  /**
+   * WebSocket output handler - pushes events to sockets subscribed via subscribe-events
+   * @param {Array} events - Array of valid events
+   */
+  websocketOutput(events) {
+    eventSubscriptionService.dispatch(events);
+  }
+
   /**
    * Add a new output handler
    * @param {Function} handler - Function that takes array of events
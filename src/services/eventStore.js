@@ -0,0 +1,347 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+
+const FILE_PATTERN = /^events-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+/**
+ * Durable event store
+ * Persists every event passing through eventOutput to append-only daily JSONL files
+ * (events-YYYY-MM-DD.jsonl) and keeps an in-memory index of byte offsets, rebuilt from
+ * the files at startup, so queries only read the matching lines. The index holds the newest
+ * maxIndexedEvents events; older ones stay on disk until retention deletes them
+ */
+class EventStoreService {
+  constructor() {
+    this.isEnabled = config.eventStore.enabled;
+    this.dir = config.eventStore.dir;
+    this.retentionDays = config.eventStore.retentionDays;
+    this.maxIndexedEvents = config.eventStore.maxIndexedEvents;
+
+    // Index entries in sequence order: { seq, file, offset, length, eventType, tournamentId, matchId, priority, time }
+    this.index = [];
+    // File name -> current size in bytes
+    this.fileSizes = new Map();
+    this.nextSeq = 1;
+    this.initialized = false;
+    // Appends, queries and cleanup are serialized so offsets stay consistent and
+    // no file is deleted while it is being read
+    this.writeQueue = Promise.resolve();
+    this.stats = {
+      stored: 0,
+      writeErrors: 0,
+      evicted: 0
+    };
+  }
+
+  /**
+   * Create the store directory, apply retention and rebuild the index from existing files
+   * Events are only persisted once the store is initialized
+   * @param {Object} [options] - Overrides for testing
+   * @param {string} [options.dir] - Store directory
+   * @param {number} [options.retentionDays] - Days of files to keep
+   * @param {number} [options.maxIndexedEvents] - Events kept in the index
+   * @returns {Promise<void>}
+   */
+  async initialize(options = {}) {
+    if (!this.isEnabled) {
+      console.log('[EVENT STORE] Disabled (EVENT_STORE_ENABLED=false)');
+      return;
+    }
+
+    await this.enqueue(async () => {
+      this.dir = options.dir || this.dir;
+      this.retentionDays = options.retentionDays || this.retentionDays;
+      this.maxIndexedEvents = options.maxIndexedEvents || this.maxIndexedEvents;
+
+      await fs.mkdir(this.dir, { recursive: true });
+      await this.deleteExpiredFiles();
+      await this.rebuildIndex();
+      this.initialized = true;
+    });
+
+    console.log(`[EVENT STORE] Loaded ${this.index.length} events from ${this.dir}`);
+  }
+
+  /**
+   * Run a task after every queued append, query and cleanup
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result; a failure does not block later tasks
+   */
+  enqueue(task) {
+    const result = this.writeQueue.then(task);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Drop the oldest index entries beyond maxIndexedEvents
+   */
+  trimIndex() {
+    const excess = this.index.length - this.maxIndexedEvents;
+    if (excess > 0) {
+      this.index.splice(0, excess);
+      this.stats.evicted += excess;
+    }
+  }
+
+  /**
+   * Rebuild the in-memory index by scanning the store files
+   * @returns {Promise<void>}
+   */
+  async rebuildIndex() {
+    this.index = [];
+    this.fileSizes.clear();
+    this.nextSeq = 1;
+
+    for (const file of await this.listFiles()) {
+      const content = await fs.readFile(path.join(this.dir, file));
+      this.fileSizes.set(file, content.length);
+
+      let offset = 0;
+      while (offset < content.length) {
+        let end = content.indexOf(0x0a, offset);
+        if (end === -1) end = content.length;
+        const length = end - offset;
+
+        if (length > 0) {
+          try {
+            const record = JSON.parse(content.toString('utf8', offset, end));
+            this.index.push(this.createIndexEntry(record, file, offset, length));
+            this.nextSeq = Math.max(this.nextSeq, record.seq + 1);
+          } catch (error) {
+            // A partial line from an interrupted write is skipped
+            console.warn(`[EVENT STORE] Skipping unreadable line at ${file}:${offset}`);
+          }
+        }
+        offset = end + 1;
+      }
+    }
+
+    this.index.sort((a, b) => a.seq - b.seq);
+    this.trimIndex();
+  }
+
+  /**
+   * Build an index entry for a stored record
+   * @param {Object} record - Stored record { seq, stored_at, event }
+   * @param {string} file - Store file name
+   * @param {number} offset - Byte offset of the line
+   * @param {number} length - Byte length of the line
+   * @returns {Object} Index entry
+   */
+  createIndexEntry(record, file, offset, length) {
+    const { event } = record;
+    return {
+      seq: record.seq,
+      file,
+      offset,
+      length,
+      eventType: event.event_type,
+      tournamentId: event.tournament_id,
+      matchId: event.match_id,
+      priority: event.priority,
+      time: Date.parse(event.event_timestamp)
+    };
+  }
+
+  /**
+   * List store files, oldest first
+   * @returns {Promise<Array<string>>} File names
+   */
+  async listFiles() {
+    const entries = await fs.readdir(this.dir);
+    return entries.filter(file => FILE_PATTERN.test(file)).sort();
+  }
+
+  /**
+   * Persist events (called by the eventOutput store handler)
+   * @param {Array} events - Validated events
+   * @returns {Promise<void>} Resolves when the events are written
+   */
+  append(events) {
+    if (!this.initialized || !events || events.length === 0) {
+      return Promise.resolve();
+    }
+
+    return this.enqueue(() => this.writeEvents(events))
+      .catch(error => {
+        this.stats.writeErrors++;
+        console.error('[EVENT STORE] Failed to persist events:', error.message);
+      });
+  }
+
+  /**
+   * Append events to today's file and index them
+   * @param {Array} events - Events to write
+   * @returns {Promise<void>}
+   */
+  async writeEvents(events) {
+    const storedAt = new Date().toISOString();
+    const file = `events-${storedAt.slice(0, 10)}.jsonl`;
+    let offset = this.fileSizes.get(file) || 0;
+
+    const entries = [];
+    const lines = events.map(event => {
+      const record = { seq: this.nextSeq++, stored_at: storedAt, event };
+      const line = JSON.stringify(record);
+      const length = Buffer.byteLength(line);
+      entries.push(this.createIndexEntry(record, file, offset, length));
+      offset += length + 1;
+      return line;
+    });
+
+    await fs.appendFile(path.join(this.dir, file), `${lines.join('\n')}\n`);
+    this.fileSizes.set(file, offset);
+    this.index.push(...entries);
+    this.trimIndex();
+    this.stats.stored += entries.length;
+  }
+
+  /**
+   * Query stored events
+   * @param {Object} [filters] - Query filters
+   * @param {string} [filters.tournamentId] - Tournament ID
+   * @param {string} [filters.matchId] - Match ID
+   * @param {Array<string>} [filters.eventTypes] - Event types
+   * @param {Array<string>} [filters.priorities] - Priorities
+   * @param {number} [filters.from] - Earliest event timestamp (ms, inclusive)
+   * @param {number} [filters.to] - Latest event timestamp (ms, inclusive)
+   * @param {number} [filters.cursor] - Sequence number of the last event of the previous page
+   * @param {number} [filters.limit] - Page size
+   * @param {string} [filters.order] - 'desc' (newest first, default) or 'asc'
+   * @returns {Promise<Object>} { events, nextCursor, hasMore }
+   */
+  query(filters = {}) {
+    return this.enqueue(() => this.runQuery(filters));
+  }
+
+  /**
+   * Select and read the events of a query (runs in the write queue, see query)
+   * @param {Object} filters - Query filters
+   * @returns {Promise<Object>} { events, nextCursor, hasMore }
+   */
+  async runQuery(filters) {
+    const limit = filters.limit || config.eventStore.defaultLimit;
+    const ascending = filters.order === 'asc';
+    const matches = (entry) =>
+      (!filters.tournamentId || entry.tournamentId === filters.tournamentId) &&
+      (!filters.matchId || entry.matchId === filters.matchId) &&
+      (!filters.eventTypes || filters.eventTypes.includes(entry.eventType)) &&
+      (!filters.priorities || filters.priorities.includes(entry.priority)) &&
+      (filters.from === undefined || entry.time >= filters.from) &&
+      (filters.to === undefined || entry.time <= filters.to);
+
+    const selected = [];
+    let hasMore = false;
+    for (let i = 0; i < this.index.length; i++) {
+      const entry = this.index[ascending ? i : this.index.length - 1 - i];
+      if (filters.cursor !== undefined && (ascending ? entry.seq <= filters.cursor : entry.seq >= filters.cursor)) {
+        continue;
+      }
+      if (!matches(entry)) {
+        continue;
+      }
+      if (selected.length === limit) {
+        hasMore = true;
+        break;
+      }
+      selected.push(entry);
+    }
+
+    const events = await this.readEntries(selected);
+    return {
+      events,
+      nextCursor: hasMore ? selected[selected.length - 1].seq : null,
+      hasMore
+    };
+  }
+
+  /**
+   * Read the stored records of index entries
+   * @param {Array} entries - Index entries
+   * @returns {Promise<Array>} Events with seq and stored_at, in entry order
+   */
+  async readEntries(entries) {
+    const handles = new Map();
+    try {
+      const records = [];
+      for (const entry of entries) {
+        if (!handles.has(entry.file)) {
+          handles.set(entry.file, await fs.open(path.join(this.dir, entry.file), 'r'));
+        }
+        const buffer = Buffer.alloc(entry.length);
+        await handles.get(entry.file).read(buffer, 0, entry.length, entry.offset);
+        const record = JSON.parse(buffer.toString('utf8'));
+        records.push({ seq: record.seq, stored_at: record.stored_at, ...record.event });
+      }
+      return records;
+    } finally {
+      for (const handle of handles.values()) {
+        await handle.close();
+      }
+    }
+  }
+
+  /**
+   * Delete store files older than the retention period and drop their index entries
+   * Waits for pending appends and queries, so no file is deleted while it is read
+   * @returns {Promise<number>} Number of files deleted
+   */
+  cleanup() {
+    return this.enqueue(() => this.deleteExpiredFiles());
+  }
+
+  /**
+   * Delete expired store files (runs in the write queue, see cleanup)
+   * @returns {Promise<number>} Number of files deleted
+   */
+  async deleteExpiredFiles() {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    let deleted = 0;
+
+    for (const file of await this.listFiles()) {
+      const [, date] = file.match(FILE_PATTERN);
+      if (date < cutoff) {
+        await fs.unlink(path.join(this.dir, file));
+        this.fileSizes.delete(file);
+        deleted++;
+      }
+    }
+
+    if (deleted > 0) {
+      this.index = this.index.filter(entry => this.fileSizes.has(entry.file));
+      console.log(`[EVENT STORE] Deleted ${deleted} file(s) older than ${this.retentionDays} days`);
+    }
+    return deleted;
+  }
+
+  /**
+   * Wait for pending writes to finish
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.writeQueue;
+  }
+
+  /**
+   * Get store statistics
+   * @returns {Object} Store stats
+   */
+  getStats() {
+    return {
+      enabled: this.isEnabled,
+      initialized: this.initialized,
+      dir: this.dir,
+      retentionDays: this.retentionDays,
+      maxIndexedEvents: this.maxIndexedEvents,
+      events: this.index.length,
+      files: this.fileSizes.size,
+      oldestSeq: this.index.length > 0 ? this.index[0].seq : null,
+      latestSeq: this.index.length > 0 ? this.index[this.index.length - 1].seq : null,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new EventStoreService();
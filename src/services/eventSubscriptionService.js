@@ -0,0 +1,244 @@
+const { EVENT_TYPES, EVENT_PRIORITY } = require('../types/events');
+const streamBuffer = require('./streamBuffer');
+
+// Priorities from lowest to highest, used for minPriority filtering
+const PRIORITY_ORDER = [EVENT_PRIORITY.LOW, EVENT_PRIORITY.MEDIUM, EVENT_PRIORITY.HIGH, EVENT_PRIORITY.CRITICAL];
+
+/**
+ * Event Subscription Service for WebSocket connections
+ * Keeps per-socket event filters and routes generated events to the matching sockets
+ * through an emitter set by the WebSocket server
+ */
+class EventSubscriptionService {
+  constructor() {
+    // socketId -> normalized filters
+    this.filters = new Map();
+    // socketId -> (event) => void, per-subscriber delivery function
+    this.emitters = new Map();
+    // (socketId, event) => void, default delivery for subscribers without their own
+    this.emitter = null;
+    this.stats = {
+      eventsReceived: 0,
+      eventsDelivered: 0
+    };
+    // Silent mode for tests
+    this.silent = process.env.NODE_ENV === 'test';
+  }
+
+  /**
+   * Log message unless in silent mode
+   * @param {string} message - Message to log
+   */
+  log(message) {
+    if (!this.silent) {
+      console.log(message);
+    }
+  }
+
+  /**
+   * Set the default function used to push an event to a socket
+   * @param {Function|null} emitter - (socketId, event) => void
+   */
+  setEmitter(emitter) {
+    this.emitter = emitter;
+  }
+
+  /**
+   * Validate and normalize subscribe-events filters
+   * Every filter is optional; omitted filters match all events
+   * @param {Object} [filters] - Raw filters from the client
+   * @param {string|Array<string>} [filters.eventTypes] - Event types to receive
+   * @param {string|number} [filters.tournamentId] - Tournament ID
+   * @param {string|Array<string>} [filters.matchIds] - Match IDs
+   * @param {string|Array<string>} [filters.playerIds] - Player IDs taking part in the event
+   * @param {string} [filters.minPriority] - Lowest priority to receive
+   * @returns {Object} Normalized filters
+   * @throws {Error} When a filter is invalid
+   */
+  normalizeFilters(filters = {}) {
+    if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+      throw new Error('Event filters must be an object');
+    }
+
+    const list = (value) => (Array.isArray(value) ? value : [value])
+      .filter(item => item !== undefined && item !== null && item !== '')
+      .map(item => String(item));
+    const normalized = {
+      eventTypes: filters.eventTypes ? list(filters.eventTypes) : null,
+      tournamentId: filters.tournamentId ? String(filters.tournamentId) : null,
+      matchIds: filters.matchIds ? list(filters.matchIds) : null,
+      playerIds: filters.playerIds ? list(filters.playerIds).map(id => id.toUpperCase()) : null,
+      minPriority: filters.minPriority || null
+    };
+
+    if (normalized.eventTypes) {
+      const unknown = normalized.eventTypes.filter(type => !Object.values(EVENT_TYPES).includes(type));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown event type: ${unknown.join(', ')}`);
+      }
+    }
+
+    if (normalized.minPriority && !PRIORITY_ORDER.includes(normalized.minPriority)) {
+      throw new Error(`Unknown priority: ${normalized.minPriority}`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Subscribe a socket to events, replacing any previous filters
+   * @param {string} socketId - Socket ID
+   * @param {Object} [filters] - Raw filters from the client
+   * @param {Function} [emit] - (event) => void, delivery for this subscriber (defaults to the emitter)
+   * @returns {Object} Normalized filters
+   * @throws {Error} When a filter is invalid
+   */
+  subscribe(socketId, filters, emit) {
+    const normalized = this.normalizeFilters(filters);
+    this.filters.set(socketId, normalized);
+    if (emit) {
+      this.emitters.set(socketId, emit);
+    } else {
+      this.emitters.delete(socketId);
+    }
+    this.log(`[EVENT SUBSCRIPTION] Socket ${socketId} subscribed to events`);
+    return normalized;
+  }
+
+  /**
+   * Stop sending events to a socket
+   * @param {string} socketId - Socket ID
+   */
+  unsubscribe(socketId) {
+    this.emitters.delete(socketId);
+    if (this.filters.delete(socketId)) {
+      this.log(`[EVENT SUBSCRIPTION] Socket ${socketId} unsubscribed from events`);
+    }
+  }
+
+  /**
+   * Get the filters of a socket
+   * @param {string} socketId - Socket ID
+   * @returns {Object|null} Normalized filters, or null when not subscribed
+   */
+  getFilters(socketId) {
+    return this.filters.get(socketId) || null;
+  }
+
+  /**
+   * Check whether an event passes a set of filters
+   * @param {Object} event - Generated event
+   * @param {Object} filters - Normalized filters
+   * @returns {boolean} True if the event matches
+   */
+  matches(event, filters) {
+    if (filters.eventTypes && !filters.eventTypes.includes(event.event_type)) {
+      return false;
+    }
+    if (filters.tournamentId && event.tournament_id !== filters.tournamentId) {
+      return false;
+    }
+    if (filters.matchIds && !filters.matchIds.includes(String(event.match_id))) {
+      return false;
+    }
+    if (filters.minPriority &&
+        PRIORITY_ORDER.indexOf(event.priority) < PRIORITY_ORDER.indexOf(filters.minPriority)) {
+      return false;
+    }
+    if (filters.playerIds) {
+      const players = (event.data && Array.isArray(event.data.players)) ? event.data.players : [];
+      return players.some(player =>
+        player && player.playerId && filters.playerIds.includes(String(player.playerId).toUpperCase()));
+    }
+    return true;
+  }
+
+  /**
+   * Push events to every subscribed socket whose filters match (eventOutput handler)
+   * Every event is given a sequence ID and buffered, even without subscribers,
+   * so that reconnecting clients can resume
+   * @param {Array} events - Validated events
+   */
+  dispatch(events) {
+    this.stats.eventsReceived += events.length;
+    for (const event of events) {
+      const sequenced = { ...event, seq: streamBuffer.recordEvent(event) };
+      for (const [socketId, filters] of this.filters) {
+        if (this.matches(sequenced, filters) && this.deliver(socketId, sequenced)) {
+          this.stats.eventsDelivered++;
+        }
+      }
+    }
+  }
+
+  /**
+   * Deliver an event to one subscriber
+   * @param {string} socketId - Socket ID
+   * @param {Object} event - Sequenced event
+   * @returns {boolean} True if a delivery function was available
+   */
+  deliver(socketId, event) {
+    const emit = this.emitters.get(socketId);
+    if (emit) {
+      emit(event);
+      return true;
+    }
+    if (this.emitter) {
+      this.emitter(socketId, event);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get buffered events a socket missed since lastSeq, filtered by its subscription
+   * @param {string} socketId - Socket ID
+   * @param {number} lastSeq - Last sequence ID the client received
+   * @returns {Object} { complete, events } - complete is false when the gap is no longer buffered
+   */
+  getMissedEvents(socketId, lastSeq) {
+    const filters = this.filters.get(socketId);
+    const { complete, entries } = streamBuffer.getSince(lastSeq);
+    if (!filters || !complete) {
+      return { complete, events: [] };
+    }
+
+    const events = entries
+      .filter(entry => entry.type === 'event')
+      .map(entry => ({ ...entry.event, seq: entry.seq }))
+      .filter(event => this.matches(event, filters));
+    return { complete, events };
+  }
+
+  /**
+   * Remove the event subscription of a socket (on disconnect)
+   * @param {string} socketId - Socket ID
+   */
+  removeSocket(socketId) {
+    this.filters.delete(socketId);
+    this.emitters.delete(socketId);
+  }
+
+  /**
+   * Get event subscription statistics
+   * @returns {Object} Event subscription stats
+   */
+  getStats() {
+    return {
+      subscribedSockets: this.filters.size,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Clear all event subscriptions (for testing/debugging)
+   */
+  clear() {
+    this.filters.clear();
+    this.emitters.clear();
+    this.stats.eventsReceived = 0;
+    this.stats.eventsDelivered = 0;
+  }
+}
+
+module.exports = new EventSubscriptionService();
@@ -72,9 +72,11 @@ class FilesystemCache extends CacheProvider {
    * @param {string} key - Cache key
    * @param {*} value - Value to cache
    * @param {number} _ttl - Time to live in seconds (ignored, always infinite)
+   * @param {Object} [options] - Set options
+   * @param {boolean} [options.overwrite] - Replace an existing file (for state snapshots rather than API responses)
    * @returns {Promise<boolean>} Success status
    */
-  async set(key, value, _ttl = null) {
+  async set(key, value, _ttl = null, { overwrite = false } = {}) {
     if (!this.isInitialized) {
       return false;
     }
@@ -82,16 +84,18 @@ class FilesystemCache extends CacheProvider {
     try {
       const { dirPath, filePath } = this.getFilePathParts(key);
 
-      // Check if file already exists (write-once: skip if exists)
-      try {
-        await fs.access(filePath, fs.constants.F_OK);
-        // File exists, skip write
-        if (config.server.nodeEnv === 'development') {
-          console.log(`[FILESYSTEM CACHE SET] key: ${key} | skipped (already exists)`);
+      // Check if file already exists (write-once: skip if exists, unless overwriting)
+      if (!overwrite) {
+        try {
+          await fs.access(filePath, fs.constants.F_OK);
+          // File exists, skip write
+          if (config.server.nodeEnv === 'development') {
+            console.log(`[FILESYSTEM CACHE SET] key: ${key} | skipped (already exists)`);
+          }
+          return true; // Return true to indicate "success" (data is cached)
+        } catch {
+          // File doesn't exist, proceed with write
         }
-        return true; // Return true to indicate "success" (data is cached)
-      } catch {
-        // File doesn't exist, proceed with write
       }
 
       // Create directory structure
@@ -128,6 +132,25 @@ class FilesystemCache extends CacheProvider {
     return null;
   }
 
+  /**
+   * Touch checks whether the file exists (filesystem entries never expire)
+   * @param {string} key - Cache key
+   * @param {number} _ttl - Time to live in seconds (ignored, always infinite)
+   * @returns {Promise<boolean>} True if the item is cached
+   */
+  async touch(key, _ttl = null) {
+    if (!this.isInitialized) {
+      return false;
+    }
+
+    try {
+      await fs.access(this.getFilePath(key), fs.constants.F_OK);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
   /**
    * Delete is a no-op for read-only filesystem cache
    * @param {string} _key - Cache key
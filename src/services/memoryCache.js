@@ -100,6 +100,25 @@ class MemoryCache extends CacheProvider {
     }
   }
 
+  /**
+   * Reset the TTL of a cached item without rewriting it
+   * @param {string} key - Cache key
+   * @param {number} ttl - Time to live in seconds
+   * @returns {Promise<boolean>} True if the item exists and was refreshed
+   */
+  async touch(key, ttl = null) {
+    if (!this.isInitialized || !this.cache) {
+      return false;
+    }
+
+    try {
+      return this.cache.ttl(key, ttl || config.cache.ttl);
+    } catch (error) {
+      console.error(`[MEMORY CACHE TOUCH ERROR] key: ${key} | error: ${error.message}`);
+      return false;
+    }
+  }
+
   /**
    * Delete a value from memory cache
    * @param {string} key - Cache key
@@ -47,6 +47,16 @@ class NoOpCache extends CacheProvider {
     return null;
   }
 
+  /**
+   * Reset the TTL of a cached item (no-op)
+   * @param {string} _key - Cache key
+   * @param {number} _ttl - Time to live in seconds
+   * @returns {Promise<boolean>} Always true, like set()
+   */
+  async touch(_key, _ttl = null) {
+    return true;
+  }
+
   /**
    * Delete a value from cache (no-op)
    * @param {string} _key - Cache key
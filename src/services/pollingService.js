@@ -1,11 +1,23 @@
 const atpApi = require('./atpApi');
 const cacheService = require('./cache');
 const subscriptionService = require('./subscriptionService');
-const { getEndpointTtl } = require('../middleware/cache');
+const streamBuffer = require('./streamBuffer');
+const sseService = require('./sseService');
+const { getEndpointTtl, getCacheKey } = require('../middleware/cache');
 const eventGenerator = require('./eventGenerator');
+const changeDetector = require('./changeDetector');
+const deltaService = require('./deltaService');
 const apiLogger = require('./apiLogger');
+const tournamentRegistry = require('./tournamentRegistry');
+const { parseScopedEndpoint, buildScopedEndpoint } = require('../utils/tournamentScope');
+const { TOPIC_ENDPOINTS, parseTopic, getTopicUpdates } = require('../utils/entityTopics');
+const { parseMatchEndpoint } = require('../utils/matchEndpoints');
+const { getLiveMatchIds, getPrefetchMatchIds } = require('../utils/matchPrefetch');
 const config = require('../config');
 
+// Polls that decide which matches get their stats and H2H prefetched
+const PREFETCH_SOURCES = ['/api/live-matches', '/api/schedules'];
+
 /**
  * Background polling service for WebSocket updates and event generation
  * Fetches data from ATP API at configured TTL intervals
@@ -15,10 +27,17 @@ class PollingService {
   constructor() {
     this.pollingTimeouts = new Map(); // Changed from intervals to timeouts
     this.isRunning = false;
-    // Track polling reasons for each endpoint: 'subscription', 'events', or both
+    // Track polling reasons for each endpoint: 'subscription', 'events', 'topics', 'matches' and/or 'prefetch'
     this.pollingReasons = new Map();
     // Track back-off state for each endpoint
     this.backoffStates = new Map();
+    // Track content changes for each endpoint: { version, hash, lastChangedAt, unchangedPolls }
+    this.contentStates = new Map();
+    // Track per-match polling loops (match stats, H2H by match): endpoint -> { matchId, liveEndpoint, seenLive }
+    this.matchLoops = new Map();
+    // Match endpoints polled to keep their cache warm, and what decided them (today's date, live and finished matches)
+    this.prefetchEndpoints = new Set();
+    this.prefetchState = { date: null, live: new Set(), finished: new Set() };
   }
 
   /**
@@ -40,6 +59,9 @@ class PollingService {
     
     // Start polling for event-monitored endpoints
     this.startEventPolling();
+
+    // Start polling the feeds that drive match prefetching
+    this.startPrefetchPolling();
   }
 
   /**
@@ -47,6 +69,7 @@ class PollingService {
    */
   stop() {
     this.isRunning = false;
+    Array.from(this.prefetchEndpoints).forEach(endpoint => this.stopPrefetch(endpoint));
     
     // Clear all polling timeouts
     for (const [endpoint, timeout] of this.pollingTimeouts) {
@@ -60,13 +83,13 @@ class PollingService {
   }
 
   /**
-   * Start polling for all currently subscribed endpoints
+   * Start polling for all currently subscribed endpoints and entity topics
    */
   startPollingForSubscribedEndpoints() {
     const stats = subscriptionService.getStats();
     
     for (const endpoint of stats.endpoints) {
-      this.startPollingForEndpoint(endpoint, 'subscription');
+      this.onSubscriptionAdded(endpoint);
     }
   }
 
@@ -85,12 +108,85 @@ class PollingService {
     for (const endpoint of eventEndpoints) {
       this.startPollingForEndpoint(endpoint, 'events');
     }
+
+    // Each registered tournament gets its own event polling loops
+    for (const tournament of tournamentRegistry.list()) {
+      this.syncTournamentEventPolling(tournament.id);
+    }
+  }
+
+  /**
+   * Start polling the live matches and schedule for match prefetching
+   */
+  startPrefetchPolling() {
+    if (!config.polling.prefetch.enabled) {
+      return;
+    }
+
+    console.log(`[POLLING] Prefetching ${config.polling.prefetch.endpoints.join(', ')} for live and next-up matches`);
+    for (const endpoint of PREFETCH_SOURCES) {
+      this.startPollingForEndpoint(endpoint, 'prefetch');
+    }
+  }
+
+  /**
+   * Align event polling for a tournament with its configured event endpoints
+   * Starts loops for newly enabled endpoints and drops the 'events' reason for disabled ones
+   * @param {string} tournamentId - Tournament ID
+   */
+  syncTournamentEventPolling(tournamentId) {
+    if (!this.isRunning || !config.events.enabled) {
+      return;
+    }
+
+    const tournament = tournamentRegistry.get(tournamentId);
+    const wanted = new Set((tournament ? tournament.eventEndpoints : [])
+      .map(endpoint => buildScopedEndpoint(tournamentId, endpoint)));
+
+    for (const [endpoint, reasons] of this.pollingReasons) {
+      if (reasons.has('events') && parseScopedEndpoint(endpoint).tournamentId === tournamentId && !wanted.has(endpoint)) {
+        this.stopPollingForEndpoint(endpoint, 'events');
+      }
+    }
+
+    for (const endpoint of wanted) {
+      this.startPollingForEndpoint(endpoint, 'events');
+    }
+  }
+
+  /**
+   * Handle a tournament being registered or updated - start its event polling
+   * @param {string} tournamentId - Tournament ID
+   */
+  onTournamentChanged(tournamentId) {
+    this.syncTournamentEventPolling(tournamentId);
+  }
+
+  /**
+   * Handle a tournament being removed - stop every polling loop scoped to it
+   * @param {string} tournamentId - Tournament ID
+   */
+  onTournamentRemoved(tournamentId) {
+    for (const endpoint of Array.from(this.pollingReasons.keys())) {
+      if (parseScopedEndpoint(endpoint).tournamentId !== tournamentId) {
+        continue;
+      }
+
+      const timeout = this.pollingTimeouts.get(endpoint);
+      if (timeout) {
+        clearTimeout(timeout);
+      }
+      this.pollingTimeouts.delete(endpoint);
+      this.pollingReasons.delete(endpoint);
+      this.backoffStates.delete(endpoint);
+      console.log(`[POLLING] Stopped polling for ${endpoint} (tournament ${tournamentId} removed)`);
+    }
   }
 
   /**
    * Start polling for a specific endpoint
    * @param {string} endpoint - API endpoint path
-   * @param {string} reason - Reason for polling: 'subscription', 'events', or existing
+   * @param {string} reason - Reason for polling: 'subscription', 'events', 'topics', 'matches', 'prefetch', or existing
    */
   startPollingForEndpoint(endpoint, reason = 'subscription') {
     // Track the reason for polling
@@ -98,13 +194,15 @@ class PollingService {
     existingReasons.add(reason);
     this.pollingReasons.set(endpoint, existingReasons);
 
-    if (this.pollingTimeouts.has(endpoint)) {
+    // Every loop has a back-off state from its start, while its timeout is only set after the first fetch
+    if (this.backoffStates.has(endpoint)) {
       console.log(`[POLLING] Already polling for ${endpoint}, added reason: ${reason}`);
+      this.updatePollInterval(endpoint);
       return;
     }
 
     // Initialize back-off state for this endpoint
-    const baseTtl = getEndpointTtl(endpoint);
+    const baseTtl = this.getPollInterval(endpoint);
     this.backoffStates.set(endpoint, {
       baseInterval: baseTtl * 1000, // Convert to milliseconds
       currentMultiplier: 1,
@@ -122,7 +220,7 @@ class PollingService {
   /**
    * Stop polling for a specific endpoint for a specific reason
    * @param {string} endpoint - API endpoint path
-   * @param {string} reason - Reason to stop: 'subscription' or 'events'
+   * @param {string} reason - Reason to stop: 'subscription', 'events', 'topics', 'matches' or 'prefetch'
    */
   stopPollingForEndpoint(endpoint, reason = 'subscription') {
     const reasons = this.pollingReasons.get(endpoint);
@@ -134,20 +232,63 @@ class PollingService {
     reasons.delete(reason);
     
     if (reasons.size === 0) {
-      // No more reasons to poll, stop completely
+      // No more reasons to poll, stop completely (a fetch still in flight is not rescheduled)
       const timeout = this.pollingTimeouts.get(endpoint);
       if (timeout) {
         clearTimeout(timeout);
-        this.pollingTimeouts.delete(endpoint);
-        this.pollingReasons.delete(endpoint);
-        this.backoffStates.delete(endpoint);
-        console.log(`[POLLING] Stopped polling for ${endpoint} (no more reasons)`);
       }
+      this.pollingTimeouts.delete(endpoint);
+      this.pollingReasons.delete(endpoint);
+      this.backoffStates.delete(endpoint);
+      console.log(`[POLLING] Stopped polling for ${endpoint} (no more reasons)`);
     } else {
       // Still have other reasons to poll
       const reasonsStr = Array.from(reasons).join('+');
       console.log(`[POLLING] Removed ${reason} reason for ${endpoint}, still polling for: ${reasonsStr}`);
+      this.updatePollInterval(endpoint);
+    }
+  }
+
+  /**
+   * Get the polling interval of an endpoint
+   * Loops kept only for prefetching use the endpoint's prefetch interval when it is longer than
+   * the cache TTL (H2H does not change during a match)
+   * @param {string} endpoint - API endpoint path
+   * @returns {number} Interval in seconds, also used as the cache TTL of the polled data
+   */
+  getPollInterval(endpoint) {
+    const ttl = getEndpointTtl(endpoint);
+    const reasons = this.pollingReasons.get(endpoint);
+    if (!reasons || reasons.size !== 1 || !reasons.has('prefetch')) {
+      return ttl;
     }
+
+    const matchEndpoint = parseMatchEndpoint(endpoint);
+    const interval = matchEndpoint && config.polling.prefetch.intervals[matchEndpoint.endpoint];
+    return interval ? Math.max(ttl, interval) : ttl;
+  }
+
+  /**
+   * Apply a changed polling interval after the reasons of an endpoint changed
+   * A loop waiting for its next poll is rescheduled on the new interval
+   * @param {string} endpoint - API endpoint path
+   */
+  updatePollInterval(endpoint) {
+    const backoffState = this.backoffStates.get(endpoint);
+    const baseInterval = this.getPollInterval(endpoint) * 1000;
+    if (!backoffState || backoffState.baseInterval === baseInterval) {
+      return;
+    }
+
+    backoffState.baseInterval = baseInterval;
+    const timeout = this.pollingTimeouts.get(endpoint);
+    if (timeout) {
+      clearTimeout(timeout);
+      this.pollingTimeouts.set(endpoint, setTimeout(() => {
+        this.scheduleNextPoll(endpoint);
+      }, baseInterval * backoffState.currentMultiplier));
+    }
+    console.log(`[POLLING] ${endpoint} now polls every ${baseInterval / 1000} seconds`);
   }
 
   /**
@@ -161,6 +302,12 @@ class PollingService {
 
     // Perform the fetch
     this.fetchAndBroadcast(endpoint).then(() => {
+      // Per-match loops end with the poll that follows the match finishing
+      if (this.matchLoops.has(endpoint) && this.isMatchFinished(endpoint)) {
+        this.endMatchPolling(endpoint);
+        return;
+      }
+
       // Schedule next poll after fetch completes
       const backoffState = this.backoffStates.get(endpoint);
       if (backoffState) {
@@ -240,38 +387,81 @@ class PollingService {
         this.resetBackoff(endpoint);
         
         const data = result.data;
+
+        // Compare with the previous poll once per match/fixture; the logger, events and broadcast share the result
+        const changes = changeDetector.detect(endpoint, data);
         
         // Log API response if logging is enabled and this is an event-monitored endpoint
         if (config.apiLogging.enabled && this.shouldLogEndpoint(endpoint)) {
           await apiLogger.logResponse(endpoint, data, {
             source: 'polling-service',
             poll_cycle: Date.now()
-          });
+          }, changes);
         }
         
         // Generate events before caching (events need to compare with previous state)
-        eventGenerator.processData(endpoint, data);
+        eventGenerator.processData(endpoint, data, null, changes);
+
+        // Version the snapshot for delta clients; the patch is only built when one is subscribed
+        const subscribers = subscriptionService.getSubscribers(endpoint);
+        const update = deltaService.record(endpoint, data, changes, {
+          patch: deltaService.hasDeltaClients(endpoint, subscribers),
+        });
+
+        // Live matches and the schedule decide which matches are prefetched
+        if (PREFETCH_SOURCES.includes(endpoint)) {
+          this.syncPrefetch();
+        }
+        const ttl = this.getPollInterval(endpoint);
+        // Written under the REST key, so polled and prefetched data also answers REST requests
+        const cacheKey = getCacheKey(endpoint);
+
+        // Identical content: keep the cached copy alive, but do not rewrite or rebroadcast it
+        if (!update) {
+          this.recordUnchanged(endpoint);
+          if (!(await cacheService.touch(cacheKey, ttl))) {
+            await cacheService.set(cacheKey, data, ttl);
+          }
+          console.log(`[POLLING] No changes for ${endpoint}, skipped broadcast`);
+          return;
+        }
+        this.recordChanged(endpoint, update.version, changes.hash);
 
-        
         // Update cache
-        const ttl = getEndpointTtl(endpoint);
-        const cacheKey = cacheService.generateKey(endpoint);
         cacheService.set(cacheKey, data, ttl);
         
         // Prepare response in same format as REST API
+        // Updates are sequenced even without subscribers so reconnecting clients can resume
         const response = {
           data,
           cached: false,
           timestamp: new Date().toISOString(),
           ttl,
+          seq: streamBuffer.recordDataUpdate(endpoint),
+          // Content version and hash, so clients can tell whether the data they hold is stale
+          version: update.version,
+          hash: changes.hash,
         };
+        // Matches and fixtures changed since the previous poll, so clients can skip re-rendering the rest
+        if (changes.index.entityType && !changes.baseline) {
+          response.changes = {
+            added: changes.added,
+            removed: changes.removed,
+            updated: changes.updated,
+          };
+        }
 
         // Broadcast to all subscribed clients
-        const numSubs = subscriptionService.getSubscribers(endpoint).size;
+        const numSubs = subscribers.size;
         if(numSubs > 0) {
-          this.broadcastUpdate(endpoint, response);
+          this.broadcastUpdate(endpoint, response, update);
           console.log(`[POLLING] Broadcasted update for ${endpoint} to ${numSubs} subscribers`);
         }
+
+        // Matches and fixtures that changed go to the match, court and player topics they belong to
+        if (TOPIC_ENDPOINTS.includes(endpoint)) {
+          this.broadcastTopicUpdates(endpoint, changes, response.timestamp);
+        }
       }
     } catch (error) {
       if(Object.keys(error).length == 0) return;
@@ -279,27 +469,67 @@ class PollingService {
     }
   }
 
+  /**
+   * Record a poll whose content changed
+   * @param {string} endpoint - API endpoint path
+   * @param {number} version - New content version
+   * @param {string} hash - Content hash
+   */
+  recordChanged(endpoint, version, hash) {
+    this.contentStates.set(endpoint, {
+      version,
+      hash,
+      lastChangedAt: new Date().toISOString(),
+      unchangedPolls: 0,
+    });
+  }
+
+  /**
+   * Record a poll whose content was identical to the previous poll
+   * The count restarts with every change
+   * @param {string} endpoint - API endpoint path
+   */
+  recordUnchanged(endpoint) {
+    const state = this.contentStates.get(endpoint);
+    if (state) {
+      state.unchangedPolls++;
+    }
+  }
+
   /**
    * Fetch data for a specific endpoint
    * @param {string} endpoint - API endpoint path
    * @returns {Object} API response with status { data, status }
    */
   async fetchEndpointData(endpoint) {
-    // Map endpoint paths to ATP API methods
+    // Tournament-scoped endpoints are fetched with the tournament's own client and token
+    const matchEndpoint = parseMatchEndpoint(endpoint);
+    const { tournamentId, endpoint: baseEndpoint } = matchEndpoint || parseScopedEndpoint(endpoint);
+    let api = atpApi;
+    if (tournamentId) {
+      if (!tournamentRegistry.isEndpointAllowed(tournamentId, baseEndpoint)) {
+        console.warn(`[POLLING] ${baseEndpoint} is not enabled for tournament ${tournamentId}`);
+        return null;
+      }
+      api = tournamentRegistry.getClient(tournamentId);
+    }
+
+    // Map endpoint paths to ATP API methods; match endpoints are only polled with their match ID
+    const matchId = matchEndpoint && matchEndpoint.matchId;
     const endpointMap = {
-      '/api/live-matches': () => atpApi.getLiveMatches(),
-      '/api/draws/live': () => atpApi.getLiveDraw(),
-      '/api/draws': () => atpApi.getDraws(),
-      '/api/h2h/match': () => atpApi.getH2HByMatch(), // This needs matchId parameter
-      '/api/h2h': () => atpApi.getH2H(), // This needs playerId and opponentId parameters
-      '/api/match-stats': () => atpApi.getMatchStats(), // This needs matchId parameter
-      '/api/player-list': () => atpApi.getPlayerList(),
-      '/api/results': () => atpApi.getResults(),
-      '/api/schedules': () => atpApi.getSchedule(),
-      '/api/team-cup-rankings': () => atpApi.getTeamCupRankings(),
+      '/api/live-matches': () => api.getLiveMatches(),
+      '/api/draws/live': () => api.getLiveDraw(),
+      '/api/draws': () => api.getDraws(),
+      '/api/h2h/match': matchId && (() => api.getH2HByMatch(matchId)),
+      '/api/h2h': () => api.getH2H(), // This needs playerId and opponentId parameters
+      '/api/match-stats': matchId && (() => api.getMatchStats(matchId)),
+      '/api/player-list': () => api.getPlayerList(),
+      '/api/results': () => api.getResults(),
+      '/api/schedules': () => api.getSchedule(),
+      '/api/team-cup-rankings': () => api.getTeamCupRankings(),
     };
 
-    const apiMethod = endpointMap[endpoint];
+    const apiMethod = endpointMap[baseEndpoint];
     if (!apiMethod) {
       console.warn(`[POLLING] No API method found for endpoint: ${endpoint}`);
       return null;
@@ -314,6 +544,10 @@ class PollingService {
         console.log(`[POLLING] 404 response for ${endpoint} - no data available`);
         return { data: null, status: 404 };
       }
+      // Open circuits fail fast on every cycle; the breaker already logged the state change
+      if (error && error.circuitOpen) {
+        return null;
+      }
       console.error(`[POLLING] Error calling API method for ${endpoint}:`, error.message);
       return null;
     }
@@ -321,10 +555,13 @@ class PollingService {
 
   /**
    * Broadcast update to all subscribers of an endpoint
+   * Clients in delta mode get a data-patch when they hold the previous version and the full
+   * snapshot otherwise
    * @param {string} endpoint - API endpoint path
    * @param {Object} response - Response data to broadcast
+   * @param {Object|null} [update] - Delta update from deltaService.record() (without it delta clients are skipped)
    */
-  broadcastUpdate(endpoint, response) {
+  broadcastUpdate(endpoint, response, update = null) {
     if (!this.io) {
       console.warn('[POLLING] Socket.io instance not available for broadcasting');
       return;
@@ -333,8 +570,24 @@ class PollingService {
     const subscribers = subscriptionService.getSubscribers(endpoint);
     
     for (const socketId of subscribers) {
+      // Server-Sent Events clients share the subscription bookkeeping with sockets
+      const sseClient = sseService.getClient(socketId);
+      if (sseClient) {
+        sseClient.emit('data-update', {
+          endpoint,
+          ...response
+        });
+        continue;
+      }
+
       const socket = this.io.sockets.sockets.get(socketId);
       if (socket && socket.connected) {
+        if (deltaService.isDelta(socketId, endpoint)) {
+          if (update) {
+            this.sendDeltaUpdate(socket, endpoint, response, update);
+          }
+          continue;
+        }
         socket.emit('data-update', {
           endpoint,
           ...response
@@ -347,21 +600,246 @@ class PollingService {
   }
 
   /**
-   * Handle new subscription - start polling if not already polling
+   * Send a poll's update to a client in delta mode
+   * @param {Object} socket - Socket instance
    * @param {string} endpoint - API endpoint path
+   * @param {Object} response - Full data-update response
+   * @param {Object} update - Delta update from deltaService.record()
+   */
+  sendDeltaUpdate(socket, endpoint, response, update) {
+    // Patches replace the full data; snapshots carry the data with its version
+    const fields = { ...response };
+    delete fields.data;
+    const message = deltaService.buildMessage(socket.id, endpoint, update);
+    socket.emit(message.type, {
+      endpoint,
+      ...fields,
+      ...message.fields
+    });
+  }
+
+  /**
+   * Send the changed matches and fixtures of a poll to entity topic subscribers
+   * @param {string} endpoint - Topic source endpoint (live matches or live draw)
+   * @param {Object} changes - Changes detected for the poll
+   * @param {string} timestamp - Poll timestamp
+   */
+  broadcastTopicUpdates(endpoint, changes, timestamp) {
+    if (!this.io) {
+      return;
+    }
+
+    for (const topic of this.getSubscribedTopics()) {
+      const updates = getTopicUpdates(topic, endpoint, changes);
+      if (updates.length === 0) {
+        continue;
+      }
+
+      for (const socketId of subscriptionService.getSubscribers(topic)) {
+        const socket = this.io.sockets.sockets.get(socketId);
+        if (socket && socket.connected) {
+          updates.forEach(update => socket.emit('entity-update', { ...update, cached: false, timestamp }));
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the entity topics that have subscribers
+   * @returns {Array<string>} Topics such as 'match:MS001'
+   */
+  getSubscribedTopics() {
+    return subscriptionService.getStats().endpoints.filter(target => parseTopic(target));
+  }
+
+  /**
+   * Handle new subscription - start polling if not already polling
+   * Entity topics are served from the live matches and live draw polls
+   * @param {string} endpoint - API endpoint path or entity topic
    */
   onSubscriptionAdded(endpoint) {
+    if (parseTopic(endpoint)) {
+      TOPIC_ENDPOINTS.forEach(source => this.startPollingForEndpoint(source, 'topics'));
+      return;
+    }
+
+    this.watchMatch(endpoint);
     this.startPollingForEndpoint(endpoint, 'subscription');
   }
 
+  /**
+   * Register the per-match loop of a match endpoint
+   * Per-match loops watch the live matches feed to notice when the match finishes
+   * @param {string} endpoint - API endpoint path (other endpoints are ignored)
+   */
+  watchMatch(endpoint) {
+    const matchEndpoint = parseMatchEndpoint(endpoint);
+    if (matchEndpoint && !this.matchLoops.has(endpoint)) {
+      this.matchLoops.set(endpoint, { matchId: matchEndpoint.matchId, liveEndpoint: matchEndpoint.liveEndpoint, seenLive: false });
+      this.startPollingForEndpoint(matchEndpoint.liveEndpoint, 'matches');
+    }
+  }
+
   /**
    * Handle subscription removal - stop polling if no more subscribers
-   * @param {string} endpoint - API endpoint path
+   * @param {string} endpoint - API endpoint path or entity topic
    */
   onSubscriptionRemoved(endpoint) {
+    if (parseTopic(endpoint)) {
+      if (this.getSubscribedTopics().length === 0) {
+        TOPIC_ENDPOINTS.forEach(source => this.stopPollingForEndpoint(source, 'topics'));
+      }
+      return;
+    }
+
     const subscribers = subscriptionService.getSubscribers(endpoint);
     if (subscribers.size === 0) {
       this.stopPollingForEndpoint(endpoint, 'subscription');
+      // Prefetched matches keep their loop without subscribers
+      if (!this.pollingReasons.has(endpoint)) {
+        this.releaseMatchLoop(endpoint);
+      }
+    }
+  }
+
+  /**
+   * Align match prefetching with the latest live matches and schedule polls
+   * Stats and H2H are polled for every live match and the next match on each court today; matches
+   * that dropped out of the live feed count as finished, so the schedule does not bring them back
+   */
+  syncPrefetch() {
+    if (!config.polling.prefetch.enabled || !this.isRunning) {
+      return;
+    }
+
+    // Finished matches are only remembered for the day
+    const state = this.prefetchState;
+    const date = new Date().toISOString().slice(0, 10);
+    if (state.date !== date) {
+      state.date = date;
+      state.finished.clear();
+    }
+
+    const liveIndex = changeDetector.getIndex('/api/live-matches');
+    if (liveIndex) {
+      const { live: nowLive } = getLiveMatchIds(liveIndex);
+      state.live.forEach(matchId => {
+        if (!nowLive.has(matchId)) {
+          state.finished.add(matchId);
+        }
+      });
+      state.live = nowLive;
+    }
+
+    const schedule = deltaService.getSnapshot('/api/schedules');
+    const { live, nextUp, finished } = getPrefetchMatchIds(liveIndex, schedule && schedule.data, date, state.finished);
+    state.finished = finished;
+
+    const wanted = new Set();
+    for (const matchId of [...live, ...nextUp]) {
+      for (const baseEndpoint of config.polling.prefetch.endpoints) {
+        const endpoint = `${baseEndpoint}/${matchId}`;
+        if (parseMatchEndpoint(endpoint)) {
+          wanted.add(endpoint);
+        }
+      }
+    }
+
+    for (const endpoint of Array.from(this.prefetchEndpoints)) {
+      if (!wanted.has(endpoint)) {
+        this.stopPrefetch(endpoint);
+      }
+    }
+    for (const endpoint of wanted) {
+      if (!this.prefetchEndpoints.has(endpoint)) {
+        this.prefetchEndpoints.add(endpoint);
+        this.watchMatch(endpoint);
+        this.startPollingForEndpoint(endpoint, 'prefetch');
+      }
+    }
+  }
+
+  /**
+   * Stop prefetching a match endpoint; its loop keeps running while it has subscribers
+   * @param {string} endpoint - Match endpoint path
+   */
+  stopPrefetch(endpoint) {
+    this.prefetchEndpoints.delete(endpoint);
+    this.stopPollingForEndpoint(endpoint, 'prefetch');
+    if (!this.pollingReasons.has(endpoint)) {
+      this.releaseMatchLoop(endpoint);
+    }
+  }
+
+  /**
+   * Check whether the match of a per-match loop has finished
+   * The match is looked up in the latest live matches poll: it has finished when every entry with
+   * its ID has status F, or when it dropped out of the feed after having been live. A match that was
+   * never seen live (e.g. not started yet) keeps its loop running
+   * @param {string} endpoint - Match endpoint path
+   * @returns {boolean} True if the match has finished
+   */
+  isMatchFinished(endpoint) {
+    const loop = this.matchLoops.get(endpoint);
+    const index = loop && changeDetector.getIndex(loop.liveEndpoint);
+    if (!index || !index.entityType) {
+      return false;
+    }
+
+    const entries = Array.from(index.entities.values()).filter(entity => entity.id === loop.matchId);
+    if (entries.length === 0) {
+      return loop.seenLive;
+    }
+    loop.seenLive = true;
+    return entries.every(entity => entity.value.Status === 'F');
+  }
+
+  /**
+   * End a per-match loop after its match finished
+   * Subscribers are unsubscribed with an unsubscribed message giving the reason, and prefetching stops
+   * @param {string} endpoint - Match endpoint path
+   */
+  endMatchPolling(endpoint) {
+    const message = {
+      endpoint,
+      reason: 'match-finished',
+      message: `Unsubscribed from ${endpoint}: match finished`,
+      timestamp: new Date().toISOString()
+    };
+
+    for (const socketId of Array.from(subscriptionService.getSubscribers(endpoint))) {
+      const client = sseService.getClient(socketId) || (this.io && this.io.sockets.sockets.get(socketId));
+      if (client) {
+        client.emit('unsubscribed', message);
+      }
+      subscriptionService.unsubscribe(socketId, endpoint);
+      deltaService.setMode(socketId, endpoint, 'full');
+    }
+
+    const { matchId } = this.matchLoops.get(endpoint);
+    console.log(`[POLLING] Match ${matchId} finished, stopping ${endpoint}`);
+    if (this.prefetchEndpoints.delete(endpoint)) {
+      this.prefetchState.finished.add(matchId);
+    }
+    this.stopPollingForEndpoint(endpoint, 'subscription');
+    this.stopPollingForEndpoint(endpoint, 'prefetch');
+    this.releaseMatchLoop(endpoint);
+  }
+
+  /**
+   * Forget a per-match loop and stop watching its live matches feed once no loop needs it
+   * @param {string} endpoint - Match endpoint path
+   */
+  releaseMatchLoop(endpoint) {
+    const loop = this.matchLoops.get(endpoint);
+    if (!loop) {
+      return;
+    }
+
+    this.matchLoops.delete(endpoint);
+    const watched = Array.from(this.matchLoops.values()).some(other => other.liveEndpoint === loop.liveEndpoint);
+    if (!watched) {
+      this.stopPollingForEndpoint(loop.liveEndpoint, 'matches');
     }
   }
 
@@ -398,6 +876,22 @@ class PollingService {
       backoffConfig: config.polling.backoff,
       eventEndpoints: config.events.enabled ? config.events.endpoints : [],
       eventsEnabled: config.events.enabled,
+      eventState: eventGenerator.getStats().persistence,
+      changeDetection: changeDetector.getStats(),
+      content: Object.fromEntries(this.contentStates),
+      matchLoops: Object.fromEntries(Array.from(this.matchLoops, ([endpoint, loop]) => [endpoint, {
+        matchId: loop.matchId,
+        subscribers: subscriptionService.getSubscribers(endpoint).size,
+        seenLive: loop.seenLive,
+      }])),
+      prefetch: {
+        enabled: config.polling.prefetch.enabled,
+        endpoints: Array.from(this.prefetchEndpoints),
+      },
+      circuitBreakers: {
+        default: atpApi.getCircuitStates(),
+        tournaments: tournamentRegistry.getCircuitStates(),
+      },
     };
   }
 
@@ -411,8 +905,8 @@ class PollingService {
       return true;
     }
     
-    // Log only event-monitored endpoints
-    return config.events.enabled && config.events.endpoints.includes(endpoint);
+    // Log only event-monitored endpoints (tournament-scoped endpoints match on their base endpoint)
+    return config.events.enabled && config.events.endpoints.includes(parseScopedEndpoint(endpoint).endpoint);
   }
 }
 
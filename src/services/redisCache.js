@@ -174,6 +174,29 @@ class RedisCache extends CacheProvider {
     }
   }
 
+  /**
+   * Reset the TTL of a cached item without rewriting it
+   * @param {string} key - Cache key
+   * @param {number} ttl - Time to live in seconds
+   * @returns {Promise<boolean>} True if the item exists and was refreshed
+   */
+  async touch(key, ttl = null) {
+    if (!this.isConnected || !this.client) {
+      return false;
+    }
+
+    try {
+      if (ttl && ttl > 0) {
+        return Boolean(await this.client.expire(key, ttl));
+      }
+      return (await this.client.exists(key)) > 0;
+    } catch (error) {
+      console.error('[REDIS] Touch error:', error.message);
+      this.isConnected = false;
+      return false;
+    }
+  }
+
   /**
    * Delete a value from Redis cache
    * @param {string} key - Cache key
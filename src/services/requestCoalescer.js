@@ -0,0 +1,87 @@
+/**
+ * Single-flight request coalescing for upstream ATP API calls
+ * Concurrent requests for the same key share one in-flight promise, so a cache expiry
+ * under load (or a REST miss racing the polling loop) results in a single upstream call
+ */
+class RequestCoalescer {
+  constructor() {
+    // key -> { promise, waiters, startedAt }
+    this.inFlight = new Map();
+    this.resetStats();
+  }
+
+  /**
+   * Run a fetch function, sharing the result with concurrent callers for the same key
+   * @param {string} key - Coalescing key (from cacheService.generateKey())
+   * @param {Function} fetchFn - Function returning a promise for the upstream result
+   * @returns {Promise<*>} Upstream result (shared across coalesced callers)
+   */
+  run(key, fetchFn) {
+    this.stats.requests++;
+
+    const existing = this.inFlight.get(key);
+    if (existing) {
+      existing.waiters++;
+      this.stats.coalesced++;
+      this.stats.maxWaiters = Math.max(this.stats.maxWaiters, existing.waiters);
+      return existing.promise;
+    }
+
+    this.stats.upstreamCalls++;
+
+    const entry = {
+      waiters: 1,
+      startedAt: Date.now(),
+      promise: null
+    };
+
+    entry.promise = Promise.resolve()
+      .then(fetchFn)
+      .catch(error => {
+        this.stats.errors++;
+        throw error;
+      })
+      .finally(() => {
+        // Only remove our own entry; a later request may have started a new flight
+        if (this.inFlight.get(key) === entry) {
+          this.inFlight.delete(key);
+        }
+      });
+
+    this.inFlight.set(key, entry);
+    return entry.promise;
+  }
+
+  /**
+   * Get coalescing statistics
+   * @returns {Object} Coalescing stats
+   */
+  getStats() {
+    const { requests, coalesced } = this.stats;
+    return {
+      ...this.stats,
+      coalescingRate: requests > 0 ? Math.round((coalesced / requests) * 10000) / 100 : 0,
+      inFlight: this.inFlight.size,
+      inFlightKeys: Array.from(this.inFlight.entries()).map(([key, entry]) => ({
+        key,
+        waiters: entry.waiters,
+        ageMs: Date.now() - entry.startedAt
+      }))
+    };
+  }
+
+  /**
+   * Reset coalescing statistics (in-flight requests are left untouched)
+   */
+  resetStats() {
+    this.stats = {
+      requests: 0,
+      upstreamCalls: 0,
+      coalesced: 0,
+      errors: 0,
+      maxWaiters: 0
+    };
+  }
+}
+
+module.exports = new RequestCoalescer();
@@ -0,0 +1,123 @@
+const config = require('../config');
+
+/**
+ * Server-Sent Events transport
+ * Tracks open GET /api/stream responses and exposes each one as a socket-like client
+ * ({ id, emit }) so it can share subscription bookkeeping with WebSocket sockets
+ */
+class SseService {
+  constructor() {
+    // clientId -> { id, res, emit, lastId, heartbeat }
+    this.clients = new Map();
+    this.nextClientId = 1;
+    this.heartbeatInterval = config.sse.heartbeatInterval;
+    this.stats = {
+      connections: 0,
+      messagesSent: 0
+    };
+  }
+
+  /**
+   * Register an open event-stream response and start its heartbeat
+   * @param {Object} res - Express response with event-stream headers sent
+   * @param {Object} [options] - Client options
+   * @param {number} [options.lastId] - Last event ID the client already has (from Last-Event-ID)
+   * @returns {Object} Socket-like client { id, emit }
+   */
+  addClient(res, { lastId = 0 } = {}) {
+    const id = `sse-${this.nextClientId++}`;
+    const client = { id, res, lastId };
+    client.emit = (type, payload) => this.send(client, type, payload);
+
+    // Comment lines keep proxies and load balancers from closing an idle stream
+    client.heartbeat = setInterval(() => {
+      this.write(client, `: heartbeat ${new Date().toISOString()}\n\n`);
+    }, this.heartbeatInterval);
+    client.heartbeat.unref();
+
+    this.clients.set(id, client);
+    this.stats.connections++;
+    return client;
+  }
+
+  /**
+   * Send a message to a client as an SSE event
+   * The payload seq becomes the SSE id, so the browser sends it back as Last-Event-ID;
+   * ids never move backwards, e.g. for a cached snapshot older than a replayed event
+   * @param {Object} client - SSE client
+   * @param {string} type - Event name (data-update, event, subscribed, error, ...)
+   * @param {Object} payload - JSON payload
+   */
+  send(client, type, payload) {
+    let message = '';
+    if (payload && Number.isInteger(payload.seq) && payload.seq > client.lastId) {
+      client.lastId = payload.seq;
+      message += `id: ${payload.seq}\n`;
+    }
+    message += `event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+
+    this.write(client, message);
+    this.stats.messagesSent++;
+  }
+
+  /**
+   * Write to a client's response, flushing through the compression middleware
+   * @param {Object} client - SSE client
+   * @param {string} chunk - Raw event-stream text
+   */
+  write(client, chunk) {
+    if (client.res.writableEnded) {
+      return;
+    }
+    client.res.write(chunk);
+    if (typeof client.res.flush === 'function') {
+      client.res.flush();
+    }
+  }
+
+  /**
+   * Get a client by ID
+   * @param {string} clientId - Client ID
+   * @returns {Object|undefined} SSE client
+   */
+  getClient(clientId) {
+    return this.clients.get(clientId);
+  }
+
+  /**
+   * Forget a client and stop its heartbeat (on connection close)
+   * @param {string} clientId - Client ID
+   */
+  removeClient(clientId) {
+    const client = this.clients.get(clientId);
+    if (client) {
+      clearInterval(client.heartbeat);
+      this.clients.delete(clientId);
+    }
+  }
+
+  /**
+   * End every open stream (on shutdown)
+   */
+  closeAll() {
+    for (const client of this.clients.values()) {
+      clearInterval(client.heartbeat);
+      client.res.end();
+    }
+    this.clients.clear();
+  }
+
+  /**
+   * Get SSE statistics
+   * @returns {Object} SSE stats
+   */
+  getStats() {
+    return {
+      connectedClients: this.clients.size,
+      heartbeatInterval: this.heartbeatInterval,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new SseService();
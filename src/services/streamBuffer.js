@@ -0,0 +1,119 @@
+const config = require('../config');
+
+/**
+ * Stream buffer for resuming WebSocket clients
+ * Assigns a monotonically increasing sequence ID to every pushed event and data-update
+ * and keeps the most recent entries in a bounded in-memory ring buffer.
+ * Events are kept in full; data-updates are kept as { seq, endpoint } markers because
+ * a reconnecting client only needs the latest snapshot of each endpoint.
+ */
+class StreamBufferService {
+  constructor() {
+    this.capacity = config.websocket.resumeBufferSize;
+    this.buffer = new Array(this.capacity);
+    // Index of the oldest entry and number of buffered entries
+    this.start = 0;
+    this.size = 0;
+    this.latestSeq = 0;
+    // endpoint -> seq of its latest data-update (not evicted, one entry per endpoint)
+    this.endpointSeqs = new Map();
+  }
+
+  /**
+   * Record an event pushed to clients
+   * @param {Object} event - Generated event
+   * @returns {number} Sequence ID of the event
+   */
+  recordEvent(event) {
+    return this.push({ type: 'event', event });
+  }
+
+  /**
+   * Record a data-update broadcast for an endpoint
+   * @param {string} endpoint - API endpoint path
+   * @returns {number} Sequence ID of the update
+   */
+  recordDataUpdate(endpoint) {
+    const seq = this.push({ type: 'data-update', endpoint });
+    this.endpointSeqs.set(endpoint, seq);
+    return seq;
+  }
+
+  /**
+   * Append an entry, evicting the oldest one when the buffer is full
+   * @param {Object} entry - Entry without sequence ID
+   * @returns {number} Assigned sequence ID
+   */
+  push(entry) {
+    const seq = ++this.latestSeq;
+    const index = (this.start + this.size) % this.capacity;
+    this.buffer[index] = { seq, ...entry };
+
+    if (this.size < this.capacity) {
+      this.size++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+    return seq;
+  }
+
+  /**
+   * Get the sequence ID of the latest data-update of an endpoint
+   * Falls back to the latest sequence ID when the endpoint has not been broadcast yet
+   * @param {string} endpoint - API endpoint path
+   * @returns {number} Sequence ID
+   */
+  getEndpointSeq(endpoint) {
+    return this.endpointSeqs.get(endpoint) || this.latestSeq;
+  }
+
+  /**
+   * Get the entries a client missed since lastSeq
+   * The gap cannot be filled when entries after lastSeq were evicted, or when lastSeq
+   * is ahead of this process (the server restarted and the sequence was reset)
+   * @param {number} lastSeq - Last sequence ID the client received
+   * @returns {Object} { complete, entries } - entries are only set when complete
+   */
+  getSince(lastSeq) {
+    const oldestSeq = this.size > 0 ? this.buffer[this.start].seq : this.latestSeq + 1;
+
+    if (!Number.isInteger(lastSeq) || lastSeq < 0 || lastSeq > this.latestSeq || lastSeq + 1 < oldestSeq) {
+      return { complete: false, entries: [] };
+    }
+
+    const entries = [];
+    for (let i = 0; i < this.size; i++) {
+      const entry = this.buffer[(this.start + i) % this.capacity];
+      if (entry.seq > lastSeq) {
+        entries.push(entry);
+      }
+    }
+    return { complete: true, entries };
+  }
+
+  /**
+   * Get stream buffer statistics
+   * @returns {Object} Buffer stats
+   */
+  getStats() {
+    return {
+      capacity: this.capacity,
+      size: this.size,
+      oldestSeq: this.size > 0 ? this.buffer[this.start].seq : null,
+      latestSeq: this.latestSeq
+    };
+  }
+
+  /**
+   * Clear the buffer and reset the sequence (for testing/debugging)
+   */
+  clear() {
+    this.buffer = new Array(this.capacity);
+    this.start = 0;
+    this.size = 0;
+    this.latestSeq = 0;
+    this.endpointSeqs.clear();
+  }
+}
+
+module.exports = new StreamBufferService();
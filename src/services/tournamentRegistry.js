@@ -0,0 +1,327 @@
+const fs = require('fs').promises;
+const config = require('../config');
+const { AtpApiService } = require('./atpApi');
+
+/**
+ * Tournament registry for multi-tournament operation
+ * Each tournament has its own bearer token, base URL and enabled endpoint set,
+ * loaded from TOURNAMENTS_CONFIG_FILE at startup and manageable through the admin API
+ */
+class TournamentRegistry {
+  constructor() {
+    this.configFile = config.tournaments.configFile;
+    // tournamentId -> normalized tournament (including its AtpApiService client)
+    this.tournaments = new Map();
+  }
+
+  /**
+   * Load tournaments from the configured file (no-op when no file is configured)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (!this.configFile) {
+      return;
+    }
+
+    let fileContent;
+    try {
+      fileContent = await fs.readFile(this.configFile, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.warn(`[TOURNAMENTS] Config file ${this.configFile} not found, starting with no tournaments`);
+        return;
+      }
+      throw error;
+    }
+
+    const parsed = JSON.parse(fileContent);
+    const definitions = Array.isArray(parsed) ? parsed : (parsed.tournaments || []);
+
+    this.tournaments.clear();
+    for (const definition of definitions) {
+      const tournament = this.normalize(definition);
+      this.tournaments.set(tournament.id, tournament);
+    }
+
+    console.log(`[TOURNAMENTS] Loaded ${this.tournaments.size} tournament(s) from ${this.configFile}: ${this.getIds().join(', ')}`);
+  }
+
+  /**
+   * Validate and normalize a tournament definition
+   * @param {Object} definition - Raw tournament definition
+   * @returns {Object} Normalized tournament with API client
+   */
+  normalize(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw this.validationError('Tournament definition must be an object');
+    }
+
+    const id = definition.id !== undefined && definition.id !== null ? String(definition.id).trim() : '';
+    if (!id || !/^[A-Za-z0-9_-]+$/.test(id)) {
+      throw this.validationError('Tournament id is required and may only contain letters, digits, "-" and "_"');
+    }
+
+    // Tokens can be read from an environment variable to keep secrets out of the config file
+    const bearerTokenEnv = definition.bearerTokenEnv || null;
+    const bearerToken = bearerTokenEnv ? process.env[bearerTokenEnv] : definition.bearerToken;
+    if (!bearerToken) {
+      const source = bearerTokenEnv ? `environment variable ${bearerTokenEnv}` : 'bearerToken';
+      throw this.validationError(`Tournament ${id} has no bearer token (${source} is empty)`);
+    }
+
+    const knownEndpoints = Object.keys(config.cache.endpoints);
+    const endpoints = this.normalizeEndpointList(definition.endpoints, knownEndpoints, 'endpoints', id);
+    const eventEndpoints = this.normalizeEndpointList(
+      definition.eventEndpoints,
+      config.events.endpoints.filter(endpoint => endpoints.includes(endpoint)),
+      'eventEndpoints',
+      id
+    );
+
+    const invalidEventEndpoints = eventEndpoints.filter(endpoint => !endpoints.includes(endpoint));
+    if (invalidEventEndpoints.length > 0) {
+      throw this.validationError(`Tournament ${id} eventEndpoints must also be enabled endpoints: ${invalidEventEndpoints.join(', ')}`);
+    }
+
+    const baseUrl = definition.baseUrl || config.atpApi.baseUrl;
+
+    return {
+      id,
+      name: definition.name || null,
+      baseUrl,
+      bearerToken,
+      bearerTokenEnv,
+      endpoints,
+      eventEndpoints,
+      client: new AtpApiService({ baseUrl, bearerToken, tournamentId: id })
+    };
+  }
+
+  /**
+   * Normalize an endpoint list, validating against known proxy endpoints
+   * @param {Array|undefined} list - Endpoint list from the definition
+   * @param {Array} defaults - Defaults used when the list is omitted
+   * @param {string} field - Field name for error messages
+   * @param {string} id - Tournament ID for error messages
+   * @returns {Array} Endpoint list with /api prefix
+   */
+  normalizeEndpointList(list, defaults, field, id) {
+    if (list === undefined || list === null) {
+      return [...defaults];
+    }
+
+    if (!Array.isArray(list)) {
+      throw this.validationError(`Tournament ${id} ${field} must be an array`);
+    }
+
+    const knownEndpoints = Object.keys(config.cache.endpoints);
+    const normalized = list.map(endpoint => (String(endpoint).startsWith('/api/') ? String(endpoint) : `/api${endpoint}`));
+    const unknown = normalized.filter(endpoint => !knownEndpoints.includes(endpoint));
+    if (unknown.length > 0) {
+      throw this.validationError(`Tournament ${id} has unknown ${field}: ${unknown.join(', ')}`);
+    }
+
+    return [...new Set(normalized)];
+  }
+
+  /**
+   * Create a validation error handled by the error middleware as a 400
+   * @param {string} message - Error message
+   * @returns {Error} Validation error
+   */
+  validationError(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+  }
+
+  /**
+   * Register a new tournament
+   * @param {Object} definition - Tournament definition
+   * @returns {Promise<Object>} Registered tournament
+   */
+  async add(definition) {
+    const tournament = this.normalize(definition);
+    if (this.tournaments.has(tournament.id)) {
+      const error = new Error(`Tournament ${tournament.id} is already registered`);
+      error.status = 409;
+      error.statusText = 'Conflict';
+      throw error;
+    }
+
+    this.tournaments.set(tournament.id, tournament);
+    await this.persist();
+    console.log(`[TOURNAMENTS] Registered tournament ${tournament.id}`);
+    return tournament;
+  }
+
+  /**
+   * Update an existing tournament (fields not provided keep their current values)
+   * @param {string} tournamentId - Tournament ID
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object|null>} Updated tournament or null if not registered
+   */
+  async update(tournamentId, changes) {
+    const existing = this.get(tournamentId);
+    if (!existing) {
+      return null;
+    }
+
+    const merged = {
+      ...this.toDefinition(existing),
+      ...changes,
+      id: existing.id
+    };
+    // A new literal token replaces an environment variable reference and vice versa
+    if (changes.bearerToken && !changes.bearerTokenEnv) {
+      delete merged.bearerTokenEnv;
+    }
+    if (!merged.bearerTokenEnv && !merged.bearerToken) {
+      merged.bearerToken = existing.bearerToken;
+    }
+
+    const tournament = this.normalize(merged);
+    this.tournaments.set(tournament.id, tournament);
+    await this.persist();
+    console.log(`[TOURNAMENTS] Updated tournament ${tournament.id}`);
+    return tournament;
+  }
+
+  /**
+   * Remove a tournament
+   * @param {string} tournamentId - Tournament ID
+   * @returns {Promise<boolean>} True if the tournament was registered
+   */
+  async remove(tournamentId) {
+    const removed = this.tournaments.delete(String(tournamentId));
+    if (removed) {
+      await this.persist();
+      console.log(`[TOURNAMENTS] Removed tournament ${tournamentId}`);
+    }
+    return removed;
+  }
+
+  /**
+   * Write the current tournament definitions back to the config file, if one is configured
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    if (!this.configFile) {
+      return;
+    }
+
+    const tournaments = this.list().map(tournament => this.toDefinition(tournament));
+    await fs.writeFile(this.configFile, JSON.stringify({ tournaments }, null, 2), 'utf8');
+  }
+
+  /**
+   * Convert a tournament back to its storable definition
+   * Tokens sourced from an environment variable are stored as the variable name only
+   * @param {Object} tournament - Normalized tournament
+   * @returns {Object} Tournament definition
+   */
+  toDefinition(tournament) {
+    const definition = {
+      id: tournament.id,
+      name: tournament.name,
+      baseUrl: tournament.baseUrl,
+      endpoints: tournament.endpoints,
+      eventEndpoints: tournament.eventEndpoints
+    };
+
+    if (tournament.bearerTokenEnv) {
+      definition.bearerTokenEnv = tournament.bearerTokenEnv;
+    } else {
+      definition.bearerToken = tournament.bearerToken;
+    }
+
+    return definition;
+  }
+
+  /**
+   * Get a public (token-free) view of a tournament
+   * @param {Object} tournament - Normalized tournament
+   * @returns {Object} Tournament summary safe to return from the API
+   */
+  toPublic(tournament) {
+    return {
+      id: tournament.id,
+      name: tournament.name,
+      baseUrl: tournament.baseUrl,
+      hasBearerToken: !!tournament.bearerToken,
+      bearerTokenEnv: tournament.bearerTokenEnv,
+      endpoints: tournament.endpoints,
+      eventEndpoints: tournament.eventEndpoints
+    };
+  }
+
+  /**
+   * Get a tournament by ID
+   * @param {string} tournamentId - Tournament ID
+   * @returns {Object|null} Tournament or null if not registered
+   */
+  get(tournamentId) {
+    if (tournamentId === undefined || tournamentId === null) {
+      return null;
+    }
+    return this.tournaments.get(String(tournamentId)) || null;
+  }
+
+  /**
+   * Get the ATP API client for a tournament
+   * @param {string} tournamentId - Tournament ID
+   * @returns {AtpApiService|null} Tournament-scoped API client
+   */
+  getClient(tournamentId) {
+    const tournament = this.get(tournamentId);
+    return tournament ? tournament.client : null;
+  }
+
+  /**
+   * Check whether an endpoint is enabled for a tournament
+   * @param {string} tournamentId - Tournament ID
+   * @param {string} endpoint - Base endpoint (e.g. /api/live-matches)
+   * @returns {boolean} True if the tournament exists and the endpoint is enabled
+   */
+  isEndpointAllowed(tournamentId, endpoint) {
+    const tournament = this.get(tournamentId);
+    return !!tournament && tournament.endpoints.includes(endpoint);
+  }
+
+  /**
+   * List all registered tournaments
+   * @returns {Array} Tournaments
+   */
+  list() {
+    return Array.from(this.tournaments.values());
+  }
+
+  /**
+   * Get all registered tournament IDs
+   * @returns {Array<string>} Tournament IDs
+   */
+  getIds() {
+    return Array.from(this.tournaments.keys());
+  }
+
+  /**
+   * Get the circuit breaker states of every tournament client
+   * @returns {Object} tournamentId -> (upstream path -> circuit state)
+   */
+  getCircuitStates() {
+    const states = {};
+    for (const tournament of this.list()) {
+      states[tournament.id] = tournament.client.getCircuitStates();
+    }
+    return states;
+  }
+
+  /**
+   * Clear all tournaments (for testing)
+   */
+  clear() {
+    this.tournaments.clear();
+  }
+}
+
+module.exports = new TournamentRegistry();
@@ -1,63 +1,584 @@
 const axios = require('axios');
 const crypto = require('crypto');
+const fs = require('fs').promises;
 const http = require('http');
 const https = require('https');
 const config = require('../config');
+const webhookDeliveryLog = require('./webhookDeliveryLog');
+const webhookOutbox = require('./webhookOutbox');
+const { EVENT_TYPES, EVENT_PRIORITY } = require('../types/events');
+const { SIGNATURE_VERSIONS, KEY_ID_PATTERN, buildSignatureHeaders, deriveKeyId, signV1 } = require('../utils/webhookSignature');
+
+// Destination ID used for the EVENTS_WEBHOOK_URL/EVENTS_WEBHOOK_SECRET pair
+const ENV_DESTINATION_ID = 'default';
 
 /**
  * Webhook client service for sending ATP Live events to configured webhooks
- * Handles authentication, retries, and batching
+ * Fans events out to any number of destinations, each with its own secret, batching,
+ * retry policy, event filter and delivery stats. Destinations are loaded from
+ * WEBHOOKS_CONFIG_FILE at startup and manageable through /api/webhooks.
+ * Undelivered events are kept in the webhook outbox across restarts, and batches that
+ * exhaust their retries are moved to its dead-letter store for redelivery
  */
 class WebhookClientService {
   constructor() {
-    this.webhookUrl = config.events.webhookUrl;
-    this.webhookSecret = config.events.webhookSecret;
-    this.isEnabled = !!(this.webhookUrl && this.webhookSecret);
-    this.timeout = config.events.webhookTimeout || 5000;
-    this.retries = config.events.webhookRetries || 3;
-    this.batchSize = config.events.webhookBatchSize || 10;
-    this.eventQueue = [];
-    this.batchTimer = null;
-    this.batchInterval = config.events.webhookBatchInterval || 2000; // 2 seconds
-
-    if (this.isEnabled) {
-      console.log(`[WEBHOOK] Webhook client enabled, target: ${this.webhookUrl}`);
+    this.configFile = config.webhooks.configFile;
+    // destinationId -> normalized destination (including its queue, batch timer and stats)
+    this.destinations = new Map();
+
+    // The single-destination environment variables still work as the "default" destination
+    if (config.events.webhookUrl && config.events.webhookSecret) {
+      // EVENTS_WEBHOOK_PREVIOUS_SECRET keeps the old secret signing while receivers switch over
+      const secrets = [config.events.webhookSecret, config.events.webhookPreviousSecret]
+        .filter(Boolean)
+        .map(secret => ({ secret }));
+      this.destinations.set(ENV_DESTINATION_ID, this.normalize({
+        id: ENV_DESTINATION_ID,
+        url: config.events.webhookUrl,
+        secrets
+      }, { fromEnv: true }));
+      console.log(`[WEBHOOK] Webhook client enabled, target: ${config.events.webhookUrl}`);
+    } else {
+      console.log('[WEBHOOK] No EVENTS_WEBHOOK_URL/EVENTS_WEBHOOK_SECRET destination configured');
+    }
+  }
+
+  /**
+   * Whether at least one destination is enabled
+   * @returns {boolean} True if events are delivered anywhere
+   */
+  get isEnabled() {
+    return this.list().some(destination => destination.enabled);
+  }
+
+  /**
+   * Load destinations from the configured file (no-op when no file is configured)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (!this.configFile) {
+      return;
+    }
+
+    let fileContent;
+    try {
+      fileContent = await fs.readFile(this.configFile, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.warn(`[WEBHOOK] Config file ${this.configFile} not found, starting with no file destinations`);
+        return;
+      }
+      throw error;
+    }
+
+    const parsed = JSON.parse(fileContent);
+    const definitions = Array.isArray(parsed) ? parsed : (parsed.webhooks || []);
+
+    for (const destination of this.list().filter(destination => !destination.fromEnv)) {
+      this.clearBatchTimer(destination.id);
+      this.destinations.delete(destination.id);
+    }
+    for (const definition of definitions) {
+      const destination = this.normalize(definition);
+      this.destinations.set(destination.id, destination);
+    }
+
+    console.log(`[WEBHOOK] Loaded ${definitions.length} destination(s) from ${this.configFile}: ${this.getIds().join(', ')}`);
+  }
+
+  /**
+   * Initialize the outbox and requeue events left undelivered by the previous run
+   * Must run after load() so restored events find their destinations; events of
+   * destinations that no longer exist are moved to the dead-letter store
+   * @param {Object} [options] - Outbox options (see webhookOutbox.initialize)
+   * @returns {Promise<number>} Number of restored events
+   */
+  async restoreOutbox(options = {}) {
+    const pending = await webhookOutbox.initialize(options);
+    let restored = 0;
+
+    for (const [destinationId, events] of Object.entries(pending)) {
+      if (!Array.isArray(events) || events.length === 0) {
+        continue;
+      }
+
+      const destination = this.get(destinationId);
+      if (!destination) {
+        await webhookOutbox.addDeadLetter({
+          destinationId,
+          url: null,
+          events,
+          attempts: 0,
+          lastError: `Webhook ${destinationId} no longer exists`
+        });
+        continue;
+      }
+
+      destination.queue.unshift(...events);
+      restored += events.length;
+      if (destination.enabled) {
+        this.resetBatchTimer(destination);
+      }
+    }
+
+    this.persistOutbox();
+    if (restored > 0) {
+      console.log(`[WEBHOOK] Restored ${restored} undelivered event(s) from the outbox`);
+    }
+    return restored;
+  }
+
+  /**
+   * Get every destination's undelivered events (in flight first, then queued)
+   * @returns {Object} Events by destination ID
+   */
+  getPendingEvents() {
+    const pending = {};
+    for (const destination of this.list()) {
+      const events = [...destination.inFlight.flat(), ...destination.queue];
+      if (events.length > 0) {
+        pending[destination.id] = events;
+      }
+    }
+    return pending;
+  }
+
+  /**
+   * Save undelivered events to the outbox
+   * @returns {Promise<void>} Resolves when the snapshot is written
+   */
+  persistOutbox() {
+    return webhookOutbox.save(this.getPendingEvents());
+  }
+
+  /**
+   * Validate and normalize a destination definition
+   * @param {Object} definition - Raw destination definition
+   * @param {Object} [options] - Normalization options
+   * @param {boolean} [options.fromEnv] - Destination comes from environment variables (never persisted)
+   * @param {Object} [options.existing] - Destination being replaced (keeps its queue, in-flight batches and stats)
+   * @returns {Object} Normalized destination
+   */
+  normalize(definition, { fromEnv = false, existing = null } = {}) {
+    if (!definition || typeof definition !== 'object') {
+      throw this.validationError('Webhook definition must be an object');
+    }
+
+    const id = definition.id !== undefined && definition.id !== null ? String(definition.id).trim() : '';
+    if (!id || !/^[A-Za-z0-9_-]+$/.test(id)) {
+      throw this.validationError('Webhook id is required and may only contain letters, digits, "-" and "_"');
+    }
+
+    let url;
+    try {
+      url = new URL(definition.url);
+    } catch (error) {
+      throw this.validationError(`Webhook ${id} needs a valid url`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw this.validationError(`Webhook ${id} url must use http or https`);
+    }
+
+    const secrets = this.normalizeSecrets(definition, id);
+    const signatureVersion = definition.signatureVersion || config.events.webhookSignatureVersion;
+    if (!Object.values(SIGNATURE_VERSIONS).includes(signatureVersion)) {
+      throw this.validationError(`Webhook ${id} has unknown signatureVersion: ${signatureVersion}`);
+    }
+
+    const filter = definition.filter || {};
+    const eventTypes = this.normalizeFilterList(filter.eventTypes, Object.values(EVENT_TYPES), 'eventTypes', id);
+    const priorities = this.normalizeFilterList(filter.priorities, Object.values(EVENT_PRIORITY), 'priorities', id);
+    const tournamentIds = this.normalizeFilterList(filter.tournamentIds, null, 'tournamentIds', id);
+
+    return {
+      id,
+      name: definition.name || null,
+      url: url.toString(),
+      // Primary secret (the only one used by v1 signatures)
+      secret: secrets[0].secret,
+      secrets,
+      signatureVersion,
+      enabled: definition.enabled !== false,
+      timeout: this.positiveInteger(definition.timeout, config.events.webhookTimeout, 'timeout', id),
+      retries: this.positiveInteger(definition.retries, config.events.webhookRetries, 'retries', id),
+      retryBaseDelay: this.positiveInteger(definition.retryBaseDelay, 1000, 'retryBaseDelay', id),
+      retryMaxDelay: this.positiveInteger(definition.retryMaxDelay, 10000, 'retryMaxDelay', id),
+      batchSize: this.positiveInteger(definition.batchSize, config.events.webhookBatchSize, 'batchSize', id),
+      batchInterval: this.positiveInteger(definition.batchInterval, config.events.webhookBatchInterval, 'batchInterval', id),
+      filter: { eventTypes, tournamentIds, priorities },
+      fromEnv,
+      queue: existing ? existing.queue : [],
+      // Batches currently being delivered, kept in the outbox until they succeed or are dead-lettered
+      inFlight: existing ? existing.inFlight : [],
+      batchTimer: null,
+      stats: existing ? existing.stats : this.createStats()
+    };
+  }
+
+  /**
+   * Normalize the signing secrets of a definition
+   * Either a single secret/secretEnv or a secrets list ({ keyId, secret | secretEnv }, current first)
+   * @param {Object} definition - Raw destination definition
+   * @param {string} id - Destination ID for error messages
+   * @returns {Array<Object>} Secrets [{ keyId, explicitKeyId, secret, secretEnv }]
+   */
+  normalizeSecrets(definition, id) {
+    let entries;
+    if (definition.secrets !== undefined && definition.secrets !== null) {
+      if (definition.secret || definition.secretEnv) {
+        throw this.validationError(`Webhook ${id} must use either secret/secretEnv or secrets`);
+      }
+      if (!Array.isArray(definition.secrets) || definition.secrets.length === 0) {
+        throw this.validationError(`Webhook ${id} secrets must be a non-empty array`);
+      }
+      entries = definition.secrets;
+    } else {
+      entries = [{ secret: definition.secret, secretEnv: definition.secretEnv }];
+    }
+
+    const secrets = entries.map(entry => {
+      if (!entry || typeof entry !== 'object') {
+        throw this.validationError(`Webhook ${id} secrets entries must be objects`);
+      }
+
+      // Secrets can be read from an environment variable to keep them out of the config file
+      const secretEnv = entry.secretEnv || null;
+      const secret = secretEnv ? process.env[secretEnv] : entry.secret;
+      if (!secret) {
+        const source = secretEnv ? `environment variable ${secretEnv}` : 'secret';
+        throw this.validationError(`Webhook ${id} has no secret (${source} is empty)`);
+      }
+
+      const keyId = entry.keyId !== undefined && entry.keyId !== null ? String(entry.keyId) : null;
+      if (keyId !== null && !KEY_ID_PATTERN.test(keyId)) {
+        throw this.validationError(`Webhook ${id} keyId may only contain letters, digits, ".", "-" and "_"`);
+      }
+      return { keyId: keyId || deriveKeyId(secret), explicitKeyId: keyId !== null, secret, secretEnv };
+    });
+
+    const keyIds = secrets.map(secret => secret.keyId);
+    if (new Set(keyIds).size !== keyIds.length) {
+      throw this.validationError(`Webhook ${id} has duplicate secret key IDs`);
+    }
+    return secrets;
+  }
+
+  /**
+   * Normalize an optional filter list
+   * @param {Array|undefined} list - List from the definition
+   * @param {Array|null} allowed - Allowed values, or null for any value
+   * @param {string} field - Field name for error messages
+   * @param {string} id - Destination ID for error messages
+   * @returns {Array|null} Normalized list, or null to match everything
+   */
+  normalizeFilterList(list, allowed, field, id) {
+    if (list === undefined || list === null) {
+      return null;
+    }
+    if (!Array.isArray(list)) {
+      throw this.validationError(`Webhook ${id} filter.${field} must be an array`);
+    }
+
+    const normalized = [...new Set(list.map(item => String(item)))];
+    const unknown = allowed ? normalized.filter(item => !allowed.includes(item)) : [];
+    if (unknown.length > 0) {
+      throw this.validationError(`Webhook ${id} has unknown filter.${field}: ${unknown.join(', ')}`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Validate an optional positive integer setting
+   * @param {*} value - Value from the definition
+   * @param {number} defaultValue - Default when omitted
+   * @param {string} field - Field name for error messages
+   * @param {string} id - Destination ID for error messages
+   * @returns {number} Setting value
+   */
+  positiveInteger(value, defaultValue, field, id) {
+    if (value === undefined || value === null) {
+      return defaultValue;
+    }
+    if (!Number.isInteger(value) || value < 1) {
+      throw this.validationError(`Webhook ${id} ${field} must be a positive integer`);
+    }
+    return value;
+  }
+
+  /**
+   * Create a validation error handled by the error middleware as a 400
+   * @param {string} message - Error message
+   * @returns {Error} Validation error
+   */
+  validationError(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+  }
+
+  /**
+   * Create empty delivery stats for a destination
+   * @returns {Object} Delivery stats
+   */
+  createStats() {
+    return {
+      eventsQueued: 0,
+      eventsDelivered: 0,
+      eventsFailed: 0,
+      requestsSent: 0,
+      requestsFailed: 0,
+      retries: 0,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Register a new destination
+   * @param {Object} definition - Destination definition
+   * @returns {Promise<Object>} Registered destination
+   */
+  async add(definition) {
+    const destination = this.normalize(definition);
+    if (this.destinations.has(destination.id)) {
+      const error = new Error(`Webhook ${destination.id} already exists`);
+      error.status = 409;
+      error.statusText = 'Conflict';
+      throw error;
+    }
+
+    this.destinations.set(destination.id, destination);
+    await this.persist();
+    console.log(`[WEBHOOK] Added destination ${destination.id}: ${destination.url}`);
+    return destination;
+  }
+
+  /**
+   * Update an existing destination (fields not provided keep their current values)
+   * Queued events and stats are kept
+   * @param {string} destinationId - Destination ID
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object|null>} Updated destination or null if unknown
+   */
+  async update(destinationId, changes) {
+    const existing = this.get(destinationId);
+    if (!existing) {
+      return null;
+    }
+
+    const merged = {
+      ...this.toDefinition(existing),
+      ...changes,
+      id: existing.id
+    };
+    // A new literal secret replaces an environment variable reference and vice versa,
+    // and a single secret replaces a secrets list and vice versa
+    if (changes.secret && !changes.secretEnv) {
+      delete merged.secretEnv;
+    }
+    if (changes.secret || changes.secretEnv) {
+      delete merged.secrets;
+    } else if (changes.secrets) {
+      delete merged.secret;
+      delete merged.secretEnv;
+    }
+    if (!merged.secrets && !merged.secretEnv && !merged.secret) {
+      merged.secret = existing.secret;
+    }
+
+    const destination = this.normalize(merged, { fromEnv: existing.fromEnv, existing });
+    this.clearBatchTimer(existing.id);
+    this.destinations.set(destination.id, destination);
+    await this.persist();
+    console.log(`[WEBHOOK] Updated destination ${destination.id}`);
+
+    // Events kept while the destination was disabled are sent once it is enabled again
+    if (destination.enabled && destination.queue.length > 0) {
+      this.resetBatchTimer(destination);
+    }
+    return destination;
+  }
+
+  /**
+   * Remove a destination, dropping its queued events
+   * @param {string} destinationId - Destination ID
+   * @returns {Promise<boolean>} True if the destination existed
+   */
+  async remove(destinationId) {
+    const destination = this.get(destinationId);
+    if (!destination) {
+      return false;
+    }
+
+    this.clearBatchTimer(destination.id);
+    this.destinations.delete(destination.id);
+    await this.persist();
+    this.persistOutbox();
+    console.log(`[WEBHOOK] Removed destination ${destination.id}`);
+    return true;
+  }
+
+  /**
+   * Write the file-managed destinations back to the config file, if one is configured
+   * The environment variable destination is never written
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    if (!this.configFile) {
+      return;
+    }
+
+    const webhooks = this.list()
+      .filter(destination => !destination.fromEnv)
+      .map(destination => this.toDefinition(destination));
+    await fs.writeFile(this.configFile, JSON.stringify({ webhooks }, null, 2), 'utf8');
+  }
+
+  /**
+   * Convert a destination back to its storable definition
+   * Secrets sourced from an environment variable are stored as the variable name only
+   * @param {Object} destination - Normalized destination
+   * @returns {Object} Destination definition
+   */
+  toDefinition(destination) {
+    const definition = {
+      id: destination.id,
+      name: destination.name,
+      url: destination.url,
+      enabled: destination.enabled,
+      timeout: destination.timeout,
+      retries: destination.retries,
+      retryBaseDelay: destination.retryBaseDelay,
+      retryMaxDelay: destination.retryMaxDelay,
+      batchSize: destination.batchSize,
+      batchInterval: destination.batchInterval,
+      signatureVersion: destination.signatureVersion,
+      filter: { ...destination.filter }
+    };
+
+    const secrets = destination.secrets.map(entry => {
+      const stored = entry.explicitKeyId ? { keyId: entry.keyId } : {};
+      if (entry.secretEnv) {
+        stored.secretEnv = entry.secretEnv;
+      } else {
+        stored.secret = entry.secret;
+      }
+      return stored;
+    });
+    // A single secret without an explicit key ID keeps the plain secret/secretEnv form
+    if (secrets.length === 1 && !destination.secrets[0].explicitKeyId) {
+      Object.assign(definition, secrets[0]);
     } else {
-      console.log('[WEBHOOK] Webhook client disabled - missing webhookUrl or webhookSecret');
+      definition.secrets = secrets;
     }
+
+    return definition;
   }
 
   /**
-   * Generate HMAC SHA-256 signature for webhook payload
+   * Get a public (secret-free) view of a destination
+   * @param {Object} destination - Normalized destination
+   * @returns {Object} Destination summary safe to return from the API
+   */
+  toPublic(destination) {
+    const definition = this.toDefinition(destination);
+    delete definition.secret;
+    if (definition.secrets) {
+      definition.secrets = definition.secrets.map(entry => {
+        const publicEntry = { ...entry };
+        delete publicEntry.secret;
+        return publicEntry;
+      });
+    }
+    return {
+      ...definition,
+      keyIds: destination.secrets.map(entry => entry.keyId),
+      hasSecret: !!destination.secret,
+      source: destination.fromEnv ? 'env' : 'config',
+      queueSize: destination.queue.length,
+      inFlight: destination.inFlight.reduce((total, batch) => total + batch.length, 0),
+      deadLetters: webhookOutbox.listDeadLetters({ destinationId: destination.id }).length,
+      stats: { ...destination.stats },
+      deliveries: webhookDeliveryLog.getStats(destination.id)
+    };
+  }
+
+  /**
+   * Get a destination by ID
+   * @param {string} destinationId - Destination ID
+   * @returns {Object|null} Destination or null if unknown
+   */
+  get(destinationId) {
+    if (destinationId === undefined || destinationId === null) {
+      return null;
+    }
+    return this.destinations.get(String(destinationId)) || null;
+  }
+
+  /**
+   * List all destinations
+   * @returns {Array} Destinations
+   */
+  list() {
+    return Array.from(this.destinations.values());
+  }
+
+  /**
+   * Get all destination IDs
+   * @returns {Array<string>} Destination IDs
+   */
+  getIds() {
+    return Array.from(this.destinations.keys());
+  }
+
+  /**
+   * Check whether a destination's filter accepts an event
+   * @param {Object} destination - Destination
+   * @param {Object} event - Event
+   * @returns {boolean} True if the event should be delivered
+   */
+  matchesFilter(destination, event) {
+    const { eventTypes, tournamentIds, priorities } = destination.filter;
+    return (!eventTypes || eventTypes.includes(event.event_type)) &&
+      (!tournamentIds || tournamentIds.includes(String(event.tournament_id))) &&
+      (!priorities || priorities.includes(event.priority));
+  }
+
+  /**
+   * Generate a v1 HMAC SHA-256 signature for webhook payload
    * @param {string} payload - JSON payload as string
    * @param {string} timestamp - ISO timestamp
+   * @param {string} secret - Destination secret
    * @returns {string} Signature in format "sha256=<hex>"
    */
-  generateSignature(payload, timestamp) {
-    if (!this.webhookSecret) {
+  generateSignature(payload, timestamp, secret) {
+    if (!secret) {
       throw new Error('Webhook secret not configured');
     }
 
-    const signature = crypto
-      .createHmac('sha256', this.webhookSecret)
-      .update(payload + timestamp)
-      .digest('hex');
-
-    return `sha256=${signature}`;
+    return signV1(payload, timestamp, secret);
   }
 
   /**
-   * Send events to webhook endpoint
+   * Send events to a destination
+   * @param {Object} destination - Destination
    * @param {Array} events - Array of events to send
-   * @returns {Promise<boolean>} Success status
+   * @param {Object} [options] - Delivery options
+   * @param {string} [options.deadLetterId] - Dead letter being redelivered (recorded in the delivery log)
+   * @returns {Promise<Object>} { delivered, attempts, error, deliveryId }
    */
-  async sendEvents(events) {
-    if (!this.isEnabled || !events || events.length === 0) {
-      return false;
+  async sendEvents(destination, events, { deadLetterId = null } = {}) {
+    if (!destination || !destination.enabled || !events || events.length === 0) {
+      return { delivered: false, attempts: 0, error: null, deliveryId: null };
     }
 
     const timestamp = new Date().toISOString();
-    
+    const eventIds = events.map(event => event.event_id);
+    // Derived from the event IDs so retries and redeliveries of a batch keep the same ID;
+    // single events are sent without a batch_id, but the delivery log still identifies them by one
+    const batchId = `batch_${crypto.createHash('sha256').update(eventIds.join(',')).digest('hex').slice(0, 24)}`;
+
     // Create payload based on whether it's a single event or batch
     let payload;
     if (events.length === 1) {
@@ -69,139 +590,275 @@ class WebhookClientService {
     } else {
       // Multiple events - send as batch
       payload = {
-        batch_id: `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        batch_id: batchId,
         timestamp,
         events: events.map(event => ({ ...event, timestamp: event.timestamp || timestamp }))
       };
     }
 
     const payloadString = JSON.stringify(payload);
-    const signature = this.generateSignature(payloadString, timestamp);
 
     const headers = {
       'Content-Type': 'application/json',
-      'X-ATP-Live-Signature': signature,
+      // Receivers deduplicate on these: they stay the same across retries, redeliveries and replays
+      'Idempotency-Key': events.length === 1 ? eventIds[0] : batchId,
+      'X-ATP-Live-Event-Id': eventIds.join(','),
       'User-Agent': 'ATP-Live-Proxy/1.0'
     };
 
+    const { stats } = destination;
+    const delivery = { destination, batchId, events, deadLetterId, startedAt: Date.now() };
     let lastError;
-    
+    let attempts = 0;
+    let attemptStartedAt;
+    let lastLatencyMs = 0;
+
     // Retry logic with exponential backoff
-    for (let attempt = 0; attempt < this.retries; attempt++) {
+    for (let attempt = 0; attempt < destination.retries; attempt++) {
       try {
-        const delay = attempt > 0 ? Math.min(1000 * Math.pow(2, attempt - 1), 10000) : 0;
+        const delay = attempt > 0
+          ? Math.min(destination.retryBaseDelay * Math.pow(2, attempt - 1), destination.retryMaxDelay)
+          : 0;
         if (delay > 0) {
-          console.log(`[WEBHOOK] Retrying in ${delay}ms (attempt ${attempt + 1}/${this.retries})`);
+          console.log(`[WEBHOOK] ${destination.id}: retrying in ${delay}ms (attempt ${attempt + 1}/${destination.retries})`);
+          stats.retries++;
           await this.sleep(delay);
         }
 
-        const response = await axios.post(this.webhookUrl, payload, {
-          headers,
-          timeout: this.timeout,
+        attempts++;
+        stats.requestsSent++;
+        attemptStartedAt = Date.now();
+        // Signed per attempt so v2 timestamps of retries stay inside the receiver's tolerance window;
+        // the serialized body is sent as-is so it matches the signed bytes
+        const signatureHeaders = buildSignatureHeaders(payloadString, {
+          version: destination.signatureVersion,
+          secrets: destination.secrets,
+          bodyTimestamp: timestamp
+        });
+        const response = await axios.post(destination.url, payloadString, {
+          headers: { ...headers, ...signatureHeaders },
+          timeout: destination.timeout,
           validateStatus: (status) => status >= 200 && status < 300,
           // Disable keep-alive to prevent connection pooling (especially in tests)
           httpAgent: new http.Agent({ keepAlive: false }),
           httpsAgent: new https.Agent({ keepAlive: false })
         });
 
-        console.log(`[WEBHOOK] Successfully sent ${events.length} event(s) to ${this.webhookUrl} (${response.status})`);
-        return true;
+        stats.eventsDelivered += events.length;
+        stats.lastSuccessAt = new Date().toISOString();
+        console.log(`[WEBHOOK] ${destination.id}: sent ${events.length} event(s) to ${destination.url} (${response.status})`);
+        const entry = webhookDeliveryLog.record({
+          ...delivery,
+          success: true,
+          attempts,
+          status: response.status,
+          latencyMs: Date.now() - attemptStartedAt,
+          responseBody: response.data
+        });
+        return { delivered: true, attempts, error: null, deliveryId: entry.id };
 
       } catch (error) {
         lastError = error;
-        const isLastAttempt = attempt === this.retries - 1;
-        
+        lastLatencyMs = Date.now() - attemptStartedAt;
+        stats.requestsFailed++;
+        const isLastAttempt = attempt === destination.retries - 1;
+
         if (error.response) {
           // HTTP error response
-          console.error(`[WEBHOOK] HTTP error ${error.response.status}: ${error.response.data?.message || error.message}`);
-          
+          console.error(`[WEBHOOK] ${destination.id}: HTTP error ${error.response.status}: ${error.response.data?.message || error.message}`);
+
           // Don't retry on 4xx errors (except 429 - rate limit)
           if (error.response.status >= 400 && error.response.status < 500 && error.response.status !== 429) {
-            console.error(`[WEBHOOK] Not retrying due to client error ${error.response.status}`);
+            console.error(`[WEBHOOK] ${destination.id}: not retrying due to client error ${error.response.status}`);
             break;
           }
         } else if (error.request) {
           // Network error
-          console.error(`[WEBHOOK] Network error: ${error.message}`);
+          console.error(`[WEBHOOK] ${destination.id}: network error: ${error.message}`);
         } else {
           // Other error
-          console.error(`[WEBHOOK] Error: ${error.message}`);
+          console.error(`[WEBHOOK] ${destination.id}: error: ${error.message}`);
         }
 
         if (!isLastAttempt) {
-          console.log(`[WEBHOOK] Will retry (attempt ${attempt + 1}/${this.retries})`);
+          console.log(`[WEBHOOK] ${destination.id}: will retry (attempt ${attempt + 1}/${destination.retries})`);
         }
       }
     }
 
-    console.error(`[WEBHOOK] Failed to send events after ${this.retries} attempts:`, lastError?.message);
-    return false;
+    stats.eventsFailed += events.length;
+    stats.lastFailureAt = new Date().toISOString();
+    stats.lastError = lastError?.message || null;
+    console.error(`[WEBHOOK] ${destination.id}: failed to send events after ${attempts} attempt(s):`, lastError?.message);
+    const entry = webhookDeliveryLog.record({
+      ...delivery,
+      success: false,
+      attempts,
+      status: lastError?.response?.status || null,
+      latencyMs: lastLatencyMs,
+      responseBody: lastError?.response?.data,
+      error: stats.lastError
+    });
+    return { delivered: false, attempts, error: stats.lastError, deliveryId: entry.id };
   }
 
   /**
-   * Add events to the queue for batched sending
+   * Add events to the queue of every enabled destination whose filter accepts them
    * @param {Array|Object} events - Single event or array of events
    */
   queueEvents(events) {
-    if (!this.isEnabled) {
-      return;
-    }
-
     const eventArray = Array.isArray(events) ? events : [events];
-    this.eventQueue.push(...eventArray);
+    let queued = false;
 
-    // In test environment, flush immediately to avoid timers
-    if (process.env.NODE_ENV === 'test') {
-      this.flushQueue();
-      return;
+    for (const destination of this.list()) {
+      if (!destination.enabled) {
+        continue;
+      }
+
+      const accepted = eventArray.filter(event => this.matchesFilter(destination, event));
+      if (accepted.length === 0) {
+        continue;
+      }
+      destination.queue.push(...accepted);
+      destination.stats.eventsQueued += accepted.length;
+      queued = true;
+
+      // In test environment, flush immediately to avoid timers
+      if (process.env.NODE_ENV === 'test') {
+        this.flushQueue(destination.id);
+        continue;
+      }
+
+      // If we've reached the batch size, send immediately
+      if (destination.queue.length >= destination.batchSize) {
+        this.flushQueue(destination.id);
+      } else {
+        // Otherwise, set a timer to send after the interval
+        this.resetBatchTimer(destination);
+      }
     }
 
-    // If we've reached the batch size, send immediately
-    if (this.eventQueue.length >= this.batchSize) {
-      this.flushQueue();
-    } else {
-      // Otherwise, set a timer to send after the interval
-      this.resetBatchTimer();
+    if (queued) {
+      this.persistOutbox();
     }
   }
 
   /**
-   * Send all queued events immediately
+   * Send queued events immediately
+   * Batches that exhaust their retries are moved to the dead-letter store;
+   * disabled destinations keep their queue until they are enabled again
+   * @param {string} [destinationId] - Destination to flush (all destinations when omitted)
+   * @returns {Promise<void>}
    */
-  async flushQueue() {
-    if (this.eventQueue.length === 0) {
-      return;
+  async flushQueue(destinationId) {
+    const destinations = destinationId !== undefined ? [this.get(destinationId)].filter(Boolean) : this.list();
+
+    await Promise.all(destinations.map(async (destination) => {
+      if (destination.queue.length === 0 || !destination.enabled) {
+        return;
+      }
+
+      this.clearBatchTimer(destination.id);
+
+      const eventsToSend = destination.queue.splice(0);
+      destination.inFlight.push(eventsToSend);
+      console.log(`[WEBHOOK] ${destination.id}: flushing queue with ${eventsToSend.length} event(s)`);
+
+      let result;
+      try {
+        result = await this.sendEvents(destination, eventsToSend);
+      } catch (error) {
+        console.error(`[WEBHOOK] ${destination.id}: error flushing queue:`, error.message);
+        result = { delivered: false, attempts: 0, error: error.message, deliveryId: null };
+      }
+
+      destination.inFlight.splice(destination.inFlight.indexOf(eventsToSend), 1);
+      if (!result.delivered) {
+        await webhookOutbox.addDeadLetter({
+          destinationId: destination.id,
+          url: destination.url,
+          events: eventsToSend,
+          attempts: result.attempts,
+          lastError: result.error
+        });
+      }
+      await this.persistOutbox();
+    }));
+  }
+
+  /**
+   * Redeliver a dead-lettered batch to its destination
+   * The dead letter is removed when delivery succeeds and updated when it fails again
+   * @param {string} deadLetterId - Dead letter ID
+   * @returns {Promise<Object|null>} { redelivered, deadLetter } or null if the dead letter is unknown
+   */
+  async redeliver(deadLetterId) {
+    const deadLetter = webhookOutbox.getDeadLetter(deadLetterId);
+    if (!deadLetter) {
+      return null;
     }
 
-    this.clearBatchTimer();
-    
-    const eventsToSend = this.eventQueue.splice(0);
-    console.log(`[WEBHOOK] Flushing queue with ${eventsToSend.length} event(s)`);
-    
-    try {
-      await this.sendEvents(eventsToSend);
-    } catch (error) {
-      console.error('[WEBHOOK] Error flushing queue:', error.message);
+    const destination = this.get(deadLetter.destinationId);
+    if (!destination || !destination.enabled) {
+      const error = new Error(`Webhook ${deadLetter.destinationId} ${destination ? 'is disabled' : 'no longer exists'}`);
+      error.status = 409;
+      error.statusText = 'Conflict';
+      throw error;
+    }
+
+    console.log(`[WEBHOOK] ${destination.id}: redelivering dead letter ${deadLetter.id} (${deadLetter.events.length} event(s))`);
+    const result = await this.sendEvents(destination, deadLetter.events, { deadLetterId: deadLetter.id });
+    if (result.delivered) {
+      await webhookOutbox.removeDeadLetter(deadLetter.id, { redelivered: true });
+    } else {
+      await webhookOutbox.recordRedeliveryFailure(deadLetter, result.attempts, result.error);
     }
+
+    return { redelivered: result.delivered, deadLetter };
   }
 
   /**
-   * Reset the batch timer
+   * Redeliver dead-lettered batches one after another, oldest first
+   * Dead letters of missing or disabled destinations are reported as failed and kept
+   * @param {Object} [filters] - Dead letter filters
+   * @param {string} [filters.destinationId] - Only redeliver batches of this destination
+   * @returns {Promise<Array>} Results [{ id, destinationId, redelivered, error }]
    */
-  resetBatchTimer() {
-    this.clearBatchTimer();
-    this.batchTimer = setTimeout(() => {
-      this.flushQueue();
-    }, this.batchInterval);
+  async redeliverAll({ destinationId } = {}) {
+    const results = [];
+    for (const deadLetter of webhookOutbox.listDeadLetters({ destinationId })) {
+      try {
+        const { redelivered } = await this.redeliver(deadLetter.id);
+        results.push({ id: deadLetter.id, destinationId: deadLetter.destinationId, redelivered, error: redelivered ? null : deadLetter.lastError });
+      } catch (error) {
+        results.push({ id: deadLetter.id, destinationId: deadLetter.destinationId, redelivered: false, error: error.message });
+      }
+    }
+    return results;
   }
 
   /**
-   * Clear the batch timer
+   * Reset the batch timer of a destination
+   * @param {Object} destination - Destination
    */
-  clearBatchTimer() {
-    if (this.batchTimer) {
-      clearTimeout(this.batchTimer);
-      this.batchTimer = null;
+  resetBatchTimer(destination) {
+    this.clearBatchTimer(destination.id);
+    destination.batchTimer = setTimeout(() => {
+      this.flushQueue(destination.id);
+    }, destination.batchInterval);
+  }
+
+  /**
+   * Clear batch timers
+   * @param {string} [destinationId] - Destination whose timer to clear (all destinations when omitted)
+   */
+  clearBatchTimer(destinationId) {
+    const destinations = destinationId !== undefined ? [this.get(destinationId)].filter(Boolean) : this.list();
+    for (const destination of destinations) {
+      if (destination.batchTimer) {
+        clearTimeout(destination.batchTimer);
+        destination.batchTimer = null;
+      }
     }
   }
 
@@ -221,42 +878,70 @@ class WebhookClientService {
   getConfig() {
     return {
       enabled: this.isEnabled,
-      webhookUrl: this.webhookUrl,
-      hasSecret: !!this.webhookSecret,
-      timeout: this.timeout,
-      retries: this.retries,
-      batchSize: this.batchSize,
-      batchInterval: this.batchInterval,
-      queueSize: this.eventQueue.length
+      configFile: this.configFile || null,
+      destinations: this.list().map(destination => {
+        const publicConfig = this.toPublic(destination);
+        delete publicConfig.stats;
+        delete publicConfig.deliveries;
+        return publicConfig;
+      })
     };
   }
 
   /**
    * Get statistics about webhook delivery
-   * @returns {Object} Webhook client statistics
+   * @returns {Object} Webhook client statistics, per destination and aggregated
    */
   getStats() {
+    const destinations = {};
+    for (const destination of this.list()) {
+      destinations[destination.id] = {
+        enabled: destination.enabled,
+        queueSize: destination.queue.length,
+        inFlight: destination.inFlight.reduce((total, batch) => total + batch.length, 0),
+        deadLetters: webhookOutbox.listDeadLetters({ destinationId: destination.id }).length,
+        batchTimerActive: !!destination.batchTimer,
+        ...destination.stats,
+        deliveries: webhookDeliveryLog.getStats(destination.id)
+      };
+    }
+
     return {
       enabled: this.isEnabled,
-      queueSize: this.eventQueue.length,
-      batchTimerActive: !!this.batchTimer
+      queueSize: this.list().reduce((total, destination) => total + destination.queue.length, 0),
+      destinations,
+      // Success rate and latency over the deliveries still in the delivery log
+      deliveries: webhookDeliveryLog.getStats(),
+      outbox: webhookOutbox.getStats()
     };
   }
 
+  /**
+   * Remove all destinations (for testing/debugging)
+   */
+  clear() {
+    this.clearBatchTimer();
+    this.destinations.clear();
+  }
+
   /**
    * Shutdown the webhook client gracefully
+   * Queued events are not sent: they are saved to the outbox and requeued at the next start,
+   * so shutdown neither waits for retries nor dead-letters them
    */
   async shutdown() {
     console.log('[WEBHOOK] Shutting down webhook client...');
     this.clearBatchTimer();
-    
-    if (this.eventQueue.length > 0) {
-      console.log(`[WEBHOOK] Flushing ${this.eventQueue.length} remaining events...`);
-      await this.flushQueue();
+
+    const remaining = this.list().reduce((total, destination) => total + destination.queue.length, 0);
+    if (remaining > 0) {
+      console.log(`[WEBHOOK] Keeping ${remaining} queued event(s) in the outbox for the next start`);
     }
-    
+    await this.persistOutbox();
+    await webhookOutbox.flush();
+
     console.log('[WEBHOOK] Webhook client shutdown complete');
   }
 }
 
-module.exports = new WebhookClientService();
\ No newline at end of file
+module.exports = new WebhookClientService();
@@ -0,0 +1,168 @@
+const config = require('../config');
+
+/**
+ * Bounded in-memory log of webhook deliveries
+ * Records one entry per delivered or failed batch (after its retries) with the events sent,
+ * attempt count, final HTTP status, latency and a truncated response body. The oldest
+ * entries are evicted once the log holds WEBHOOK_DELIVERY_LOG_SIZE entries.
+ */
+class WebhookDeliveryLogService {
+  constructor() {
+    this.capacity = config.webhooks.deliveryLog.size;
+    this.bodyLimit = config.webhooks.deliveryLog.responseBodyLimit;
+    // Entries in delivery order, oldest first
+    this.entries = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Record a delivery
+   * @param {Object} delivery - Delivery details
+   * @param {Object} delivery.destination - Destination the events were sent to
+   * @param {string} delivery.batchId - Batch ID of the delivery
+   * @param {Array} delivery.events - Events sent
+   * @param {boolean} delivery.success - Whether the receiver accepted the events
+   * @param {number} delivery.attempts - HTTP requests made
+   * @param {number|null} delivery.status - HTTP status of the last attempt (null without a response)
+   * @param {number} delivery.latencyMs - Round trip of the last attempt
+   * @param {number} delivery.startedAt - Start of the first attempt (ms)
+   * @param {*} [delivery.responseBody] - Response body of the last attempt
+   * @param {string|null} [delivery.error] - Error of the last failed attempt
+   * @param {string|null} [delivery.deadLetterId] - Dead letter being redelivered
+   * @returns {Object} Log entry
+   */
+  record({ destination, batchId, events, success, attempts, status, latencyMs, startedAt, responseBody, error = null, deadLetterId = null }) {
+    const completedAt = Date.now();
+    const body = this.truncateBody(responseBody);
+    const entry = {
+      id: this.nextId++,
+      destinationId: destination.id,
+      url: destination.url,
+      batchId,
+      eventIds: events.map(event => event.event_id),
+      eventTypes: [...new Set(events.map(event => event.event_type))],
+      eventCount: events.length,
+      success,
+      attempts,
+      status,
+      latencyMs,
+      durationMs: completedAt - startedAt,
+      error: success ? null : error,
+      responseBody: body.text,
+      responseTruncated: body.truncated,
+      deadLetterId,
+      startedAt: new Date(startedAt).toISOString(),
+      completedAt: new Date(completedAt).toISOString()
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.capacity) {
+      this.entries.splice(0, this.entries.length - this.capacity);
+    }
+    return entry;
+  }
+
+  /**
+   * Convert a response body to text, cut to the configured length
+   * @param {*} body - Response body (string, parsed JSON or empty)
+   * @returns {Object} { text, truncated }
+   */
+  truncateBody(body) {
+    if (body === undefined || body === null || body === '') {
+      return { text: null, truncated: false };
+    }
+
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    if (text.length <= this.bodyLimit) {
+      return { text, truncated: false };
+    }
+    return { text: text.slice(0, this.bodyLimit), truncated: true };
+  }
+
+  /**
+   * Query logged deliveries, newest first
+   * @param {Object} [filters] - Query filters
+   * @param {string} [filters.destinationId] - Destination ID
+   * @param {boolean} [filters.success] - Only delivered (true) or failed (false) batches
+   * @param {number} [filters.status] - HTTP status of the last attempt
+   * @param {string} [filters.eventType] - Batches containing this event type
+   * @param {string} [filters.eventId] - Batches containing this event
+   * @param {string} [filters.batchId] - Batch ID
+   * @param {number} [filters.from] - Earliest completion time (ms, inclusive)
+   * @param {number} [filters.to] - Latest completion time (ms, inclusive)
+   * @param {number} [filters.cursor] - ID of the last entry of the previous page
+   * @param {number} [filters.limit] - Page size
+   * @returns {Object} { deliveries, nextCursor, hasMore }
+   */
+  query(filters = {}) {
+    const limit = filters.limit || config.webhooks.deliveryLog.defaultLimit;
+    const matches = (entry) =>
+      (filters.cursor === undefined || entry.id < filters.cursor) &&
+      (!filters.destinationId || entry.destinationId === filters.destinationId) &&
+      (filters.success === undefined || entry.success === filters.success) &&
+      (filters.status === undefined || entry.status === filters.status) &&
+      (!filters.eventType || entry.eventTypes.includes(filters.eventType)) &&
+      (!filters.eventId || entry.eventIds.includes(filters.eventId)) &&
+      (!filters.batchId || entry.batchId === filters.batchId) &&
+      (filters.from === undefined || Date.parse(entry.completedAt) >= filters.from) &&
+      (filters.to === undefined || Date.parse(entry.completedAt) <= filters.to);
+
+    const deliveries = [];
+    let hasMore = false;
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      if (!matches(this.entries[i])) {
+        continue;
+      }
+      if (deliveries.length === limit) {
+        hasMore = true;
+        break;
+      }
+      deliveries.push(this.entries[i]);
+    }
+
+    return {
+      deliveries,
+      nextCursor: hasMore ? deliveries[deliveries.length - 1].id : null,
+      hasMore
+    };
+  }
+
+  /**
+   * Aggregate success rate and latency over the logged deliveries
+   * @param {string} [destinationId] - Destination to summarize (all destinations when omitted)
+   * @returns {Object} { deliveries, succeeded, failed, successRate, latency: { avgMs, p50Ms, p95Ms, maxMs } }
+   */
+  getStats(destinationId) {
+    const entries = destinationId
+      ? this.entries.filter(entry => entry.destinationId === destinationId)
+      : this.entries;
+    const succeeded = entries.filter(entry => entry.success).length;
+    const latencies = entries.map(entry => entry.latencyMs).sort((a, b) => a - b);
+    const percentile = (p) => latencies.length > 0
+      ? latencies[Math.min(latencies.length - 1, Math.ceil(latencies.length * p) - 1)]
+      : null;
+
+    return {
+      deliveries: entries.length,
+      succeeded,
+      failed: entries.length - succeeded,
+      successRate: entries.length > 0 ? Math.round((succeeded / entries.length) * 10000) / 10000 : null,
+      latency: {
+        avgMs: latencies.length > 0 ? Math.round(latencies.reduce((total, latency) => total + latency, 0) / latencies.length) : null,
+        p50Ms: percentile(0.5),
+        p95Ms: percentile(0.95),
+        maxMs: latencies.length > 0 ? latencies[latencies.length - 1] : null
+      }
+    };
+  }
+
+  /**
+   * Remove all entries (for testing/debugging)
+   */
+  clear() {
+    this.entries = [];
+    this.nextId = 1;
+  }
+}
+
+module.exports = new WebhookDeliveryLogService();
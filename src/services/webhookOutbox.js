@@ -0,0 +1,320 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+
+const OUTBOX_FILE = 'outbox.json';
+const DEAD_LETTER_DIR = 'dead-letters';
+const DEAD_LETTER_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Durable webhook outbox and dead-letter store
+ * Keeps a snapshot of every destination's undelivered events (queued and in flight) in
+ * outbox.json so they survive a restart, and stores batches that exhausted their retries
+ * as one JSON file each under dead-letters/ until they are redelivered or discarded
+ */
+class WebhookOutboxService {
+  constructor() {
+    this.isEnabled = config.webhooks.outbox.enabled;
+    this.dir = config.webhooks.outbox.dir;
+    this.initialized = false;
+
+    // deadLetterId -> { id, destinationId, url, events, attempts, lastError, createdAt, lastFailedAt, redeliveryAttempts }
+    this.deadLetters = new Map();
+
+    // Outbox writes are serialized; snapshots queued while a write is pending are coalesced
+    this.writeQueue = Promise.resolve();
+    this.nextSnapshot = null;
+    this.stats = {
+      outboxWrites: 0,
+      writeErrors: 0,
+      deadLettered: 0,
+      redelivered: 0,
+      discarded: 0
+    };
+  }
+
+  /**
+   * Create the outbox directories and load stored dead letters and pending events
+   * Nothing is written to disk before the outbox is initialized
+   * @param {Object} [options] - Overrides for testing
+   * @param {string} [options.dir] - Outbox directory
+   * @returns {Promise<Object>} Pending events by destination ID from the previous run
+   */
+  async initialize(options = {}) {
+    if (!this.isEnabled) {
+      console.log('[WEBHOOK OUTBOX] Disabled (WEBHOOK_OUTBOX_ENABLED=false), undelivered events are kept in memory only');
+      return {};
+    }
+
+    this.dir = options.dir || this.dir;
+    await this.writeQueue;
+
+    await fs.mkdir(path.join(this.dir, DEAD_LETTER_DIR), { recursive: true });
+    await this.loadDeadLetters();
+    const pending = await this.readOutbox();
+    this.initialized = true;
+
+    const pendingCount = Object.values(pending).reduce((total, events) => total + events.length, 0);
+    console.log(`[WEBHOOK OUTBOX] Loaded ${pendingCount} pending event(s) and ${this.deadLetters.size} dead letter(s) from ${this.dir}`);
+    return pending;
+  }
+
+  /**
+   * Read the pending events snapshot left by the previous run
+   * @returns {Promise<Object>} Pending events by destination ID
+   */
+  async readOutbox() {
+    let content;
+    try {
+      content = await fs.readFile(path.join(this.dir, OUTBOX_FILE), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+
+    try {
+      return JSON.parse(content).destinations || {};
+    } catch (error) {
+      console.error(`[WEBHOOK OUTBOX] Unreadable ${OUTBOX_FILE}, starting with an empty outbox: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Load dead letters from their directory
+   * @returns {Promise<void>}
+   */
+  async loadDeadLetters() {
+    this.deadLetters.clear();
+    const dir = path.join(this.dir, DEAD_LETTER_DIR);
+
+    for (const file of (await fs.readdir(dir)).filter(name => name.endsWith('.json')).sort()) {
+      try {
+        const record = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+        this.deadLetters.set(record.id, record);
+      } catch (error) {
+        console.warn(`[WEBHOOK OUTBOX] Skipping unreadable dead letter ${file}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Save the pending events snapshot
+   * @param {Object} pending - Undelivered events by destination ID
+   * @returns {Promise<void>} Resolves when the latest snapshot is written
+   */
+  save(pending) {
+    if (!this.initialized) {
+      return Promise.resolve();
+    }
+
+    const writeScheduled = this.nextSnapshot !== null;
+    this.nextSnapshot = pending;
+    if (!writeScheduled) {
+      this.writeQueue = this.writeQueue
+        .then(() => {
+          const snapshot = this.nextSnapshot;
+          this.nextSnapshot = null;
+          return snapshot && this.writeOutbox(snapshot);
+        })
+        .catch(error => {
+          this.stats.writeErrors++;
+          console.error('[WEBHOOK OUTBOX] Failed to save outbox:', error.message);
+        });
+    }
+    return this.writeQueue;
+  }
+
+  /**
+   * Atomically replace the outbox file
+   * @param {Object} pending - Undelivered events by destination ID
+   * @returns {Promise<void>}
+   */
+  async writeOutbox(pending) {
+    const file = path.join(this.dir, OUTBOX_FILE);
+    const content = JSON.stringify({ saved_at: new Date().toISOString(), destinations: pending });
+
+    await fs.writeFile(`${file}.tmp`, content, 'utf8');
+    await fs.rename(`${file}.tmp`, file);
+    this.stats.outboxWrites++;
+  }
+
+  /**
+   * Store a batch whose delivery attempts are exhausted
+   * @param {Object} failure - Failed delivery
+   * @param {string} failure.destinationId - Destination ID
+   * @param {string} failure.url - Destination URL at the time of failure
+   * @param {Array} failure.events - Undelivered events
+   * @param {number} failure.attempts - Delivery attempts made
+   * @param {string|null} failure.lastError - Last delivery error
+   * @returns {Promise<Object>} Dead letter record
+   */
+  async addDeadLetter({ destinationId, url, events, attempts, lastError }) {
+    const now = new Date().toISOString();
+    const record = {
+      // Time-prefixed so file names sort in failure order
+      id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+      destinationId,
+      url,
+      events,
+      attempts,
+      lastError,
+      createdAt: now,
+      lastFailedAt: now,
+      redeliveryAttempts: 0
+    };
+
+    this.deadLetters.set(record.id, record);
+    this.stats.deadLettered++;
+    await this.writeDeadLetter(record);
+    console.error(`[WEBHOOK OUTBOX] Dead-lettered ${events.length} event(s) for ${destinationId} as ${record.id}`);
+    return record;
+  }
+
+  /**
+   * Record a failed redelivery of a dead letter
+   * @param {Object} record - Dead letter record
+   * @param {number} attempts - Delivery attempts made by the redelivery
+   * @param {string|null} lastError - Last delivery error
+   * @returns {Promise<Object>} Updated dead letter record
+   */
+  async recordRedeliveryFailure(record, attempts, lastError) {
+    record.attempts += attempts;
+    record.lastError = lastError;
+    record.lastFailedAt = new Date().toISOString();
+    record.redeliveryAttempts++;
+    await this.writeDeadLetter(record);
+    return record;
+  }
+
+  /**
+   * Write a dead letter to its file (no-op before initialization)
+   * @param {Object} record - Dead letter record
+   * @returns {Promise<void>}
+   */
+  async writeDeadLetter(record) {
+    if (!this.initialized) {
+      return;
+    }
+
+    try {
+      await fs.writeFile(this.deadLetterPath(record.id), JSON.stringify(record, null, 2), 'utf8');
+    } catch (error) {
+      this.stats.writeErrors++;
+      console.error(`[WEBHOOK OUTBOX] Failed to write dead letter ${record.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Remove a dead letter after it was redelivered or discarded
+   * @param {string} deadLetterId - Dead letter ID
+   * @param {Object} [options] - Removal options
+   * @param {boolean} [options.redelivered] - The batch was delivered (counted separately from discards)
+   * @returns {Promise<boolean>} True if the dead letter existed
+   */
+  async removeDeadLetter(deadLetterId, { redelivered = false } = {}) {
+    const record = this.getDeadLetter(deadLetterId);
+    if (!record) {
+      return false;
+    }
+
+    this.deadLetters.delete(record.id);
+    if (redelivered) {
+      this.stats.redelivered++;
+    } else {
+      this.stats.discarded++;
+    }
+
+    if (this.initialized) {
+      await fs.rm(this.deadLetterPath(record.id), { force: true });
+    }
+    return true;
+  }
+
+  /**
+   * Get a dead letter by ID
+   * @param {string} deadLetterId - Dead letter ID
+   * @returns {Object|null} Dead letter record or null if unknown
+   */
+  getDeadLetter(deadLetterId) {
+    if (typeof deadLetterId !== 'string' || !DEAD_LETTER_ID_PATTERN.test(deadLetterId)) {
+      return null;
+    }
+    return this.deadLetters.get(deadLetterId) || null;
+  }
+
+  /**
+   * List dead letters, oldest first
+   * @param {Object} [filters] - List filters
+   * @param {string} [filters.destinationId] - Only dead letters of this destination
+   * @returns {Array} Dead letter records
+   */
+  listDeadLetters({ destinationId } = {}) {
+    return Array.from(this.deadLetters.values())
+      .filter(record => !destinationId || record.destinationId === destinationId)
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Get a dead letter summary without its events
+   * @param {Object} record - Dead letter record
+   * @returns {Object} Dead letter summary
+   */
+  toSummary(record) {
+    const summary = { ...record };
+    delete summary.events;
+    return {
+      ...summary,
+      eventCount: record.events.length,
+      eventTypes: [...new Set(record.events.map(event => event.event_type))]
+    };
+  }
+
+  /**
+   * Get the file path of a dead letter
+   * @param {string} deadLetterId - Dead letter ID
+   * @returns {string} File path
+   */
+  deadLetterPath(deadLetterId) {
+    return path.join(this.dir, DEAD_LETTER_DIR, `${deadLetterId}.json`);
+  }
+
+  /**
+   * Wait for pending outbox writes
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.writeQueue;
+  }
+
+  /**
+   * Get outbox statistics
+   * @returns {Object} Outbox stats
+   */
+  getStats() {
+    return {
+      enabled: this.isEnabled,
+      initialized: this.initialized,
+      dir: this.dir,
+      deadLetters: this.deadLetters.size,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Forget dead letters, reset stats and stop persisting (for testing)
+   */
+  clear() {
+    this.deadLetters.clear();
+    this.nextSnapshot = null;
+    this.initialized = false;
+    for (const key of Object.keys(this.stats)) {
+      this.stats[key] = 0;
+    }
+  }
+}
+
+module.exports = new WebhookOutboxService();
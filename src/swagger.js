@@ -23,6 +23,13 @@ const options = {
       },
     ],
     components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Admin API key (ADMIN_API_KEY)',
+        },
+      },
       schemas: {
         Error: {
           type: 'object',
@@ -58,6 +65,14 @@ const options = {
               type: 'boolean',
               description: 'Whether the response was served from cache',
             },
+            stale: {
+              type: 'boolean',
+              description: 'Present and true when an expired copy was served (while refreshing, or because the ATP API failed)',
+            },
+            age: {
+              type: 'integer',
+              description: 'Age of a stale copy in seconds (only present when stale is true)',
+            },
             timestamp: {
               type: 'string',
               format: 'date-time',
@@ -89,6 +104,18 @@ const options = {
                 },
               },
             },
+            circuitBreakers: {
+              type: 'object',
+              description: 'ATP API circuit breaker state per upstream path (closed, open or half-open), for the default client and each tournament client',
+              properties: {
+                default: {
+                  type: 'object',
+                },
+                tournaments: {
+                  type: 'object',
+                },
+              },
+            },
             timestamp: {
               type: 'string',
               format: 'date-time',
@@ -123,6 +150,165 @@ const options = {
                 },
               },
             },
+            coalescing: {
+              type: 'object',
+              description: 'Single-flight coalescing of concurrent upstream ATP API requests',
+              properties: {
+                requests: {
+                  type: 'integer',
+                  description: 'Upstream requests made by the proxy (before coalescing)',
+                },
+                upstreamCalls: {
+                  type: 'integer',
+                  description: 'Requests actually sent to the ATP API',
+                },
+                coalesced: {
+                  type: 'integer',
+                  description: 'Requests that shared an in-flight upstream call',
+                },
+                errors: {
+                  type: 'integer',
+                  description: 'Upstream calls that failed',
+                },
+                maxWaiters: {
+                  type: 'integer',
+                  description: 'Largest number of callers sharing one upstream call',
+                },
+                coalescingRate: {
+                  type: 'number',
+                  description: 'Percentage of requests served by a shared call',
+                },
+                inFlight: {
+                  type: 'integer',
+                  description: 'Upstream calls currently in flight',
+                },
+              },
+            },
+            timestamp: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        TournamentDefinition: {
+          type: 'object',
+          required: ['id'],
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Tournament ID, used in /api/t/{tournamentId} routes',
+              example: '352',
+            },
+            name: {
+              type: 'string',
+              example: 'Paris',
+            },
+            bearerToken: {
+              type: 'string',
+              description: 'ATP tournament bearer token (write-only)',
+            },
+            bearerTokenEnv: {
+              type: 'string',
+              description: 'Name of an environment variable holding the bearer token (alternative to bearerToken)',
+            },
+            baseUrl: {
+              type: 'string',
+              description: 'ATP API base URL (defaults to ATP_API_BASE_URL)',
+            },
+            endpoints: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Enabled proxy endpoints (defaults to all)',
+              example: ['/api/live-matches', '/api/draws/live', '/api/schedules'],
+            },
+            eventEndpoints: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Endpoints polled for event generation (defaults to EVENTS_ENDPOINTS)',
+            },
+          },
+        },
+        WebhookDefinition: {
+          type: 'object',
+          required: ['id', 'url'],
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Destination ID',
+              example: 'cms',
+            },
+            name: {
+              type: 'string',
+              example: 'CMS',
+            },
+            url: {
+              type: 'string',
+              description: 'Endpoint receiving the signed event POSTs',
+              example: 'https://cms.example.com/hooks/atp-live',
+            },
+            secret: {
+              type: 'string',
+              description: 'HMAC signing secret (write-only)',
+            },
+            secretEnv: {
+              type: 'string',
+              description: 'Name of an environment variable holding the secret (alternative to secret)',
+            },
+            secrets: {
+              type: 'array',
+              description: 'Active signing secrets, current first (alternative to secret/secretEnv, for rotation). v2 requests carry one signature per secret.',
+              items: {
+                type: 'object',
+                properties: {
+                  keyId: { type: 'string', description: 'Key ID sent with the signature (derived from the secret when omitted)', example: '2025-10' },
+                  secret: { type: 'string', description: 'HMAC signing secret (write-only)' },
+                  secretEnv: { type: 'string', description: 'Name of an environment variable holding the secret' },
+                },
+              },
+            },
+            signatureVersion: {
+              type: 'string',
+              enum: ['v1', 'v2'],
+              description: 'Signature scheme (defaults to EVENTS_WEBHOOK_SIGNATURE_VERSION)',
+            },
+            enabled: {
+              type: 'boolean',
+              default: true,
+            },
+            timeout: { type: 'integer', description: 'Request timeout in ms (defaults to EVENTS_WEBHOOK_TIMEOUT)' },
+            retries: { type: 'integer', description: 'Delivery attempts per batch (defaults to EVENTS_WEBHOOK_RETRIES)' },
+            retryBaseDelay: { type: 'integer', description: 'Delay before the first retry in ms, doubled per attempt', default: 1000 },
+            retryMaxDelay: { type: 'integer', description: 'Maximum retry delay in ms', default: 10000 },
+            batchSize: { type: 'integer', description: 'Events per request (defaults to EVENTS_WEBHOOK_BATCH_SIZE)' },
+            batchInterval: { type: 'integer', description: 'Maximum ms an event waits for its batch (defaults to EVENTS_WEBHOOK_BATCH_INTERVAL)' },
+            filter: {
+              type: 'object',
+              description: 'Events to deliver; omitted lists match everything',
+              properties: {
+                eventTypes: { type: 'array', items: { type: 'string' }, example: ['match_finished', 'set_completed'] },
+                tournamentIds: { type: 'array', items: { type: 'string' }, example: ['352'] },
+                priorities: { type: 'array', items: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] } },
+              },
+            },
+          },
+        },
+        EventsPage: {
+          type: 'object',
+          properties: {
+            events: {
+              type: 'array',
+              description: 'Stored events with their store sequence number (seq) and storage time (stored_at)',
+              items: { type: 'object' },
+            },
+            pagination: {
+              type: 'object',
+              properties: {
+                limit: { type: 'integer' },
+                order: { type: 'string', enum: ['desc', 'asc'] },
+                nextCursor: { type: 'string', nullable: true, description: 'Pass as cursor to get the next page' },
+                hasMore: { type: 'boolean' },
+              },
+            },
             timestamp: {
               type: 'string',
               format: 'date-time',
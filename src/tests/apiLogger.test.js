@@ -155,5 +155,25 @@ describe('API Logger Service', () => {
         expect(() => JSON.parse(content)).not.toThrow();
       }
     });
+
+    it('should skip data that did not change since the last write', async () => {
+      const endpoint = '/api/draws/live';
+      const writeLogFile = jest.spyOn(apiLogger, 'writeLogFile').mockResolvedValue();
+      try {
+        await apiLogger.logResponse(endpoint, { Location: 'Paris', Associations: [] });
+        // An equal payload is skipped by hash, without diffing it
+        await apiLogger.logResponse(endpoint, { Location: 'Paris', Associations: [] });
+        // Changes detected by the change detector are reused
+        await apiLogger.logResponse(endpoint, { Location: 'Paris', Associations: [] }, {}, { changed: false, hash: 'unchanged' });
+        expect(writeLogFile).toHaveBeenCalledTimes(1);
+        expect(apiLogger.getStatus().bufferedEndpointsList).not.toContain(endpoint);
+
+        await apiLogger.logResponse(endpoint, { Location: 'Roland Garros', Associations: [] });
+        expect(apiLogger.getStatus().bufferedEndpointsList).toContain(endpoint);
+      } finally {
+        writeLogFile.mockRestore();
+        apiLogger.bufferedData.delete(endpoint);
+      }
+    });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,125 @@
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.EVENTS_CONSOLE_OUTPUT = 'false';
+process.env.REDIS_URL = ''; // Force in-memory cache for tests
+
+const cacheService = require('../services/cache');
+const { getCacheKey } = require('../middleware/cache');
+const changeDetector = require('../services/changeDetector');
+const deltaService = require('../services/deltaService');
+const streamBuffer = require('../services/streamBuffer');
+const subscriptionService = require('../services/subscriptionService');
+const pollingService = require('../services/pollingService');
+const webSocketServer = require('../websocket');
+
+const ENDPOINT = '/api/player-list';
+
+/**
+ * Create a fake connected socket that records emitted messages
+ * @param {string} id - Socket ID
+ * @returns {Object} Fake socket with an emitted array
+ */
+const fakeSocket = (id) => {
+  const socket = { id, connected: true, emitted: [] };
+  socket.emit = (name, payload) => socket.emitted.push({ name, payload });
+  return socket;
+};
+
+/**
+ * Run a poll of the endpoint through the polling service
+ * @param {Object} data - Polled data
+ * @returns {Promise<void>}
+ */
+const poll = async (data) => {
+  jest.spyOn(pollingService, 'fetchEndpointData').mockResolvedValueOnce({ data: JSON.parse(JSON.stringify(data)) });
+  await pollingService.fetchAndBroadcast(ENDPOINT);
+};
+
+describe('Broadcast Only On Change', () => {
+  const players = { Players: [{ PlayerId: 'S0AG', LastName: 'Sinner' }] };
+  const updatedPlayers = { Players: [{ PlayerId: 'S0AG', LastName: 'Sinner' }, { PlayerId: 'A0E2', LastName: 'Alcaraz' }] };
+  let socket;
+
+  beforeAll(async () => {
+    await cacheService.initialize();
+  });
+
+  beforeEach(async () => {
+    await cacheService.flush();
+    changeDetector.clear();
+    deltaService.clear();
+    subscriptionService.clear();
+    streamBuffer.clear();
+    pollingService.contentStates.clear();
+
+    socket = fakeSocket('socket-1');
+    pollingService.io = { sockets: { sockets: new Map([[socket.id, socket]]) } };
+    subscriptionService.subscribe(socket.id, ENDPOINT);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    pollingService.io = null;
+    subscriptionService.clear();
+    deltaService.clear();
+  });
+
+  test('should skip broadcasts, cache writes and sequence IDs for identical payloads', async () => {
+    await poll(players);
+    const set = jest.spyOn(cacheService, 'set');
+    const touch = jest.spyOn(cacheService, 'touch');
+
+    await poll(players);
+    await poll(players);
+
+    expect(socket.emitted).toHaveLength(1);
+    expect(set).not.toHaveBeenCalled();
+    expect(touch).toHaveBeenCalledTimes(2);
+    expect(streamBuffer.getEndpointSeq(ENDPOINT)).toBe(socket.emitted[0].payload.seq);
+    expect(pollingService.getStats().content[ENDPOINT]).toMatchObject({ version: 1, unchangedPolls: 2 });
+  });
+
+  test('should version and hash data-update messages and track when the content last changed', async () => {
+    await poll(players);
+    await poll(players);
+    const { lastChangedAt } = pollingService.getStats().content[ENDPOINT];
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await poll(updatedPlayers);
+
+    const [first, second] = socket.emitted.map(message => message.payload);
+    expect(first).toMatchObject({ endpoint: ENDPOINT, version: 1, hash: expect.stringMatching(/^[0-9a-f]{32}$/) });
+    expect(second).toMatchObject({ version: 2, data: updatedPlayers });
+    expect(second.hash).not.toBe(first.hash);
+
+    const content = pollingService.getStats().content[ENDPOINT];
+    expect(content).toMatchObject({ version: 2, hash: second.hash, unchangedPolls: 0 });
+    expect(Date.parse(content.lastChangedAt)).toBeGreaterThan(Date.parse(lastChangedAt));
+  });
+
+  test('should rewrite the cache entry when an unchanged payload is no longer cached', async () => {
+    await poll(players);
+    await cacheService.del(getCacheKey(ENDPOINT));
+
+    await poll(players);
+
+    expect(await cacheService.get(getCacheKey(ENDPOINT))).toEqual(players);
+    expect(socket.emitted).toHaveLength(1);
+  });
+
+  test('should send the version and hash with cached data to new subscribers', async () => {
+    await poll(players);
+    await poll(updatedPlayers);
+
+    const subscriber = fakeSocket('socket-2');
+    await webSocketServer.sendCachedData(subscriber, ENDPOINT);
+    expect(subscriber.emitted[0].payload).toMatchObject({ cached: true, version: 2, hash: socket.emitted[1].payload.hash });
+
+    // Without a cache entry the latest polled snapshot is sent
+    await cacheService.del(getCacheKey(ENDPOINT));
+    await webSocketServer.sendCachedData(subscriber, ENDPOINT);
+    expect(subscriber.emitted[1].payload).toMatchObject({ data: updatedPlayers, version: 2 });
+  });
+});
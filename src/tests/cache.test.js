@@ -6,8 +6,9 @@ process.env.CACHE_ENABLED = 'true'; // Enable cache for tests
 process.env.REDIS_URL = ''; // Force in-memory cache for tests
 
 const { app } = require('../server');
-const { getEndpointTtl, cacheMiddleware } = require('../middleware/cache');
+const { getEndpointTtl, getStaleGrace, getCacheKey, cacheMiddleware } = require('../middleware/cache');
 const cacheService = require('../services/cache');
+const atpApi = require('../services/atpApi');
 
 describe('Cache Configuration', () => {
   // Initialize cache service before running tests
@@ -72,6 +73,14 @@ describe('Cache Configuration', () => {
     });
   });
 
+  describe('Cache keys', () => {
+    it('should key polled endpoints like REST requests', () => {
+      expect(getCacheKey('/api/match-stats/MS001')).toBe('/match-stats/MS001');
+      expect(getCacheKey('/api/t/352/match-stats/MS001')).toBe('/api/t/352/match-stats/MS001');
+      expect(getCacheKey('/api/results', { b: 2, a: 1 })).toBe('/results?a=1&b=2');
+    });
+  });
+
   describe('GET /api/cache/config', () => {
     it('should return cache configuration', async () => {
       const response = await request(app)
@@ -193,6 +202,11 @@ describe('Cache Configuration', () => {
       expect(ttl).toBeGreaterThan(0);
       expect(ttl).toBeLessThanOrEqual(30);
 
+      // Test touch operation
+      expect(await cacheService.touch(testKey, 60)).toBe(true);
+      expect(await cacheService.getTtl(testKey)).toBeGreaterThan(30);
+      expect(await cacheService.touch('missing-provider-test-key', 60)).toBe(false);
+
       // Test delete operation
       const deleteResult = await cacheService.del(testKey);
       expect(deleteResult).toBe(true);
@@ -203,6 +217,98 @@ describe('Cache Configuration', () => {
     });
   });
 
+  describe('Stale responses', () => {
+    const liveData = { TournamentMatches: [{ TournamentId: 352, Matches: [] }] };
+
+    /**
+     * Create an axios-style network error (request sent, no response received)
+     * @returns {Error} Network error
+     */
+    const networkError = () => Object.assign(new Error('timeout of 10000ms exceeded'), { request: {} });
+
+    beforeEach(async () => {
+      await cacheService.flush();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should resolve stale grace windows per endpoint', () => {
+      expect(getStaleGrace('/live-matches')).toBe(5);
+      expect(getStaleGrace('/api/h2h/match/12345')).toBe(30);
+      expect(getStaleGrace('/api/t/352/schedules')).toBe(300);
+      expect(getStaleGrace('/api/unknown')).toBe(0);
+    });
+
+    test('should serve the stale copy within the grace window and refresh it in the background', async () => {
+      const clientGet = jest.spyOn(atpApi.client, 'get').mockResolvedValue({ data: liveData });
+
+      await request(app).get('/api/live-matches').expect(200);
+      // Simulate expiry of the fresh entry
+      await cacheService.del('/live-matches');
+
+      const updatedData = { TournamentMatches: [] };
+      clientGet.mockResolvedValue({ data: updatedData });
+
+      const response = await request(app)
+        .get('/api/live-matches')
+        .expect(200);
+
+      expect(response.body.data).toEqual(liveData);
+      expect(response.body.stale).toBe(true);
+      expect(response.body.age).toEqual(expect.any(Number));
+
+      // Give the background refresh a moment to complete
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(clientGet).toHaveBeenCalledTimes(2);
+      expect(await cacheService.get('/live-matches')).toEqual(updatedData);
+    });
+
+    test('should keep the stale copy when the background refresh fails', async () => {
+      const clientGet = jest.spyOn(atpApi.client, 'get').mockRejectedValue(networkError());
+      await cacheService.set('stale:/live-matches', { data: liveData, cachedAt: Date.now() }, 300);
+      const warn = jest.spyOn(console, 'warn');
+
+      const response = await request(app).get('/api/live-matches').expect(200);
+      expect(response.body).toMatchObject({ data: liveData, stale: true });
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('[CACHE STALE] Background refresh failed for: /live-matches'));
+      expect(await cacheService.get('stale:/live-matches')).toMatchObject({ data: liveData });
+
+      // The failed refresh is not left in progress: the next request refreshes again
+      await request(app).get('/api/live-matches').expect(200);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(clientGet).toHaveBeenCalledTimes(2);
+    });
+
+    test('should serve the stale copy when the ATP API is unavailable', async () => {
+      jest.spyOn(atpApi.client, 'get').mockRejectedValue(networkError());
+      // Stale copy older than the grace window (10s TTL + 5s) but within the error window
+      await cacheService.set('stale:/live-matches', { data: liveData, cachedAt: Date.now() - 60000 }, 300);
+
+      const response = await request(app)
+        .get('/api/live-matches')
+        .expect(200);
+
+      expect(response.body.data).toEqual(liveData);
+      expect(response.body.stale).toBe(true);
+      expect(response.body.age).toBeGreaterThanOrEqual(60);
+    });
+
+    test('should return the 503 when no stale copy exists', async () => {
+      jest.spyOn(atpApi.client, 'get').mockRejectedValue(networkError());
+
+      const response = await request(app)
+        .get('/api/live-matches')
+        .expect(503);
+
+      expect(response.body.error.status).toBe(503);
+      expect(response.body.stale).toBeUndefined();
+    });
+  });
+
   describe('404 Response Caching', () => {
     test('should handle non-route 404s without caching', async () => {
       // Non-existent routes don't go through cache middleware,
@@ -0,0 +1,153 @@
+// Set test environment BEFORE any requires
+process.env.NODE_ENV = 'test';
+process.env.EVENTS_ENABLED = 'true';
+process.env.EVENTS_CONSOLE_OUTPUT = 'false';
+process.env.EVENTS_WEBHOOK_URL = '';
+process.env.EVENTS_WEBHOOK_SECRET = '';
+
+const { indexPayload, compareIndexes } = require('../utils/entityIndex');
+const changeDetector = require('../services/changeDetector');
+const eventGenerator = require('../services/eventGenerator');
+const { EVENT_TYPES } = require('../types/events');
+
+/**
+ * Build a live match
+ * @param {string} matchId - Match ID
+ * @param {string} score - Result string
+ * @param {string} [status] - Match status
+ * @returns {Object} Match
+ */
+function match(matchId, score, status = 'P') {
+  return {
+    MatchId: matchId,
+    Status: status,
+    ResultString: score,
+    CourtName: 'Court 1',
+    PlayerTeam1: { PlayerFirstName: 'Roger', PlayerLastName: 'Federer' },
+    PlayerTeam2: { PlayerFirstName: 'Andy', PlayerLastName: 'Murray' }
+  };
+}
+
+/**
+ * Build a draw with one singles and one doubles fixture sharing their match number
+ * @param {Object} [overrides] - Draw field overrides ({ released, singlesWinner })
+ * @returns {Object} /api/draws/live data
+ */
+function draw({ released = '2026-10-19T10:00:00Z', singlesWinner = 0 } = {}) {
+  const round = (code, winner) => ({
+    RoundId: 7,
+    RoundName: 'Final',
+    Fixtures: [{ MatchCode: `${code}001`, Winner: winner, IsTopKnown: true, IsBottomKnown: true }]
+  });
+  return {
+    Location: 'Paris',
+    ReleaseDateTimeUTC: released,
+    Associations: [{
+      TournamentId: 352,
+      Events: [
+        { EventTypeCode: 'MS', Rounds: [round('MS', singlesWinner)] },
+        { EventTypeCode: 'MD', Rounds: [round('MD', 0)] }
+      ]
+    }]
+  };
+}
+
+describe('Incremental Change Detection', () => {
+  afterAll(async () => {
+    eventGenerator.clearStates();
+    const webhookClient = require('../services/webhookClient');
+    await webhookClient.shutdown();
+  });
+
+  beforeEach(() => {
+    eventGenerator.clearStates();
+    changeDetector.clear();
+  });
+
+  it('should report added, removed and updated matches by tournament and match ID', () => {
+    const previous = indexPayload('/api/live-matches', {
+      TournamentMatches: [
+        { TournamentId: 352, Matches: [match('MS001', '6-4, 2-1'), match('MS002', '3-2')] },
+        { TournamentId: 404, Matches: [match('MS001', '1-0')] }
+      ]
+    });
+    const currentData = {
+      TournamentMatches: [
+        { TournamentId: 352, Matches: [match('MS001', '6-4, 3-1'), match('MS003', '0-0')] },
+        { TournamentId: 404, Matches: [match('MS001', '1-0')] }
+      ]
+    };
+    const current = indexPayload('/api/live-matches', currentData);
+
+    const changes = compareIndexes(previous, current);
+    expect(changes).toMatchObject({
+      baseline: false,
+      changed: true,
+      added: ['352:MS003'],
+      removed: ['352:MS002'],
+      updated: ['352:MS001']
+    });
+
+    // An equal payload has the same hash
+    const copy = indexPayload('/api/live-matches', JSON.parse(JSON.stringify(currentData)));
+    expect(compareIndexes(current, copy)).toMatchObject({ changed: false, updated: [] });
+  });
+
+  it('should track fixtures per event and notice changes outside them', () => {
+    const baseline = changeDetector.detect('/api/draws/live', draw());
+    expect(baseline).toMatchObject({ baseline: true, added: ['352:MS:MS001', '352:MD:MD001'] });
+
+    // Draw metadata is covered by the shell hash
+    const released = changeDetector.detect('/api/draws/live', draw({ released: '2026-10-19T10:05:00Z' }));
+    expect(released).toMatchObject({ changed: true, added: [], removed: [], updated: [] });
+
+    const result = changeDetector.detect('/api/draws/live', draw({ released: '2026-10-19T10:05:00Z', singlesWinner: 1 }));
+    expect(result.updated).toEqual(['352:MS:MS001']);
+
+    expect(changeDetector.detect('/api/draws/live', draw({ released: '2026-10-19T10:05:00Z', singlesWinner: 1 })).changed).toBe(false);
+    expect(changeDetector.getStats()).toMatchObject({ detections: 4, unchanged: 1, entitiesHashed: 8 });
+  });
+
+  it('should index other endpoints as a single entity', () => {
+    const previous = indexPayload('/api/schedules', { Schedule: [1, 2] });
+    const changes = compareIndexes(previous, indexPayload('/api/schedules', { Schedule: [1, 3] }));
+    expect(changes).toMatchObject({ changed: true, updated: ['$'] });
+  });
+
+  it('should reuse the changes detected by the polling path', () => {
+    const endpoint = '/api/live-matches';
+    const processLiveMatchChanges = jest.spyOn(eventGenerator, 'processLiveMatchChanges');
+    try {
+      const polls = [
+        { TournamentMatches: [{ TournamentId: 352, Matches: [match('MS001', '6-4, 2-1')] }] },
+        { TournamentMatches: [{ TournamentId: 352, Matches: [match('MS001', '6-4, 3-1')] }] },
+        { TournamentMatches: [{ TournamentId: 352, Matches: [match('MS001', '6-4, 3-1')] }] },
+      ];
+
+      let changes = changeDetector.detect(endpoint, polls[0]);
+      eventGenerator.processData(endpoint, polls[0], null, changes);
+      changes = changeDetector.detect(endpoint, polls[1]);
+      const events = eventGenerator.processData(endpoint, polls[1], null, changes);
+
+      expect(processLiveMatchChanges).toHaveBeenCalledTimes(1);
+      expect(processLiveMatchChanges.mock.calls[0][0]).toBe(changes);
+      expect(events.map(event => event.event_type)).toContain(EVENT_TYPES.GAME_WON);
+
+      // Unchanged polls skip the change handlers
+      changes = changeDetector.detect(endpoint, polls[2]);
+      expect(eventGenerator.processData(endpoint, polls[2], null, changes)).toEqual([]);
+      expect(processLiveMatchChanges).toHaveBeenCalledTimes(1);
+
+      // Changes detected against another previous payload are not trusted
+      changeDetector.clear();
+      const finished = { TournamentMatches: [{ TournamentId: 352, Matches: [match('MS001', '6-4, 6-4', 'F')] }] };
+      changes = changeDetector.detect(endpoint, finished);
+      const finishedEvents = eventGenerator.processData(endpoint, finished, null, changes);
+      expect(processLiveMatchChanges.mock.calls[1][0]).not.toBe(changes);
+      expect(processLiveMatchChanges.mock.calls[1][0].updated).toEqual(['352:MS001']);
+      expect(finishedEvents.map(event => event.event_type)).toContain(EVENT_TYPES.MATCH_FINISHED);
+    } finally {
+      processLiveMatchChanges.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,167 @@
+const request = require('supertest');
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.CACHE_ENABLED = 'true'; // Enable cache for tests
+process.env.REDIS_URL = ''; // Force in-memory cache for tests
+
+const { app } = require('../server');
+const cacheService = require('../services/cache');
+const atpApi = require('../services/atpApi');
+const CircuitBreaker = require('../services/circuitBreaker');
+const config = require('../config');
+
+/**
+ * Create an axios-style network error (request sent, no response received)
+ * @returns {Error} Network error
+ */
+const networkError = () => Object.assign(new Error('timeout of 10000ms exceeded'), { request: {} });
+
+/**
+ * Create an axios-style HTTP error response
+ * @param {number} status - HTTP status code
+ * @returns {Error} HTTP error
+ */
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, statusText: 'Error', data: null }
+});
+
+describe('Circuit Breaker', () => {
+  beforeAll(async () => {
+    await cacheService.initialize();
+  });
+
+  beforeEach(async () => {
+    atpApi.resetCircuits();
+    await cacheService.flush();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('CircuitBreaker', () => {
+    it('should open after consecutive failures and reject requests', () => {
+      const circuit = new CircuitBreaker('/LiveMatches/tournament', { failureThreshold: 3, resetTimeout: 1000 });
+
+      for (let i = 0; i < 3; i++) {
+        expect(circuit.allowRequest()).toBe(true);
+        circuit.onFailure(new Error('down'));
+      }
+
+      expect(circuit.state).toBe('open');
+      expect(circuit.allowRequest()).toBe(false);
+      expect(circuit.getState()).toMatchObject({ state: 'open', consecutiveFailures: 3, rejected: 1, timesOpened: 1 });
+    });
+
+    it('should reset the failure count on success', () => {
+      const circuit = new CircuitBreaker('/Draws', { failureThreshold: 2 });
+
+      circuit.onFailure(new Error('down'));
+      circuit.onSuccess();
+      circuit.onFailure(new Error('down'));
+
+      expect(circuit.state).toBe('closed');
+    });
+
+    it('should allow a single trial request when half-open', () => {
+      const circuit = new CircuitBreaker('/Draws', { failureThreshold: 1, resetTimeout: 1000 });
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      circuit.onFailure(new Error('down'));
+
+      Date.now.mockReturnValue(now + 1000);
+      expect(circuit.allowRequest()).toBe(true);
+      expect(circuit.state).toBe('half-open');
+      expect(circuit.allowRequest()).toBe(false);
+
+      circuit.onSuccess();
+      expect(circuit.state).toBe('closed');
+      expect(circuit.allowRequest()).toBe(true);
+    });
+
+    it('should re-open when the half-open trial fails', () => {
+      const circuit = new CircuitBreaker('/Draws', { failureThreshold: 1, resetTimeout: 1000 });
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      circuit.onFailure(new Error('down'));
+
+      Date.now.mockReturnValue(now + 1000);
+      expect(circuit.allowRequest()).toBe(true);
+      circuit.onFailure(new Error('still down'));
+
+      expect(circuit.state).toBe('open');
+      expect(circuit.getNextAttemptAt()).toBe(now + 2000);
+    });
+  });
+
+  describe('AtpApiService', () => {
+    const threshold = config.atpApi.circuitBreaker.failureThreshold;
+
+    /**
+     * Trip the circuit for the live matches path
+     * @param {Function} clientGet - Mocked axios get
+     */
+    const tripLiveMatchesCircuit = async (clientGet) => {
+      clientGet.mockRejectedValue(networkError());
+      for (let i = 0; i < threshold; i++) {
+        await expect(atpApi.getLiveMatches()).rejects.toMatchObject({ status: 503 });
+      }
+    };
+
+    it('should fail fast once the circuit for a path is open', async () => {
+      const clientGet = jest.spyOn(atpApi.client, 'get');
+      await tripLiveMatchesCircuit(clientGet);
+
+      await expect(atpApi.getLiveMatches()).rejects.toMatchObject({ status: 503, circuitOpen: true });
+      expect(clientGet).toHaveBeenCalledTimes(threshold);
+      expect(atpApi.getOpenCircuits()).toEqual(['/LiveMatches/tournament']);
+    });
+
+    it('should track circuits per normalized path', async () => {
+      const clientGet = jest.spyOn(atpApi.client, 'get');
+      await tripLiveMatchesCircuit(clientGet);
+
+      clientGet.mockResolvedValue({ data: { stats: true } });
+      await expect(atpApi.getMatchStats('MS001')).resolves.toEqual({ stats: true });
+      await expect(atpApi.getMatchStats('MS002')).resolves.toEqual({ stats: true });
+
+      const states = atpApi.getCircuitStates();
+      expect(states['/LiveMatches/tournament'].state).toBe('open');
+      expect(states['/MatchStats/:id']).toMatchObject({ state: 'closed', successes: 2 });
+    });
+
+    it('should not count 404 responses as failures', async () => {
+      jest.spyOn(atpApi.client, 'get').mockRejectedValue(httpError(404));
+
+      for (let i = 0; i < threshold + 1; i++) {
+        await expect(atpApi.getLiveDraw()).rejects.toMatchObject({ status: 404 });
+      }
+
+      expect(atpApi.getCircuitStates()['/Draws/live'].state).toBe('closed');
+    });
+
+    it('should report open circuits in /api/health', async () => {
+      await tripLiveMatchesCircuit(jest.spyOn(atpApi.client, 'get'));
+
+      const response = await request(app)
+        .get('/api/health')
+        .expect(200);
+
+      expect(response.body.circuitBreakers.default['/LiveMatches/tournament'].state).toBe('open');
+      expect(response.body.warnings).toEqual(expect.arrayContaining([
+        'ATP API circuit open for: /LiveMatches/tournament'
+      ]));
+    });
+
+    it('should report circuit states in polling stats', async () => {
+      // The WebSocket server is not started in tests, so check the polling stats it reports directly
+      const pollingService = require('../services/pollingService');
+      await tripLiveMatchesCircuit(jest.spyOn(atpApi.client, 'get'));
+
+      const stats = pollingService.getStats();
+      expect(stats.circuitBreakers.default['/LiveMatches/tournament'].state).toBe('open');
+      expect(stats.circuitBreakers.tournaments).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const request = require('supertest');
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.CACHE_ENABLED = 'true'; // Enable cache for tests
+process.env.REDIS_URL = ''; // Force in-memory cache for tests
+
+const { app } = require('../server');
+const cacheService = require('../services/cache');
+const atpApi = require('../services/atpApi');
+const { AtpApiService } = require('../services/atpApi');
+const requestCoalescer = require('../services/requestCoalescer');
+
+/**
+ * Create a promise that can be resolved or rejected from outside
+ * @returns {Object} { promise, resolve, reject }
+ */
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('Request Coalescing', () => {
+  beforeAll(async () => {
+    await cacheService.initialize();
+  });
+
+  beforeEach(async () => {
+    requestCoalescer.resetStats();
+    await cacheService.flush();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('RequestCoalescer', () => {
+    it('should share one in-flight promise between concurrent callers', async () => {
+      const upstream = deferred();
+      const fetchFn = jest.fn(() => upstream.promise);
+
+      const results = [
+        requestCoalescer.run('/key', fetchFn),
+        requestCoalescer.run('/key', fetchFn),
+        requestCoalescer.run('/key', fetchFn)
+      ];
+
+      upstream.resolve({ value: 1 });
+      await expect(Promise.all(results)).resolves.toEqual([{ value: 1 }, { value: 1 }, { value: 1 }]);
+
+      expect(fetchFn).toHaveBeenCalledTimes(1);
+      const stats = requestCoalescer.getStats();
+      expect(stats).toMatchObject({ requests: 3, upstreamCalls: 1, coalesced: 2, maxWaiters: 3, inFlight: 0 });
+    });
+
+    it('should not coalesce different keys or sequential calls', async () => {
+      const fetchFn = jest.fn().mockResolvedValue('ok');
+
+      await Promise.all([
+        requestCoalescer.run('/a', fetchFn),
+        requestCoalescer.run('/b', fetchFn)
+      ]);
+      await requestCoalescer.run('/a', fetchFn);
+
+      expect(fetchFn).toHaveBeenCalledTimes(3);
+      expect(requestCoalescer.getStats().coalesced).toBe(0);
+    });
+
+    it('should propagate errors to every waiter and clear the in-flight entry', async () => {
+      const upstream = deferred();
+      const fetchFn = jest.fn(() => upstream.promise);
+
+      const first = requestCoalescer.run('/fail', fetchFn);
+      const second = requestCoalescer.run('/fail', fetchFn);
+      upstream.reject(new Error('upstream down'));
+
+      await expect(first).rejects.toThrow('upstream down');
+      await expect(second).rejects.toThrow('upstream down');
+      expect(requestCoalescer.getStats()).toMatchObject({ errors: 1, inFlight: 0 });
+    });
+  });
+
+  describe('AtpApiService', () => {
+    it('should coalesce identical upstream requests', async () => {
+      const upstream = deferred();
+      const clientGet = jest.spyOn(atpApi.client, 'get').mockReturnValue(upstream.promise);
+
+      const calls = [atpApi.getLiveMatches(), atpApi.getLiveMatches()];
+      upstream.resolve({ data: { TournamentMatches: [] } });
+
+      await expect(Promise.all(calls)).resolves.toEqual([{ TournamentMatches: [] }, { TournamentMatches: [] }]);
+      expect(clientGet).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not share requests between tournament clients', async () => {
+      const tournamentClient = new AtpApiService({ bearerToken: 'other', tournamentId: '352' });
+      const globalGet = jest.spyOn(atpApi.client, 'get').mockResolvedValue({ data: 'global' });
+      const tournamentGet = jest.spyOn(tournamentClient.client, 'get').mockResolvedValue({ data: 'scoped' });
+
+      const [globalData, scopedData] = await Promise.all([
+        atpApi.getLiveMatches(),
+        tournamentClient.getLiveMatches()
+      ]);
+
+      expect(globalData).toBe('global');
+      expect(scopedData).toBe('scoped');
+      expect(globalGet).toHaveBeenCalledTimes(1);
+      expect(tournamentGet).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('HTTP endpoints', () => {
+    it('should make a single upstream call for concurrent cache misses', async () => {
+      const upstream = deferred();
+      const clientGet = jest.spyOn(atpApi.client, 'get').mockReturnValue(upstream.promise);
+
+      const responses = Promise.all([1, 2, 3].map(() => request(app).get('/api/live-matches')));
+      // Let all requests reach the upstream call before it resolves
+      await new Promise(resolve => setTimeout(resolve, 50));
+      upstream.resolve({ data: { TournamentMatches: [] } });
+
+      for (const response of await responses) {
+        expect(response.status).toBe(200);
+        expect(response.body.data).toEqual({ TournamentMatches: [] });
+      }
+      expect(clientGet).toHaveBeenCalledTimes(1);
+    });
+
+    it('should expose coalescing stats in /api/cache/stats', async () => {
+      const response = await request(app)
+        .get('/api/cache/stats')
+        .expect(200);
+
+      expect(response.body.coalescing).toMatchObject({
+        requests: expect.any(Number),
+        upstreamCalls: expect.any(Number),
+        coalesced: expect.any(Number),
+        inFlight: expect.any(Number)
+      });
+    });
+  });
+});
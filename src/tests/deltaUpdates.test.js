@@ -0,0 +1,181 @@
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.EVENTS_CONSOLE_OUTPUT = 'false';
+process.env.REDIS_URL = ''; // Force in-memory cache for tests
+
+const { createJsonPatch, createEntityPatch, applyJsonPatch } = require('../utils/jsonPatch');
+const changeDetector = require('../services/changeDetector');
+const deltaService = require('../services/deltaService');
+const subscriptionService = require('../services/subscriptionService');
+const pollingService = require('../services/pollingService');
+const cacheService = require('../services/cache');
+const webSocketServer = require('../websocket');
+
+const ENDPOINT = '/api/live-matches';
+
+/**
+ * Build live matches data for one tournament
+ * @param {Array<Array<string>>} matches - [MatchId, ResultString] pairs
+ * @returns {Object} /api/live-matches data
+ */
+const liveMatches = (matches) => ({
+  TournamentMatches: [{
+    TournamentId: 352,
+    TournamentDisplayName: 'Paris',
+    Matches: matches.map(([MatchId, ResultString]) => ({ MatchId, ResultString, Status: 'P', Court: { Name: 'Central' } }))
+  }]
+});
+
+/**
+ * Create a fake connected socket that records emitted messages
+ * @param {string} id - Socket ID
+ * @returns {Object} Fake socket with an emitted array
+ */
+const fakeSocket = (id) => {
+  const socket = { id, connected: true, emitted: [] };
+  socket.emit = (name, payload) => socket.emitted.push({ name, payload });
+  return socket;
+};
+
+describe('Delta Updates', () => {
+  describe('JSON Patch', () => {
+    test('should patch objects, nested arrays and type changes', () => {
+      const previous = { a: 1, list: [1, { b: 2 }, 3, 4], nested: { x: 'y', 'a/b': 1 }, value: [1] };
+      const current = { a: 2, list: [1, { b: 3, c: 4 }], nested: { 'a/b': 2 }, value: { one: 1 }, added: null };
+
+      const patch = createJsonPatch(previous, current);
+      expect(patch).toEqual(expect.arrayContaining([
+        { op: 'replace', path: '/a', value: 2 },
+        { op: 'remove', path: '/nested/x' },
+        { op: 'replace', path: '/nested/a~1b', value: 2 },
+        { op: 'replace', path: '/value', value: { one: 1 } },
+      ]));
+      expect(applyJsonPatch(previous, patch)).toEqual(current);
+      expect(previous.list).toHaveLength(4);
+
+      const grown = [{ id: 1 }, { id: 2 }, { id: 3 }];
+      expect(applyJsonPatch([{ id: 1 }], createJsonPatch([{ id: 1 }], grown))).toEqual(grown);
+    });
+
+    test('should only diff the matches that changed', () => {
+      const previousData = liveMatches([['MS001', '6-4'], ['MS002', '1-0']]);
+      const currentData = liveMatches([['MS001', '6-4, 1-0'], ['MS002', '1-0']]);
+      changeDetector.clear();
+      changeDetector.detect(ENDPOINT, previousData);
+      const changes = changeDetector.detect(ENDPOINT, currentData);
+
+      const patch = createEntityPatch(previousData, currentData, changes);
+      expect(patch).toEqual([{ op: 'replace', path: '/TournamentMatches/0/Matches/0/ResultString', value: '6-4, 1-0' }]);
+
+      // Added matches change positions, so the whole payload is diffed
+      const grownData = liveMatches([['MS003', '0-0'], ['MS001', '6-4, 1-0'], ['MS002', '1-0']]);
+      const grown = changeDetector.detect(ENDPOINT, grownData);
+      expect(applyJsonPatch(currentData, createEntityPatch(currentData, grownData, grown))).toEqual(grownData);
+    });
+  });
+
+  describe('Delta subscriptions', () => {
+    let sockets;
+
+    /**
+     * Run a poll of the endpoint through the polling service
+     * @param {Object} data - Polled data
+     * @returns {Promise<void>}
+     */
+    const poll = async (data) => {
+      jest.spyOn(pollingService, 'fetchEndpointData').mockResolvedValueOnce({ data });
+      await pollingService.fetchAndBroadcast(ENDPOINT);
+    };
+
+    /**
+     * Subscribe a fake socket through the WebSocket handler
+     * @param {string} id - Socket ID
+     * @param {string} [mode] - Subscription mode
+     * @returns {Promise<Object>} Fake socket
+     */
+    const subscribe = async (id, mode) => {
+      const socket = fakeSocket(id);
+      sockets.set(id, socket);
+      await webSocketServer.handleSubscribe(socket, { endpoints: ENDPOINT, mode });
+      return socket;
+    };
+
+    beforeAll(async () => {
+      await cacheService.initialize();
+    });
+
+    beforeEach(() => {
+      changeDetector.clear();
+      deltaService.clear();
+      subscriptionService.clear();
+      sockets = new Map();
+      pollingService.io = { sockets: { sockets } };
+      jest.spyOn(pollingService, 'onSubscriptionAdded').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+      pollingService.io = null;
+      deltaService.clear();
+      subscriptionService.clear();
+    });
+
+    test('should send one snapshot, then patches, and nothing for unchanged polls', async () => {
+      await poll(liveMatches([['MS001', '6-4']]));
+      const delta = await subscribe('delta', 'delta');
+      const full = await subscribe('full');
+
+      expect(delta.emitted[0]).toMatchObject({ name: 'subscribed', payload: { mode: 'delta' } });
+      expect(delta.emitted[1]).toMatchObject({ name: 'data-update', payload: { version: 1 } });
+      let document = delta.emitted[1].payload.data;
+
+      await poll(liveMatches([['MS001', '6-4, 1-0']]));
+      await poll(liveMatches([['MS001', '6-4, 1-0']]));
+      await poll(liveMatches([['MS001', '6-4, 2-0']]));
+
+      const patches = delta.emitted.slice(2);
+      expect(patches.map(message => message.name)).toEqual(['data-patch', 'data-patch']);
+      expect(patches[0].payload).toMatchObject({ endpoint: ENDPOINT, version: 2, baseVersion: 1, seq: expect.any(Number) });
+      expect(patches[0].payload.data).toBeUndefined();
+      patches.forEach(message => { document = applyJsonPatch(document, message.payload.patch); });
+      expect(document).toEqual(liveMatches([['MS001', '6-4, 2-0']]));
+
+      // Full subscribers get the full data of the same changes
+      expect(full.emitted.slice(2).map(message => message.payload.version)).toEqual([2, 3]);
+      expect(deltaService.getStats()).toMatchObject({ patches: 2, versions: { [ENDPOINT]: 3 } });
+    });
+
+    test('should send a snapshot to clients that missed a version and on resync', async () => {
+      await poll(liveMatches([['MS001', '6-4']]));
+      const socket = await subscribe('delta', 'delta');
+
+      // A version the client never received: the next change arrives as a full snapshot
+      deltaService.setMode('delta', ENDPOINT, 'delta');
+      await poll(liveMatches([['MS001', '6-4, 1-0']]));
+      expect(socket.emitted[socket.emitted.length - 1]).toMatchObject({ name: 'data-update', payload: { version: 2 } });
+
+      await webSocketServer.handleResync(socket, ENDPOINT);
+      expect(socket.emitted[socket.emitted.length - 1]).toMatchObject({
+        name: 'data-update',
+        payload: { version: 2, resync: true, data: liveMatches([['MS001', '6-4, 1-0']]) }
+      });
+
+      await webSocketServer.handleResync(socket, '/api/draws/live');
+      expect(socket.emitted[socket.emitted.length - 1]).toMatchObject({ name: 'error', payload: { message: 'Not subscribed to /api/draws/live' } });
+      expect(deltaService.getStats()).toMatchObject({ resyncs: 1 });
+    });
+
+    test('should reject unknown modes and stop deltas on unsubscribe', async () => {
+      const invalid = await subscribe('invalid', 'patch');
+      expect(invalid.emitted).toEqual([{ name: 'error', payload: expect.objectContaining({ message: 'Invalid mode: patch. Must be one of: full, delta' }) }]);
+
+      const socket = await subscribe('delta', 'delta');
+      jest.spyOn(pollingService, 'onSubscriptionRemoved').mockImplementation(() => {});
+      webSocketServer.handleUnsubscribe(socket, ENDPOINT);
+      expect(deltaService.isDelta('delta', ENDPOINT)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.EVENTS_CONSOLE_OUTPUT = 'false';
+process.env.REDIS_URL = ''; // Force in-memory cache for tests
+
+const { parseTopic, matchesTopic } = require('../utils/entityTopics');
+const cacheService = require('../services/cache');
+const changeDetector = require('../services/changeDetector');
+const deltaService = require('../services/deltaService');
+const subscriptionService = require('../services/subscriptionService');
+const pollingService = require('../services/pollingService');
+const webSocketServer = require('../websocket');
+
+const ENDPOINT = '/api/live-matches';
+
+/**
+ * Build a live match
+ * @param {string} matchId - Match ID
+ * @param {string} court - Court name
+ * @param {string} score - Result string
+ * @param {Array<string>} playerIds - Player IDs of team 1 and team 2
+ * @returns {Object} Match
+ */
+const match = (matchId, court, score, [player1, player2] = ['S0AG', 'A0E2']) => ({
+  MatchId: matchId,
+  CourtName: court,
+  ResultString: score,
+  PlayerTeam1: { PlayerId: player1 },
+  PlayerTeam2: { PlayerId: player2 }
+});
+
+/**
+ * Build live matches data for one tournament
+ * @param {...Object} matches - Matches
+ * @returns {Object} /api/live-matches data
+ */
+const liveMatches = (...matches) => ({ TournamentMatches: [{ TournamentId: 352, Matches: matches }] });
+
+/**
+ * Create a fake connected socket that records emitted messages
+ * @param {string} id - Socket ID
+ * @returns {Object} Fake socket with an emitted array
+ */
+const fakeSocket = (id) => {
+  const socket = { id, connected: true, emitted: [] };
+  socket.emit = (name, payload) => socket.emitted.push({ name, payload });
+  return socket;
+};
+
+describe('Entity Topics', () => {
+  test('should parse topics and match them against matches and fixtures', () => {
+    expect(parseTopic('match:MS001')).toEqual({ type: 'match', value: 'MS001' });
+    expect(parseTopic('court:Court Philippe-Chatrier')).toEqual({ type: 'court', value: 'Court Philippe-Chatrier' });
+    expect(parseTopic('/api/live-matches')).toBeNull();
+    expect(parseTopic('team:1')).toBeNull();
+    expect(parseTopic('player: ')).toBeNull();
+
+    const liveMatch = { key: '352:MS001', id: 'MS001', value: { ...match('MS001', 'Centre Court', '6-4'), PlayerTeam2: { PlayerId: 'A0E2', PartnerId: 'D643' } } };
+    expect(matchesTopic(parseTopic('match:ms001'), 'match', liveMatch)).toBe(true);
+    expect(matchesTopic(parseTopic('match:352:MS001'), 'match', liveMatch)).toBe(true);
+    expect(matchesTopic(parseTopic('match:MS002'), 'match', liveMatch)).toBe(false);
+    expect(matchesTopic(parseTopic('court:centre court'), 'match', liveMatch)).toBe(true);
+    expect(matchesTopic(parseTopic('player:d643'), 'match', liveMatch)).toBe(true);
+
+    const fixture = {
+      key: '352:MS:MS001',
+      id: 'MS001',
+      value: { MatchCode: 'MS001', DrawLineTop: { Players: [{ PlayerId: 'S0AG' }] }, DrawLineBottom: { Players: [] } }
+    };
+    expect(matchesTopic(parseTopic('match:MS001'), 'fixture', fixture)).toBe(true);
+    expect(matchesTopic(parseTopic('player:S0AG'), 'fixture', fixture)).toBe(true);
+    expect(matchesTopic(parseTopic('court:Centre Court'), 'fixture', fixture)).toBe(false);
+  });
+
+  describe('Topic subscriptions', () => {
+    let sockets;
+
+    /**
+     * Run a poll of the live matches endpoint through the polling service
+     * @param {Object} data - Polled data
+     * @returns {Promise<void>}
+     */
+    const poll = async (data) => {
+      jest.spyOn(pollingService, 'fetchEndpointData').mockResolvedValueOnce({ data });
+      await pollingService.fetchAndBroadcast(ENDPOINT);
+    };
+
+    /**
+     * Subscribe a fake socket through the WebSocket handler
+     * @param {string} id - Socket ID
+     * @param {string|Array<string>} topics - Topic(s)
+     * @returns {Promise<Object>} Fake socket
+     */
+    const subscribe = async (id, topics) => {
+      const socket = fakeSocket(id);
+      sockets.set(id, socket);
+      await webSocketServer.handleSubscribe(socket, topics);
+      return socket;
+    };
+
+    /**
+     * Get the entity-update messages a socket received
+     * @param {Object} socket - Fake socket
+     * @returns {Array<Object>} Message payloads
+     */
+    const entityUpdates = (socket) => socket.emitted.filter(message => message.name === 'entity-update').map(message => message.payload);
+
+    beforeAll(async () => {
+      await cacheService.initialize();
+    });
+
+    beforeEach(() => {
+      changeDetector.clear();
+      deltaService.clear();
+      subscriptionService.clear();
+      sockets = new Map();
+      pollingService.io = { sockets: { sockets } };
+      jest.spyOn(pollingService, 'startPollingForEndpoint').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+      pollingService.io = null;
+      subscriptionService.clear();
+      deltaService.clear();
+    });
+
+    test('should send only the subscribed match, court or player when it changes', async () => {
+      await poll(liveMatches(match('MS001', 'Court 1', '1-0'), match('MS002', 'Court 2', '0-0', ['D643', 'MM58'])));
+
+      const matchSocket = await subscribe('match', 'match:MS001');
+      const courtSocket = await subscribe('court', 'court:Court 2');
+      const playerSocket = await subscribe('player', 'player:MM58');
+
+      // The current entities are sent on subscription
+      expect(matchSocket.emitted[0]).toMatchObject({ name: 'subscribed', payload: { endpoint: 'match:MS001', topic: true } });
+      expect(entityUpdates(matchSocket)).toEqual([expect.objectContaining({
+        topic: 'match:MS001', endpoint: ENDPOINT, entityType: 'match', key: '352:MS001', cached: true, removed: false
+      })]);
+      expect(entityUpdates(courtSocket).map(update => update.id)).toEqual(['MS002']);
+
+      await poll(liveMatches(match('MS001', 'Court 1', '2-0'), match('MS002', 'Court 2', '0-0', ['D643', 'MM58'])));
+      await poll(liveMatches(match('MS001', 'Court 1', '2-0'), match('MS002', 'Court 2', '0-0', ['D643', 'MM58'])));
+
+      expect(entityUpdates(matchSocket)).toHaveLength(2);
+      expect(entityUpdates(matchSocket)[1]).toMatchObject({ cached: false, data: { ResultString: '2-0', _tournamentId: 352 } });
+      expect(entityUpdates(courtSocket)).toHaveLength(1);
+      expect(entityUpdates(playerSocket)).toHaveLength(1);
+
+      // A match moving away from a court leaves the court topic; a finished match leaves its topics
+      await poll(liveMatches(match('MS002', 'Court 3', '1-0', ['D643', 'MM58'])));
+      expect(entityUpdates(courtSocket)[1]).toMatchObject({ id: 'MS002', removed: true, data: null });
+      expect(entityUpdates(playerSocket)[1]).toMatchObject({ id: 'MS002', removed: false, data: { CourtName: 'Court 3' } });
+      expect(entityUpdates(matchSocket)[2]).toMatchObject({ id: 'MS001', removed: true });
+    });
+
+    test('should poll the topic endpoints while topics have subscribers', async () => {
+      const stopPolling = jest.spyOn(pollingService, 'stopPollingForEndpoint').mockImplementation(() => {});
+      const socket = await subscribe('socket-1', ['match:MS001', 'player:S0AG']);
+
+      expect(pollingService.startPollingForEndpoint).toHaveBeenCalledWith('/api/live-matches', 'topics');
+      expect(pollingService.startPollingForEndpoint).toHaveBeenCalledWith('/api/draws/live', 'topics');
+
+      webSocketServer.handleUnsubscribe(socket, 'match:MS001');
+      expect(stopPolling).not.toHaveBeenCalled();
+      webSocketServer.handleUnsubscribe(socket, 'player:S0AG');
+      expect(stopPolling).toHaveBeenCalledWith('/api/live-matches', 'topics');
+      expect(stopPolling).toHaveBeenCalledWith('/api/draws/live', 'topics');
+    });
+  });
+});
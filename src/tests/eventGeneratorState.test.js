@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-generator-state-'));
+
+// Set test environment BEFORE any requires
+process.env.NODE_ENV = 'test';
+process.env.EVENTS_ENABLED = 'true';
+process.env.EVENTS_CONSOLE_OUTPUT = 'false';
+process.env.EVENTS_WEBHOOK_URL = '';
+process.env.EVENTS_WEBHOOK_SECRET = '';
+process.env.FILESYSTEM_CACHE_DIR = cacheDir; // Persistent (write-once) cache provider
+
+const cacheService = require('../services/cache');
+const eventGenerator = require('../services/eventGenerator');
+const { EVENT_TYPES } = require('../types/events');
+
+/**
+ * Build live matches data with one match
+ * @param {string} status - Match status (P = in progress, F = finished)
+ * @param {string} score - Result string
+ * @returns {Object} /api/live-matches data
+ */
+function liveMatches(status, score) {
+  return {
+    TournamentMatches: [{
+      TournamentName: 'Wimbledon',
+      Matches: [{
+        MatchId: 'MS001',
+        Status: status,
+        ResultString: score,
+        CourtName: 'Centre Court',
+        Round: { ShortName: 'F', LongName: 'Final' },
+        PlayerTeam1: { PlayerFirstName: 'Roger', PlayerLastName: 'Federer' },
+        PlayerTeam2: { PlayerFirstName: 'Andy', PlayerLastName: 'Murray' }
+      }]
+    }]
+  };
+}
+
+/**
+ * Drop the in-memory generator state as a restart would
+ */
+function simulateRestart() {
+  clearTimeout(eventGenerator.persistence.saveTimer);
+  eventGenerator.persistence.saveTimer = null;
+  eventGenerator.persistence.active = false;
+  eventGenerator.clearStates();
+}
+
+describe('Event Generator State Persistence', () => {
+  beforeAll(async () => {
+    await cacheService.initialize();
+  });
+
+  afterAll(async () => {
+    simulateRestart();
+    await cacheService.disconnect();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    const webhookClient = require('../services/webhookClient');
+    await webhookClient.shutdown();
+  });
+
+  beforeEach(() => {
+    simulateRestart();
+  });
+
+  it('should continue from the saved state after a restart', async () => {
+    expect(await eventGenerator.restoreState()).toBe(false);
+
+    eventGenerator.processData('/api/live-matches', liveMatches('P', '6-4, 2-1'));
+    expect(await eventGenerator.saveState()).toBe(true);
+    eventGenerator.processData('/api/live-matches', liveMatches('P', '6-4, 5-4'));
+    // The filesystem provider is write-once for API responses, but snapshots replace each other
+    expect(await eventGenerator.saveState()).toBe(true);
+
+    simulateRestart();
+    expect(await eventGenerator.restoreState()).toBe(true);
+    expect(eventGenerator.previousStates.get('/api/live-matches')).toEqual(liveMatches('P', '6-4, 5-4'));
+    expect(eventGenerator.getStats().persistence.restoredAt).not.toBeNull();
+
+    // The match finished during the restart: it is not swallowed by a baseline poll
+    const events = eventGenerator.processData('/api/live-matches', liveMatches('F', '6-4, 6-4'));
+    expect(events.map(event => event.event_type)).toContain(EVENT_TYPES.MATCH_FINISHED);
+    await eventGenerator.saveState();
+
+    // Finished matches are restored too, so the event is not sent twice
+    simulateRestart();
+    await eventGenerator.restoreState();
+    expect(eventGenerator.finishedMatches.size).toBe(1);
+    eventGenerator.processData('/api/live-matches', liveMatches('P', '6-4, 6-4'));
+    const repeated = eventGenerator.processData('/api/live-matches', liveMatches('F', '6-4, 6-4'));
+    expect(repeated.map(event => event.event_type)).not.toContain(EVENT_TYPES.MATCH_FINISHED);
+  });
+
+  it('should ignore snapshots older than the maximum age', async () => {
+    await eventGenerator.restoreState();
+    eventGenerator.processData('/api/live-matches', liveMatches('P', '6-4, 2-1'));
+    await eventGenerator.saveState();
+
+    simulateRestart();
+    const now = Date.now();
+    const dateNow = jest.spyOn(Date, 'now').mockReturnValue(now + 2 * 60 * 60 * 1000);
+    try {
+      expect(await eventGenerator.restoreState()).toBe(false);
+    } finally {
+      dateNow.mockRestore();
+    }
+    expect(eventGenerator.previousStates.size).toBe(0);
+  });
+
+  it('should save snapshots after the save interval while data changes', async () => {
+    jest.useFakeTimers();
+    try {
+      await eventGenerator.restoreState();
+      const saveState = jest.spyOn(eventGenerator, 'saveState').mockResolvedValue(true);
+
+      eventGenerator.processData('/api/live-matches', liveMatches('P', '6-4, 2-1'));
+      eventGenerator.processData('/api/live-matches', liveMatches('P', '6-4, 3-1'));
+      expect(saveState).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(5000);
+      expect(saveState).toHaveBeenCalledTimes(1);
+      saveState.mockRestore();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -2,18 +2,21 @@
 process.env.NODE_ENV = 'test';
 process.env.EVENTS_ENABLED = 'true';
 process.env.EVENTS_ENDPOINTS = '/api/live-matches,/api/draws/live';
+process.env.POLLING_PREFETCH_ENABLED = 'false'; // Only event polling is under test
 process.env.REDIS_URL = ''; // Force in-memory cache for tests
 
 // Mock ATP API to avoid real API calls
 jest.mock('../services/atpApi', () => ({
   getLiveMatches: jest.fn(),
   getLiveDraw: jest.fn(),
+  getCircuitStates: jest.fn(() => ({})),
 }));
 
 // Mock cache service to avoid initialization issues
 jest.mock('../services/cache', () => ({
   generateKey: jest.fn((endpoint) => endpoint),
   set: jest.fn(),
+  touch: jest.fn(() => true),
   get: jest.fn(),
   getTtl: jest.fn(() => 10),
 }));
@@ -100,12 +103,12 @@ describe('Event-Driven Polling Integration', () => {
       // Wait a bit for initial fetch to complete
       await new Promise(resolve => setTimeout(resolve, 100));
 
-      // Should have called event generator for live matches
-      expect(processDataSpy).toHaveBeenCalledWith('/api/live-matches', expect.any(Object));
+      // Should have called event generator for live matches, with the changes detected for the poll
+      expect(processDataSpy).toHaveBeenCalledWith('/api/live-matches', expect.any(Object), null, expect.objectContaining({ hash: expect.any(String) }));
       
       // Check if draws/live is configured and called
       if (config.events.endpoints.includes('/api/draws/live')) {
-        expect(processDataSpy).toHaveBeenCalledWith('/api/draws/live', expect.any(Object));
+        expect(processDataSpy).toHaveBeenCalledWith('/api/draws/live', expect.any(Object), null, expect.objectContaining({ hash: expect.any(String) }));
       }
     });
 
@@ -0,0 +1,176 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.EVENTS_CONSOLE_OUTPUT = 'false';
+process.env.REDIS_URL = ''; // Force in-memory cache for tests
+
+const { app } = require('../server');
+const config = require('../config');
+const eventStore = require('../services/eventStore');
+const eventOutput = require('../services/eventOutput');
+const { EVENT_TYPES, EVENT_PRIORITY, createEvent } = require('../types/events');
+
+/**
+ * Create a test event
+ * @param {string} type - Event type
+ * @param {string} matchId - Match ID
+ * @param {string} timestamp - Event timestamp
+ * @param {Object} [options] - Tournament ID and priority
+ * @returns {Object} Event
+ */
+const testEvent = (type, matchId, timestamp, { tournamentId = '352', priority = EVENT_PRIORITY.MEDIUM } = {}) =>
+  createEvent(type, tournamentId, matchId, `${type} ${matchId}`, {}, { timestamp, priority });
+
+describe('Event Store', () => {
+  let storeDir;
+
+  beforeEach(async () => {
+    storeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'event-store-'));
+    await eventStore.initialize({ dir: storeDir });
+
+    eventOutput.output([
+      testEvent(EVENT_TYPES.MATCH_STARTED, 'MS001', '2025-10-28T12:00:00.000Z'),
+      testEvent(EVENT_TYPES.SET_COMPLETED, 'MS001', '2025-10-28T12:40:00.000Z', { priority: EVENT_PRIORITY.HIGH }),
+      testEvent(EVENT_TYPES.MATCH_STARTED, 'MS002', '2025-10-28T13:00:00.000Z', { tournamentId: '404' }),
+      testEvent(EVENT_TYPES.MATCH_FINISHED, 'MS001', '2025-10-28T13:30:00.000Z', { priority: EVENT_PRIORITY.HIGH }),
+    ]);
+    await eventStore.flush();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    eventStore.retentionDays = config.eventStore.retentionDays;
+    eventStore.maxIndexedEvents = config.eventStore.maxIndexedEvents;
+    await fs.rm(storeDir, { recursive: true, force: true });
+  });
+
+  it('should persist events from eventOutput to JSONL files', async () => {
+    const files = await fs.readdir(storeDir);
+    expect(files).toHaveLength(1);
+    expect(files[0]).toMatch(/^events-\d{4}-\d{2}-\d{2}\.jsonl$/);
+
+    const lines = (await fs.readFile(path.join(storeDir, files[0]), 'utf8')).trim().split('\n');
+    expect(lines).toHaveLength(4);
+    expect(JSON.parse(lines[0])).toMatchObject({ seq: 1, event: { event_type: 'match_started', match_id: 'MS001' } });
+  });
+
+  it('should return events newest first from GET /api/events', async () => {
+    const response = await request(app).get('/api/events').expect(200);
+
+    expect(response.body.events.map(event => event.seq)).toEqual([4, 3, 2, 1]);
+    expect(response.body.events[0]).toMatchObject({ event_type: 'match_finished', match_id: 'MS001', tournament_id: '352' });
+    expect(response.body.events[0].stored_at).toBeDefined();
+    expect(response.body.pagination).toEqual({ limit: 50, order: 'desc', nextCursor: null, hasMore: false });
+  });
+
+  it('should filter by tournament, match, type, priority and time range', async () => {
+    let response = await request(app).get('/api/events?tournament_id=404').expect(200);
+    expect(response.body.events.map(event => event.match_id)).toEqual(['MS002']);
+
+    response = await request(app).get('/api/events?match_id=MS001&event_type=match_started,set_completed').expect(200);
+    expect(response.body.events.map(event => event.event_type)).toEqual(['set_completed', 'match_started']);
+
+    response = await request(app).get('/api/events?priority=high&order=asc').expect(200);
+    expect(response.body.events.map(event => event.event_type)).toEqual(['set_completed', 'match_finished']);
+
+    response = await request(app)
+      .get('/api/events?from=2025-10-28T12:30:00Z&to=2025-10-28T13:00:00Z')
+      .expect(200);
+    expect(response.body.events.map(event => event.seq)).toEqual([3, 2]);
+  });
+
+  it('should page through events with a cursor', async () => {
+    const first = await request(app).get('/api/events?limit=3').expect(200);
+    expect(first.body.events.map(event => event.seq)).toEqual([4, 3, 2]);
+    expect(first.body.pagination).toMatchObject({ nextCursor: '2', hasMore: true });
+
+    const second = await request(app).get(`/api/events?limit=3&cursor=${first.body.pagination.nextCursor}`).expect(200);
+    expect(second.body.events.map(event => event.seq)).toEqual([1]);
+    expect(second.body.pagination).toMatchObject({ nextCursor: null, hasMore: false });
+
+    const ascending = await request(app).get('/api/events?order=asc&limit=2&cursor=2').expect(200);
+    expect(ascending.body.events.map(event => event.seq)).toEqual([3, 4]);
+  });
+
+  it('should reject invalid query parameters', async () => {
+    let response = await request(app).get('/api/events?event_type=not_an_event').expect(400);
+    expect(response.body.error).toMatchObject({ message: 'Unknown event_type: not_an_event', status: 400 });
+
+    await request(app).get('/api/events?priority=urgent').expect(400);
+    await request(app).get('/api/events?from=yesterday').expect(400);
+    await request(app).get('/api/events?limit=1000').expect(400);
+    response = await request(app).get('/api/events?cursor=abc').expect(400);
+    expect(response.body.error.message).toContain('cursor');
+  });
+
+  it('should rebuild the index from disk and continue the sequence', async () => {
+    await eventStore.initialize({ dir: storeDir });
+    expect(eventStore.getStats()).toMatchObject({ events: 4, files: 1, oldestSeq: 1, latestSeq: 4 });
+
+    eventOutput.output(testEvent(EVENT_TYPES.COURT_CHANGED, 'MS003', '2025-10-28T14:00:00.000Z'));
+    await eventStore.flush();
+
+    const result = await eventStore.query({ limit: 1 });
+    expect(result.events[0]).toMatchObject({ seq: 5, event_type: 'court_changed', match_id: 'MS003' });
+  });
+
+  it('should delete files older than the retention period', async () => {
+    const oldFile = path.join(storeDir, 'events-2000-01-01.jsonl');
+    const record = { seq: 100, stored_at: '2000-01-01T00:00:00.000Z', event: testEvent(EVENT_TYPES.MATCH_STARTED, 'OLD', '2000-01-01T00:00:00.000Z') };
+    await fs.writeFile(oldFile, `${JSON.stringify(record)}\n`);
+
+    await eventStore.initialize({ dir: storeDir });
+
+    await expect(fs.access(oldFile)).rejects.toThrow();
+    expect(eventStore.getStats().events).toBe(4);
+  });
+
+  it('should not delete a file while a query is reading it', async () => {
+    const oldFile = path.join(storeDir, 'events-2000-01-01.jsonl');
+    const record = { seq: 100, stored_at: '2000-01-01T00:00:00.000Z', event: testEvent(EVENT_TYPES.MATCH_STARTED, 'OLD', '2000-01-01T00:00:00.000Z') };
+    await fs.writeFile(oldFile, `${JSON.stringify(record)}\n`);
+    await eventStore.initialize({ dir: storeDir, retentionDays: 100000 });
+
+    let releaseRead;
+    const readStarted = new Promise(resolve => {
+      const readEntries = eventStore.readEntries.bind(eventStore);
+      jest.spyOn(eventStore, 'readEntries').mockImplementationOnce(async (entries) => {
+        resolve();
+        await new Promise(resolveRead => { releaseRead = resolveRead; });
+        return readEntries(entries);
+      });
+    });
+
+    const query = eventStore.query({ matchId: 'OLD' });
+    await readStarted;
+    eventStore.retentionDays = 7;
+    const cleanup = eventStore.cleanup();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await expect(fs.access(oldFile)).resolves.toBeUndefined();
+
+    releaseRead();
+    expect((await query).events.map(event => event.match_id)).toEqual(['OLD']);
+    expect(await cleanup).toBe(1);
+    await expect(fs.access(oldFile)).rejects.toThrow();
+    expect((await eventStore.query({ matchId: 'OLD' })).events).toEqual([]);
+  });
+
+  it('should keep only the newest events in the index', async () => {
+    await eventStore.initialize({ dir: storeDir, maxIndexedEvents: 3 });
+    expect(eventStore.getStats()).toMatchObject({ events: 3, oldestSeq: 2, latestSeq: 4, maxIndexedEvents: 3 });
+
+    eventOutput.output(testEvent(EVENT_TYPES.COURT_CHANGED, 'MS003', '2025-10-28T14:00:00.000Z'));
+    await eventStore.flush();
+    expect(eventStore.getStats()).toMatchObject({ events: 3, oldestSeq: 3, latestSeq: 5 });
+
+    // Evicted events stay on disk but are no longer returned
+    const result = await eventStore.query({ order: 'asc' });
+    expect(result.events.map(event => event.seq)).toEqual([3, 4, 5]);
+    const [file] = await fs.readdir(storeDir);
+    expect((await fs.readFile(path.join(storeDir, file), 'utf8')).trim().split('\n')).toHaveLength(5);
+  });
+});
@@ -0,0 +1,210 @@
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.EVENTS_CONSOLE_OUTPUT = 'false';
+process.env.REDIS_URL = ''; // Force in-memory cache for tests
+
+const eventSubscriptionService = require('../services/eventSubscriptionService');
+const streamBuffer = require('../services/streamBuffer');
+const pollingService = require('../services/pollingService');
+const cacheService = require('../services/cache');
+const { getCacheKey } = require('../middleware/cache');
+const eventOutput = require('../services/eventOutput');
+const webSocketServer = require('../websocket');
+const { EVENT_TYPES, EVENT_PRIORITY, createEvent } = require('../types/events');
+
+/**
+ * Create a test event
+ * @param {string} type - Event type
+ * @param {string} matchId - Match ID
+ * @param {Object} [options] - Tournament ID, priority and player IDs
+ * @returns {Object} Event
+ */
+const testEvent = (type, matchId, { tournamentId = '352', priority = EVENT_PRIORITY.MEDIUM, playerIds = [] } = {}) =>
+  createEvent(type, tournamentId, matchId, `${type} ${matchId}`, {
+    players: playerIds.map((playerId, index) => ({ name: `Player ${index + 1}`, playerId, teamId: index + 1 }))
+  }, { priority });
+
+/**
+ * Create a fake socket that records emitted messages
+ * @param {string} id - Socket ID
+ * @returns {Object} Fake socket with an emitted array
+ */
+const fakeSocket = (id) => {
+  const socket = { id, emitted: [] };
+  socket.emit = (name, payload) => socket.emitted.push({ name, payload });
+  return socket;
+};
+
+describe('WebSocket Event Subscriptions', () => {
+  let delivered;
+
+  beforeEach(() => {
+    eventSubscriptionService.clear();
+    streamBuffer.clear();
+    delivered = [];
+    eventSubscriptionService.setEmitter((socketId, event) => delivered.push({ socketId, event }));
+  });
+
+  afterAll(() => {
+    eventSubscriptionService.clear();
+    eventSubscriptionService.setEmitter(null);
+  });
+
+  test('should push events from eventOutput to subscribed sockets', () => {
+    eventSubscriptionService.subscribe('socket-1', {});
+
+    eventOutput.output(testEvent(EVENT_TYPES.SET_COMPLETED, 'MS001'));
+
+    expect(delivered).toHaveLength(1);
+    expect(delivered[0]).toMatchObject({ socketId: 'socket-1', event: { event_type: 'set_completed', match_id: 'MS001' } });
+  });
+
+  test('should only deliver events matching each socket\'s filters', () => {
+    eventSubscriptionService.subscribe('types', { eventTypes: ['set_completed', 'match_finished'] });
+    eventSubscriptionService.subscribe('tournament', { tournamentId: 404 });
+    eventSubscriptionService.subscribe('matches', { matchIds: 'MS002' });
+    eventSubscriptionService.subscribe('players', { playerIds: ['s0ag'] });
+    eventSubscriptionService.subscribe('priority', { minPriority: EVENT_PRIORITY.HIGH });
+
+    eventOutput.output([
+      testEvent(EVENT_TYPES.SET_COMPLETED, 'MS001', { priority: EVENT_PRIORITY.HIGH }),
+      testEvent(EVENT_TYPES.SCORE_UPDATED, 'MS002', { tournamentId: '404', playerIds: ['S0AG', 'MM58'] }),
+      testEvent(EVENT_TYPES.MATCH_FINISHED, 'MS003', { priority: EVENT_PRIORITY.CRITICAL }),
+    ]);
+
+    const received = (socketId) => delivered.filter(item => item.socketId === socketId).map(item => item.event.match_id);
+    expect(received('types')).toEqual(['MS001', 'MS003']);
+    expect(received('tournament')).toEqual(['MS002']);
+    expect(received('matches')).toEqual(['MS002']);
+    expect(received('players')).toEqual(['MS002']);
+    expect(received('priority')).toEqual(['MS001', 'MS003']);
+  });
+
+  test('should stop delivering after unsubscribe or disconnect', () => {
+    const socket = fakeSocket('socket-1');
+    webSocketServer.handleSubscribeEvents(socket, { eventTypes: 'set_completed' });
+    eventSubscriptionService.subscribe('socket-2', {});
+
+    webSocketServer.handleUnsubscribeEvents(socket);
+    webSocketServer.handleDisconnect(fakeSocket('socket-2'));
+    eventOutput.output(testEvent(EVENT_TYPES.SET_COMPLETED, 'MS001'));
+
+    expect(delivered).toHaveLength(0);
+    expect(socket.emitted.map(message => message.name)).toEqual(['events-subscribed', 'events-unsubscribed']);
+    expect(eventSubscriptionService.getStats().subscribedSockets).toBe(0);
+  });
+
+  test('should confirm subscriptions with the normalized filters', () => {
+    const socket = fakeSocket('socket-1');
+    webSocketServer.handleSubscribeEvents(socket, { eventTypes: 'break_point', matchIds: ['MS001', 42], minPriority: 'high' });
+
+    expect(socket.emitted[0].name).toBe('events-subscribed');
+    expect(socket.emitted[0].payload.filters).toEqual({
+      eventTypes: ['break_point'],
+      tournamentId: null,
+      matchIds: ['MS001', '42'],
+      playerIds: null,
+      minPriority: 'high'
+    });
+  });
+
+  test('should reject invalid filters with an error message', () => {
+    const socket = fakeSocket('socket-1');
+
+    webSocketServer.handleSubscribeEvents(socket, { eventTypes: ['not_an_event'] });
+    webSocketServer.handleSubscribeEvents(socket, { minPriority: 'urgent' });
+    webSocketServer.handleSubscribeEvents(socket, 'set_completed');
+
+    expect(socket.emitted.map(message => message.name)).toEqual(['error', 'error', 'error']);
+    expect(socket.emitted[0].payload.message).toBe('Invalid event filters: Unknown event type: not_an_event');
+    expect(eventSubscriptionService.getFilters('socket-1')).toBeNull();
+  });
+
+  describe('Resume', () => {
+    beforeAll(async () => {
+      await cacheService.initialize();
+    });
+
+    beforeEach(() => {
+      jest.spyOn(pollingService, 'onSubscriptionAdded').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      streamBuffer.capacity = 1000;
+      streamBuffer.clear();
+    });
+
+    test('should give events and data-updates increasing sequence IDs', () => {
+      eventSubscriptionService.subscribe('socket-1', {});
+
+      eventOutput.output(testEvent(EVENT_TYPES.MATCH_STARTED, 'MS001'));
+      const updateSeq = streamBuffer.recordDataUpdate('/api/live-matches');
+      eventOutput.output(testEvent(EVENT_TYPES.SET_COMPLETED, 'MS001'));
+
+      expect(delivered.map(item => item.event.seq)).toEqual([1, 3]);
+      expect(updateSeq).toBe(2);
+      expect(streamBuffer.getEndpointSeq('/api/live-matches')).toBe(2);
+    });
+
+    test('should replay missed events matching the filters before live events', () => {
+      eventOutput.output([
+        testEvent(EVENT_TYPES.MATCH_STARTED, 'MS001'),
+        testEvent(EVENT_TYPES.SET_COMPLETED, 'MS001'),
+        testEvent(EVENT_TYPES.SET_COMPLETED, 'MS002'),
+      ]);
+
+      const socket = fakeSocket('socket-1');
+      webSocketServer.handleSubscribeEvents(socket, { eventTypes: ['set_completed'], resume: { lastSeq: 1 } });
+
+      expect(socket.emitted.map(message => message.name)).toEqual(['events-subscribed', 'event', 'event']);
+      expect(socket.emitted[0].payload.resume).toEqual({ lastSeq: 1, complete: true, replayed: 2 });
+      expect(socket.emitted.slice(1).map(message => message.payload.seq)).toEqual([2, 3]);
+      expect(socket.emitted[1].payload).toMatchObject({ event_type: 'set_completed', match_id: 'MS001' });
+    });
+
+    test('should flag an incomplete resume when the gap was evicted', () => {
+      streamBuffer.capacity = 2;
+      streamBuffer.clear();
+      eventOutput.output([
+        testEvent(EVENT_TYPES.MATCH_STARTED, 'MS001'),
+        testEvent(EVENT_TYPES.SET_COMPLETED, 'MS001'),
+        testEvent(EVENT_TYPES.MATCH_FINISHED, 'MS001'),
+      ]);
+      expect(streamBuffer.getStats()).toMatchObject({ size: 2, oldestSeq: 2, latestSeq: 3 });
+
+      expect(streamBuffer.getSince(1).complete).toBe(true);
+      expect(streamBuffer.getSince(0).complete).toBe(false);
+      // A lastSeq ahead of the buffer comes from before a server restart
+      expect(streamBuffer.getSince(10).complete).toBe(false);
+
+      const socket = fakeSocket('socket-1');
+      webSocketServer.handleSubscribeEvents(socket, { resume: { lastSeq: 0 } });
+      expect(socket.emitted.map(message => message.name)).toEqual(['events-subscribed']);
+      expect(socket.emitted[0].payload.resume).toEqual({ lastSeq: 0, complete: false, replayed: 0 });
+    });
+
+    test('should only resend endpoints updated since lastSeq, or resync them all', async () => {
+      await cacheService.set(getCacheKey('/api/live-matches'), { live: true }, 10);
+      await cacheService.set(getCacheKey('/api/results'), { results: true }, 10);
+      streamBuffer.recordDataUpdate('/api/results');
+      streamBuffer.recordDataUpdate('/api/live-matches');
+
+      const socket = fakeSocket('socket-1');
+      await webSocketServer.handleSubscribe(socket, { endpoints: ['/api/live-matches', '/api/results'], resume: { lastSeq: 1 } });
+
+      const updates = socket.emitted.filter(message => message.name === 'data-update');
+      expect(updates).toHaveLength(1);
+      expect(updates[0].payload).toMatchObject({ endpoint: '/api/live-matches', data: { live: true }, seq: 2 });
+
+      const resyncSocket = fakeSocket('socket-2');
+      await webSocketServer.handleSubscribe(resyncSocket, { endpoints: ['/api/results'], resume: { lastSeq: 99 } });
+      const resync = resyncSocket.emitted.find(message => message.name === 'data-update');
+      expect(resync.payload).toMatchObject({ endpoint: '/api/results', data: { results: true }, seq: 1, resync: true });
+
+      const invalidSocket = fakeSocket('socket-3');
+      await webSocketServer.handleSubscribe(invalidSocket, { endpoints: ['/api/results'], resume: { lastSeq: 'abc' } });
+      expect(invalidSocket.emitted.map(message => message.name)).toEqual(['error']);
+    });
+  });
+});
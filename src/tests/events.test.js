@@ -7,7 +7,8 @@ process.env.EVENTS_WEBHOOK_SECRET = ''; // Disable webhooks for tests
 
 const eventGenerator = require('../services/eventGenerator');
 const eventOutput = require('../services/eventOutput');
-const { EVENT_TYPES } = require('../types/events');
+const { EVENT_TYPES, createEvent, generateEventId } = require('../types/events');
+const config = require('../config');
 
 describe('JSON Diff Event Generation System', () => {
   beforeEach(() => {
@@ -233,7 +234,7 @@ describe('JSON Diff Event Generation System', () => {
         expect(events[0].data.currentScore).toBe('64 00');
       });
 
-      it.skip('should detect tiebreak start events - NOT IMPLEMENTED', () => {
+      it('should detect tiebreak start events', () => {
         const endpoint = '/api/live-matches';
         
         // First poll - regular score at 6-6 (ATP API structure)
@@ -284,6 +285,335 @@ describe('JSON Diff Event Generation System', () => {
         expect(events[0].event_type).toBe(EVENT_TYPES.TIEBREAK_STARTED);
       });
 
+      describe('Game and point events', () => {
+        /**
+         * Build live matches data for a single match in progress
+         * @param {string} resultString - Match score
+         * @param {Object} [fields] - Extra match fields (Serve, point scores, ...)
+         * @returns {Object} Live matches data (ATP API structure)
+         */
+        const liveMatch = (resultString, { serve = 1, points = null, doubles = false } = {}) => ({
+          TournamentMatches: [{
+            TournamentDisplayName: 'ATP Masters',
+            TournamentId: '352',
+            Matches: [{
+              MatchId: 'match_points',
+              Status: 'P',
+              ResultString: resultString,
+              Serve: serve,
+              PlayerTeam1: {
+                PlayerId: 'P001',
+                PlayerFirstName: 'John',
+                PlayerLastName: 'Smith',
+                ...(doubles ? { PartnerId: 'P003', PartnerFirstName: 'Sam', PartnerLastName: 'Lee' } : {}),
+                ...(points ? { GameScore: points[0] } : {})
+              },
+              PlayerTeam2: {
+                PlayerId: 'P002',
+                PlayerFirstName: 'Bob',
+                PlayerLastName: 'Jones',
+                ...(doubles ? { PartnerId: 'P004', PartnerFirstName: 'Tim', PartnerLastName: 'Ray' } : {}),
+                ...(points ? { GameScore: points[1] } : {})
+              }
+            }]
+          }]
+        });
+
+        const endpoint = '/api/live-matches';
+
+        it('should detect game won events with the server and game score', () => {
+          eventGenerator.processData(endpoint, liveMatch('64 32', { serve: 2 }));
+          const events = eventGenerator.processData(endpoint, liveMatch('64 42', { serve: 1 }));
+
+          expect(events).toHaveLength(1);
+          expect(events[0].event_type).toBe(EVENT_TYPES.GAME_WON);
+          expect(events[0].data).toMatchObject({
+            gameWinner: 1,
+            server: 2,
+            isBreak: true,
+            gameScore: '4-2',
+            setNumber: 2
+          });
+          expect(events[0].priority).toBe('high');
+          expect(events[0].description).toContain('John Smith breaks Bob Jones');
+        });
+
+        it('should detect a new break point from the point score', () => {
+          eventGenerator.processData(endpoint, liveMatch('64 32', { points: ['30', '30'] }));
+
+          let events = eventGenerator.processData(endpoint, liveMatch('64 32', { points: ['30', '40'] }));
+          expect(events).toHaveLength(1);
+          expect(events[0].event_type).toBe(EVENT_TYPES.BREAK_POINT);
+          expect(events[0].data).toMatchObject({
+            breakPointHolder: 2,
+            server: 1,
+            breakPoints: 1,
+            pointScore: '30-40',
+            gameScore: '3-2'
+          });
+          expect(events[0].description).toContain('Bob Jones');
+
+          // Saved and back to deuce, then advantage receiver is a new break point
+          events = eventGenerator.processData(endpoint, liveMatch('64 32', { points: ['40', '40'] }));
+          expect(events).toHaveLength(0);
+          events = eventGenerator.processData(endpoint, liveMatch('64 32', { points: ['40', 'AD'] }));
+          expect(events.map(e => e.event_type)).toEqual([EVENT_TYPES.BREAK_POINT]);
+        });
+
+        it('should give repeated break points at the same score their own event_ids', () => {
+          const points = [['30', '30'], ['40', '40'], ['40', 'AD'], ['40', '40'], ['40', 'AD']];
+          const playGame = () => points
+            .flatMap(score => eventGenerator.processData(endpoint, liveMatch('64 32', { points: score })))
+            .map(event => event.event_id);
+
+          const ids = playGame();
+          expect(ids).toHaveLength(2);
+          expect(ids[0]).not.toBe(ids[1]);
+
+          // Counts are part of the saved state, and replaying the same polls gives the same IDs
+          const state = eventGenerator.exportState();
+          eventGenerator.clearStates();
+          expect(playGame()).toEqual(ids);
+          eventGenerator.importState(state);
+          eventGenerator.processData(endpoint, liveMatch('64 32', { points: ['40', '40'] }));
+          const [third] = eventGenerator.processData(endpoint, liveMatch('64 32', { points: ['40', 'AD'] }));
+          expect(ids).not.toContain(third.event_id);
+        });
+
+        it('should not repeat break point events while the break point is held', () => {
+          eventGenerator.processData(endpoint, liveMatch('64 32', { points: ['0', '40'] }));
+          const events = eventGenerator.processData(endpoint, liveMatch('64 32', { points: ['15', '40'] }));
+
+          expect(events).toHaveLength(0);
+        });
+
+        it('should treat the deciding point in doubles as a break point', () => {
+          eventGenerator.processData(endpoint, liveMatch('64 32', { points: ['30', '40'], serve: 2, doubles: true }));
+          const events = eventGenerator.processData(endpoint, liveMatch('64 32', { points: ['40', '40'], serve: 2, doubles: true }));
+
+          expect(events).toHaveLength(1);
+          expect(events[0].data.breakPointHolder).toBe(1);
+        });
+
+        it('should detect tiebreak start from tiebreak points in the point score', () => {
+          eventGenerator.processData(endpoint, liveMatch('64 66', { points: ['0', '0'] }));
+          const events = eventGenerator.processData(endpoint, liveMatch('64 66', { points: ['1', '0'] }));
+
+          expect(events).toHaveLength(1);
+          expect(events[0].event_type).toBe(EVENT_TYPES.TIEBREAK_STARTED);
+          expect(events[0].data).toMatchObject({ gameScore: '6-6', setNumber: 2, server: 1 });
+        });
+      });
+
+      describe('Retirement and delay events', () => {
+        /**
+         * Build live matches data for a single match
+         * @param {Object} fields - Match fields
+         * @returns {Object} Live matches data (ATP API structure)
+         */
+        const liveMatches = (fields) => ({
+          TournamentMatches: [{
+            TournamentDisplayName: 'ATP Masters',
+            TournamentId: '352',
+            Matches: [{
+              MatchId: 'MS005',
+              PlayerTeam1: { PlayerId: 'P001', PlayerFirstName: 'John', PlayerLastName: 'Smith' },
+              PlayerTeam2: { PlayerId: 'P002', PlayerFirstName: 'Bob', PlayerLastName: 'Jones' },
+              ...fields
+            }]
+          }]
+        });
+
+        /**
+         * Build live draw data with a single fixture
+         * @param {Object} fields - Fixture fields
+         * @returns {Object} Draw data (ATP API structure)
+         */
+        const liveDraw = (fields) => ({
+          Location: 'Paris',
+          Associations: [{
+            TournamentId: '352',
+            Events: [{
+              EventTypeCode: 'MS',
+              Description: 'Singles',
+              DrawSize: 32,
+              Rounds: [{
+                RoundId: 4,
+                RoundName: 'Round of 32',
+                RoundIdModernized: 4,
+                Fixtures: [{
+                  MatchCode: 'MS005',
+                  Winner: 0,
+                  Result: {
+                    TeamTop: { Player: { PlayerId: 'P001', FirstName: 'John', LastName: 'Smith' } },
+                    TeamBottom: { Player: { PlayerId: 'P002', FirstName: 'Bob', LastName: 'Jones' } }
+                  },
+                  ...fields
+                }]
+              }]
+            }]
+          }]
+        });
+
+        it('should recognize retirement reasons from result strings', () => {
+          expect(eventGenerator.getRetirementReason('6-4 3-2 RET')).toBe('retired');
+          expect(eventGenerator.getRetirementReason('4/2 Ret.')).toBe('retired');
+          expect(eventGenerator.getRetirementReason('W/O')).toBe('walkover');
+          expect(eventGenerator.getRetirementReason('W.O.')).toBe('walkover');
+          expect(eventGenerator.getRetirementReason('6/4 1/0 DEF')).toBe('default');
+          expect(eventGenerator.getRetirementReason('6/4 7/6(5)')).toBeNull();
+        });
+
+        it('should emit player retired events from live result strings', () => {
+          const endpoint = '/api/live-matches';
+          eventGenerator.processData(endpoint, liveMatches({ ResultString: '6-4 3-2', Status: 'P' }));
+          const events = eventGenerator.processData(endpoint, liveMatches({ ResultString: '6-4 3-2 RET', Status: 'F', Winner: 1 }));
+
+          const retiredEvent = events.find(e => e.event_type === EVENT_TYPES.PLAYER_RETIRED);
+          expect(retiredEvent.data).toMatchObject({
+            reason: 'retired',
+            affectedTeam: 2,
+            affectedPlayers: [{ name: 'Bob Jones', playerId: 'P002', teamId: 2 }],
+            source: 'live'
+          });
+          expect(retiredEvent.tournament_id).toBe('352');
+          expect(events.map(e => e.event_type)).toContain(EVENT_TYPES.MATCH_FINISHED);
+        });
+
+        it('should emit player retired events for draw walkovers only once', () => {
+          const endpoint = '/api/draws/live';
+          eventGenerator.processData(endpoint, liveDraw({}));
+          const events = eventGenerator.processData(endpoint, liveDraw({ Winner: 1, ResultString: 'W/O' }));
+
+          expect(events.map(e => e.event_type)).toEqual(expect.arrayContaining([
+            EVENT_TYPES.DRAW_MATCH_RESULT,
+            EVENT_TYPES.PLAYER_RETIRED
+          ]));
+          const retiredEvent = events.find(e => e.event_type === EVENT_TYPES.PLAYER_RETIRED);
+          expect(retiredEvent.data).toMatchObject({
+            reason: 'walkover',
+            affectedTeam: 2,
+            affectedPlayers: [{ name: 'Bob Jones', playerId: 'P002', teamId: 2 }],
+            source: 'draw'
+          });
+          expect(retiredEvent.data.round.code).toBe('R32');
+
+          // The same match reported again by the live feed is not a second retirement
+          const liveEvent = eventGenerator.createPlayerRetiredEvent(
+            { MatchId: 'MS005', _tournamentId: '352' }, 'MS005', 'W/O', 1
+          );
+          expect(liveEvent).toBeNull();
+        });
+
+        beforeEach(() => {
+          // Schedules are only monitored by default when the venue offset is configured
+          eventGenerator.monitoredEndpoints.add('/api/schedules');
+        });
+
+        afterEach(() => {
+          delete config.events.scheduleUtcOffset;
+          eventGenerator.monitoredEndpoints.delete('/api/schedules');
+        });
+
+        it('should emit match delayed events when a match starts after its scheduled time', () => {
+          const endpoint = '/api/live-matches';
+          // Times without an offset are local to the venue
+          config.events.scheduleUtcOffset = '+01:00';
+          eventGenerator.processData('/api/schedules', {
+            TournamentId: '352',
+            DailySchedule: [{
+              IsoDate: '2025-10-29T00:00:00',
+              Matches: [
+                { MatchId: 'MS005', StartTime: '11:00' },
+                { MatchId: 'MS006' } // Followed by, no scheduled time
+              ]
+            }]
+          });
+          expect(eventGenerator.getStats().scheduledMatches).toBe(1);
+
+          eventGenerator.processData(endpoint, { TournamentMatches: [] }, '2025-10-29T11:30:00.000Z');
+          const events = eventGenerator.processData(
+            endpoint,
+            liveMatches({ ResultString: '', Status: 'C', CourtName: 'Court 1' }),
+            '2025-10-29T11:40:00.000Z'
+          );
+
+          const delayedEvent = events.find(e => e.event_type === EVENT_TYPES.MATCH_DELAYED);
+          expect(delayedEvent.data).toMatchObject({
+            reason: 'late_start',
+            scheduledStart: '2025-10-29T10:00:00.000Z',
+            actualStart: '2025-10-29T11:40:00.000Z',
+            delayMinutes: 100,
+            court: 'Court 1'
+          });
+          expect(delayedEvent.data.players).toHaveLength(2);
+        });
+
+        it('should not emit match delayed events within the delay threshold', () => {
+          const endpoint = '/api/live-matches';
+          eventGenerator.processData('/api/schedules', {
+            DailySchedule: [{ IsoDate: '2025-10-29T00:00:00', Matches: [{ MatchId: 'MS005', StartTime: '2025-10-29T11:00:00Z' }] }]
+          });
+
+          eventGenerator.processData(endpoint, { TournamentMatches: [] });
+          const events = eventGenerator.processData(
+            endpoint,
+            liveMatches({ ResultString: '', Status: 'C' }),
+            '2025-10-29T11:05:00.000Z'
+          );
+
+          expect(events.map(e => e.event_type)).not.toContain(EVENT_TYPES.MATCH_DELAYED);
+        });
+
+        it('should skip schedule times without an offset when the venue offset is unknown', () => {
+          eventGenerator.processData('/api/schedules', {
+            DailySchedule: [{
+              IsoDate: '2025-10-29T00:00:00',
+              Matches: [
+                { MatchId: 'MS005', StartTime: '11:00' },
+                { MatchId: 'MS006', MatchDateTime: '2025-10-29T12:30:00' },
+                { MatchId: 'MS007', MatchDateTime: '2025-10-29T13:00:00+1100' },
+                // Only the earliest start, not a scheduled one
+                { MatchId: 'MS008', NotBefore: '2025-10-29T11:00:00Z' }
+              ]
+            }]
+          });
+          expect(eventGenerator.getStats().scheduledMatches).toBe(1);
+
+          config.events.scheduleUtcOffset = '-0500';
+          eventGenerator.updateScheduledStarts({
+            DailySchedule: [{ IsoDate: '2025-10-29T00:00:00', Matches: [{ MatchId: 'MS005', StartTime: '11:00' }] }]
+          });
+          expect(new Date(eventGenerator.scheduledStarts.get('MS005')).toISOString()).toBe('2025-10-29T16:00:00.000Z');
+        });
+
+        it('should forget the scheduled starts of finished matches and removed tournaments', () => {
+          const schedule = {
+            TournamentId: '352',
+            DailySchedule: [{
+              IsoDate: '2025-10-29T00:00:00',
+              Matches: [
+                { MatchId: 'MS005', StartTime: '2025-10-29T11:00:00Z' },
+                { MatchId: 'MS006', StartTime: '2025-10-29T12:00:00Z' }
+              ]
+            }]
+          };
+          eventGenerator.processData('/api/schedules', schedule);
+          eventGenerator.updateScheduledStarts({ TournamentId: '404', DailySchedule: schedule.DailySchedule });
+          expect(eventGenerator.getStats().scheduledMatches).toBe(4);
+
+          eventGenerator.markMatchFinished('352:MS005');
+          expect(eventGenerator.scheduledStarts.has('352:MS005')).toBe(false);
+
+          // Finished matches stay out when the schedule is polled again
+          eventGenerator.processData('/api/schedules', schedule);
+          expect(eventGenerator.scheduledStarts.has('352:MS005')).toBe(false);
+
+          eventGenerator.clearTournamentStates('404');
+          expect(Array.from(eventGenerator.scheduledStarts.keys())).toEqual(['352:MS006']);
+        });
+      });
+
       it('should detect court change events', () => {
         const endpoint = '/api/live-matches';
         
@@ -534,6 +864,107 @@ describe('JSON Diff Event Generation System', () => {
       });
     });
 
+    describe('Draw Milestone Events', () => {
+      const endpoint = '/api/draws/live';
+
+      /**
+       * Build a draw line for a known or unknown slot
+       * @param {string|null} playerId - Player ID, null for an unknown slot
+       * @param {number} [seed] - Seed
+       * @returns {Object} Draw line
+       */
+      const drawLine = (playerId, seed = null) => (playerId
+        ? { Seed: seed, Players: [{ PlayerId: playerId, FirstName: 'Player', LastName: playerId }] }
+        : { Players: [] });
+
+      /**
+       * Build a fixture with the given slots
+       * @param {string} matchCode - Match code
+       * @param {string|null} top - Top player ID
+       * @param {string|null} bottom - Bottom player ID
+       * @param {Object} [seeds] - Seeds by player ID
+       * @returns {Object} Fixture
+       */
+      const fixture = (matchCode, top, bottom, seeds = {}) => ({
+        MatchCode: matchCode,
+        Winner: 0,
+        IsTopKnown: Boolean(top),
+        IsBottomKnown: Boolean(bottom),
+        DrawLineTop: drawLine(top, seeds[top]),
+        DrawLineBottom: drawLine(bottom, seeds[bottom])
+      });
+
+      /**
+       * Build live draw data with semifinal and final rounds
+       * @param {Array} semifinals - Semifinal fixtures
+       * @param {Object} final - Final fixture
+       * @returns {Object} Draw data (ATP API structure)
+       */
+      const draw = (semifinals, final) => ({
+        Location: 'Paris',
+        Associations: [{
+          TournamentId: '352',
+          Events: [{
+            EventTypeCode: 'MS',
+            Description: 'Singles',
+            DrawSize: 32,
+            Rounds: [
+              { RoundId: 7, RoundName: 'Semifinals', RoundIdModernized: 7, Fixtures: semifinals },
+              { RoundId: 8, RoundName: 'Final', RoundIdModernized: 8, Fixtures: [final] }
+            ]
+          }]
+        }]
+      });
+
+      const seeds = { P1: 1, P4: 3 };
+
+      it('should emit draw semifinal set once all semifinal slots are known', () => {
+        eventGenerator.processData(endpoint, draw(
+          [fixture('MS001', 'P1', 'P2', seeds), fixture('MS002', 'P3', null, seeds)],
+          fixture('MS003', null, null)
+        ));
+
+        const events = eventGenerator.processData(endpoint, draw(
+          [fixture('MS001', 'P1', 'P2', seeds), fixture('MS002', 'P3', 'P4', seeds)],
+          fixture('MS003', null, null)
+        ));
+
+        const milestone = events.find(e => e.event_type === EVENT_TYPES.DRAW_SEMIFINAL_SET);
+        expect(milestone).toBeDefined();
+        expect(milestone.tournament_id).toBe('352');
+        expect(milestone.data.matchups).toHaveLength(2);
+        expect(milestone.data.matchups[0]).toMatchObject({
+          matchCode: 'MS001',
+          top: { seed: 1, players: [{ name: 'Player P1', playerId: 'P1', teamId: 1 }] },
+          bottom: { seed: null }
+        });
+        expect(milestone.data.matchups[1].bottom.seed).toBe(3);
+        expect(milestone.data.players).toHaveLength(4);
+        expect(milestone.data.tournament).toMatchObject({ id: '352', drawSize: 32, phase: 'main_draw' });
+        expect(milestone.data.round).toMatchObject({ code: 'SF', stage: 2 });
+        expect(milestone.description).toContain('Player P1 [1] vs Player P2');
+        expect(events.map(e => e.event_type)).not.toContain(EVENT_TYPES.DRAW_FINAL_SET);
+      });
+
+      it('should emit draw final set once both final slots are known, and not repeat', () => {
+        const semifinals = [fixture('MS001', 'P1', 'P2', seeds), fixture('MS002', 'P3', 'P4', seeds)];
+        eventGenerator.processData(endpoint, draw(semifinals, fixture('MS003', 'P1', null, seeds)));
+
+        let events = eventGenerator.processData(endpoint, draw(semifinals, fixture('MS003', 'P1', 'P4', seeds)));
+        const milestone = events.find(e => e.event_type === EVENT_TYPES.DRAW_FINAL_SET);
+        expect(milestone.data.matchups).toEqual([{
+          matchCode: 'MS003',
+          top: { seed: 1, entryType: null, players: [{ name: 'Player P1', playerId: 'P1', teamId: 1 }] },
+          bottom: { seed: 3, entryType: null, players: [{ name: 'Player P4', playerId: 'P4', teamId: 2 }] }
+        }]);
+        expect(milestone.data.round.code).toBe('F');
+        expect(events.map(e => e.event_type)).not.toContain(EVENT_TYPES.DRAW_SEMIFINAL_SET);
+
+        events = eventGenerator.processData(endpoint, draw(semifinals, fixture('MS003', 'P1', 'P4', seeds)));
+        expect(events.map(e => e.event_type)).not.toContain(EVENT_TYPES.DRAW_FINAL_SET);
+      });
+    });
+
     describe('Data Structure Handling', () => {
       it('should handle different data structures', () => {
         const endpoint = '/api/live-matches';
@@ -742,12 +1173,39 @@ describe('JSON Diff Event Generation System', () => {
         eventGenerator.setEnabled(true);
       });
 
+      it('should monitor schedules by default only with a venue UTC offset', () => {
+        const loadEndpoints = (env) => {
+          const saved = { EVENTS_ENDPOINTS: process.env.EVENTS_ENDPOINTS, EVENTS_SCHEDULE_UTC_OFFSET: process.env.EVENTS_SCHEDULE_UTC_OFFSET };
+          delete process.env.EVENTS_ENDPOINTS;
+          delete process.env.EVENTS_SCHEDULE_UTC_OFFSET;
+          Object.assign(process.env, env);
+          try {
+            let endpoints;
+            jest.isolateModules(() => {
+              endpoints = require('../config').events.endpoints;
+            });
+            return endpoints;
+          } finally {
+            for (const [name, value] of Object.entries(saved)) {
+              if (value === undefined) {
+                delete process.env[name];
+              } else {
+                process.env[name] = value;
+              }
+            }
+          }
+        };
+
+        expect(loadEndpoints({})).toEqual(['/api/live-matches', '/api/draws/live']);
+        expect(loadEndpoints({ EVENTS_SCHEDULE_UTC_OFFSET: '+11:00' })).toEqual(['/api/live-matches', '/api/draws/live', '/api/schedules']);
+      });
+
       it('should provide accurate service statistics', () => {
         const endpoint = '/api/live-matches';
         const stats1 = eventGenerator.getStats();
         
         expect(stats1.enabled).toBe(true);
-        expect(stats1.implementation).toBe('json-diff-ts');
+        expect(stats1.implementation).toBe('entity-hash');
         expect(stats1.totalStates).toBe(0);
         
         // Process some data
@@ -773,17 +1231,31 @@ describe('JSON Diff Event Generation System', () => {
         expect(service.isSetCompletion('6-4', '6-4')).toBe(false);
       });
 
-      it.skip('should correctly identify game wins - NOT IMPLEMENTED', () => {
+      it('should correctly identify game wins', () => {
         const service = eventGenerator;
         
-        // Test game win patterns
-        expect(service.isGameWin('40-30', '0-0')).toBe(true);
-        expect(service.isGameWin('30-40', '15-0')).toBe(true);
-        expect(service.isGameWin('30-30', '40-30')).toBe(false);
-        expect(service.isGameWin('15-0', '30-0')).toBe(false);
+        // Test game win patterns (game counts of the set in progress)
+        expect(service.isGameWin('64 32', '64 42')).toBe(true);
+        expect(service.isGameWin('6-4, 3-2', '6-4, 3-3')).toBe(true);
+        expect(service.getGameWinner('64 32', '64 33')).toBe(2);
+        expect(service.isGameWin('6-4, 2-1', '6-4, 6-3')).toBe(false);
+        expect(service.isGameWin('54', '64 00')).toBe(false);
+        expect(service.isGameWin('6-4 3-2', '6-4 3-2 RET')).toBe(false);
+      });
+
+      it('should correctly identify break points', () => {
+        const service = eventGenerator;
+
+        expect(service.getBreakPointHolder('30-40', 1)).toBe(2);
+        expect(service.getBreakPointHolder('AD-40', 2)).toBe(1);
+        expect(service.getBreakPointHolder('40-30', 1)).toBeNull();
+        expect(service.getBreakPointHolder('40-40', 1)).toBeNull();
+        expect(service.getBreakPointHolder('40-40', 1, true)).toBe(2); // No-ad deciding point
+        expect(service.getBreakPointHolder('30-40', null)).toBeNull();
+        expect(service.countBreakPoints('0-40', 1)).toBe(3);
       });
 
-      it.skip('should correctly identify tiebreak starts - NOT IMPLEMENTED', () => {
+      it('should correctly identify tiebreak starts', () => {
         const service = eventGenerator;
         
         // Test tiebreak detection
@@ -795,6 +1267,66 @@ describe('JSON Diff Event Generation System', () => {
     });
   });
 
+  describe('Event IDs', () => {
+    const liveMatch = (resultString) => ({
+      TournamentMatches: [{
+        Matches: [{
+          MatchId: 'MS001',
+          Status: 'P',
+          ResultString: resultString,
+          CourtName: 'Centre Court',
+          PlayerTeam1: { PlayerFirstNameFull: 'Novak', PlayerLastName: 'Djokovic', PlayerId: 'D643' },
+          PlayerTeam2: { PlayerFirstNameFull: 'Rafael', PlayerLastName: 'Nadal', PlayerId: 'N409' }
+        }]
+      }]
+    });
+
+    it('should derive the same event_id from the same state transition', () => {
+      const first = eventGenerator.processLiveMatchChanges([], liveMatch('6-4 2-1'), liveMatch('6-4 1-1'));
+      eventGenerator.clearStates();
+      const replayed = eventGenerator.processLiveMatchChanges([], liveMatch('6-4 2-1'), liveMatch('6-4 1-1'));
+
+      expect(first.length).toBeGreaterThan(0);
+      expect(first.map(event => event.event_id)).toEqual(replayed.map(event => event.event_id));
+      first.forEach(event => expect(event.event_id).toMatch(/^evt_[0-9a-f]{32}$/));
+    });
+
+    it('should give different transitions different event_ids', () => {
+      const [first] = eventGenerator.processLiveMatchChanges([], liveMatch('6-4 2-1'), liveMatch('6-4 1-1'));
+      const [second] = eventGenerator.processLiveMatchChanges([], liveMatch('6-4 3-1'), liveMatch('6-4 2-1'));
+
+      expect(first.event_type).toBe(second.event_type);
+      expect(first.event_id).not.toBe(second.event_id);
+    });
+
+    it('should not depend on detection time or key order', () => {
+      const a = createEvent(EVENT_TYPES.MATCH_FINISHED, '352', 'MS001', 'Match finished', { finalScore: '6-4 6-3', round: 'F' },
+        { timestamp: '2025-01-01T10:00:00.000Z' });
+      const b = createEvent(EVENT_TYPES.MATCH_FINISHED, 352, 'MS001', 'Match finished', { round: 'F', finalScore: '6-4 6-3' },
+        { timestamp: '2025-01-01T12:00:00.000Z' });
+      const otherMatch = createEvent(EVENT_TYPES.MATCH_FINISHED, '352', 'MS002', 'Match finished', { finalScore: '6-4 6-3', round: 'F' });
+
+      expect(a.event_id).toBe(b.event_id);
+      expect(a.event_id).toBe(generateEventId(EVENT_TYPES.MATCH_FINISHED, '352', 'MS001', { finalScore: '6-4 6-3', round: 'F' }));
+      expect(otherMatch.event_id).not.toBe(a.event_id);
+    });
+
+    it('should keep wall-clock values out of the event_id', () => {
+      eventGenerator.scheduledStarts.set('352:MS005', Date.parse('2025-10-29T11:00:00Z'));
+      const match = liveMatch('0-0').TournamentMatches[0].Matches[0];
+      const now = jest.spyOn(Date, 'now');
+
+      now.mockReturnValue(Date.parse('2025-10-29T11:40:00Z'));
+      const first = eventGenerator.createMatchDelayedEvent({ ...match, _tournamentId: '352' }, 'MS005');
+      now.mockReturnValue(Date.parse('2025-10-29T11:52:00Z'));
+      const replayed = eventGenerator.createMatchDelayedEvent({ ...match, _tournamentId: '352' }, 'MS005');
+      now.mockRestore();
+
+      expect(first.data.actualStart).not.toBe(replayed.data.actualStart);
+      expect(first.event_id).toBe(replayed.event_id);
+    });
+  });
+
   describe('Event Output Service', () => {
     it('should validate events before output', async () => {
       const validEvent = {
@@ -0,0 +1,158 @@
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.EVENTS_CONSOLE_OUTPUT = 'false';
+process.env.REDIS_URL = ''; // Force in-memory cache for tests
+
+const { parseMatchEndpoint } = require('../utils/matchEndpoints');
+const atpApi = require('../services/atpApi');
+const changeDetector = require('../services/changeDetector');
+const subscriptionService = require('../services/subscriptionService');
+const pollingService = require('../services/pollingService');
+const webSocketServer = require('../websocket');
+
+const ENDPOINT = '/api/match-stats/MS001';
+
+/**
+ * Create a fake connected socket that records emitted messages
+ * @param {string} id - Socket ID
+ * @returns {Object} Fake socket with an emitted array
+ */
+const fakeSocket = (id) => {
+  const socket = { id, connected: true, emitted: [] };
+  socket.emit = (name, payload) => socket.emitted.push({ name, payload });
+  return socket;
+};
+
+/**
+ * Record a live matches poll with one match
+ * @param {string} status - Match status
+ */
+const liveMatch = (status) => {
+  changeDetector.detect('/api/live-matches', {
+    TournamentMatches: [{ TournamentId: 352, Matches: [{ MatchId: 'MS001', Status: status }] }]
+  });
+};
+
+/**
+ * Wait for pending polls to settle
+ * @returns {Promise<void>}
+ */
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Match Endpoint Subscriptions', () => {
+  test('should parse and validate match-parameterized endpoints', () => {
+    expect(parseMatchEndpoint('/api/h2h/match/MS001')).toEqual({
+      tournamentId: null,
+      endpoint: '/api/h2h/match',
+      matchId: 'MS001',
+      method: 'getH2HByMatch',
+      liveEndpoint: '/api/live-matches'
+    });
+    expect(parseMatchEndpoint('/api/t/352/match-stats/MS001')).toMatchObject({ tournamentId: '352', liveEndpoint: '/api/t/352/live-matches' });
+    expect(parseMatchEndpoint('/api/match-stats')).toBeNull();
+    expect(parseMatchEndpoint('/api/match-stats/MS001/extra')).toBeNull();
+
+    expect(webSocketServer.isValidEndpoint(ENDPOINT)).toBe(true);
+    expect(webSocketServer.isValidEndpoint('/api/h2h/match/MS001')).toBe(true);
+    expect(webSocketServer.isValidEndpoint('/api/match-stats')).toBe(false);
+    expect(webSocketServer.isValidEndpoint('/api/t/999/match-stats/MS001')).toBe(false);
+  });
+
+  test('should fetch match stats and H2H with the match ID', async () => {
+    const getMatchStats = jest.spyOn(atpApi, 'getMatchStats').mockResolvedValue({ stats: true });
+    const getH2HByMatch = jest.spyOn(atpApi, 'getH2HByMatch').mockResolvedValue({ h2h: true });
+    try {
+      expect(await pollingService.fetchEndpointData(ENDPOINT)).toEqual({ data: { stats: true }, status: 200 });
+      expect(await pollingService.fetchEndpointData('/api/h2h/match/MS002')).toEqual({ data: { h2h: true }, status: 200 });
+      expect(getMatchStats).toHaveBeenCalledWith('MS001');
+      expect(getH2HByMatch).toHaveBeenCalledWith('MS002');
+
+      // Without a match ID there is nothing to poll
+      expect(await pollingService.fetchEndpointData('/api/match-stats')).toBeNull();
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+
+  describe('Polling loops', () => {
+    beforeEach(() => {
+      changeDetector.clear();
+      subscriptionService.clear();
+      pollingService.isRunning = true;
+      pollingService.io = { sockets: { sockets: new Map() } };
+      jest.spyOn(pollingService, 'fetchAndBroadcast').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      pollingService.stop();
+      pollingService.io = null;
+      pollingService.matchLoops.clear();
+      subscriptionService.clear();
+      jest.restoreAllMocks();
+    });
+
+    /**
+     * Subscribe a fake socket to an endpoint
+     * @param {string} id - Socket ID
+     * @param {string} endpoint - Endpoint path
+     * @returns {Object} Fake socket
+     */
+    const subscribe = (id, endpoint) => {
+      const socket = fakeSocket(id);
+      pollingService.io.sockets.sockets.set(id, socket);
+      subscriptionService.subscribe(id, endpoint);
+      pollingService.onSubscriptionAdded(endpoint);
+      return socket;
+    };
+
+    test('should run one loop per match, counted by subscribers', async () => {
+      const first = subscribe('socket-1', ENDPOINT);
+      subscribe('socket-2', ENDPOINT);
+      subscribe('socket-3', '/api/match-stats/MS002');
+      await settle();
+
+      expect(pollingService.fetchAndBroadcast.mock.calls.filter(([endpoint]) => endpoint === ENDPOINT)).toHaveLength(1);
+      expect(pollingService.getStats().pollingReasons['/api/live-matches']).toEqual(['matches']);
+      expect(pollingService.getStats().matchLoops[ENDPOINT]).toEqual({ matchId: 'MS001', subscribers: 2, seenLive: false });
+
+      subscriptionService.unsubscribe(first.id, ENDPOINT);
+      pollingService.onSubscriptionRemoved(ENDPOINT);
+      expect(pollingService.getStats().activeEndpoints).toContain(ENDPOINT);
+
+      subscriptionService.removeSocket('socket-2');
+      pollingService.onSubscriptionRemoved(ENDPOINT);
+      subscriptionService.removeSocket('socket-3');
+      pollingService.onSubscriptionRemoved('/api/match-stats/MS002');
+      expect(pollingService.getStats().activeEndpoints).toEqual([]);
+      expect(pollingService.matchLoops.size).toBe(0);
+    });
+
+    test('should stop the loop and unsubscribe its sockets when the match finishes', async () => {
+      liveMatch('P');
+      const socket = subscribe('socket-1', ENDPOINT);
+      await settle();
+      expect(pollingService.isMatchFinished(ENDPOINT)).toBe(false);
+
+      liveMatch('F');
+      pollingService.scheduleNextPoll(ENDPOINT);
+      await settle();
+
+      expect(socket.emitted).toEqual([{ name: 'unsubscribed', payload: expect.objectContaining({ endpoint: ENDPOINT, reason: 'match-finished' }) }]);
+      expect(subscriptionService.getSubscribers(ENDPOINT).size).toBe(0);
+      expect(pollingService.getStats().activeEndpoints).toEqual([]);
+    });
+
+    test('should treat a match that left the live feed as finished', () => {
+      liveMatch('P');
+      subscribe('socket-1', ENDPOINT);
+      expect(pollingService.isMatchFinished(ENDPOINT)).toBe(false);
+
+      changeDetector.detect('/api/live-matches', { TournamentMatches: [{ TournamentId: 352, Matches: [] }] });
+      expect(pollingService.isMatchFinished(ENDPOINT)).toBe(true);
+
+      // A match that was never live keeps its loop
+      subscribe('socket-2', '/api/h2h/match/MS009');
+      expect(pollingService.isMatchFinished('/api/h2h/match/MS009')).toBe(false);
+    });
+  });
+});
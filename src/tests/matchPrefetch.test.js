@@ -0,0 +1,232 @@
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.EVENTS_CONSOLE_OUTPUT = 'false';
+process.env.REDIS_URL = ''; // Force in-memory cache for tests
+
+const request = require('supertest');
+const { app } = require('../server');
+const { indexPayload } = require('../utils/entityIndex');
+const atpApi = require('../services/atpApi');
+const { getPrefetchMatchIds } = require('../utils/matchPrefetch');
+const { getCacheKey, getEndpointTtl } = require('../middleware/cache');
+const cacheService = require('../services/cache');
+const changeDetector = require('../services/changeDetector');
+const deltaService = require('../services/deltaService');
+const subscriptionService = require('../services/subscriptionService');
+const pollingService = require('../services/pollingService');
+const config = require('../config');
+
+const TODAY = new Date().toISOString().slice(0, 10);
+
+/**
+ * Build live matches data for one tournament
+ * @param {Object} statuses - Match ID -> status
+ * @returns {Object} /api/live-matches data
+ */
+const liveMatches = (statuses) => ({
+  TournamentMatches: [{
+    TournamentId: 352,
+    Matches: Object.entries(statuses).map(([matchId, status]) => ({ MatchId: matchId, Status: status }))
+  }]
+});
+
+// Today's order of play on two courts, plus another day
+const schedule = {
+  DailySchedule: [
+    { IsoDate: '2000-01-01T00:00:00', Matches: [{ MatchId: 'MS099', CourtName: 'Centre Court' }] },
+    {
+      IsoDate: `${TODAY}T00:00:00`,
+      Matches: [
+        { MatchId: 'MS001', CourtName: 'Centre Court' },
+        { MatchId: 'MS002', CourtName: 'Centre Court' },
+        { MatchId: 'MS003', CourtName: 'Centre Court' },
+        { MatchId: 'MS010', CourtName: 'Court 1', Status: 'F' },
+        { MatchId: 'MS011', CourtName: 'Court 1' },
+        { MatchId: 'MS012', CourtName: 'Court 1' }
+      ]
+    }
+  ]
+};
+
+/**
+ * Wait for pending polls and cache writes to settle
+ * @returns {Promise<void>}
+ */
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+describe('Match Prefetching', () => {
+  test('should pick live matches and the next match on each court today', () => {
+    const index = indexPayload('/api/live-matches', liveMatches({ MS001: 'P', MS010: 'F' }));
+
+    const { live, nextUp, finished } = getPrefetchMatchIds(index, schedule, TODAY);
+    expect(Array.from(live)).toEqual(['MS001']);
+    expect(Array.from(nextUp)).toEqual(['MS002', 'MS011']);
+    expect(Array.from(finished)).toEqual(['MS010']);
+
+    // Known finished matches move the court on; without a schedule only live matches are picked
+    expect(Array.from(getPrefetchMatchIds(index, schedule, TODAY, new Set(['MS002', 'MS011'])).nextUp)).toEqual(['MS003', 'MS012']);
+    expect(Array.from(getPrefetchMatchIds(index, null, TODAY).nextUp)).toEqual([]);
+    expect(Array.from(getPrefetchMatchIds(null, schedule, TODAY).nextUp)).toEqual(['MS001', 'MS011']);
+  });
+
+  describe('Prefetch loops', () => {
+    let live;
+
+    /**
+     * Get the prefetched endpoints
+     * @returns {Array<string>} Endpoint paths
+     */
+    const prefetched = () => pollingService.getStats().prefetch.endpoints.sort();
+
+    /**
+     * Poll the live matches feed with new statuses
+     * @param {Object} statuses - Match ID -> status
+     * @returns {Promise<void>}
+     */
+    const pollLive = async (statuses) => {
+      live = liveMatches(statuses);
+      await pollingService.fetchAndBroadcast('/api/live-matches');
+      await settle();
+    };
+
+    beforeAll(async () => {
+      await cacheService.initialize();
+      config.polling.prefetch.enabled = true;
+    });
+
+    afterAll(() => {
+      config.polling.prefetch.enabled = false;
+    });
+
+    beforeEach(async () => {
+      await cacheService.flush();
+      changeDetector.clear();
+      deltaService.clear();
+      subscriptionService.clear();
+      pollingService.prefetchState.finished.clear();
+      pollingService.prefetchState.live.clear();
+      pollingService.isRunning = true;
+      pollingService.io = { sockets: { sockets: new Map() } };
+
+      live = liveMatches({ MS001: 'P' });
+      jest.spyOn(pollingService, 'fetchEndpointData').mockImplementation(async (endpoint) => {
+        if (endpoint === '/api/live-matches') {
+          return { data: live, status: 200 };
+        }
+        if (endpoint === '/api/schedules') {
+          return { data: schedule, status: 200 };
+        }
+        const [, kind, matchId] = endpoint.match(/^\/api\/(match-stats|h2h\/match)\/(.+)$/);
+        return { data: { kind, matchId }, status: 200 };
+      });
+    });
+
+    afterEach(() => {
+      pollingService.stop();
+      pollingService.pollingReasons.clear();
+      pollingService.matchLoops.clear();
+      pollingService.io = null;
+      subscriptionService.clear();
+      jest.restoreAllMocks();
+    });
+
+    test('should warm the stats and H2H cache of live and next-up matches', async () => {
+      pollingService.startPrefetchPolling();
+      await settle();
+
+      expect(pollingService.getStats().pollingReasons['/api/schedules']).toEqual(['prefetch']);
+      expect(prefetched()).toEqual([
+        '/api/h2h/match/MS001', '/api/h2h/match/MS002', '/api/h2h/match/MS011',
+        '/api/match-stats/MS001', '/api/match-stats/MS002', '/api/match-stats/MS011'
+      ]);
+      expect(pollingService.getStats().pollingReasons['/api/match-stats/MS002']).toEqual(['prefetch']);
+
+      // REST requests are answered from the prefetched cache without calling the ATP API
+      const getMatchStats = jest.spyOn(atpApi, 'getMatchStats');
+      const getH2HByMatch = jest.spyOn(atpApi, 'getH2HByMatch');
+      const stats = await request(app).get('/api/match-stats/MS001').expect(200);
+      expect(stats.body).toMatchObject({ data: { kind: 'match-stats', matchId: 'MS001' }, cached: true });
+      const h2h = await request(app).get('/api/h2h/match/MS011').expect(200);
+      expect(h2h.body).toMatchObject({ data: { kind: 'h2h/match', matchId: 'MS011' }, cached: true });
+      expect(getMatchStats).not.toHaveBeenCalled();
+      expect(getH2HByMatch).not.toHaveBeenCalled();
+    });
+
+    test('should stop prefetching finished matches and move on to the next match', async () => {
+      pollingService.startPrefetchPolling();
+      await settle();
+
+      await pollLive({ MS001: 'F' });
+      expect(prefetched()).not.toContain('/api/match-stats/MS001');
+      expect(pollingService.getStats().pollingReasons['/api/match-stats/MS001']).toBeUndefined();
+      expect(pollingService.matchLoops.has('/api/match-stats/MS001')).toBe(false);
+
+      // MS001 left the feed and MS002 started: the next match on Centre Court is MS003
+      await pollLive({ MS002: 'P' });
+      expect(prefetched()).toEqual([
+        '/api/h2h/match/MS002', '/api/h2h/match/MS003', '/api/h2h/match/MS011',
+        '/api/match-stats/MS002', '/api/match-stats/MS003', '/api/match-stats/MS011'
+      ]);
+
+      await pollLive({});
+      expect(prefetched()).not.toContain('/api/match-stats/MS002');
+      expect(prefetched()).not.toContain('/api/match-stats/MS001');
+    });
+
+    test('should end a prefetch loop whose match finished between live polls', async () => {
+      pollingService.startPrefetchPolling();
+      await settle();
+
+      changeDetector.detect('/api/live-matches', liveMatches({ MS001: 'F' }));
+      pollingService.endMatchPolling('/api/match-stats/MS001');
+
+      expect(prefetched()).not.toContain('/api/match-stats/MS001');
+      expect(pollingService.prefetchState.finished.has('MS001')).toBe(true);
+      expect(pollingService.getStats().pollingReasons['/api/match-stats/MS001']).toBeUndefined();
+    });
+
+    test('should keep a prefetched loop when its last subscriber leaves', async () => {
+      pollingService.startPrefetchPolling();
+      await settle();
+
+      subscriptionService.subscribe('socket-1', '/api/match-stats/MS002');
+      pollingService.onSubscriptionAdded('/api/match-stats/MS002');
+      subscriptionService.removeSocket('socket-1');
+      pollingService.onSubscriptionRemoved('/api/match-stats/MS002');
+
+      expect(pollingService.getStats().pollingReasons['/api/match-stats/MS002']).toEqual(['prefetch']);
+      expect(pollingService.matchLoops.has('/api/match-stats/MS002')).toBe(true);
+    });
+
+    test('should not prefetch when disabled', async () => {
+      config.polling.prefetch.enabled = false;
+      try {
+        pollingService.startPrefetchPolling();
+        await pollLive({ MS001: 'P' });
+        expect(pollingService.getStats().pollingReasons['/api/schedules']).toBeUndefined();
+        expect(prefetched()).toEqual([]);
+      } finally {
+        config.polling.prefetch.enabled = true;
+      }
+    });
+
+    test('should poll prefetched H2H on its own interval until a client subscribes', async () => {
+      pollingService.startPrefetchPolling();
+      await settle();
+
+      const interval = config.polling.prefetch.intervals['/api/h2h/match'];
+      expect(pollingService.backoffStates.get('/api/h2h/match/MS001').baseInterval).toBe(interval * 1000);
+      expect(await cacheService.getTtl(getCacheKey('/api/h2h/match/MS001'))).toBeGreaterThan(interval - 5);
+      // Match stats keep their cache TTL
+      expect(pollingService.backoffStates.get('/api/match-stats/MS001').baseInterval).toBe(getEndpointTtl('/api/match-stats/MS001') * 1000);
+
+      subscriptionService.subscribe('socket-1', '/api/h2h/match/MS001');
+      pollingService.onSubscriptionAdded('/api/h2h/match/MS001');
+      expect(pollingService.backoffStates.get('/api/h2h/match/MS001').baseInterval).toBe(getEndpointTtl('/api/h2h/match/MS001') * 1000);
+
+      subscriptionService.removeSocket('socket-1');
+      pollingService.onSubscriptionRemoved('/api/h2h/match/MS001');
+      expect(pollingService.backoffStates.get('/api/h2h/match/MS001').baseInterval).toBe(interval * 1000);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+const MockUpstream = require('../utils/mockUpstream');
+const { AtpApiService } = require('../services/atpApi');
+
+/**
+ * Write an API logger capture file
+ * @param {string} logDir - Capture directory
+ * @param {string} slug - Endpoint slug
+ * @param {string} datetime - Capture time (YYYY-MM-DDTHH:MM:SS)
+ * @param {*} data - Recorded API response
+ */
+async function writeCapture(logDir, slug, datetime, data) {
+  const [date, time] = datetime.split('T');
+  const dirPath = path.join(logDir, slug, date);
+  await fs.mkdir(dirPath, { recursive: true });
+  await fs.writeFile(
+    path.join(dirPath, `${time.replace(/:/g, '-')}-000_response.json`),
+    JSON.stringify({ timestamp: `${datetime}.000Z`, endpoint: `/api/${slug}`, data, metadata: {} })
+  );
+}
+
+describe('Mock Upstream', () => {
+  let logDir;
+  let mock;
+  // Real time seen by the mocks' virtual clocks, advanced by hand
+  let realTime;
+  const clock = () => realTime;
+
+  beforeAll(async () => {
+    logDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mock-upstream-'));
+    await writeCapture(logDir, 'live-matches', '2025-10-28T12:00:00', { snapshot: 1 });
+    await writeCapture(logDir, 'live-matches', '2025-10-28T12:00:30', { snapshot: 2 });
+    await writeCapture(logDir, 'live-matches', '2025-10-28T12:01:00', { snapshot: 3 });
+    await writeCapture(logDir, 'draws-live', '2025-10-28T12:00:10', { draw: 1 });
+    await writeCapture(logDir, 'match-stats-ms001', '2025-10-28T12:00:00', { matchStats: 'MS001' });
+    await writeCapture(logDir, 't-352-live-matches', '2025-10-28T12:00:00', { tournament: 352 });
+  });
+
+  afterAll(async () => {
+    await fs.rm(logDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    realTime = 0;
+    mock = new MockUpstream({ logDir, clock });
+    await mock.load();
+    mock.pause();
+  });
+
+  it('should build timelines from the capture files', () => {
+    const status = mock.getStatus();
+
+    expect(status.startTime).toBe('2025-10-28T12:00:00.000Z');
+    expect(status.endTime).toBe('2025-10-28T12:01:00.000Z');
+    expect(status.endpoints['live-matches']).toEqual({ snapshots: 3, played: 1 });
+    expect(status.endpoints['draws-live']).toEqual({ snapshots: 1, played: 0 });
+  });
+
+  it('should serve the latest snapshot at the virtual time', async () => {
+    const app = mock.createApp();
+
+    let response = await request(app).get('/LiveMatches/tournament').expect(200);
+    expect(response.body).toEqual({ snapshot: 1 });
+    expect(response.headers['x-mock-snapshot-time']).toBe('2025-10-28T12:00:00.000Z');
+
+    // No draw has been recorded yet at 12:00:00
+    await request(app).get('/Draws/live').expect(404);
+
+    mock.seek(Date.parse('2025-10-28T12:00:45Z'));
+    response = await request(app).get('/LiveMatches/tournament').expect(200);
+    expect(response.body).toEqual({ snapshot: 2 });
+    response = await request(app).get('/Draws/live').expect(200);
+    expect(response.body).toEqual({ draw: 1 });
+  });
+
+  it('should step through snapshots across endpoints', () => {
+    expect(new Date(mock.step()).toISOString()).toBe('2025-10-28T12:00:10.000Z');
+    expect(new Date(mock.step()).toISOString()).toBe('2025-10-28T12:00:30.000Z');
+    expect(new Date(mock.step()).toISOString()).toBe('2025-10-28T12:01:00.000Z');
+    expect(mock.step()).toBeNull();
+    expect(mock.getStatus().finished).toBe(true);
+  });
+
+  it('should advance the virtual clock at the configured speed', () => {
+    realTime = 1000;
+    mock.setSpeed(10);
+    mock.resume();
+
+    realTime += 3000;
+    expect(new Date(mock.now()).toISOString()).toBe('2025-10-28T12:00:30.000Z');
+  });
+
+  it('should serve parameterized paths from per-ID captures', async () => {
+    const response = await request(mock.createApp()).get('/MatchStats/MS001').expect(200);
+    expect(response.body).toEqual({ matchStats: 'MS001' });
+
+    await request(mock.createApp()).get('/MatchStats/MS002').expect(404);
+  });
+
+  it('should prefer tournament-scoped captures when a tournament is selected', async () => {
+    const scopedMock = new MockUpstream({ logDir, tournamentId: '352', clock });
+    await scopedMock.load();
+    scopedMock.pause();
+
+    const response = await request(scopedMock.createApp()).get('/LiveMatches/tournament').expect(200);
+    expect(response.body).toEqual({ tournament: 352 });
+  });
+
+  it('should control the clock through the /_mock API', async () => {
+    const app = mock.createApp();
+
+    await request(app).post('/_mock/speed').send({ speed: 0 }).expect(400);
+    let response = await request(app).post('/_mock/speed').send({ speed: 5 }).expect(200);
+    expect(response.body.speed).toBe(5);
+
+    response = await request(app).post('/_mock/seek').send({ time: '2025-10-28T12:01:00Z' }).expect(200);
+    expect(response.body.virtualTime).toBe('2025-10-28T12:01:00.000Z');
+    expect(response.body.endpoints['live-matches'].played).toBe(3);
+  });
+
+  it('should work as the base URL of AtpApiService', async () => {
+    const server = mock.createApp().listen(0);
+    try {
+      const client = new AtpApiService({ baseUrl: `http://127.0.0.1:${server.address().port}`, bearerToken: 'mock' });
+      await expect(client.getLiveMatches()).resolves.toEqual({ snapshot: 1 });
+      await expect(client.getLiveDraw()).rejects.toMatchObject({ status: 404 });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
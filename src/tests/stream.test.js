@@ -0,0 +1,225 @@
+const http = require('http');
+const request = require('supertest');
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.EVENTS_CONSOLE_OUTPUT = 'false';
+process.env.REDIS_URL = ''; // Force in-memory cache for tests
+
+const { app } = require('../server');
+const cacheService = require('../services/cache');
+const { getCacheKey } = require('../middleware/cache');
+const eventOutput = require('../services/eventOutput');
+const pollingService = require('../services/pollingService');
+const sseService = require('../services/sseService');
+const streamBuffer = require('../services/streamBuffer');
+const subscriptionService = require('../services/subscriptionService');
+const eventSubscriptionService = require('../services/eventSubscriptionService');
+const webSocketServer = require('../websocket');
+const { EVENT_TYPES, createEvent } = require('../types/events');
+
+/**
+ * Create a test event
+ * @param {string} type - Event type
+ * @param {string} matchId - Match ID
+ * @returns {Object} Event
+ */
+const testEvent = (type, matchId) => createEvent(type, '352', matchId, `${type} ${matchId}`, {});
+
+/**
+ * Open an event stream and collect its messages
+ * @param {number} port - Server port
+ * @param {string} path - Request path
+ * @param {Object} [headers] - Request headers
+ * @returns {Promise<Object>} { messages, raw, waitFor(predicate), close() }
+ */
+function openStream(port, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const stream = { messages: [], raw: '', waiters: [] };
+    let buffer = '';
+
+    const check = () => {
+      stream.waiters = stream.waiters.filter(waiter => {
+        if (waiter.predicate(stream)) {
+          waiter.resolve();
+          return false;
+        }
+        return true;
+      });
+    };
+
+    const req = http.get({ port, path, headers }, (res) => {
+      stream.res = res;
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        stream.raw += chunk;
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const frame = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const message = {};
+          for (const line of frame.split('\n')) {
+            if (line.startsWith('id: ')) message.id = Number(line.slice(4));
+            if (line.startsWith('event: ')) message.event = line.slice(7);
+            if (line.startsWith('data: ')) message.data = JSON.parse(line.slice(6));
+          }
+          if (message.event) {
+            stream.messages.push(message);
+          }
+        }
+        check();
+      });
+      resolve(stream);
+    });
+    req.on('error', reject);
+
+    stream.waitFor = (predicate) => new Promise(resolveWait => {
+      stream.waiters.push({ predicate, resolve: resolveWait });
+      check();
+    });
+    stream.close = () => new Promise(resolveClose => {
+      req.on('close', resolveClose);
+      req.destroy();
+    });
+  });
+}
+
+const hasEvent = (name, count = 1) => (stream) => stream.messages.filter(message => message.event === name).length >= count;
+
+describe('Server-Sent Events stream', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    await cacheService.initialize();
+    server = app.listen(0);
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    subscriptionService.clear();
+    eventSubscriptionService.clear();
+    streamBuffer.clear();
+    pollingService.isRunning = true;
+    pollingService.io = { sockets: { sockets: new Map() } };
+    jest.spyOn(pollingService, 'onSubscriptionAdded').mockImplementation(() => {});
+    jest.spyOn(pollingService, 'onSubscriptionRemoved').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sseService.closeAll();
+    pollingService.isRunning = false;
+    pollingService.io = null;
+    sseService.heartbeatInterval = 15000;
+  });
+
+  it('should reject invalid stream requests', async () => {
+    let response = await request(app).get('/api/stream').expect(400);
+    expect(response.body.error.message).toBe('At least one of endpoints or events is required');
+
+    response = await request(app).get('/api/stream?endpoints=/api/invalid').expect(400);
+    expect(response.body.error.message).toBe('Invalid endpoint: /api/invalid');
+
+    await request(app).get('/api/stream?events=not_an_event').expect(400);
+    await request(app).get('/api/stream?events=all&min_priority=urgent').expect(400);
+    await request(app).get('/api/stream?events=all').set('Last-Event-ID', 'abc').expect(400);
+
+    pollingService.isRunning = false;
+    await request(app).get('/api/stream?events=all').expect(503);
+  });
+
+  it('should stream data updates and matching events with shared subscriptions', async () => {
+    await cacheService.set(getCacheKey('/api/live-matches'), { live: 1 }, 10);
+    const stream = await openStream(port, '/api/stream?endpoints=/api/live-matches&events=set_completed');
+
+    await stream.waitFor(hasEvent('data-update'));
+    expect(stream.res.headers['content-type']).toContain('text/event-stream');
+    expect(stream.messages.map(message => message.event)).toEqual(['connected', 'events-subscribed', 'subscribed', 'data-update']);
+    expect(stream.messages[3].data).toMatchObject({ endpoint: '/api/live-matches', data: { live: 1 }, cached: true });
+
+    const clientId = stream.messages[0].data.clientId;
+    expect(subscriptionService.getSubscribers('/api/live-matches').has(clientId)).toBe(true);
+    expect(pollingService.onSubscriptionAdded).toHaveBeenCalledWith('/api/live-matches');
+
+    eventOutput.output([testEvent(EVENT_TYPES.MATCH_STARTED, 'MS001'), testEvent(EVENT_TYPES.SET_COMPLETED, 'MS001')]);
+    pollingService.broadcastUpdate('/api/live-matches', { data: { live: 2 }, cached: false, seq: streamBuffer.recordDataUpdate('/api/live-matches') });
+
+    await stream.waitFor(hasEvent('data-update', 2));
+    const [event] = stream.messages.filter(message => message.event === 'event');
+    expect(event).toMatchObject({ id: 2, data: { event_type: 'set_completed', seq: 2 } });
+    expect(stream.messages[stream.messages.length - 1]).toMatchObject({ id: 3, data: { data: { live: 2 }, seq: 3 } });
+
+    await stream.close();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(subscriptionService.getSubscribers('/api/live-matches').size).toBe(0);
+    expect(eventSubscriptionService.getFilters(clientId)).toBeNull();
+    expect(pollingService.onSubscriptionRemoved).toHaveBeenCalledWith('/api/live-matches');
+    expect(sseService.getStats().connectedClients).toBe(0);
+  });
+
+  it('should remove subscriptions added after the stream closed', async () => {
+    let releaseCachedData;
+    const cachedDataSent = new Promise(resolve => { releaseCachedData = resolve; });
+    jest.spyOn(webSocketServer, 'sendCachedData').mockImplementationOnce(() => cachedDataSent);
+
+    // The stream closes while the first endpoint's cached data is loading
+    const stream = await openStream(port, '/api/stream?endpoints=/api/live-matches,/api/schedules');
+    await stream.waitFor(hasEvent('subscribed'));
+    await stream.close();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(sseService.getStats().connectedClients).toBe(0);
+
+    releaseCachedData();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(subscriptionService.getSubscribers('/api/live-matches').size).toBe(0);
+    expect(subscriptionService.getSubscribers('/api/schedules').size).toBe(0);
+    expect(pollingService.onSubscriptionRemoved).toHaveBeenCalledWith('/api/schedules');
+  });
+
+  it('should report a failed subscription on the stream and end it', async () => {
+    jest.spyOn(webSocketServer, 'handleSubscribe').mockImplementationOnce(async (client, request) => {
+      subscriptionService.subscribe(client.id, request.endpoints[0]);
+      throw new Error('cache unavailable');
+    });
+
+    const response = await request(app).get('/api/stream?endpoints=/api/live-matches').expect(200);
+    expect(response.headers['content-type']).toContain('text/event-stream');
+    expect(response.text).toContain('event: error');
+    expect(response.text).toContain('Failed to subscribe: cache unavailable');
+    expect(subscriptionService.getSubscribers('/api/live-matches').size).toBe(0);
+    expect(sseService.getStats().connectedClients).toBe(0);
+  });
+
+  it('should replay missed events from Last-Event-ID', async () => {
+    eventOutput.output([
+      testEvent(EVENT_TYPES.MATCH_STARTED, 'MS001'),
+      testEvent(EVENT_TYPES.SET_COMPLETED, 'MS001'),
+      testEvent(EVENT_TYPES.MATCH_FINISHED, 'MS001'),
+    ]);
+
+    const stream = await openStream(port, '/api/stream?events=all', { 'Last-Event-ID': '1' });
+    await stream.waitFor(hasEvent('event', 2));
+
+    const subscribed = stream.messages.find(message => message.event === 'events-subscribed');
+    expect(subscribed.data.resume).toEqual({ lastSeq: 1, complete: true, replayed: 2 });
+    expect(stream.messages.filter(message => message.event === 'event').map(message => message.id)).toEqual([2, 3]);
+
+    await stream.close();
+  });
+
+  it('should send heartbeat comments', async () => {
+    sseService.heartbeatInterval = 20;
+    const stream = await openStream(port, '/api/stream?events=all');
+
+    await stream.waitFor(current => current.raw.includes(': heartbeat'));
+    expect(stream.raw).toMatch(/^: heartbeat \d{4}-\d{2}-\d{2}T/m);
+
+    await stream.close();
+  });
+});
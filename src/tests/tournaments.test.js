@@ -0,0 +1,179 @@
+const request = require('supertest');
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.CACHE_ENABLED = 'true'; // Enable cache for tests
+process.env.REDIS_URL = ''; // Force in-memory cache for tests
+process.env.ADMIN_API_KEY = 'test-admin-key';
+process.env.TOURNAMENT_TOKEN_404 = 'token-from-env';
+
+const { app } = require('../server');
+const tournamentRegistry = require('../services/tournamentRegistry');
+const cacheService = require('../services/cache');
+const { parseScopedEndpoint, buildScopedEndpoint, resolveEndpoint } = require('../utils/tournamentScope');
+const { getEndpointTtl } = require('../middleware/cache');
+
+describe('Multi-tournament support', () => {
+  beforeAll(async () => {
+    await cacheService.initialize();
+  });
+
+  beforeEach(async () => {
+    tournamentRegistry.clear();
+    await cacheService.flush();
+  });
+
+  afterAll(async () => {
+    tournamentRegistry.clear();
+    const webhookClient = require('../services/webhookClient');
+    await webhookClient.shutdown();
+  });
+
+  describe('Tournament scope helpers', () => {
+    it('should parse scoped and unscoped endpoints', () => {
+      expect(parseScopedEndpoint('/api/t/352/live-matches')).toEqual({ tournamentId: '352', endpoint: '/api/live-matches' });
+      expect(parseScopedEndpoint('/api/live-matches')).toEqual({ tournamentId: null, endpoint: '/api/live-matches' });
+    });
+
+    it('should build scoped endpoints with or without the /api prefix', () => {
+      expect(buildScopedEndpoint('352', '/api/draws/live')).toBe('/api/t/352/draws/live');
+      expect(buildScopedEndpoint('352', '/draws/live')).toBe('/api/t/352/draws/live');
+    });
+
+    it('should resolve request paths to the most specific endpoint', () => {
+      expect(resolveEndpoint('/h2h/match/123')).toBe('/api/h2h/match');
+      expect(resolveEndpoint('/api/h2h/1/2')).toBe('/api/h2h');
+      expect(resolveEndpoint('/draws/live')).toBe('/api/draws/live');
+      expect(resolveEndpoint('/health')).toBeNull();
+    });
+
+    it('should use the base endpoint TTL for scoped endpoints', () => {
+      expect(getEndpointTtl('/api/t/352/live-matches')).toBe(10);
+      expect(getEndpointTtl('/api/t/352/draws/live')).toBe(300);
+    });
+  });
+
+  describe('Tournament registry', () => {
+    it('should default endpoints and event endpoints', async () => {
+      const tournament = await tournamentRegistry.add({ id: 352, bearerToken: 'abc' });
+
+      expect(tournament.id).toBe('352');
+      expect(tournament.endpoints).toContain('/api/live-matches');
+      expect(tournament.eventEndpoints).toEqual(expect.arrayContaining(['/api/live-matches']));
+      expect(tournament.client.tournamentId).toBe('352');
+    });
+
+    it('should read bearer tokens from environment variables', async () => {
+      const tournament = await tournamentRegistry.add({ id: '404', bearerTokenEnv: 'TOURNAMENT_TOKEN_404' });
+
+      expect(tournament.bearerToken).toBe('token-from-env');
+      expect(tournamentRegistry.toDefinition(tournament)).not.toHaveProperty('bearerToken');
+    });
+
+    it('should reject unknown endpoints and missing tokens', async () => {
+      await expect(tournamentRegistry.add({ id: '1', bearerToken: 'x', endpoints: ['/api/unknown'] }))
+        .rejects.toThrow('unknown endpoints');
+      await expect(tournamentRegistry.add({ id: '2' })).rejects.toThrow('no bearer token');
+    });
+
+    it('should require event endpoints to be enabled endpoints', async () => {
+      await expect(tournamentRegistry.add({
+        id: '3',
+        bearerToken: 'x',
+        endpoints: ['/api/live-matches'],
+        eventEndpoints: ['/api/draws/live']
+      })).rejects.toThrow('eventEndpoints must also be enabled endpoints');
+    });
+  });
+
+  describe('Tournament-scoped routes', () => {
+    it('should return 404 for unknown tournaments', async () => {
+      const response = await request(app)
+        .get('/api/t/999/live-matches')
+        .expect(404);
+
+      expect(response.body.error.message).toContain('Unknown tournament');
+    });
+
+    it('should return 404 for endpoints not enabled for the tournament', async () => {
+      await tournamentRegistry.add({ id: '352', bearerToken: 'abc', endpoints: ['/api/live-matches'] });
+
+      const response = await request(app)
+        .get('/api/t/352/schedules')
+        .expect(404);
+
+      expect(response.body.error.message).toContain('not enabled for tournament 352');
+    });
+
+    it('should use the tournament client and a tournament-specific cache key', async () => {
+      const tournament = await tournamentRegistry.add({ id: '352', bearerToken: 'abc' });
+      const liveData = { TournamentMatches: [{ TournamentId: 352, Matches: [] }] };
+      tournament.client.getLiveMatches = jest.fn().mockResolvedValue(liveData);
+
+      const response = await request(app)
+        .get('/api/t/352/live-matches')
+        .expect(200);
+
+      expect(response.body.data).toEqual(liveData);
+      expect(response.body.cached).toBe(false);
+      expect(tournament.client.getLiveMatches).toHaveBeenCalledTimes(1);
+
+      // Give the asynchronous cache write a moment to complete
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(await cacheService.get('/api/t/352/live-matches')).toEqual(liveData);
+      expect(await cacheService.get('/live-matches')).toBeNull();
+    });
+  });
+
+  describe('Admin tournament API', () => {
+    const auth = { Authorization: 'Bearer test-admin-key' };
+
+    it('should reject requests without the admin key', async () => {
+      await request(app).get('/api/admin/tournaments').expect(401);
+      await request(app).get('/api/admin/tournaments').set('Authorization', 'Bearer wrong').expect(401);
+    });
+
+    it('should register, update, list and remove tournaments', async () => {
+      const created = await request(app)
+        .post('/api/admin/tournaments')
+        .set(auth)
+        .send({ id: '352', name: 'Paris', bearerToken: 'secret-token', endpoints: ['/api/live-matches'] })
+        .expect(201);
+
+      expect(created.body.tournament).toMatchObject({ id: '352', name: 'Paris', hasBearerToken: true });
+      expect(JSON.stringify(created.body)).not.toContain('secret-token');
+
+      await request(app)
+        .post('/api/admin/tournaments')
+        .set(auth)
+        .send({ id: '352', bearerToken: 'other' })
+        .expect(409);
+
+      const updated = await request(app)
+        .put('/api/admin/tournaments/352')
+        .set(auth)
+        .send({ endpoints: ['/api/live-matches', '/api/schedules'] })
+        .expect(200);
+
+      expect(updated.body.tournament.endpoints).toEqual(['/api/live-matches', '/api/schedules']);
+      expect(tournamentRegistry.get('352').bearerToken).toBe('secret-token');
+
+      const list = await request(app).get('/api/admin/tournaments').set(auth).expect(200);
+      expect(list.body.tournaments.map(t => t.id)).toEqual(['352']);
+
+      await request(app).delete('/api/admin/tournaments/352').set(auth).expect(204);
+      await request(app).delete('/api/admin/tournaments/352').set(auth).expect(404);
+      expect(tournamentRegistry.get('352')).toBeNull();
+    });
+
+    it('should return 400 for invalid definitions', async () => {
+      const response = await request(app)
+        .post('/api/admin/tournaments')
+        .set(auth)
+        .send({ id: 'bad id', bearerToken: 'x' })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Validation Error');
+    });
+  });
+});
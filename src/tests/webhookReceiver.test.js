@@ -0,0 +1,133 @@
+const express = require('express');
+const request = require('supertest');
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+const WebhookReceiver = require('../utils/webhookReceiver');
+const { buildSignatureHeaders } = require('../utils/webhookSignature');
+const { EVENT_TYPES, createEvent } = require('../types/events');
+
+/**
+ * Build a signed webhook request body and headers, as sent by the proxy
+ * @param {Array<Object>} events - Events to send
+ * @param {Object} [options] - Signing options
+ * @param {string} [options.version] - Signature version (default v1)
+ * @param {Array<Object>} [options.secrets] - Signing secrets
+ * @param {number} [options.now] - Signing time in ms
+ * @returns {Object} { body, headers }
+ */
+function signedRequest(events, { version = 'v1', secrets = [{ keyId: 'current', secret: 'receiver-secret' }], now = Date.now() } = {}) {
+  const timestamp = new Date(now).toISOString();
+  const payload = events.length === 1
+    ? { ...events[0], timestamp }
+    : { batch_id: 'batch_test', timestamp, events };
+  const body = JSON.stringify(payload);
+  const headers = buildSignatureHeaders(body, { version, secrets, bodyTimestamp: timestamp, now });
+  return { body, headers: { ...headers, 'Content-Type': 'application/json' } };
+}
+
+describe('Webhook Receiver', () => {
+  const finished = createEvent(EVENT_TYPES.MATCH_FINISHED, '352', 'MS001', 'Match finished', {});
+  const setCompleted = createEvent(EVENT_TYPES.SET_COMPLETED, '352', 'MS002', 'Set completed', {});
+  let receiver;
+  let app;
+  let handled;
+
+  beforeEach(() => {
+    receiver = new WebhookReceiver({ secrets: ['receiver-secret', { keyId: 'previous', secret: 'previous-secret' }] });
+    handled = [];
+    app = express();
+    app.post('/events', receiver.middleware(), (req, res) => {
+      handled.push(...req.webhook.events);
+      res.status(req.get('X-Test-Fail') ? 503 : 200).json({ ok: true });
+    });
+  });
+
+  it('should verify v1 and v2 signatures and unbatch events', async () => {
+    const single = signedRequest([finished]);
+    await request(app).post('/events').set(single.headers).send(single.body).expect(200);
+
+    const batch = signedRequest([setCompleted, createEvent(EVENT_TYPES.SCORE_UPDATED, '352', 'MS002', 'Score updated', {})], {
+      version: 'v2',
+      secrets: [{ keyId: 'next', secret: 'next-secret' }, { keyId: 'previous', secret: 'previous-secret' }],
+    });
+    await request(app).post('/events').set(batch.headers).send(batch.body).expect(200);
+
+    expect(handled.map(event => event.event_type)).toEqual(['match_finished', 'set_completed', 'score_updated']);
+    // Batched events carry the batch's delivery timestamp
+    expect(handled[1].timestamp).toBe(JSON.parse(batch.body).timestamp);
+  });
+
+  it('should reject bad signatures and requests outside the tolerance window', async () => {
+    const wrongSecret = signedRequest([finished], { secrets: [{ keyId: 'other', secret: 'other-secret' }] });
+    let response = await request(app).post('/events').set(wrongSecret.headers).send(wrongSecret.body).expect(401);
+    expect(response.body.error.message).toBe('Invalid webhook signature: No signature matches');
+
+    const tampered = signedRequest([finished]);
+    await request(app).post('/events').set(tampered.headers).send(tampered.body.replace('MS001', 'MS999')).expect(401);
+
+    const stale = signedRequest([finished], { version: 'v2', now: Date.now() - 10 * 60 * 1000 });
+    response = await request(app).post('/events').set(stale.headers).send(stale.body).expect(401);
+    expect(response.body.error.message).toContain('tolerance window');
+
+    await request(app).post('/events').send(finished).expect(401);
+    expect(handled).toHaveLength(0);
+    expect(receiver.getStatus()).toMatchObject({ requests: 4, rejected: 4 });
+  });
+
+  it('should drop events that were already processed but not ones whose handling failed', async () => {
+    const failed = signedRequest([finished]);
+    await request(app).post('/events').set(failed.headers).set('X-Test-Fail', '1').send(failed.body).expect(503);
+
+    // The proxy retries the failed request, then sends a batch overlapping the processed event
+    const retry = signedRequest([finished]);
+    await request(app).post('/events').set(retry.headers).send(retry.body).expect(200);
+    const batch = signedRequest([finished, setCompleted], { version: 'v2' });
+    await request(app).post('/events').set(batch.headers).send(batch.body).expect(200);
+
+    const replay = signedRequest([finished, setCompleted], { version: 'v2' });
+    const response = await request(app).post('/events').set(replay.headers).send(replay.body).expect(200);
+    expect(response.body).toEqual({ received: 0, duplicates: 2 });
+
+    expect(handled.map(event => event.event_id)).toEqual([finished.event_id, finished.event_id, setCompleted.event_id]);
+    expect(receiver.getStatus()).toMatchObject({ duplicates: 3, processedEventIds: 2 });
+  });
+
+  it('should forget the oldest event IDs beyond dedupeSize', () => {
+    receiver = new WebhookReceiver({ secrets: ['receiver-secret'], dedupeSize: 1 });
+    receiver.markProcessed([finished, setCompleted]);
+
+    expect(receiver.isDuplicate(finished)).toBe(false);
+    expect(receiver.isDuplicate(setCompleted)).toBe(true);
+  });
+
+  it('should need the raw body', async () => {
+    app = express();
+    app.use(express.json());
+    app.post('/events', receiver.middleware(), (req, res) => res.json({ ok: true }));
+    app.use((err, req, res, _next) => res.status(500).json({ message: err.message }));
+
+    const single = signedRequest([finished]);
+    const response = await request(app).post('/events').set(single.headers).send(single.body).expect(500);
+    expect(response.body.message).toContain('before express.json()');
+
+    // express.raw() keeps the body as a Buffer, which works
+    app = express();
+    app.use(express.raw({ type: 'application/json' }));
+    app.post('/events', receiver.middleware(), (req, res) => res.json({ matchId: req.body.match_id }));
+    await request(app).post('/events').set(single.headers).send(single.body).expect(200, { matchId: 'MS001' });
+  });
+
+  it('should serve a standalone receiver with its received events', async () => {
+    const standalone = receiver.createApp();
+    const batch = signedRequest([finished, setCompleted], { version: 'v2' });
+    const response = await request(standalone).post('/api/webhooks/atp-live/event').set(batch.headers).send(batch.body).expect(200);
+    expect(response.body).toEqual({ received: 2, duplicates: 0 });
+
+    const events = await request(standalone).get('/_receiver/events').expect(200);
+    expect(events.body.events.map(event => event.event_id)).toEqual([setCompleted.event_id, finished.event_id]);
+    const status = await request(standalone).get('/_receiver/status').expect(200);
+    expect(status.body).toMatchObject({ requests: 1, rejected: 0, events: 2, unknownTypes: 0 });
+  });
+});
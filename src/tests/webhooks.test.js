@@ -0,0 +1,405 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const configFile = path.join(os.tmpdir(), `webhooks-test-${process.pid}.json`);
+const outboxDir = path.join(os.tmpdir(), `webhook-outbox-test-${process.pid}`);
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.EVENTS_CONSOLE_OUTPUT = 'false';
+process.env.EVENTS_WEBHOOK_URL = ''; // No environment destination
+process.env.EVENTS_WEBHOOK_SECRET = '';
+process.env.REDIS_URL = ''; // Force in-memory cache for tests
+process.env.ADMIN_API_KEY = 'test-admin-key';
+process.env.WEBHOOKS_CONFIG_FILE = configFile;
+process.env.PARTNER_WEBHOOK_SECRET = 'partner-secret-from-env';
+process.env.WEBHOOK_DELIVERY_LOG_BODY_LIMIT = '20';
+
+const { app } = require('../server');
+const webhookClient = require('../services/webhookClient');
+const webhookDeliveryLog = require('../services/webhookDeliveryLog');
+const webhookOutbox = require('../services/webhookOutbox');
+const eventOutput = require('../services/eventOutput');
+const { EVENT_TYPES, EVENT_PRIORITY, createEvent } = require('../types/events');
+const { verifySignature } = require('../utils/webhookSignature');
+
+const auth = { Authorization: 'Bearer test-admin-key' };
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true when done
+ * @param {number} [timeout] - Maximum wait in ms
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeout = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('Webhook destinations', () => {
+  let receiver;
+  let baseUrl;
+  let received;
+  let responseStatus;
+  let responseBody;
+
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ path: req.url, headers: req.headers, body, payload: JSON.parse(body) });
+        res.writeHead(responseStatus[req.url] || 200).end(responseBody[req.url]);
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+  });
+
+  afterAll(async () => {
+    webhookClient.clear();
+    await new Promise(resolve => receiver.close(resolve));
+    await fs.rm(configFile, { force: true });
+  });
+
+  beforeEach(async () => {
+    webhookClient.clear();
+    webhookDeliveryLog.clear();
+    await fs.rm(configFile, { force: true });
+    received = [];
+    responseStatus = {};
+    responseBody = {};
+  });
+
+  it('should require the admin key', async () => {
+    await request(app).get('/api/webhooks').expect(401);
+    await request(app).post('/api/webhooks').set('Authorization', 'Bearer wrong').send({}).expect(401);
+  });
+
+  it('should manage destinations through the API and persist them to the config file', async () => {
+    let response = await request(app)
+      .post('/api/webhooks')
+      .set(auth)
+      .send({ id: 'cms', url: `${baseUrl}/cms`, secret: 'cms-secret', batchSize: 5, filter: { eventTypes: ['match_finished'] } })
+      .expect(201);
+    expect(response.body.webhook).toMatchObject({ id: 'cms', hasSecret: true, batchSize: 5, source: 'config' });
+    expect(response.body.webhook.secret).toBeUndefined();
+
+    await request(app).post('/api/webhooks').set(auth).send({ id: 'cms', url: `${baseUrl}/cms`, secret: 'x' }).expect(409);
+    await request(app).post('/api/webhooks').set(auth).send({ id: 'bad', url: 'ftp://example.com', secret: 'x' }).expect(400);
+    await request(app).post('/api/webhooks').set(auth).send({ id: 'bad', url: baseUrl, secret: 'x', filter: { priorities: ['urgent'] } }).expect(400);
+    await request(app).post('/api/webhooks').set(auth).send({ id: 'bad', url: baseUrl, secretEnv: 'MISSING_SECRET' }).expect(400);
+
+    await request(app)
+      .post('/api/webhooks')
+      .set(auth)
+      .send({ id: 'partner', url: `${baseUrl}/partner`, secretEnv: 'PARTNER_WEBHOOK_SECRET' })
+      .expect(201);
+
+    response = await request(app).put('/api/webhooks/cms').set(auth).send({ retries: 2, enabled: false }).expect(200);
+    expect(response.body.webhook).toMatchObject({ retries: 2, enabled: false, batchSize: 5, hasSecret: true });
+    await request(app).put('/api/webhooks/unknown').set(auth).send({}).expect(404);
+
+    const saved = JSON.parse(await fs.readFile(configFile, 'utf8'));
+    expect(saved.webhooks.map(webhook => webhook.id)).toEqual(['cms', 'partner']);
+    expect(saved.webhooks[0].secret).toBe('cms-secret');
+    expect(saved.webhooks[1]).toMatchObject({ secretEnv: 'PARTNER_WEBHOOK_SECRET' });
+    expect(saved.webhooks[1].secret).toBeUndefined();
+
+    webhookClient.clear();
+    await webhookClient.load();
+    expect(webhookClient.getIds()).toEqual(['cms', 'partner']);
+    expect(webhookClient.get('partner').secret).toBe('partner-secret-from-env');
+
+    await request(app).delete('/api/webhooks/cms').set(auth).expect(204);
+    await request(app).delete('/api/webhooks/cms').set(auth).expect(404);
+    response = await request(app).get('/api/webhooks').set(auth).expect(200);
+    expect(response.body.webhooks.map(webhook => webhook.id)).toEqual(['partner']);
+  });
+
+  it('should fan events out to each destination by its filter and secret', async () => {
+    await webhookClient.add({ id: 'cms', url: `${baseUrl}/cms`, secret: 'cms-secret' });
+    await webhookClient.add({ id: 'notifications', url: `${baseUrl}/notifications`, secret: 'notify-secret', filter: { priorities: ['high', 'critical'] } });
+    await webhookClient.add({ id: 'partner', url: `${baseUrl}/partner`, secret: 'partner-secret', filter: { eventTypes: ['match_finished'], tournamentIds: ['404'] } });
+    await webhookClient.add({ id: 'paused', url: `${baseUrl}/paused`, secret: 'paused-secret', enabled: false });
+
+    eventOutput.output([
+      createEvent(EVENT_TYPES.SET_COMPLETED, '352', 'MS001', 'Set completed', {}, { priority: EVENT_PRIORITY.HIGH }),
+      createEvent(EVENT_TYPES.SCORE_UPDATED, '352', 'MS001', 'Score updated', {}),
+    ]);
+    eventOutput.output(createEvent(EVENT_TYPES.MATCH_FINISHED, '404', 'MS002', 'Match finished', {}, { priority: EVENT_PRIORITY.HIGH }));
+    await waitFor(() => received.length === 5);
+
+    const byPath = (urlPath) => received.filter(item => item.path === urlPath);
+    expect(byPath('/cms').map(item => item.payload.events ? item.payload.events.length : 1)).toEqual([2, 1]);
+    expect(byPath('/notifications').map(item => item.payload.event_type)).toEqual(['set_completed', 'match_finished']);
+    expect(byPath('/partner').map(item => item.payload.match_id)).toEqual(['MS002']);
+    expect(byPath('/paused')).toHaveLength(0);
+
+    const [partnerDelivery] = byPath('/partner');
+    const expected = crypto.createHmac('sha256', 'partner-secret')
+      .update(partnerDelivery.body + partnerDelivery.payload.timestamp)
+      .digest('hex');
+    expect(partnerDelivery.headers['x-atp-live-signature']).toBe(`sha256=${expected}`);
+
+    // Single events are keyed by their event_id, batches by a batch_id derived from their event IDs
+    expect(partnerDelivery.headers['idempotency-key']).toBe(partnerDelivery.payload.event_id);
+    expect(partnerDelivery.headers['x-atp-live-event-id']).toBe(partnerDelivery.payload.event_id);
+    const [cmsBatch] = byPath('/cms');
+    expect(cmsBatch.headers['idempotency-key']).toBe(cmsBatch.payload.batch_id);
+    expect(cmsBatch.headers['x-atp-live-event-id']).toBe(cmsBatch.payload.events.map(event => event.event_id).join(','));
+
+    await waitFor(() => webhookClient.getStats().destinations.partner.eventsDelivered === 1);
+    const stats = webhookClient.getStats().destinations;
+    expect(stats.cms).toMatchObject({ eventsQueued: 3, eventsDelivered: 3, requestsSent: 2, eventsFailed: 0 });
+    expect(stats.notifications).toMatchObject({ eventsQueued: 2, eventsDelivered: 2 });
+    expect(stats.paused).toMatchObject({ eventsQueued: 0, enabled: false });
+  });
+
+  it('should track failed deliveries per destination', async () => {
+    responseStatus['/partner'] = 400;
+    await webhookClient.add({ id: 'cms', url: `${baseUrl}/cms`, secret: 'cms-secret' });
+    await webhookClient.add({ id: 'partner', url: `${baseUrl}/partner`, secret: 'partner-secret', retries: 3 });
+
+    eventOutput.output(createEvent(EVENT_TYPES.MATCH_FINISHED, '352', 'MS001', 'Match finished', {}));
+    await waitFor(() => webhookClient.getStats().destinations.partner.eventsFailed === 1);
+
+    const stats = webhookClient.getStats().destinations;
+    // 4xx responses are not retried
+    expect(stats.partner).toMatchObject({ requestsSent: 1, requestsFailed: 1, eventsDelivered: 0, retries: 0 });
+    expect(stats.partner.lastError).toContain('400');
+    expect(stats.cms).toMatchObject({ eventsDelivered: 1, eventsFailed: 0 });
+  });
+
+  it('should sign v2 deliveries with every active secret for rotation', async () => {
+    let response = await request(app)
+      .post('/api/webhooks')
+      .set(auth)
+      .send({
+        id: 'partner',
+        url: `${baseUrl}/partner`,
+        signatureVersion: 'v2',
+        secrets: [{ keyId: '2025-11', secret: 'new-secret' }, { keyId: '2025-10', secret: 'old-secret' }]
+      })
+      .expect(201);
+    expect(response.body.webhook).toMatchObject({ signatureVersion: 'v2', keyIds: ['2025-11', '2025-10'], hasSecret: true });
+    expect(response.body.webhook.secrets).toEqual([{ keyId: '2025-11' }, { keyId: '2025-10' }]);
+    await webhookClient.add({ id: 'cms', url: `${baseUrl}/cms`, secret: 'cms-secret' });
+
+    eventOutput.output(createEvent(EVENT_TYPES.MATCH_FINISHED, '352', 'MS001', 'Match finished', {}));
+    await waitFor(() => received.length === 2);
+
+    const partnerDelivery = received.find(item => item.path === '/partner');
+    const timestamp = partnerDelivery.headers['x-atp-live-timestamp'];
+    expect(Math.abs(Number(timestamp) - Date.now() / 1000)).toBeLessThan(5);
+    const expected = (secret) => crypto.createHmac('sha256', secret).update(`${timestamp}.${partnerDelivery.body}`).digest('hex');
+    expect(partnerDelivery.headers['x-atp-live-signature'])
+      .toBe(`v2=2025-11:${expected('new-secret')},v2=2025-10:${expected('old-secret')}`);
+
+    // Receivers still holding the old secret keep verifying; replays outside the window are rejected
+    expect(verifySignature(partnerDelivery.body, partnerDelivery.headers, [{ keyId: '2025-10', secret: 'old-secret' }]))
+      .toMatchObject({ valid: true, version: 'v2', keyId: '2025-10' });
+    expect(verifySignature(partnerDelivery.body, partnerDelivery.headers, ['other-secret']))
+      .toMatchObject({ valid: false, error: 'No signature matches' });
+    expect(verifySignature(partnerDelivery.body, partnerDelivery.headers, ['old-secret'], { now: Date.now() + 301000 }))
+      .toMatchObject({ valid: false, error: 'Timestamp outside the tolerance window' });
+
+    // v1 stays the default and is verified against the body timestamp
+    const cmsDelivery = received.find(item => item.path === '/cms');
+    expect(cmsDelivery.headers['x-atp-live-timestamp']).toBeUndefined();
+    expect(verifySignature(cmsDelivery.body, cmsDelivery.headers, ['cms-secret'])).toMatchObject({ valid: true, version: 'v1' });
+
+    // Retiring the old secret
+    response = await request(app).put('/api/webhooks/partner').set(auth).send({ secrets: [{ keyId: '2025-11', secret: 'new-secret' }] }).expect(200);
+    expect(response.body.webhook.keyIds).toEqual(['2025-11']);
+    const saved = JSON.parse(await fs.readFile(configFile, 'utf8'));
+    expect(saved.webhooks[0]).toMatchObject({ signatureVersion: 'v2', secrets: [{ keyId: '2025-11', secret: 'new-secret' }] });
+
+    await request(app).put('/api/webhooks/partner').set(auth).send({ signatureVersion: 'v3' }).expect(400);
+    await request(app).put('/api/webhooks/partner').set(auth).send({ secrets: [{ keyId: 'bad key', secret: 'x' }] }).expect(400);
+    await request(app).put('/api/webhooks/partner').set(auth).send({ secrets: [{ keyId: 'a', secret: 'x' }, { keyId: 'a', secret: 'y' }] }).expect(400);
+    await request(app).post('/api/webhooks').set(auth).send({ id: 'both', url: baseUrl, secret: 'x', secrets: [{ secret: 'y' }] }).expect(400);
+  });
+
+  it('should log deliveries with their outcome and expose them with stats', async () => {
+    responseStatus['/partner'] = 400;
+    responseBody['/partner'] = JSON.stringify({ message: 'Unknown tournament for this partner account' });
+    responseBody['/cms'] = 'ok';
+    await webhookClient.add({ id: 'cms', url: `${baseUrl}/cms`, secret: 'cms-secret' });
+    await webhookClient.add({ id: 'partner', url: `${baseUrl}/partner`, secret: 'partner-secret' });
+
+    const finished = createEvent(EVENT_TYPES.MATCH_FINISHED, '352', 'MS001', 'Match finished', {});
+    eventOutput.output([finished, createEvent(EVENT_TYPES.SET_COMPLETED, '352', 'MS002', 'Set completed', {})]);
+    await waitFor(() => webhookDeliveryLog.getStats().deliveries === 2);
+
+    let response = await request(app).get('/api/webhooks/deliveries').set(auth).expect(200);
+    expect(response.body.deliveries).toHaveLength(2);
+    expect(response.body.stats).toMatchObject({ deliveries: 2, succeeded: 1, failed: 1, successRate: 0.5 });
+
+    response = await request(app).get('/api/webhooks/deliveries?webhook_id=partner&outcome=failed').set(auth).expect(200);
+    const [failed] = response.body.deliveries;
+    expect(failed).toMatchObject({
+      destinationId: 'partner',
+      success: false,
+      attempts: 1,
+      status: 400,
+      eventCount: 2,
+      eventTypes: ['match_finished', 'set_completed'],
+      responseBody: '{"message":"Unknown ',
+      responseTruncated: true
+    });
+    expect(failed.batchId).toMatch(/^batch_/);
+    expect(failed.eventIds).toContain(finished.event_id);
+    expect(failed.latencyMs).toBeGreaterThanOrEqual(0);
+    expect(failed.error).toContain('400');
+
+    response = await request(app).get(`/api/webhooks/deliveries?status=200&event_id=${encodeURIComponent(failed.eventIds[0])}`).set(auth).expect(200);
+    expect(response.body.deliveries.map(delivery => delivery.destinationId)).toEqual(['cms']);
+    expect(response.body.deliveries[0]).toMatchObject({ success: true, responseBody: 'ok', responseTruncated: false });
+
+    response = await request(app).get('/api/webhooks/deliveries?limit=1').set(auth).expect(200);
+    expect(response.body.pagination).toMatchObject({ limit: 1, hasMore: true });
+    response = await request(app).get(`/api/webhooks/deliveries?limit=1&cursor=${response.body.pagination.nextCursor}`).set(auth).expect(200);
+    expect(response.body.deliveries).toHaveLength(1);
+    expect(response.body.pagination.hasMore).toBe(false);
+
+    await request(app).get('/api/webhooks/deliveries?outcome=maybe').set(auth).expect(400);
+    await request(app).get('/api/webhooks/deliveries?event_type=unknown').set(auth).expect(400);
+    await request(app).get('/api/webhooks/deliveries?limit=0').set(auth).expect(400);
+
+    const stats = webhookClient.getStats();
+    expect(stats.deliveries).toMatchObject({ deliveries: 2, successRate: 0.5 });
+    expect(stats.destinations.cms.deliveries).toMatchObject({ deliveries: 1, successRate: 1 });
+    expect(stats.destinations.partner.deliveries.latency.maxMs).toBeGreaterThanOrEqual(0);
+  });
+
+  describe('Outbox and dead letters', () => {
+    beforeEach(async () => {
+      await fs.rm(outboxDir, { recursive: true, force: true });
+      webhookOutbox.clear();
+    });
+
+    afterAll(async () => {
+      webhookOutbox.clear();
+      await fs.rm(outboxDir, { recursive: true, force: true });
+    });
+
+    it('should dead-letter exhausted batches and redeliver them through the API', async () => {
+      await webhookClient.restoreOutbox({ dir: outboxDir });
+      responseStatus['/cms'] = 503;
+      await webhookClient.add({ id: 'cms', url: `${baseUrl}/cms`, secret: 'cms-secret', retries: 1 });
+
+      eventOutput.output(createEvent(EVENT_TYPES.MATCH_FINISHED, '352', 'MS001', 'Match finished', {}));
+      await waitFor(() => webhookOutbox.listDeadLetters().length === 1);
+      await webhookOutbox.flush();
+
+      let response = await request(app).get('/api/webhooks/dead-letters?webhook_id=cms').set(auth).expect(200);
+      expect(response.body.count).toBe(1);
+      const [summary] = response.body.deadLetters;
+      expect(summary).toMatchObject({ destinationId: 'cms', eventCount: 1, eventTypes: ['match_finished'], attempts: 1 });
+      expect(summary.lastError).toContain('503');
+      expect(summary.events).toBeUndefined();
+      expect(webhookClient.getStats().destinations.cms).toMatchObject({ deadLetters: 1, queueSize: 0, inFlight: 0 });
+      response = await request(app).get('/api/webhooks').set(auth).expect(200);
+      expect(response.body.webhooks[0]).toMatchObject({ id: 'cms', deadLetters: 1 });
+      expect(response.body.outbox).toMatchObject({ initialized: true, deadLettered: 1 });
+
+      const deadLetterFile = path.join(outboxDir, 'dead-letters', `${summary.id}.json`);
+      expect(JSON.parse(await fs.readFile(deadLetterFile, 'utf8')).events[0].match_id).toBe('MS001');
+      const outbox = JSON.parse(await fs.readFile(path.join(outboxDir, 'outbox.json'), 'utf8'));
+      expect(outbox.destinations).toEqual({});
+
+      response = await request(app).get(`/api/webhooks/dead-letters/${summary.id}`).set(auth).expect(200);
+      expect(response.body.deadLetter.events.map(event => event.event_type)).toEqual(['match_finished']);
+      const deadEventId = response.body.deadLetter.events[0].event_id;
+      await request(app).get('/api/webhooks/dead-letters/unknown').set(auth).expect(404);
+
+      // Still failing: the dead letter is kept with the new attempt
+      response = await request(app).post(`/api/webhooks/dead-letters/${summary.id}/redeliver`).set(auth).expect(502);
+      expect(webhookOutbox.getDeadLetter(summary.id)).toMatchObject({ attempts: 2, redeliveryAttempts: 1 });
+
+      responseStatus['/cms'] = 200;
+      received = [];
+      response = await request(app).post(`/api/webhooks/dead-letters/${summary.id}/redeliver`).set(auth).expect(200);
+      expect(response.body).toMatchObject({ redelivered: true, deadLetter: { id: summary.id } });
+      expect(received.map(item => item.payload.match_id)).toEqual(['MS001']);
+      // The redelivery carries the same idempotency key as the failed attempts
+      expect(received[0].headers['idempotency-key']).toBe(deadEventId);
+      await expect(fs.access(deadLetterFile)).rejects.toThrow();
+      await request(app).post(`/api/webhooks/dead-letters/${summary.id}/redeliver`).set(auth).expect(404);
+    });
+
+    it('should requeue undelivered events after a restart', async () => {
+      const pendingEvent = createEvent(EVENT_TYPES.MATCH_FINISHED, '352', 'MS001', 'Match finished', {});
+      const orphanEvent = createEvent(EVENT_TYPES.SET_COMPLETED, '352', 'MS002', 'Set completed', {});
+      await fs.mkdir(outboxDir, { recursive: true });
+      await fs.writeFile(path.join(outboxDir, 'outbox.json'), JSON.stringify({
+        destinations: { cms: [pendingEvent], removed: [orphanEvent] }
+      }));
+
+      await webhookClient.add({ id: 'cms', url: `${baseUrl}/cms`, secret: 'cms-secret', batchInterval: 10 });
+      expect(await webhookClient.restoreOutbox({ dir: outboxDir })).toBe(1);
+
+      await waitFor(() => received.length === 1);
+      expect(received[0].payload.match_id).toBe('MS001');
+
+      // Events of destinations that no longer exist are kept as dead letters
+      const [deadLetter] = webhookOutbox.listDeadLetters();
+      expect(deadLetter).toMatchObject({ destinationId: 'removed', lastError: 'Webhook removed no longer exists' });
+
+      await waitFor(() => webhookClient.getStats().destinations.cms.inFlight === 0);
+      await webhookOutbox.flush();
+      const outbox = JSON.parse(await fs.readFile(path.join(outboxDir, 'outbox.json'), 'utf8'));
+      expect(outbox.destinations).toEqual({});
+
+      // Redelivery needs the destination back
+      let response = await request(app).post('/api/webhooks/dead-letters/redeliver').set(auth).expect(200);
+      expect(response.body).toMatchObject({ redelivered: 0, failed: 1 });
+      expect(response.body.results[0].error).toBe('Webhook removed no longer exists');
+
+      await webhookClient.add({ id: 'removed', url: `${baseUrl}/removed`, secret: 'removed-secret' });
+      response = await request(app).post('/api/webhooks/dead-letters/redeliver?webhook_id=removed').set(auth).expect(200);
+      expect(response.body).toMatchObject({ redelivered: 1, failed: 0 });
+      expect(received.map(item => item.path)).toEqual(['/cms', '/removed']);
+      expect(webhookOutbox.getStats()).toMatchObject({ deadLetters: 0 });
+
+      await request(app).delete('/api/webhooks/dead-letters/unknown').set(auth).expect(404);
+    });
+
+    it('should keep queued events in the outbox on shutdown and send them after a restart', async () => {
+      await webhookClient.restoreOutbox({ dir: outboxDir });
+      responseStatus['/cms'] = 503;
+      await webhookClient.add({ id: 'cms', url: `${baseUrl}/cms`, secret: 'cms-secret', retries: 3, retryBaseDelay: 1000 });
+
+      // Queued and waiting for its batch timer when the server stops
+      const queuedEvent = createEvent(EVENT_TYPES.MATCH_FINISHED, '352', 'MS001', 'Match finished', {});
+      webhookClient.get('cms').queue.push(queuedEvent);
+      await webhookClient.shutdown();
+
+      // Nothing is sent or dead-lettered on the way down
+      expect(received).toEqual([]);
+      expect(webhookOutbox.listDeadLetters()).toEqual([]);
+      const outbox = JSON.parse(await fs.readFile(path.join(outboxDir, 'outbox.json'), 'utf8'));
+      expect(outbox.destinations.cms.map(event => event.event_id)).toEqual([queuedEvent.event_id]);
+
+      // Next start
+      webhookClient.clear();
+      webhookOutbox.clear();
+      responseStatus['/cms'] = 200;
+      await webhookClient.add({ id: 'cms', url: `${baseUrl}/cms`, secret: 'cms-secret', batchInterval: 10 });
+      expect(await webhookClient.restoreOutbox({ dir: outboxDir })).toBe(1);
+
+      await waitFor(() => received.length === 1);
+      expect(received[0].payload.event_id).toBe(queuedEvent.event_id);
+    });
+  });
+});
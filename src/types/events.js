@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+
 /**
  * Event types for tennis tournament events
  */
@@ -39,6 +41,82 @@ const EVENT_PRIORITY = {
   CRITICAL: 'critical'
 };
 
+/**
+ * Event data fields that describe the state transition behind an event
+ */
+const TRANSITION_FIELDS = [
+  'previousStatus', 'currentStatus',
+  'previousScore', 'currentScore', 'initialScore', 'finalScore', 'score',
+  'setNumber', 'gameScore', 'pointScore',
+  'previousCourt', 'currentCourt',
+  'reason', 'resultType', 'toRound', 'advancementType', 'position',
+];
+
+/**
+ * Pick the state transition out of event data
+ * Draw events also keep the draw they belong to (e.g. MS or MD), whose rounds share IDs
+ * @param {Object} data - Event-specific data
+ * @returns {Object} Transition fields present in the data
+ */
+function getEventTransition(data = {}) {
+  const transition = {};
+  for (const field of TRANSITION_FIELDS) {
+    if (data[field] !== undefined) {
+      transition[field] = data[field];
+    }
+  }
+  if (data.tournament && typeof data.tournament === 'object' && data.tournament.eventType) {
+    transition.draw = data.tournament.eventType;
+  }
+  return transition;
+}
+
+/**
+ * Generate a deterministic event ID
+ * The ID depends only on what happened (tournament, match, type and the previous -> current
+ * status/score transition), not on when it was detected: wall-clock values such as the
+ * actualStart of a delayed match stay out of it, so webhook retries, the outbox and replays
+ * of the same API responses all produce the same ID. The same transition happening again in
+ * a match (a second break point at deuce, a second suspension) is told apart by its occurrence
+ * @param {string} eventType - Type of event (from EVENT_TYPES)
+ * @param {string|null} tournamentId - Tournament ID
+ * @param {string} matchId - Match identifier
+ * @param {Object} data - Event-specific data
+ * @param {number} [occurrence] - How many times this transition has happened in the match (1 for the first)
+ * @returns {string} Event ID ("evt_" followed by 32 hex characters)
+ */
+function generateEventId(eventType, tournamentId, matchId, data, occurrence = 1) {
+  const fields = [tournamentId || null, matchId || null, eventType, getEventTransition(data)];
+  // First occurrences keep the IDs they had before occurrences were counted
+  if (occurrence > 1) {
+    fields.push(occurrence);
+  }
+  const hash = crypto
+    .createHash('sha256')
+    .update(canonicalJson(fields))
+    .digest('hex');
+  return `evt_${hash.slice(0, 32)}`;
+}
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal data always hashes the same
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
 /**
  * Create a standardized event object
  * @param {string} eventType - Type of event (from EVENT_TYPES)
@@ -50,6 +128,7 @@ const EVENT_PRIORITY = {
  */
 function createEvent(eventType, tournamentId, matchId, description, data = {}, options = {}) {
   return {
+    event_id: generateEventId(eventType, tournamentId ? tournamentId.toString() : null, matchId, data),
     event_type: eventType,
     event_timestamp: options.timestamp || new Date().toISOString(),
     tournament_id: tournamentId ? tournamentId.toString() : null,
@@ -82,5 +161,6 @@ module.exports = {
   EVENT_TYPES,
   EVENT_PRIORITY,
   createEvent,
+  generateEventId,
   validateEvent
 };
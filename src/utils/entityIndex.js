@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const { parseScopedEndpoint } = require('./tournamentScope');
+
+/**
+ * Entity Index
+ *
+ * Splits live-matches and live-draw payloads into entities (matches and fixtures) and hashes each
+ * one, so consecutive polls are compared entity by entity instead of diffing the whole payload.
+ * Everything outside the entities (tournament and draw metadata) is covered by a shell hash.
+ * Other endpoints are indexed as a single whole-payload entity.
+ */
+
+// Entity array keyed per endpoint; these arrays are left out of the shell hash
+const ENTITY_ENDPOINTS = {
+  '/api/live-matches': { type: 'match', arrayKey: 'Matches' },
+  '/api/draws/live': { type: 'fixture', arrayKey: 'Fixtures' },
+};
+
+const WHOLE_PAYLOAD_KEY = '$';
+
+/**
+ * Hash a string
+ * MD5 is only used to detect changes here, not for integrity
+ * @param {string} value - String to hash
+ * @returns {string} Hex digest
+ */
+function hashString(value) {
+  return crypto.createHash('md5').update(value).digest('hex');
+}
+
+/**
+ * Hash a JSON value
+ * @param {*} value - JSON value
+ * @returns {string} Hex digest of its serialization
+ */
+function hashValue(value) {
+  const json = JSON.stringify(value);
+  return hashString(json === undefined ? 'undefined' : json);
+}
+
+/**
+ * Collect the matches of live matches data with their tournament context
+ * @param {Object|Array} data - /api/live-matches data
+ * @returns {Array|null} { value, source, pointer } per match, or null if the data structure is not recognized
+ */
+function collectLiveMatches(data) {
+  if (!data) return [];
+
+  if (Array.isArray(data)) {
+    return data.map((match, i) => ({ value: match, source: match, pointer: `/${i}` }));
+  }
+
+  // Nested ATP API structure: TournamentMatches[0].Matches[n]
+  if (Array.isArray(data.TournamentMatches)) {
+    const allMatches = [];
+    data.TournamentMatches.forEach((tournament, t) => {
+      if (tournament.Matches && Array.isArray(tournament.Matches)) {
+        tournament.Matches.forEach((match, m) => {
+          allMatches.push({
+            value: {
+              ...match,
+              // Preserve tournament information from parent context
+              _tournamentName: tournament.TournamentDisplayName,
+              _tournamentId: tournament.TournamentId,
+              _tournamentType: tournament.TournamentType,
+              _tournamentLevel: tournament.TournamentLevel,
+              _tournamentYear: tournament.TournamentYear
+            },
+            source: match,
+            pointer: `/TournamentMatches/${t}/Matches/${m}`
+          });
+        });
+      } else if (tournament.MatchId) {
+        // Flat structure - tournament objects are actually matches
+        allMatches.push({ value: tournament, source: tournament, pointer: `/TournamentMatches/${t}` });
+      }
+    });
+    return allMatches;
+  }
+
+  return null;
+}
+
+/**
+ * Collect the fixtures of draw data with their round, event and tournament context
+ * @param {Object} drawData - /api/draws/live data
+ * @returns {Array} { value, source, pointer } per fixture, where value has a `_context` object
+ */
+function collectDrawFixtures(drawData) {
+  if (!drawData || !drawData.Associations) {
+    return [];
+  }
+
+  const allFixtures = [];
+  drawData.Associations.forEach((association, a) => {
+    (association.Events || []).forEach((event, e) => {
+      (event.Rounds || []).forEach((round, r) => {
+        (round.Fixtures || []).forEach((fixture, f) => {
+          allFixtures.push({
+            value: {
+              ...fixture,
+              _context: {
+                tournamentId: association.TournamentId,
+                tournamentName: drawData.Location,
+                eventType: event.EventTypeCode,
+                eventDescription: event.Description,
+                roundId: round.RoundId,
+                roundName: round.RoundName,
+                roundIdModernized: round.RoundIdModernized
+              }
+            },
+            source: fixture,
+            pointer: `/Associations/${a}/Events/${e}/Rounds/${r}/Fixtures/${f}`
+          });
+        });
+      });
+    });
+  });
+  return allFixtures;
+}
+
+/**
+ * Extract all matches from live matches data with their tournament context
+ * @param {Object|Array} data - /api/live-matches data
+ * @returns {Array|null} Matches, or null if the data structure is not recognized
+ */
+function extractLiveMatches(data) {
+  const matches = collectLiveMatches(data);
+  return matches && matches.map(match => match.value);
+}
+
+/**
+ * Extract all fixtures from draw data with their round, event and tournament context
+ * @param {Object} drawData - /api/draws/live data
+ * @returns {Array} Fixtures with a `_context` object
+ */
+function extractDrawFixtures(drawData) {
+  return collectDrawFixtures(drawData).map(fixture => fixture.value);
+}
+
+/**
+ * Get the ID and key of an entity
+ * Match IDs and match codes are only unique within a tournament (and match codes within an event),
+ * so keys are qualified with the tournament ID and event type when known
+ * @param {string} type - Entity type ('match' or 'fixture')
+ * @param {Object} value - Match or fixture with its context
+ * @returns {Object} { id, key } with null values if the entity has no ID
+ */
+function getEntityKey(type, value) {
+  if (type === 'match') {
+    const id = (value && value.MatchId) || null;
+    return { id, key: id && value._tournamentId ? `${value._tournamentId}:${id}` : id };
+  }
+
+  const id = (value && value.MatchCode) || null;
+  const context = (value && value._context) || {};
+  const qualifiers = [context.tournamentId, context.eventType].filter(part => part !== undefined && part !== null && part !== '');
+  return { id, key: id ? [...qualifiers, id].join(':') : null };
+}
+
+/**
+ * Index a payload by entity
+ * @param {string} endpoint - API endpoint path (tournament-scoped paths are indexed like their base endpoint)
+ * @param {*} data - Payload
+ * @returns {Object} { endpoint, entityType, hash, shellHash, values, entities } where entities maps
+ *   keys to { key, id, value, source, pointer, hash } and values lists the extracted entities in payload
+ *   order. value carries the entity's context, source is the entity object within the payload and
+ *   pointer its JSON Pointer
+ */
+function indexPayload(endpoint, data) {
+  const definition = ENTITY_ENDPOINTS[parseScopedEndpoint(endpoint).endpoint];
+  let collected = null;
+  if (definition) {
+    collected = definition.type === 'match' ? collectLiveMatches(data) : collectDrawFixtures(data);
+  }
+
+  if (!collected) {
+    const hash = hashValue(data);
+    return {
+      endpoint,
+      entityType: null,
+      hash,
+      shellHash: null,
+      values: [data],
+      entities: new Map([[WHOLE_PAYLOAD_KEY, { key: WHOLE_PAYLOAD_KEY, id: null, value: data, source: data, pointer: '', hash }]]),
+    };
+  }
+
+  const entities = new Map();
+  const hashes = [];
+  collected.forEach(({ value, source, pointer }, position) => {
+    const { id, key } = getEntityKey(definition.type, value);
+    const hash = hashValue(value);
+    // Entities without an ID are tracked by position; duplicated keys keep the last entity
+    const entityKey = key || `#${position}`;
+    entities.set(entityKey, { key: entityKey, id, value, source, pointer, hash });
+    hashes.push(hash);
+  });
+
+  const shell = JSON.stringify(data, (key, value) => (key === definition.arrayKey && Array.isArray(value) ? undefined : value));
+  const shellHash = hashString(shell === undefined ? 'undefined' : shell);
+
+  return {
+    endpoint,
+    entityType: definition.type,
+    // Every entity hash is included in order, so duplicates and reordering change the payload hash too
+    hash: hashString(`${shellHash}:${hashes.join(',')}`),
+    shellHash,
+    values: collected.map(entity => entity.value),
+    entities,
+  };
+}
+
+/**
+ * Compare two indexes of the same endpoint
+ * @param {Object|null} previousIndex - Index of the previous payload (null on the first poll)
+ * @param {Object} currentIndex - Index of the current payload
+ * @returns {Object} { baseline, changed, hash, previousHash, added, removed, updated, index, previousIndex }
+ *   with the added, removed and updated entity keys
+ */
+function compareIndexes(previousIndex, currentIndex) {
+  const result = {
+    baseline: !previousIndex,
+    changed: true,
+    hash: currentIndex.hash,
+    previousHash: previousIndex ? previousIndex.hash : null,
+    added: [],
+    removed: [],
+    updated: [],
+    index: currentIndex,
+    previousIndex: previousIndex || null,
+  };
+
+  if (!previousIndex) {
+    result.added = Array.from(currentIndex.entities.keys());
+    return result;
+  }
+  if (previousIndex.hash === currentIndex.hash) {
+    result.changed = false;
+    return result;
+  }
+
+  for (const [key, entity] of currentIndex.entities) {
+    const previousEntity = previousIndex.entities.get(key);
+    if (!previousEntity) {
+      result.added.push(key);
+    } else if (previousEntity.hash !== entity.hash) {
+      result.updated.push(key);
+    }
+  }
+  for (const key of previousIndex.entities.keys()) {
+    if (!currentIndex.entities.has(key)) {
+      result.removed.push(key);
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  WHOLE_PAYLOAD_KEY,
+  hashValue,
+  extractLiveMatches,
+  extractDrawFixtures,
+  getEntityKey,
+  indexPayload,
+  compareIndexes,
+};
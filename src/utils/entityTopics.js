@@ -0,0 +1,170 @@
+/**
+ * Entity Topics
+ *
+ * WebSocket topics that follow single matches, courts or players instead of whole endpoints:
+ * match:<MatchId>, court:<CourtName> and player:<PlayerId>. They are served from the entity
+ * indexes of the live matches and live draw polls (see utils/entityIndex).
+ */
+
+const TOPIC_TYPES = ['match', 'court', 'player'];
+
+// Endpoints whose matches and fixtures are sliced into topics
+const TOPIC_ENDPOINTS = ['/api/live-matches', '/api/draws/live'];
+
+/**
+ * Parse an entity topic
+ * @param {*} topic - Subscription target, e.g. 'match:MS001' or 'court:Centre Court'
+ * @returns {Object|null} { type, value } or null if it is not a valid topic
+ */
+function parseTopic(topic) {
+  if (typeof topic !== 'string') {
+    return null;
+  }
+
+  const separator = topic.indexOf(':');
+  if (separator === -1) {
+    return null;
+  }
+
+  const type = topic.slice(0, separator);
+  const value = topic.slice(separator + 1).trim();
+  if (!TOPIC_TYPES.includes(type) || !value) {
+    return null;
+  }
+  return { type, value };
+}
+
+/**
+ * Get the player IDs taking part in a match or fixture
+ * @param {string} entityType - 'match' or 'fixture'
+ * @param {Object} value - Match or fixture
+ * @returns {Array<string>} Upper-cased player IDs (partners included)
+ */
+function getEntityPlayerIds(entityType, value) {
+  const ids = [];
+  if (entityType === 'match') {
+    [value.PlayerTeam1, value.PlayerTeam2].forEach(team => {
+      if (team) {
+        ids.push(team.PlayerId, team.PartnerId);
+      }
+    });
+  } else {
+    [value.DrawLineTop, value.DrawLineBottom].forEach(line => {
+      ((line && line.Players) || []).forEach(player => ids.push(player && player.PlayerId));
+    });
+  }
+  return ids.filter(Boolean).map(id => String(id).toUpperCase());
+}
+
+/**
+ * Check whether a match or fixture belongs to a topic
+ * Match topics accept the match ID (MatchId or MatchCode) or the tournament-qualified key
+ * (<TournamentId>:<MatchId>); courts are compared case-insensitively and only live matches have one
+ * @param {Object} topic - Parsed topic from parseTopic()
+ * @param {string} entityType - 'match' or 'fixture'
+ * @param {Object} entity - Indexed entity { key, id, value }
+ * @returns {boolean} True if the entity belongs to the topic
+ */
+function matchesTopic(topic, entityType, entity) {
+  const value = entity.value || {};
+  switch (topic.type) {
+  case 'match': {
+    const wanted = topic.value.toUpperCase();
+    return [entity.id, entity.key].some(id => id && String(id).toUpperCase() === wanted);
+  }
+  case 'court':
+    return entityType === 'match' && typeof value.CourtName === 'string' &&
+      value.CourtName.trim().toLowerCase() === topic.value.toLowerCase();
+  case 'player':
+    return getEntityPlayerIds(entityType, value).includes(topic.value.toUpperCase());
+  default:
+    return false;
+  }
+}
+
+/**
+ * Describe an entity for an entity-update message
+ * @param {string} topic - Topic
+ * @param {string} endpoint - Source endpoint
+ * @param {string} entityType - 'match' or 'fixture'
+ * @param {Object} entity - Indexed entity
+ * @param {boolean} removed - Whether the entity left the topic
+ * @returns {Object} { topic, endpoint, entityType, key, id, data, removed }
+ */
+function describeEntity(topic, endpoint, entityType, entity, removed) {
+  return {
+    topic,
+    endpoint,
+    entityType,
+    key: entity.key,
+    id: entity.id,
+    data: removed ? null : entity.value,
+    removed,
+  };
+}
+
+/**
+ * Get the current entities of a topic from an endpoint's latest index
+ * @param {string} topic - Topic
+ * @param {string} endpoint - Source endpoint
+ * @param {Object|null} index - Entity index of the endpoint's latest poll
+ * @returns {Array<Object>} Entity descriptions (see describeEntity)
+ */
+function getTopicEntities(topic, endpoint, index) {
+  const parsed = parseTopic(topic);
+  if (!parsed || !index || !index.entityType) {
+    return [];
+  }
+
+  const entities = [];
+  for (const entity of index.entities.values()) {
+    if (matchesTopic(parsed, index.entityType, entity)) {
+      entities.push(describeEntity(topic, endpoint, index.entityType, entity, false));
+    }
+  }
+  return entities;
+}
+
+/**
+ * Get the entity updates of a topic for a changed poll
+ * An entity is sent when it was added or updated and belongs to the topic, and reported as removed
+ * when it left the payload or no longer belongs to the topic (e.g. a match moved to another court)
+ * @param {string} topic - Topic
+ * @param {string} endpoint - Source endpoint
+ * @param {Object} changes - Changes from compareIndexes()
+ * @returns {Array<Object>} Entity descriptions (see describeEntity)
+ */
+function getTopicUpdates(topic, endpoint, changes) {
+  const parsed = parseTopic(topic);
+  const { index, previousIndex } = changes;
+  if (!parsed || !index.entityType) {
+    return [];
+  }
+
+  const updates = [];
+  for (const key of [...changes.added, ...changes.updated]) {
+    const entity = index.entities.get(key);
+    const previous = previousIndex && previousIndex.entities.get(key);
+    if (matchesTopic(parsed, index.entityType, entity)) {
+      updates.push(describeEntity(topic, endpoint, index.entityType, entity, false));
+    } else if (previous && matchesTopic(parsed, index.entityType, previous)) {
+      updates.push(describeEntity(topic, endpoint, index.entityType, previous, true));
+    }
+  }
+  for (const key of previousIndex && previousIndex.entityType ? changes.removed : []) {
+    const previous = previousIndex.entities.get(key);
+    if (matchesTopic(parsed, previousIndex.entityType, previous)) {
+      updates.push(describeEntity(topic, endpoint, previousIndex.entityType, previous, true));
+    }
+  }
+  return updates;
+}
+
+module.exports = {
+  TOPIC_TYPES,
+  TOPIC_ENDPOINTS,
+  parseTopic,
+  matchesTopic,
+  getTopicEntities,
+  getTopicUpdates,
+};
@@ -0,0 +1,234 @@
+const { diff } = require('json-diff-ts');
+
+/**
+ * JSON Patch (RFC 6902)
+ *
+ * Converts json-diff-ts changesets into JSON Patch operations for delta updates. Arrays are
+ * compared by index (json-diff-ts' default), so they only grow or shrink at the end and every
+ * operation path is valid when the patch is applied in order. Only add, remove and replace
+ * operations are produced.
+ */
+
+/**
+ * Escape a key for a JSON Pointer (RFC 6901)
+ * @param {string|number} key - Object key or array index
+ * @returns {string} Escaped reference token
+ */
+function escapePointerToken(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Unescape a JSON Pointer reference token
+ * @param {string} token - Escaped reference token
+ * @returns {string} Key
+ */
+function unescapePointerToken(token) {
+  return token.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+/**
+ * Append the operations of one json-diff-ts change
+ * @param {Array<Object>} patch - Operations so far
+ * @param {Object} change - json-diff-ts change
+ * @param {string} parentPointer - JSON Pointer of the changed value's parent
+ */
+function appendChange(patch, change, parentPointer) {
+  // Top-level arrays are reported as a change of '$root'
+  const path = change.key === '$root' ? parentPointer : `${parentPointer}/${escapePointerToken(change.key)}`;
+
+  if (change.changes) {
+    appendChanges(patch, change.changes, path, change.embeddedKey === '$index');
+    return;
+  }
+
+  switch (change.type) {
+  case 'ADD':
+    patch.push({ op: 'add', path, value: change.value });
+    break;
+  case 'REMOVE':
+    patch.push({ op: 'remove', path });
+    break;
+  default:
+    patch.push({ op: 'replace', path, value: change.value });
+  }
+}
+
+/**
+ * Append the operations of the changes within an object or array
+ * @param {Array<Object>} patch - Operations so far
+ * @param {Array<Object>} changes - json-diff-ts changes of the container
+ * @param {string} pointer - JSON Pointer of the container
+ * @param {boolean} isArray - Whether the container is an index-compared array
+ */
+function appendChanges(patch, changes, pointer, isArray) {
+  const added = new Map(changes.filter(change => change.type === 'ADD').map(change => [change.key, change]));
+  const removed = [];
+  for (const change of changes) {
+    if (change.type === 'REMOVE' && added.has(change.key)) {
+      // A value whose type changed is reported as REMOVE + ADD of the same key: replace it in place
+      appendChange(patch, { ...added.get(change.key), type: 'UPDATE' }, pointer);
+      added.delete(change.key);
+    } else if (change.type === 'REMOVE') {
+      removed.push(change);
+    } else if (change.type !== 'ADD') {
+      appendChange(patch, change, pointer);
+    }
+  }
+
+  if (!isArray) {
+    removed.forEach(change => appendChange(patch, change, pointer));
+    added.forEach(change => appendChange(patch, change, pointer));
+    return;
+  }
+
+  // Shrink from the end, then grow in order, so every index exists when its operation is applied
+  removed
+    .sort((a, b) => Number(b.key) - Number(a.key))
+    .forEach(change => appendChange(patch, change, pointer));
+  Array.from(added.values())
+    .sort((a, b) => Number(a.key) - Number(b.key))
+    .forEach(change => appendChange(patch, change, pointer));
+}
+
+/**
+ * Convert a json-diff-ts changeset to JSON Patch operations
+ * @param {Array<Object>} changeset - Changeset from json-diff-ts diff() without embeddedObjKeys
+ * @param {string} [basePointer] - JSON Pointer of the compared values within the document
+ * @returns {Array<Object>} JSON Patch operations
+ */
+function changesetToJsonPatch(changeset, basePointer = '') {
+  const patch = [];
+  appendChanges(patch, changeset, basePointer, false);
+  return patch;
+}
+
+/**
+ * Create the JSON Patch turning one value into another
+ * @param {*} previous - Previous value
+ * @param {*} current - Current value
+ * @param {string} [basePointer] - JSON Pointer of the values within the document
+ * @returns {Array<Object>} JSON Patch operations
+ */
+function createJsonPatch(previous, current, basePointer = '') {
+  return changesetToJsonPatch(diff(previous, current), basePointer);
+}
+
+/**
+ * Check whether entity changes can be patched entity by entity
+ * That is the case when only existing entities changed and every entity kept its position
+ * @param {Object} changes - Changes from compareIndexes()
+ * @returns {boolean} True if patching the updated entities is enough
+ */
+function canPatchEntities(changes) {
+  const { index, previousIndex } = changes;
+  if (!previousIndex || !index.entityType || changes.added.length > 0 || changes.removed.length > 0) {
+    return false;
+  }
+  if (index.shellHash !== previousIndex.shellHash || index.values.length !== previousIndex.values.length ||
+      index.entities.size !== index.values.length) {
+    return false;
+  }
+  for (const [key, entity] of index.entities) {
+    if (previousIndex.entities.get(key).pointer !== entity.pointer) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Create the JSON Patch between two polls of an endpoint
+ * When the change detector's changes cover these polls and only existing matches or fixtures
+ * changed, only those entities are diffed; otherwise the whole payloads are
+ * @param {*} previousData - Previous payload
+ * @param {*} currentData - Current payload
+ * @param {Object} [changes] - Changes from compareIndexes() between the two payloads
+ * @returns {Array<Object>} JSON Patch operations
+ */
+function createEntityPatch(previousData, currentData, changes = null) {
+  if (!changes || !canPatchEntities(changes)) {
+    return createJsonPatch(previousData, currentData);
+  }
+
+  const patch = [];
+  for (const key of changes.updated) {
+    const entity = changes.index.entities.get(key);
+    patch.push(...createJsonPatch(changes.previousIndex.entities.get(key).source, entity.source, entity.pointer));
+  }
+  return patch;
+}
+
+/**
+ * Deep-copy a JSON value (structuredClone is not available on Node 16)
+ * @param {*} value - JSON value
+ * @returns {*} Copy of the value
+ */
+function cloneJson(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Apply JSON Patch add, remove and replace operations
+ * Reference implementation of the client side of delta updates
+ * @param {*} document - Document to patch (not modified)
+ * @param {Array<Object>} patch - JSON Patch operations
+ * @returns {*} Patched copy of the document
+ */
+function applyJsonPatch(document, patch) {
+  let result = cloneJson(document);
+
+  for (const operation of patch) {
+    if (operation.path === '') {
+      if (operation.op === 'remove') {
+        throw new Error('Cannot remove the document root');
+      }
+      result = cloneJson(operation.value);
+      continue;
+    }
+
+    const tokens = operation.path.split('/').slice(1).map(unescapePointerToken);
+    const last = tokens.pop();
+    let parent = result;
+    for (const token of tokens) {
+      parent = parent[Array.isArray(parent) ? Number(token) : token];
+      if (parent === null || typeof parent !== 'object') {
+        throw new Error(`Path not found: ${operation.path}`);
+      }
+    }
+
+    const key = Array.isArray(parent) ? (last === '-' ? parent.length : Number(last)) : last;
+    switch (operation.op) {
+    case 'add':
+      if (Array.isArray(parent)) {
+        parent.splice(key, 0, cloneJson(operation.value));
+      } else {
+        parent[key] = cloneJson(operation.value);
+      }
+      break;
+    case 'remove':
+      if (Array.isArray(parent)) {
+        parent.splice(key, 1);
+      } else {
+        delete parent[key];
+      }
+      break;
+    case 'replace':
+      parent[key] = cloneJson(operation.value);
+      break;
+    default:
+      throw new Error(`Unsupported JSON Patch operation: ${operation.op}`);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  escapePointerToken,
+  changesetToJsonPatch,
+  createJsonPatch,
+  canPatchEntities,
+  createEntityPatch,
+  applyJsonPatch,
+};
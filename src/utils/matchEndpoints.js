@@ -0,0 +1,54 @@
+/**
+ * Helpers for match-parameterized endpoint paths
+ * Match statistics and H2H by match are polled per match, e.g. /api/match-stats/MS001 or
+ * /api/t/352/h2h/match/MS001; each distinct path gets its own polling loop and cache key
+ */
+
+const { parseScopedEndpoint, buildScopedEndpoint } = require('./tournamentScope');
+
+// Base endpoint -> ATP API client method taking the match ID
+const MATCH_ENDPOINTS = {
+  '/api/match-stats': 'getMatchStats',
+  '/api/h2h/match': 'getH2HByMatch',
+};
+
+const MATCH_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Split a match-parameterized endpoint into its parts
+ * @param {string} endpoint - Endpoint path, optionally tournament-scoped
+ * @returns {Object|null} { tournamentId, endpoint, matchId, method, liveEndpoint } where endpoint is the
+ *   base endpoint and liveEndpoint the live matches feed the match appears in; null for other paths
+ */
+function parseMatchEndpoint(endpoint) {
+  const { tournamentId, endpoint: path } = parseScopedEndpoint(endpoint);
+  if (typeof path !== 'string') {
+    return null;
+  }
+
+  for (const [baseEndpoint, method] of Object.entries(MATCH_ENDPOINTS)) {
+    const prefix = `${baseEndpoint}/`;
+    if (!path.startsWith(prefix)) {
+      continue;
+    }
+
+    const matchId = path.slice(prefix.length);
+    if (!MATCH_ID_PATTERN.test(matchId)) {
+      return null;
+    }
+    return {
+      tournamentId,
+      endpoint: baseEndpoint,
+      matchId,
+      method,
+      liveEndpoint: tournamentId ? buildScopedEndpoint(tournamentId, '/api/live-matches') : '/api/live-matches',
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  MATCH_ENDPOINTS,
+  parseMatchEndpoint,
+};
@@ -0,0 +1,101 @@
+/**
+ * Match Prefetch
+ *
+ * Picks the matches whose statistics and H2H are kept warm in the cache before clients ask for
+ * them: every unfinished match in the live matches feed, and the next match on each court in
+ * today's schedule (see services/pollingService).
+ */
+
+const FINISHED_STATUS = 'F';
+
+/**
+ * Get the ID of a schedule match
+ * @param {Object} match - Schedule match
+ * @returns {string|null} Match ID
+ */
+function getScheduleMatchId(match) {
+  const matchId = match && (match.MatchId || match.matchId);
+  return matchId ? String(matchId) : null;
+}
+
+/**
+ * Split the matches of the latest live matches poll into live and finished ones
+ * @param {Object|null} index - Entity index of the live matches poll (see utils/entityIndex)
+ * @returns {Object} { live, finished } sets of match IDs
+ */
+function getLiveMatchIds(index) {
+  const live = new Set();
+  const finished = new Set();
+  if (!index || index.entityType !== 'match') {
+    return { live, finished };
+  }
+
+  for (const entity of index.entities.values()) {
+    if (!entity.id) {
+      continue;
+    }
+    if (entity.value.Status === FINISHED_STATUS) {
+      finished.add(String(entity.id));
+    } else {
+      live.add(String(entity.id));
+    }
+  }
+  // A match with several entries counts as live while any of them is
+  live.forEach(matchId => finished.delete(matchId));
+  return { live, finished };
+}
+
+/**
+ * Get the next match on each court from a day of the schedule
+ * Matches are listed in order of play per court; the next one is the first that is neither live
+ * nor finished. Matches without a court share one queue
+ * @param {Object|null} schedule - /api/schedules data with DailySchedule[].Matches[]
+ * @param {string} date - Day of the schedule (YYYY-MM-DD)
+ * @param {Set<string>} skip - Match IDs that are live or finished
+ * @returns {Set<string>} Match IDs
+ */
+function getNextUpMatchIds(schedule, date, skip) {
+  const nextUp = new Set();
+  if (!schedule || !Array.isArray(schedule.DailySchedule)) {
+    return nextUp;
+  }
+
+  const day = schedule.DailySchedule.find(entry => typeof entry.IsoDate === 'string' && entry.IsoDate.slice(0, 10) === date);
+  const courts = new Set();
+  for (const match of (day && day.Matches) || []) {
+    const matchId = getScheduleMatchId(match);
+    const court = match && typeof match.CourtName === 'string' ? match.CourtName.trim().toLowerCase() : '';
+    if (!matchId || courts.has(court) || match.Status === FINISHED_STATUS || skip.has(matchId)) {
+      continue;
+    }
+    courts.add(court);
+    nextUp.add(matchId);
+  }
+  return nextUp;
+}
+
+/**
+ * Get the matches to prefetch
+ * @param {Object|null} liveIndex - Entity index of the latest live matches poll
+ * @param {Object|null} schedule - Latest /api/schedules data
+ * @param {string} date - Today (YYYY-MM-DD)
+ * @param {Set<string>} [finishedMatchIds] - Matches already known to have finished today
+ * @returns {Object} { live, nextUp, finished } sets of match IDs; finished includes the known ones
+ */
+function getPrefetchMatchIds(liveIndex, schedule, date, finishedMatchIds = new Set()) {
+  const { live, finished } = getLiveMatchIds(liveIndex);
+  finishedMatchIds.forEach(matchId => {
+    if (!live.has(matchId)) {
+      finished.add(matchId);
+    }
+  });
+
+  const nextUp = getNextUpMatchIds(schedule, date, new Set([...live, ...finished]));
+  return { live, nextUp, finished };
+}
+
+module.exports = {
+  getLiveMatchIds,
+  getNextUpMatchIds,
+  getPrefetchMatchIds,
+};
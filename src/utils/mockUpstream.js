@@ -0,0 +1,343 @@
+const fs = require('fs');
+const express = require('express');
+const LogReplay = require('./logReplay');
+const apiLogger = require('../services/apiLogger');
+
+/**
+ * Upstream ATP API paths served by the mock, mapped to the proxy endpoint whose
+ * API logger captures they are replayed from
+ */
+const UPSTREAM_ROUTES = [
+  { path: '/LiveMatches/tournament', endpoint: () => '/api/live-matches' },
+  { path: '/Draws/live', endpoint: () => '/api/draws/live' },
+  { path: '/Draws', endpoint: () => '/api/draws' },
+  { path: '/H2H/:playerId/:opponentId', endpoint: params => `/api/h2h/${params.playerId}/${params.opponentId}`, fallback: '/api/h2h' },
+  { path: '/H2H/:matchId', endpoint: params => `/api/h2h/match/${params.matchId}`, fallback: '/api/h2h/match' },
+  { path: '/MatchStats/:matchId', endpoint: params => `/api/match-stats/${params.matchId}`, fallback: '/api/match-stats' },
+  { path: '/PlayerList', endpoint: () => '/api/player-list' },
+  { path: '/Results', endpoint: () => '/api/results' },
+  { path: '/Schedules', endpoint: () => '/api/schedules' },
+  { path: '/TeamCupRankings', endpoint: () => '/api/team-cup-rankings' },
+  { path: '/Tournaments/:tournamentYear/:tournamentId', endpoint: params => `/api/tournaments/${params.tournamentYear}/${params.tournamentId}`, fallback: '/api/tournaments' },
+];
+
+/**
+ * Mock ATP Upstream
+ *
+ * Serves the ATP API paths called by AtpApiService from API logger captures,
+ * stepping through the recorded snapshots on a virtual clock with speed control.
+ * Point ATP_API_BASE_URL at it to develop offline.
+ */
+class MockUpstream {
+  /**
+   * @param {Object} [options] - Mock options
+   * @param {string} [options.logDir] - API logger capture directory
+   * @param {string} [options.tournamentId] - Prefer captures of this tournament's scoped endpoints (/api/t/:id/...)
+   * @param {number} [options.speed] - Virtual clock speed multiplier
+   * @param {boolean} [options.loop] - Restart from the first snapshot after the last one
+   * @param {Object} [options.filters] - Log discovery filters (date, dateStart, dateEnd, startTime, endTime)
+   * @param {Function} [options.clock] - Real time source in milliseconds (defaults to Date.now)
+   */
+  constructor(options = {}) {
+    this.logDir = options.logDir || './logs/api-responses';
+    this.tournamentId = options.tournamentId ? String(options.tournamentId) : null;
+    this.speed = options.speed || 1;
+    this.loop = options.loop || false;
+    this.filters = options.filters || {};
+    this.clock = options.clock || Date.now;
+
+    // Endpoint slug -> [{ time, path }] sorted by time
+    this.timelines = new Map();
+    this.startTime = null;
+    this.endTime = null;
+
+    // Virtual clock: virtual time = anchorVirtual + (real time since anchorReal) * speed
+    this.anchorVirtual = null;
+    this.anchorReal = null;
+    this.paused = false;
+
+    // Last snapshot read per slug, to avoid re-reading unchanged files
+    this.snapshotCache = new Map();
+  }
+
+  /**
+   * Discover captures for every endpoint in the log directory and build the timelines
+   * @returns {Promise<Object>} Load summary
+   */
+  async load() {
+    if (!fs.existsSync(this.logDir)) {
+      throw new Error(`Log directory '${this.logDir}' does not exist`);
+    }
+
+    const slugs = fs.readdirSync(this.logDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name);
+
+    const replay = new LogReplay({ logDir: this.logDir, endpoints: slugs });
+    const files = await replay.discoverLogFiles(this.filters);
+
+    this.timelines.clear();
+    this.snapshotCache.clear();
+    for (const file of files) {
+      if (!this.timelines.has(file.endpoint)) {
+        this.timelines.set(file.endpoint, []);
+      }
+      // Capture filenames carry no timezone; treat them as UTC for a consistent virtual clock
+      this.timelines.get(file.endpoint).push({ time: Date.parse(`${file.fullDatetime}Z`), path: file.path });
+    }
+
+    const times = files.map(file => Date.parse(`${file.fullDatetime}Z`));
+    this.startTime = times.length > 0 ? Math.min(...times) : null;
+    this.endTime = times.length > 0 ? Math.max(...times) : null;
+    this.seek(this.startTime);
+
+    return {
+      snapshots: files.length,
+      endpoints: Array.from(this.timelines.keys()),
+      startTime: this.startTime ? new Date(this.startTime).toISOString() : null,
+      endTime: this.endTime ? new Date(this.endTime).toISOString() : null,
+    };
+  }
+
+  // ===== VIRTUAL CLOCK =====
+
+  /**
+   * Get the current virtual time
+   * @returns {number|null} Virtual time in milliseconds, or null when nothing is loaded
+   */
+  now() {
+    if (this.anchorVirtual === null) {
+      return null;
+    }
+
+    let virtualNow = this.paused
+      ? this.anchorVirtual
+      : this.anchorVirtual + (this.clock() - this.anchorReal) * this.speed;
+
+    if (virtualNow > this.endTime && this.loop && this.endTime > this.startTime) {
+      const duration = this.endTime - this.startTime;
+      virtualNow = this.startTime + ((virtualNow - this.startTime) % duration);
+    }
+
+    return virtualNow;
+  }
+
+  /**
+   * Move the virtual clock to a given time
+   * @param {number|null} time - Virtual time in milliseconds
+   */
+  seek(time) {
+    this.anchorVirtual = time;
+    this.anchorReal = this.clock();
+  }
+
+  /**
+   * Change the clock speed without jumping in virtual time
+   * @param {number} speed - Speed multiplier (e.g. 10 = ten times real time)
+   */
+  setSpeed(speed) {
+    if (!(speed > 0)) {
+      throw new Error('Speed must be a positive number');
+    }
+    this.seek(this.now());
+    this.speed = speed;
+  }
+
+  /**
+   * Pause the virtual clock
+   */
+  pause() {
+    this.seek(this.now());
+    this.paused = true;
+  }
+
+  /**
+   * Resume the virtual clock
+   */
+  resume() {
+    this.seek(this.now());
+    this.paused = false;
+  }
+
+  /**
+   * Jump to the next snapshot on any endpoint
+   * @returns {number|null} New virtual time, or null if there are no later snapshots
+   */
+  step() {
+    const current = this.now();
+    let next = null;
+    for (const timeline of this.timelines.values()) {
+      const snapshot = timeline.find(entry => entry.time > current);
+      if (snapshot && (next === null || snapshot.time < next)) {
+        next = snapshot.time;
+      }
+    }
+
+    if (next !== null) {
+      this.seek(next);
+    }
+    return next;
+  }
+
+  // ===== SNAPSHOTS =====
+
+  /**
+   * Get candidate capture slugs for an upstream request, most specific first
+   * @param {Object} route - Matched entry from UPSTREAM_ROUTES
+   * @param {Object} params - Express route parameters
+   * @returns {Array<string>} Endpoint slugs
+   */
+  getCandidateSlugs(route, params) {
+    const endpoints = [route.endpoint(params)];
+    if (route.fallback) {
+      endpoints.push(route.fallback);
+    }
+
+    const slugs = [];
+    for (const endpoint of endpoints) {
+      if (this.tournamentId) {
+        slugs.push(apiLogger.slugifyEndpoint(`/api/t/${this.tournamentId}${endpoint.slice(4)}`));
+      }
+      slugs.push(apiLogger.slugifyEndpoint(endpoint));
+    }
+    return slugs;
+  }
+
+  /**
+   * Find the latest snapshot at or before the current virtual time
+   * @param {Array<string>} slugs - Candidate endpoint slugs
+   * @returns {Object|null} { slug, time, path } or null if nothing has been recorded yet
+   */
+  findSnapshot(slugs) {
+    const virtualNow = this.now();
+    for (const slug of slugs) {
+      const timeline = this.timelines.get(slug);
+      if (!timeline) {
+        continue;
+      }
+
+      let current = null;
+      for (const entry of timeline) {
+        if (entry.time > virtualNow) break;
+        current = entry;
+      }
+      return current ? { slug, ...current } : null;
+    }
+    return null;
+  }
+
+  /**
+   * Read the recorded API response of a snapshot
+   * @param {Object} snapshot - Snapshot from findSnapshot
+   * @returns {*} Recorded ATP API response data
+   */
+  readSnapshot(snapshot) {
+    const cached = this.snapshotCache.get(snapshot.slug);
+    if (cached && cached.path === snapshot.path) {
+      return cached.data;
+    }
+
+    const logData = JSON.parse(fs.readFileSync(snapshot.path, 'utf8'));
+    this.snapshotCache.set(snapshot.slug, { path: snapshot.path, data: logData.data });
+    return logData.data;
+  }
+
+  /**
+   * Get the mock status
+   * @returns {Object} Clock and timeline status
+   */
+  getStatus() {
+    const virtualNow = this.now();
+    const endpoints = {};
+    for (const [slug, timeline] of this.timelines) {
+      endpoints[slug] = {
+        snapshots: timeline.length,
+        played: timeline.filter(entry => entry.time <= virtualNow).length,
+      };
+    }
+
+    return {
+      virtualTime: virtualNow !== null ? new Date(virtualNow).toISOString() : null,
+      startTime: this.startTime ? new Date(this.startTime).toISOString() : null,
+      endTime: this.endTime ? new Date(this.endTime).toISOString() : null,
+      speed: this.speed,
+      paused: this.paused,
+      loop: this.loop,
+      finished: virtualNow !== null && !this.loop && virtualNow >= this.endTime,
+      tournamentId: this.tournamentId,
+      endpoints,
+    };
+  }
+
+  // ===== HTTP SERVER =====
+
+  /**
+   * Create the Express app serving upstream paths and the /_mock control API
+   * @returns {Object} Express app
+   */
+  createApp() {
+    const app = express();
+    app.use(express.json());
+
+    app.get('/_mock/status', (req, res) => {
+      res.json(this.getStatus());
+    });
+
+    app.post('/_mock/speed', (req, res) => {
+      const speed = parseFloat(req.body?.speed ?? req.query.speed);
+      if (!(speed > 0)) {
+        return res.status(400).json({ error: { message: 'speed must be a positive number', status: 400, timestamp: new Date().toISOString() } });
+      }
+      this.setSpeed(speed);
+      res.json(this.getStatus());
+    });
+
+    app.post('/_mock/pause', (req, res) => {
+      this.pause();
+      res.json(this.getStatus());
+    });
+
+    app.post('/_mock/resume', (req, res) => {
+      this.resume();
+      res.json(this.getStatus());
+    });
+
+    app.post('/_mock/step', (req, res) => {
+      this.step();
+      res.json(this.getStatus());
+    });
+
+    app.post('/_mock/seek', (req, res) => {
+      const time = Date.parse(req.body?.time ?? req.query.time);
+      if (isNaN(time)) {
+        return res.status(400).json({ error: { message: 'time must be an ISO date-time', status: 400, timestamp: new Date().toISOString() } });
+      }
+      this.seek(time);
+      res.json(this.getStatus());
+    });
+
+    for (const route of UPSTREAM_ROUTES) {
+      app.get(route.path, (req, res) => {
+        const snapshot = this.findSnapshot(this.getCandidateSlugs(route, req.params));
+        if (!snapshot) {
+          // The ATP API answers 404 when there is no data yet
+          return res.status(404).json({ message: 'No recorded data at the current virtual time' });
+        }
+
+        res.set('X-Mock-Snapshot-Time', new Date(snapshot.time).toISOString());
+        res.set('X-Mock-Virtual-Time', new Date(this.now()).toISOString());
+        res.json(this.readSnapshot(snapshot));
+      });
+    }
+
+    app.use((req, res) => {
+      res.status(404).json({ message: `No mock route for ${req.method} ${req.path}` });
+    });
+
+    return app;
+  }
+}
+
+MockUpstream.UPSTREAM_ROUTES = UPSTREAM_ROUTES;
+
+module.exports = MockUpstream;
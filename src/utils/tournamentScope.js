@@ -0,0 +1,63 @@
+/**
+ * Helpers for tournament-scoped endpoint paths
+ * Scoped endpoints look like /api/t/:tournamentId/live-matches and are used as
+ * cache keys, polling keys and event generator state keys for a single tournament
+ */
+
+const config = require('../config');
+
+const SCOPED_ENDPOINT_PATTERN = /^\/api\/t\/([^/]+)(\/.*)$/;
+
+/**
+ * Split a possibly tournament-scoped endpoint into its tournament ID and base endpoint
+ * @param {string} endpoint - Endpoint path (e.g. /api/t/352/live-matches or /api/live-matches)
+ * @returns {Object} { tournamentId, endpoint } - tournamentId is null for unscoped endpoints
+ */
+function parseScopedEndpoint(endpoint) {
+  const match = typeof endpoint === 'string' ? endpoint.match(SCOPED_ENDPOINT_PATTERN) : null;
+  if (!match) {
+    return { tournamentId: null, endpoint };
+  }
+
+  return {
+    tournamentId: decodeURIComponent(match[1]),
+    endpoint: `/api${match[2]}`
+  };
+}
+
+/**
+ * Build a tournament-scoped endpoint path
+ * @param {string} tournamentId - Tournament ID
+ * @param {string} endpoint - Base endpoint, with or without the /api prefix
+ * @returns {string} Scoped endpoint path
+ */
+function buildScopedEndpoint(tournamentId, endpoint) {
+  const path = endpoint.startsWith('/api/') ? endpoint.slice(4) : endpoint;
+  return `/api/t/${encodeURIComponent(tournamentId)}${path}`;
+}
+
+/**
+ * Resolve a request path to the most specific known proxy endpoint
+ * Known endpoints are the ones with a configured cache TTL (e.g. /api/h2h/match/123 -> /api/h2h/match)
+ * @param {string} path - Request path, with or without the /api prefix
+ * @returns {string|null} Matching endpoint or null if the path is not a proxied endpoint
+ */
+function resolveEndpoint(path) {
+  const pathWithApi = path.startsWith('/api/') ? path : `/api${path}`;
+
+  let bestMatch = null;
+  for (const endpoint of Object.keys(config.cache.endpoints)) {
+    const matches = pathWithApi === endpoint || pathWithApi.startsWith(`${endpoint}/`);
+    if (matches && (!bestMatch || endpoint.length > bestMatch.length)) {
+      bestMatch = endpoint;
+    }
+  }
+
+  return bestMatch;
+}
+
+module.exports = {
+  parseScopedEndpoint,
+  buildScopedEndpoint,
+  resolveEndpoint
+};
@@ -0,0 +1,275 @@
+const express = require('express');
+const { DEFAULT_TOLERANCE_SECONDS, verifySignature } = require('./webhookSignature');
+const { EVENT_TYPES } = require('../types/events');
+
+const KNOWN_EVENT_TYPES = new Set(Object.values(EVENT_TYPES));
+
+/**
+ * Webhook Receiver
+ *
+ * Reference implementation of the receiving side of ATP Live Proxy webhooks:
+ * verifies v1/v2 signatures against the raw body, enforces the timestamp tolerance,
+ * unbatches `events[]` payloads into individual events and drops events whose
+ * `event_id` was already processed. Use middleware() in an Express app, or
+ * createApp() for a standalone receiver that logs what it gets.
+ */
+class WebhookReceiver {
+  /**
+   * @param {Object} options - Receiver options
+   * @param {Array<string|Object>} options.secrets - Accepted secrets, as strings or { keyId, secret }
+   * @param {number} [options.toleranceSeconds] - Maximum age of a signed request (default 300)
+   * @param {number} [options.dedupeSize] - Processed event IDs remembered for deduplication (default 10000)
+   * @param {number} [options.historySize] - Received events kept for the /_receiver API (default 100)
+   */
+  constructor(options = {}) {
+    this.secrets = (options.secrets || []).filter(Boolean);
+    if (this.secrets.length === 0) {
+      throw new Error('Webhook receiver needs at least one secret');
+    }
+    this.toleranceSeconds = options.toleranceSeconds || DEFAULT_TOLERANCE_SECONDS;
+    this.dedupeSize = options.dedupeSize || 10000;
+    this.historySize = options.historySize || 100;
+
+    // Processed event_id -> time processed, oldest first (Map insertion order)
+    this.processed = new Map();
+    // Most recent received events, oldest first
+    this.history = [];
+    this.stats = {
+      requests: 0,
+      rejected: 0,
+      events: 0,
+      duplicates: 0,
+      unknownTypes: 0,
+    };
+  }
+
+  /**
+   * Split a payload into its events
+   * Batches carry their events in `events[]`; a single event is the payload itself
+   * @param {Object} payload - Parsed webhook body
+   * @returns {Array<Object>} Events, each with its delivery `timestamp`
+   */
+  unbatch(payload) {
+    if (!payload || typeof payload !== 'object') {
+      return [];
+    }
+    if (!Array.isArray(payload.events)) {
+      return [payload];
+    }
+    return payload.events.map(event => ({ ...event, timestamp: event.timestamp || payload.timestamp }));
+  }
+
+  /**
+   * Check whether an event was already processed
+   * @param {Object} event - Event
+   * @returns {boolean} True if its event_id was processed before
+   */
+  isDuplicate(event) {
+    return !!event.event_id && this.processed.has(event.event_id);
+  }
+
+  /**
+   * Remember events as processed, evicting the oldest IDs beyond dedupeSize
+   * @param {Array<Object>} events - Processed events
+   */
+  markProcessed(events) {
+    const now = Date.now();
+    for (const event of events) {
+      if (!event.event_id) {
+        continue;
+      }
+      this.processed.delete(event.event_id);
+      this.processed.set(event.event_id, now);
+    }
+    while (this.processed.size > this.dedupeSize) {
+      this.processed.delete(this.processed.keys().next().value);
+    }
+  }
+
+  /**
+   * Verify and decode a webhook request
+   * @param {string|Buffer} rawBody - Raw request body
+   * @param {Object} headers - Request headers
+   * @returns {Object} { valid, error, version, keyId, payload, batchId, events, duplicates }
+   */
+  receive(rawBody, headers) {
+    this.stats.requests++;
+    const verification = verifySignature(rawBody, headers, this.secrets, { toleranceSeconds: this.toleranceSeconds });
+    if (!verification.valid) {
+      this.stats.rejected++;
+      return { ...verification, payload: null, batchId: null, events: [], duplicates: 0 };
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody);
+    } catch (error) {
+      this.stats.rejected++;
+      return { valid: false, error: 'Body is not valid JSON', version: verification.version, keyId: null, payload: null, batchId: null, events: [], duplicates: 0 };
+    }
+
+    const received = this.unbatch(payload);
+    const events = received.filter(event => !this.isDuplicate(event));
+    this.stats.duplicates += received.length - events.length;
+    this.stats.unknownTypes += events.filter(event => !KNOWN_EVENT_TYPES.has(event.event_type)).length;
+
+    return {
+      valid: true,
+      error: null,
+      version: verification.version,
+      keyId: verification.keyId,
+      payload,
+      batchId: payload.batch_id || null,
+      events,
+      duplicates: received.length - events.length,
+    };
+  }
+
+  /**
+   * Create Express middleware verifying webhook requests
+   * Reads the raw body itself (or uses a Buffer/string from express.raw()/express.text()), so it
+   * must run before express.json(). Invalid requests are answered with 401. Valid requests get
+   * req.webhook = { version, keyId, batchId, events, duplicates } with only the new events and
+   * req.body set to the parsed payload; requests with only duplicates are acknowledged with 200
+   * without calling the handler. Events are remembered as processed once the handler answers 2xx,
+   * so a failed request is not deduplicated when the proxy retries it.
+   * @returns {Function} Express middleware function
+   */
+  middleware() {
+    return async (req, res, next) => {
+      let rawBody;
+      try {
+        rawBody = await readRawBody(req);
+      } catch (error) {
+        return next(error);
+      }
+
+      const result = this.receive(rawBody, req.headers);
+      if (!result.valid) {
+        console.warn(`[WEBHOOK RECEIVER] Rejected request to ${req.path}: ${result.error}`);
+        return res.status(401).json({
+          error: {
+            message: `Invalid webhook signature: ${result.error}`,
+            status: 401,
+            timestamp: new Date().toISOString(),
+          },
+        });
+      }
+
+      if (result.events.length === 0) {
+        console.log(`[WEBHOOK RECEIVER] Acknowledged ${result.duplicates} duplicate event(s) without processing`);
+        return res.status(200).json({ received: 0, duplicates: result.duplicates });
+      }
+
+      req.body = result.payload;
+      req.webhook = {
+        version: result.version,
+        keyId: result.keyId,
+        batchId: result.batchId,
+        events: result.events,
+        duplicates: result.duplicates,
+      };
+      res.on('finish', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          this.markProcessed(result.events);
+        }
+      });
+      next();
+    };
+  }
+
+  /**
+   * Record events in the receiver history
+   * @param {Array<Object>} events - Received events
+   */
+  record(events) {
+    this.stats.events += events.length;
+    this.history.push(...events.map(event => ({ ...event, received_at: new Date().toISOString() })));
+    if (this.history.length > this.historySize) {
+      this.history.splice(0, this.history.length - this.historySize);
+    }
+  }
+
+  /**
+   * Get the receiver status
+   * @returns {Object} Stats and remembered event ID count
+   */
+  getStatus() {
+    return {
+      ...this.stats,
+      processedEventIds: this.processed.size,
+      toleranceSeconds: this.toleranceSeconds,
+    };
+  }
+
+  // ===== HTTP SERVER =====
+
+  /**
+   * Create a standalone receiver app
+   * Accepts webhooks on any POST path, and serves GET /_receiver/status and /_receiver/events
+   * @param {Object} [options] - App options
+   * @param {Function} [options.onEvent] - Called with each new event and its request's req.webhook
+   * @param {number} [options.failRate] - Fraction of requests answered with 500, to exercise sender retries
+   * @returns {Object} Express app
+   */
+  createApp({ onEvent, failRate = 0 } = {}) {
+    const app = express();
+
+    app.get('/_receiver/status', (req, res) => {
+      res.json(this.getStatus());
+    });
+
+    app.get('/_receiver/events', (req, res) => {
+      res.json({ events: this.history.slice().reverse() });
+    });
+
+    app.post('*', this.middleware(), (req, res) => {
+      const { webhook } = req;
+      if (failRate > 0 && Math.random() < failRate) {
+        console.log(`[WEBHOOK RECEIVER] Failing request with ${webhook.events.length} event(s) on purpose`);
+        return res.status(500).json({ error: { message: 'Simulated receiver failure', status: 500, timestamp: new Date().toISOString() } });
+      }
+
+      console.log(`[WEBHOOK RECEIVER] ${webhook.version} request (key ${webhook.keyId}): ${webhook.events.length} new event(s), ${webhook.duplicates} duplicate(s)${webhook.batchId ? ` in ${webhook.batchId}` : ''}`);
+      for (const event of req.webhook.events) {
+        if (onEvent) {
+          onEvent(event, req.webhook);
+        }
+      }
+      this.record(req.webhook.events);
+      res.json({ received: req.webhook.events.length, duplicates: req.webhook.duplicates });
+    });
+
+    app.use((req, res) => {
+      res.status(404).json({ message: `No receiver route for ${req.method} ${req.path}` });
+    });
+
+    return app;
+  }
+}
+
+/**
+ * Read the raw body of a request
+ * @param {Object} req - Express request
+ * @returns {Promise<Buffer>} Raw body
+ */
+function readRawBody(req) {
+  if (Buffer.isBuffer(req.body)) {
+    return Promise.resolve(req.body);
+  }
+  if (typeof req.body === 'string') {
+    return Promise.resolve(Buffer.from(req.body, 'utf8'));
+  }
+  if (req.readableEnded) {
+    return Promise.reject(new Error('Webhook body was already parsed; mount the webhook middleware before express.json()'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+module.exports = WebhookReceiver;
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+
+/**
+ * Webhook signature schemes
+ *
+ * v1 (legacy): X-ATP-Live-Signature: sha256=<hex>
+ *   HMAC-SHA256 of the JSON body followed by the body's `timestamp` field, with a single secret.
+ *
+ * v2: X-ATP-Live-Timestamp: <unix seconds>
+ *     X-ATP-Live-Signature: v2=<keyId>:<hex>,v2=<keyId>:<hex>
+ *   HMAC-SHA256 of "<timestamp>.<body>", one entry per active secret so receivers keep
+ *   verifying while a secret is rotated. Receivers reject timestamps outside a tolerance window.
+ */
+
+const SIGNATURE_VERSIONS = {
+  V1: 'v1',
+  V2: 'v2'
+};
+
+const SIGNATURE_HEADER = 'X-ATP-Live-Signature';
+const TIMESTAMP_HEADER = 'X-ATP-Live-Timestamp';
+
+// Default maximum age (and clock skew) of a signed request accepted by receivers, in seconds
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+const KEY_ID_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+/**
+ * Derive a key ID from a secret, for secrets configured without one
+ * Only a short prefix of the secret's SHA-256 hash is used, so the secret is not exposed
+ * @param {string} secret - Signing secret
+ * @returns {string} Key ID (8 hex characters)
+ */
+function deriveKeyId(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex').slice(0, 8);
+}
+
+/**
+ * Compute a v1 signature
+ * @param {string} payload - JSON body
+ * @param {string} timestamp - The body's ISO `timestamp` field
+ * @param {string} secret - Signing secret
+ * @returns {string} Signature in format "sha256=<hex>"
+ */
+function signV1(payload, timestamp, secret) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(payload + timestamp)
+    .digest('hex');
+  return `sha256=${signature}`;
+}
+
+/**
+ * Compute v2 signature header entries
+ * @param {string} payload - JSON body
+ * @param {number} timestamp - Unix time in seconds (the X-ATP-Live-Timestamp header)
+ * @param {Array<Object>} secrets - Active secrets [{ keyId, secret }], primary first
+ * @returns {string} X-ATP-Live-Signature header value
+ */
+function signV2(payload, timestamp, secrets) {
+  return secrets
+    .map(({ keyId, secret }) => {
+      const signature = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${payload}`)
+        .digest('hex');
+      return `v2=${keyId}:${signature}`;
+    })
+    .join(',');
+}
+
+/**
+ * Build the signature headers of a webhook request
+ * @param {string} payload - JSON body
+ * @param {Object} options - Signing options
+ * @param {string} options.version - SIGNATURE_VERSIONS value
+ * @param {Array<Object>} options.secrets - Active secrets [{ keyId, secret }], primary first (v1 uses the primary only)
+ * @param {string} [options.bodyTimestamp] - The body's ISO `timestamp` field (required for v1)
+ * @param {number} [options.now] - Current time in ms (defaults to Date.now())
+ * @returns {Object} Headers to add to the request
+ */
+function buildSignatureHeaders(payload, { version, secrets, bodyTimestamp, now = Date.now() }) {
+  if (!secrets || secrets.length === 0) {
+    throw new Error('Webhook secret not configured');
+  }
+
+  if (version === SIGNATURE_VERSIONS.V2) {
+    const timestamp = Math.floor(now / 1000);
+    return {
+      [TIMESTAMP_HEADER]: String(timestamp),
+      [SIGNATURE_HEADER]: signV2(payload, timestamp, secrets)
+    };
+  }
+
+  return {
+    [SIGNATURE_HEADER]: signV1(payload, bodyTimestamp, secrets[0].secret)
+  };
+}
+
+/**
+ * Parse a v2 signature header into its entries
+ * @param {string} header - X-ATP-Live-Signature header value
+ * @returns {Array<Object>} Entries [{ keyId, signature }]
+ */
+function parseV2Header(header) {
+  return String(header)
+    .split(',')
+    .map(entry => entry.trim().match(/^v2=([A-Za-z0-9_.-]+):([0-9a-f]{64})$/))
+    .filter(Boolean)
+    .map(([, keyId, signature]) => ({ keyId, signature }));
+}
+
+/**
+ * Compare two hex signatures in constant time
+ * @param {string} expected - Expected hex signature
+ * @param {string} actual - Received hex signature
+ * @returns {boolean} True if equal
+ */
+function safeEqual(expected, actual) {
+  const a = Buffer.from(expected, 'utf8');
+  const b = Buffer.from(actual, 'utf8');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Verify the signature of a received webhook request
+ * The version is detected from the headers: v2 when X-ATP-Live-Timestamp is present, v1 otherwise
+ * @param {string|Buffer} payload - Raw request body
+ * @param {Object} headers - Request headers (names are matched case-insensitively)
+ * @param {Array<string|Object>} secrets - Accepted secrets, as strings or { keyId, secret }
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.toleranceSeconds] - Maximum age of the signed timestamp (default 300)
+ * @param {number} [options.now] - Current time in ms (defaults to Date.now())
+ * @returns {Object} { valid, version, keyId, error }
+ */
+function verifySignature(payload, headers, secrets, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+  const body = Buffer.isBuffer(payload) ? payload.toString('utf8') : String(payload);
+  const header = (name) => {
+    const key = Object.keys(headers || {}).find(candidate => candidate.toLowerCase() === name.toLowerCase());
+    return key !== undefined ? headers[key] : undefined;
+  };
+  const keys = (secrets || [])
+    .filter(Boolean)
+    .map(entry => (typeof entry === 'string' ? { keyId: deriveKeyId(entry), secret: entry } : entry));
+  const invalid = (version, error) => ({ valid: false, version, keyId: null, error });
+
+  if (keys.length === 0) {
+    return invalid(null, 'No webhook secret configured');
+  }
+
+  const signatureHeader = header(SIGNATURE_HEADER);
+  if (!signatureHeader) {
+    return invalid(null, `Missing ${SIGNATURE_HEADER} header`);
+  }
+
+  const timestampHeader = header(TIMESTAMP_HEADER);
+  if (timestampHeader !== undefined) {
+    const timestamp = Number(timestampHeader);
+    if (!Number.isInteger(timestamp)) {
+      return invalid(SIGNATURE_VERSIONS.V2, `Invalid ${TIMESTAMP_HEADER} header`);
+    }
+    if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+      return invalid(SIGNATURE_VERSIONS.V2, 'Timestamp outside the tolerance window');
+    }
+
+    const entries = parseV2Header(signatureHeader);
+    for (const { keyId, signature } of entries) {
+      // Entries with a known key ID are checked against that secret only; unknown ones against all
+      const candidates = keys.some(key => key.keyId === keyId) ? keys.filter(key => key.keyId === keyId) : keys;
+      const match = candidates.find(key => safeEqual(
+        crypto.createHmac('sha256', key.secret).update(`${timestamp}.${body}`).digest('hex'),
+        signature
+      ));
+      if (match) {
+        return { valid: true, version: SIGNATURE_VERSIONS.V2, keyId: match.keyId, error: null };
+      }
+    }
+    return invalid(SIGNATURE_VERSIONS.V2, entries.length > 0 ? 'No signature matches' : `Malformed ${SIGNATURE_HEADER} header`);
+  }
+
+  // v1: the signed timestamp is the body's timestamp field
+  let bodyTimestamp;
+  try {
+    bodyTimestamp = JSON.parse(body).timestamp;
+  } catch (error) {
+    return invalid(SIGNATURE_VERSIONS.V1, 'Body is not valid JSON');
+  }
+  const time = Date.parse(bodyTimestamp);
+  if (isNaN(time)) {
+    return invalid(SIGNATURE_VERSIONS.V1, 'Body has no valid timestamp');
+  }
+  if (Math.abs(now - time) / 1000 > toleranceSeconds) {
+    return invalid(SIGNATURE_VERSIONS.V1, 'Timestamp outside the tolerance window');
+  }
+
+  const match = keys.find(key => safeEqual(signV1(body, bodyTimestamp, key.secret), String(signatureHeader)));
+  return match
+    ? { valid: true, version: SIGNATURE_VERSIONS.V1, keyId: match.keyId, error: null }
+    : invalid(SIGNATURE_VERSIONS.V1, 'No signature matches');
+}
+
+module.exports = {
+  SIGNATURE_VERSIONS,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  DEFAULT_TOLERANCE_SECONDS,
+  KEY_ID_PATTERN,
+  deriveKeyId,
+  signV1,
+  signV2,
+  buildSignatureHeaders,
+  verifySignature
+};
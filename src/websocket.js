@@ -1,8 +1,20 @@
 const { Server } = require('socket.io');
 const subscriptionService = require('./services/subscriptionService');
+const eventSubscriptionService = require('./services/eventSubscriptionService');
+const streamBuffer = require('./services/streamBuffer');
+const sseService = require('./services/sseService');
+const deltaService = require('./services/deltaService');
 const pollingService = require('./services/pollingService');
 const cacheService = require('./services/cache');
-const { getEndpointTtl } = require('./middleware/cache');
+const tournamentRegistry = require('./services/tournamentRegistry');
+const changeDetector = require('./services/changeDetector');
+const { parseScopedEndpoint } = require('./utils/tournamentScope');
+const { TOPIC_ENDPOINTS, parseTopic, getTopicEntities } = require('./utils/entityTopics');
+const { parseMatchEndpoint } = require('./utils/matchEndpoints');
+const { getEndpointTtl, getCacheKey } = require('./middleware/cache');
+
+// Update modes of endpoint subscriptions: full snapshots on every poll, or one snapshot then JSON Patches
+const SUBSCRIPTION_MODES = ['full', 'delta'];
 
 /**
  * WebSocket server setup and event handling
@@ -59,6 +71,21 @@ class WebSocketServer {
         this.handleGetData(socket, endpoint);
       });
 
+      // Handle snapshot requests from delta clients that detected a version gap
+      socket.on('resync', (endpoints) => {
+        this.handleResync(socket, endpoints);
+      });
+
+      // Handle event subscription requests
+      socket.on('subscribe-events', (filters) => {
+        this.handleSubscribeEvents(socket, filters);
+      });
+
+      // Handle event unsubscription requests
+      socket.on('unsubscribe-events', () => {
+        this.handleUnsubscribeEvents(socket);
+      });
+
       // Handle disconnect
       socket.on('disconnect', () => {
         this.handleDisconnect(socket);
@@ -76,34 +103,90 @@ class WebSocketServer {
           '/api/player-list',
           '/api/results',
           '/api/schedules',
-          '/api/team-cup-rankings'
-        ]
+          '/api/team-cup-rankings',
+          '/api/match-stats/:matchId',
+          '/api/h2h/match/:matchId'
+        ],
+        // Tournament-scoped endpoints: /api/t/:tournamentId/<endpoint>
+        availableTournaments: tournamentRegistry.getIds()
       });
     });
   }
 
   /**
    * Handle subscription request
+   * Accepts endpoint(s) and entity topics (match:<MatchId>, court:<name>, player:<PlayerId>),
+   * or { endpoints, mode, resume: { lastSeq } }.
+   * When resuming, only endpoints updated since lastSeq are sent; if the gap is no longer
+   * buffered every endpoint gets a full snapshot marked resync: true.
+   * With mode: 'delta' the client gets a versioned snapshot now, then data-patch messages for
+   * changed polls and nothing for unchanged ones. Topics ignore mode and resume: their current
+   * matches and fixtures are sent as entity-update messages, followed by each change
    * @param {Object} socket - Socket instance
-   * @param {string|Array} endpoints - Endpoint(s) to subscribe to
+   * @param {string|Array|Object} request - Endpoint(s) to subscribe to
+   * @returns {Promise<void>}
    */
-  handleSubscribe(socket, endpoints) {
+  async handleSubscribe(socket, request) {
+    const isRequestObject = request !== null && typeof request === 'object' && !Array.isArray(request);
+    const endpoints = isRequestObject ? request.endpoints : request;
     const endpointList = Array.isArray(endpoints) ? endpoints : [endpoints];
 
+    const mode = (isRequestObject && request.mode) || 'full';
+    if (!SUBSCRIPTION_MODES.includes(mode)) {
+      socket.emit('error', {
+        message: `Invalid mode: ${mode}. Must be one of: ${SUBSCRIPTION_MODES.join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    let missed = null;
+    if (isRequestObject && request.resume) {
+      const lastSeq = this.parseResume(socket, request.resume);
+      if (lastSeq === null) {
+        return;
+      }
+      missed = { lastSeq, ...streamBuffer.getSince(lastSeq) };
+    }
+
     for (const endpoint of endpointList) {
-      if (this.isValidEndpoint(endpoint)) {
+      if (parseTopic(endpoint)) {
+        subscriptionService.subscribe(socket.id, endpoint);
+        pollingService.onSubscriptionAdded(endpoint);
+
+        socket.emit('subscribed', {
+          endpoint,
+          topic: true,
+          message: `Subscribed to ${endpoint}`,
+          timestamp: new Date().toISOString()
+        });
+        this.sendTopicEntities(socket, endpoint);
+      } else if (this.isValidEndpoint(endpoint)) {
         subscriptionService.subscribe(socket.id, endpoint);
+        deltaService.setMode(socket.id, endpoint, mode);
         pollingService.onSubscriptionAdded(endpoint);
 
         // Send confirmation
         socket.emit('subscribed', {
           endpoint,
+          mode,
           message: `Subscribed to ${endpoint}`,
+          ...(missed && { resume: { lastSeq: missed.lastSeq, complete: missed.complete } }),
           timestamp: new Date().toISOString()
         });
 
-        // Send current cached data immediately
-        this.sendCachedData(socket, endpoint);
+        if (mode === 'delta') {
+          // Patches need a known base version, so delta clients always start from a snapshot
+          await this.sendSnapshot(socket, endpoint, missed && !missed.complete ? { resync: true } : {});
+        } else if (!missed) {
+          // Send current cached data immediately
+          await this.sendCachedData(socket, endpoint);
+        } else if (!missed.complete) {
+          await this.sendCachedData(socket, endpoint, { resync: true });
+        } else if (missed.entries.some(entry => entry.type === 'data-update' && entry.endpoint === endpoint)) {
+          // The latest snapshot supersedes every update missed in between
+          await this.sendCachedData(socket, endpoint);
+        }
       } else {
         socket.emit('error', {
           message: `Invalid endpoint: ${endpoint}`,
@@ -113,6 +196,24 @@ class WebSocketServer {
     }
   }
 
+  /**
+   * Validate a resume request, emitting an error when invalid
+   * @param {Object} socket - Socket instance
+   * @param {Object} resume - { lastSeq } from the client
+   * @returns {number|null} Last sequence ID, or null when invalid
+   */
+  parseResume(socket, resume) {
+    const lastSeq = resume && Number(resume.lastSeq);
+    if (!Number.isInteger(lastSeq) || lastSeq < 0) {
+      socket.emit('error', {
+        message: 'Invalid resume: lastSeq must be a non-negative integer',
+        timestamp: new Date().toISOString()
+      });
+      return null;
+    }
+    return lastSeq;
+  }
+
   /**
    * Handle unsubscription request
    * @param {Object} socket - Socket instance
@@ -123,6 +224,7 @@ class WebSocketServer {
     
     for (const endpoint of endpointList) {
       subscriptionService.unsubscribe(socket.id, endpoint);
+      deltaService.setMode(socket.id, endpoint, 'full');
       pollingService.onSubscriptionRemoved(endpoint);
       
       socket.emit('unsubscribed', {
@@ -149,11 +251,14 @@ class WebSocketServer {
   /**
    * Handle immediate data request
    * @param {Object} socket - Socket instance
-   * @param {string} endpoint - Endpoint to get data for
+   * @param {string} endpoint - Endpoint or entity topic to get data for
+   * @returns {Promise<void>}
    */
-  handleGetData(socket, endpoint) {
-    if (this.isValidEndpoint(endpoint)) {
-      this.sendCachedData(socket, endpoint);
+  async handleGetData(socket, endpoint) {
+    if (parseTopic(endpoint)) {
+      this.sendTopicEntities(socket, endpoint);
+    } else if (this.isValidEndpoint(endpoint)) {
+      await this.sendCachedData(socket, endpoint);
     } else {
       socket.emit('error', {
         message: `Invalid endpoint: ${endpoint}`,
@@ -162,36 +267,140 @@ class WebSocketServer {
     }
   }
 
+  /**
+   * Handle resync request
+   * A delta client that receives a data-patch whose baseVersion is not the version it holds asks
+   * for the latest snapshot again; it is sent as a data-update marked resync: true
+   * @param {Object} socket - Socket instance
+   * @param {string|Array} endpoints - Subscribed endpoint(s) to resync
+   * @returns {Promise<void>}
+   */
+  async handleResync(socket, endpoints) {
+    const endpointList = Array.isArray(endpoints) ? endpoints : [endpoints];
+    const subscriptions = subscriptionService.getSocketSubscriptions(socket.id);
+
+    for (const endpoint of endpointList) {
+      if (!subscriptions.has(endpoint)) {
+        socket.emit('error', {
+          message: `Not subscribed to ${endpoint}`,
+          timestamp: new Date().toISOString()
+        });
+        continue;
+      }
+
+      if (parseTopic(endpoint)) {
+        this.sendTopicEntities(socket, endpoint, { resync: true });
+      } else if (deltaService.isDelta(socket.id, endpoint)) {
+        await this.sendSnapshot(socket, endpoint, { resync: true });
+      } else {
+        await this.sendCachedData(socket, endpoint, { resync: true });
+      }
+    }
+  }
+
+  /**
+   * Handle event subscription request
+   * Replaces any previous filters of the socket. With resume: { lastSeq }, buffered events
+   * matching the filters are replayed first; resume.complete is false when the gap is no
+   * longer buffered and the client should reload its snapshots
+   * @param {Object} socket - Socket instance
+   * @param {Object} [filters] - { eventTypes, tournamentId, matchIds, playerIds, minPriority, resume }
+   */
+  handleSubscribeEvents(socket, filters) {
+    const isFilterObject = filters !== null && typeof filters === 'object' && !Array.isArray(filters);
+    const { resume, ...eventFilters } = isFilterObject ? filters : {};
+    const lastSeq = resume ? this.parseResume(socket, resume) : null;
+    if (resume && lastSeq === null) {
+      return;
+    }
+
+    let normalized;
+    try {
+      normalized = eventSubscriptionService.subscribe(
+        socket.id,
+        isFilterObject ? eventFilters : (filters || {}),
+        (event) => socket.emit('event', event)
+      );
+    } catch (error) {
+      socket.emit('error', {
+        message: `Invalid event filters: ${error.message}`,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const missed = resume ? eventSubscriptionService.getMissedEvents(socket.id, lastSeq) : null;
+    socket.emit('events-subscribed', {
+      filters: normalized,
+      message: 'Subscribed to events',
+      ...(missed && { resume: { lastSeq, complete: missed.complete, replayed: missed.events.length } }),
+      timestamp: new Date().toISOString()
+    });
+
+    // Replay missed events in order before live events continue
+    if (missed) {
+      missed.events.forEach(event => socket.emit('event', event));
+    }
+  }
+
+  /**
+   * Handle event unsubscription request
+   * @param {Object} socket - Socket instance
+   */
+  handleUnsubscribeEvents(socket) {
+    eventSubscriptionService.unsubscribe(socket.id);
+
+    socket.emit('events-unsubscribed', {
+      message: 'Unsubscribed from events',
+      timestamp: new Date().toISOString()
+    });
+  }
+
   /**
    * Handle client disconnect
+   * Polling for endpoints left without subscribers is stopped
    * @param {Object} socket - Socket instance
    */
   handleDisconnect(socket) {
     console.log(`[WEBSOCKET] Client disconnected: ${socket.id}`);
+    const endpoints = Array.from(subscriptionService.getSocketSubscriptions(socket.id));
     subscriptionService.removeSocket(socket.id);
+    deltaService.removeSocket(socket.id);
+    eventSubscriptionService.removeSocket(socket.id);
+    endpoints.forEach(endpoint => pollingService.onSubscriptionRemoved(endpoint));
   }
 
   /**
    * Send cached data to a specific socket
+   * The update carries the sequence ID of the endpoint's latest broadcast and the content version.
+   * Unchanged polls are not rebroadcast, so without a cache (CACHE_ENABLED=false) the latest
+   * polled snapshot is sent instead
    * @param {Object} socket - Socket instance
    * @param {string} endpoint - Endpoint path
+   * @param {Object} [extra] - Additional fields for the message (e.g. resync: true)
+   * @returns {Promise<void>}
    */
-  sendCachedData(socket, endpoint) {
-    const cacheKey = cacheService.generateKey(endpoint);
-    const cachedData = cacheService.get(cacheKey);
+  async sendCachedData(socket, endpoint, extra = {}) {
+    const cacheKey = getCacheKey(endpoint);
+    const snapshot = deltaService.getSnapshot(endpoint);
+    const cachedData = (await cacheService.get(cacheKey)) || (snapshot && snapshot.data);
+    const seq = streamBuffer.getEndpointSeq(endpoint);
     
     if (cachedData) {
-      const remainingTtl = cacheService.getTtl(cacheKey);
+      const remainingTtl = await cacheService.getTtl(cacheKey);
       const response = {
         data: cachedData,
         cached: true,
         timestamp: new Date().toISOString(),
         ttl: remainingTtl,
+        seq,
+        ...deltaService.getVersionInfo(endpoint, cachedData),
       };
       
       socket.emit('data-update', {
         endpoint,
-        ...response
+        ...response,
+        ...extra
       });
     } else {
       // No cached data available
@@ -201,17 +410,74 @@ class WebSocketServer {
         cached: false,
         timestamp: new Date().toISOString(),
         ttl: getEndpointTtl(endpoint),
-        message: 'No cached data available'
+        seq,
+        message: 'No cached data available',
+        ...extra
       });
     }
   }
 
+  /**
+   * Send the current matches and fixtures of an entity topic to a specific socket
+   * They come from the latest live matches and live draw polls; nothing is sent before those polls
+   * @param {Object} socket - Socket instance
+   * @param {string} topic - Entity topic
+   * @param {Object} [extra] - Additional fields for each message (e.g. resync: true)
+   */
+  sendTopicEntities(socket, topic, extra = {}) {
+    const timestamp = new Date().toISOString();
+    for (const endpoint of TOPIC_ENDPOINTS) {
+      for (const entity of getTopicEntities(topic, endpoint, changeDetector.getIndex(endpoint))) {
+        socket.emit('entity-update', { ...entity, cached: true, timestamp, ...extra });
+      }
+    }
+  }
+
+  /**
+   * Send the latest versioned snapshot to a delta client
+   * Before the endpoint's first poll there is no version yet; the cached data is sent instead and
+   * the client gets a versioned snapshot with the first poll
+   * @param {Object} socket - Socket instance
+   * @param {string} endpoint - Endpoint path
+   * @param {Object} [extra] - Additional fields for the message (e.g. resync: true)
+   * @returns {Promise<void>}
+   */
+  async sendSnapshot(socket, endpoint, extra = {}) {
+    const snapshot = deltaService.getSnapshot(endpoint);
+    if (!snapshot) {
+      await this.sendCachedData(socket, endpoint, extra);
+      return;
+    }
+
+    const cacheKey = getCacheKey(endpoint);
+    socket.emit('data-update', {
+      endpoint,
+      data: snapshot.data,
+      cached: true,
+      timestamp: new Date().toISOString(),
+      ttl: await cacheService.getTtl(cacheKey),
+      seq: streamBuffer.getEndpointSeq(endpoint),
+      version: snapshot.version,
+      hash: snapshot.hash,
+      ...extra
+    });
+    deltaService.markSent(socket.id, endpoint, snapshot.version, !!extra.resync);
+  }
+
   /**
    * Check if an endpoint is valid
+   * Tournament-scoped endpoints are valid when the tournament is registered and has the endpoint enabled.
+   * Match statistics and H2H by match need a match ID (/api/match-stats/:matchId, /api/h2h/match/:matchId)
    * @param {string} endpoint - Endpoint path
    * @returns {boolean} True if valid
    */
   isValidEndpoint(endpoint) {
+    const matchEndpoint = parseMatchEndpoint(endpoint);
+    if (matchEndpoint) {
+      return !matchEndpoint.tournamentId || tournamentRegistry.isEndpointAllowed(matchEndpoint.tournamentId, matchEndpoint.endpoint);
+    }
+
+    const { tournamentId, endpoint: baseEndpoint } = parseScopedEndpoint(endpoint);
     const validEndpoints = [
       '/api/live-matches',
       '/api/draws/live',
@@ -222,7 +488,11 @@ class WebSocketServer {
       '/api/team-cup-rankings'
     ];
     
-    return validEndpoints.includes(endpoint);
+    if (!validEndpoints.includes(baseEndpoint)) {
+      return false;
+    }
+
+    return !tournamentId || tournamentRegistry.isEndpointAllowed(tournamentId, baseEndpoint);
   }
 
   /**
@@ -242,6 +512,10 @@ class WebSocketServer {
       connected: true,
       connectedSockets,
       subscriptions: subscriptionStats,
+      eventSubscriptions: eventSubscriptionService.getStats(),
+      streamBuffer: streamBuffer.getStats(),
+      sse: sseService.getStats(),
+      delta: deltaService.getStats(),
       polling: pollingStats
     };
   }
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Test Webhook Receiver
+ *
+ * Receives ATP Live Proxy webhooks locally: verifies their signatures, drops
+ * duplicate events and prints each event. Target it with
+ * node replay-events.js --webhook-deliver --webhook-url http://localhost:3001/events --webhook-secret <secret>
+ * or EVENTS_WEBHOOK_URL=http://localhost:3001/events on the proxy.
+ *
+ * Usage: node webhook-receiver.js [options]
+ */
+
+const { program } = require('commander');
+const WebhookReceiver = require('./src/utils/webhookReceiver');
+
+// CLI Configuration
+program
+  .name('webhook-receiver')
+  .description('Verify, deduplicate and print webhooks sent by the proxy or replay-events.js')
+  .version('1.0.0')
+  .option('-p, --port <port>', 'Port to listen on', '3001')
+  .option('-s, --secret <secret...>', 'Accepted webhook secret(s) (default: EVENTS_WEBHOOK_SECRET)')
+  .option('--tolerance <seconds>', 'Maximum age of a signed request in seconds', '300')
+  .option('--fail-rate <ratio>', 'Answer this fraction of requests with 500 to exercise retries (0-1)', '0')
+  .option('-q, --quiet', 'Only print the request summary, not each event');
+
+program.parse();
+const options = program.opts();
+
+// Validate options
+const port = parseInt(options.port);
+if (isNaN(port) || port <= 0) {
+  console.error('Error: --port must be a positive number');
+  process.exit(1);
+}
+
+const toleranceSeconds = parseInt(options.tolerance);
+if (isNaN(toleranceSeconds) || toleranceSeconds <= 0) {
+  console.error('Error: --tolerance must be a positive number');
+  process.exit(1);
+}
+
+const failRate = parseFloat(options.failRate);
+if (isNaN(failRate) || failRate < 0 || failRate > 1) {
+  console.error('Error: --fail-rate must be between 0 and 1');
+  process.exit(1);
+}
+
+const secrets = options.secret || [process.env.EVENTS_WEBHOOK_SECRET].filter(Boolean);
+if (secrets.length === 0) {
+  console.error('Error: --secret is required (or set EVENTS_WEBHOOK_SECRET)');
+  console.error('Usage: node webhook-receiver.js --secret <secret> [--secret <previous-secret>]');
+  process.exit(1);
+}
+
+// Main execution
+function main() {
+  const receiver = new WebhookReceiver({ secrets, toleranceSeconds });
+  const app = receiver.createApp({
+    onEvent: (event) => {
+      if (!options.quiet) {
+        console.log(`[WEBHOOK RECEIVER]   ${event.event_type} ${event.tournament_id}/${event.match_id || '-'} ${event.event_id}: ${event.description || ''}`);
+      }
+    },
+    failRate,
+  });
+
+  app.listen(port, () => {
+    console.log(`[WEBHOOK RECEIVER] Listening on http://localhost:${port} (any POST path)`);
+    console.log(`[WEBHOOK RECEIVER] ${secrets.length} secret(s), ${toleranceSeconds}s tolerance${failRate > 0 ? `, failing ${Math.round(failRate * 100)}% of requests` : ''}`);
+    console.log('[WEBHOOK RECEIVER] Inspect: GET /_receiver/status, GET /_receiver/events');
+  });
+}
+
+// Handle SIGINT gracefully
+process.on('SIGINT', () => {
+  console.log('\nWebhook receiver stopped');
+  process.exit(0);
+});
+
+// Run the script
+main();